@@ -0,0 +1,128 @@
+// backend/backfill.js
+// Extract entities again for older recordings: node backfill.js <command> [options]
+//   start [--project <id>] [--from <date>] [--to <date>] [--below-version <n>] [--throttle <ms>]
+//                         create a run and work through it here until it is done
+//   resume <runId>        carry on with a paused, failed or interrupted run
+//   pause <runId>         ask the process working on a run to stop after its current recording
+//   status [runId]        list runs, or show one run with what changed per recording
+// Ctrl-C pauses the run; resume it here or from the API.
+require('dotenv').config();
+const database = require('./services/database');
+const extractionBackfill = require('./services/extractionBackfill');
+
+function getOption(args, name) {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : null;
+}
+
+function getRunId(args) {
+    const runId = parseInt(args[0]);
+    if (isNaN(runId) || runId < 1) {
+        throw new Error('A run id is required');
+    }
+    return runId;
+}
+
+function describeRun(run) {
+    const error = run.last_error ? ` - ${run.last_error}` : '';
+    return `#${run.id} ${run.status}: ${run.processed}/${run.total} done, ${run.changed} changed, ${run.failed} failed${error}`;
+}
+
+function describeValues(values) {
+    return Object.entries(values || {})
+        .map(([key, list]) => `${key}: ${list.join(', ')}`)
+        .join('; ');
+}
+
+// Wait for a run this process started, pausing it on Ctrl-C
+async function runInForeground(run) {
+    process.on('SIGINT', async () => {
+        await database.updateBackfillRun(run.id, { status: 'paused', locked_at: null });
+        console.log(`\n⏸️ Backfill run ${run.id} paused - continue with "node backfill.js resume ${run.id}"`);
+        await database.close();
+        process.exit(130);
+    });
+
+    console.log(describeRun(await extractionBackfill.wait(run.id)));
+}
+
+async function main() {
+    const [command = 'status', ...args] = process.argv.slice(2);
+
+    await database.init();
+    await database.migrations.assertUpToDate();
+
+    switch (command) {
+        case 'start': {
+            const { filters, error } = extractionBackfill.parseFilters({
+                projectId: getOption(args, 'project'),
+                from: getOption(args, 'from'),
+                to: getOption(args, 'to'),
+                belowVersion: getOption(args, 'below-version')
+            });
+            if (error) throw new Error(error);
+
+            const options = {};
+            const throttle = getOption(args, 'throttle');
+            if (throttle !== null) {
+                options.throttleMs = parseInt(throttle);
+                if (isNaN(options.throttleMs) || options.throttleMs < 0) {
+                    throw new Error('--throttle must be a number of milliseconds');
+                }
+            }
+
+            await runInForeground(await extractionBackfill.create(filters, options));
+            break;
+        }
+
+        case 'resume': {
+            const run = await extractionBackfill.resume(getRunId(args));
+            if (!run) throw new Error(`Backfill run ${args[0]} not found`);
+            await runInForeground(run);
+            break;
+        }
+
+        case 'pause': {
+            const run = await extractionBackfill.pause(getRunId(args));
+            if (!run) throw new Error(`Backfill run ${args[0]} not found`);
+            console.log(`⏸️ Backfill run ${run.id} will pause after its current recording`);
+            break;
+        }
+
+        case 'status': {
+            if (args.length === 0) {
+                const runs = await database.getBackfillRuns();
+                if (runs.length === 0) console.log('No backfill runs yet');
+                runs.forEach(run => console.log(describeRun(run)));
+                break;
+            }
+
+            const run = await database.getBackfillRun(getRunId(args));
+            if (!run) throw new Error(`Backfill run ${args[0]} not found`);
+            console.log(describeRun(run));
+
+            for (const result of await database.getBackfillResults(run.id)) {
+                const details = result.status === 'failed'
+                    ? result.error
+                    : [
+                        Object.keys(result.added).length > 0 ? `+ ${describeValues(result.added)}` : '',
+                        Object.keys(result.removed).length > 0 ? `- ${describeValues(result.removed)}` : '',
+                        Object.keys(result.kept).length > 0 ? `kept ${describeValues(result.kept)}` : ''
+                    ].filter(Boolean).join(' | ');
+                console.log(`  recording ${result.recording_id}: ${result.status}${details ? ` (${details})` : ''}`);
+            }
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown command "${command}". Use start, resume, pause or status.`);
+    }
+}
+
+main()
+    .then(() => database.close())
+    .catch(async (error) => {
+        console.error('❌ Backfill command failed:', error.message);
+        await database.close();
+        process.exit(1);
+    });
@@ -0,0 +1,55 @@
+// backend/migrate.js
+// Schema migration commands: node migrate.js <up|down|status> [options]
+//   up [--to <version>]   apply pending migrations (optionally up to a version)
+//   down [--steps <n>]    revert the last n applied migrations (default 1)
+//   status                list migrations and whether they are applied
+require('dotenv').config();
+const database = require('./services/database');
+
+function getOption(args, name) {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : null;
+}
+
+async function main() {
+    const [command = 'status', ...args] = process.argv.slice(2);
+    const migrations = database.migrations;
+
+    switch (command) {
+        case 'up': {
+            const ran = await migrations.up({ to: getOption(args, 'to') });
+            console.log(ran.length > 0 ? `✅ Applied ${ran.length} migration(s)` : '✅ Schema already up to date');
+            break;
+        }
+
+        case 'down': {
+            const steps = parseInt(getOption(args, 'steps') || '1');
+            if (isNaN(steps) || steps < 1) {
+                throw new Error('--steps must be a positive number');
+            }
+            const ran = await migrations.down({ steps });
+            console.log(`✅ Reverted ${ran.length} migration(s)`);
+            break;
+        }
+
+        case 'status': {
+            const rows = await migrations.status();
+            for (const row of rows) {
+                const state = row.applied ? `applied ${new Date(row.applied_at).toISOString()}` : 'pending';
+                console.log(`${row.applied ? '✅' : '⏳'} ${row.version}_${row.name} - ${state}`);
+            }
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown command "${command}". Use up, down or status.`);
+    }
+}
+
+main()
+    .then(() => database.close())
+    .catch(async (error) => {
+        console.error('❌ Migration command failed:', error.message);
+        await database.close();
+        process.exit(1);
+    });
@@ -0,0 +1,90 @@
+// backend/migrations/001_initial_schema.js
+// Tables the DatabaseService has always assumed. Uses IF NOT EXISTS so databases
+// that were set up by hand before migrations existed can adopt this baseline.
+
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS projects (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL UNIQUE,
+            description TEXT DEFAULT '',
+            color VARCHAR(20) DEFAULT '#667eea',
+            is_active BOOLEAN NOT NULL DEFAULT true,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+
+        CREATE TABLE IF NOT EXISTS recordings (
+            id SERIAL PRIMARY KEY,
+            text TEXT NOT NULL,
+            word_count INTEGER NOT NULL DEFAULT 0,
+            project_id INTEGER REFERENCES projects(id),
+            timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+
+        CREATE TABLE IF NOT EXISTS people (
+            id SERIAL PRIMARY KEY,
+            recording_id INTEGER NOT NULL REFERENCES recordings(id),
+            name TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS tasks (
+            id SERIAL PRIMARY KEY,
+            recording_id INTEGER NOT NULL REFERENCES recordings(id),
+            task_description TEXT NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            completed_at TIMESTAMPTZ,
+            completed_by_recording_id INTEGER REFERENCES recordings(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS events (
+            id SERIAL PRIMARY KEY,
+            recording_id INTEGER NOT NULL REFERENCES recordings(id),
+            event_name TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS topics (
+            id SERIAL PRIMARY KEY,
+            recording_id INTEGER NOT NULL REFERENCES recordings(id),
+            topic TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS locations (
+            id SERIAL PRIMARY KEY,
+            recording_id INTEGER NOT NULL REFERENCES recordings(id),
+            location_name TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS items (
+            id SERIAL PRIMARY KEY,
+            recording_id INTEGER NOT NULL REFERENCES recordings(id),
+            item_name TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_recordings_timestamp ON recordings(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_recordings_project_id ON recordings(project_id);
+        CREATE INDEX IF NOT EXISTS idx_people_recording_id ON people(recording_id);
+        CREATE INDEX IF NOT EXISTS idx_tasks_recording_id ON tasks(recording_id);
+        CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+        CREATE INDEX IF NOT EXISTS idx_events_recording_id ON events(recording_id);
+        CREATE INDEX IF NOT EXISTS idx_topics_recording_id ON topics(recording_id);
+        CREATE INDEX IF NOT EXISTS idx_locations_recording_id ON locations(recording_id);
+        CREATE INDEX IF NOT EXISTS idx_items_recording_id ON items(recording_id);
+
+        -- saveRecording and deleteProject fall back to this project
+        INSERT INTO projects (name, description, color)
+        VALUES ('General', 'Recordings without a specific project', '#667eea')
+        ON CONFLICT (name) DO NOTHING;
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS items;
+        DROP TABLE IF EXISTS locations;
+        DROP TABLE IF EXISTS topics;
+        DROP TABLE IF EXISTS events;
+        DROP TABLE IF EXISTS tasks;
+        DROP TABLE IF EXISTS people;
+        DROP TABLE IF EXISTS recordings;
+        DROP TABLE IF EXISTS projects;
+    `
+};
@@ -0,0 +1,28 @@
+// backend/migrations/002_recording_jobs.js
+// Durable queue for audio uploads that are transcribed and extracted in the background
+
+module.exports = {
+    up: `
+        CREATE TABLE recording_jobs (
+            id SERIAL PRIMARY KEY,
+            stage VARCHAR(20) NOT NULL DEFAULT 'queued',
+            audio_path TEXT,
+            project_id INTEGER REFERENCES projects(id),
+            transcription TEXT,
+            recording_id INTEGER REFERENCES recordings(id),
+            attempts INTEGER NOT NULL DEFAULT 0,
+            max_attempts INTEGER NOT NULL DEFAULT 3,
+            last_error TEXT,
+            next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            locked_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+
+        CREATE INDEX idx_recording_jobs_stage ON recording_jobs(stage, next_attempt_at);
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS recording_jobs;
+    `
+};
@@ -0,0 +1,20 @@
+// backend/migrations/003_recording_audio.js
+// Keep the original audio of each recording in blob storage
+
+module.exports = {
+    up: `
+        ALTER TABLE recordings ADD COLUMN audio_key TEXT;
+        ALTER TABLE recordings ADD COLUMN audio_content_type VARCHAR(100);
+        ALTER TABLE recordings ADD COLUMN audio_size BIGINT;
+
+        ALTER TABLE recording_jobs ADD COLUMN audio_content_type VARCHAR(100);
+    `,
+
+    down: `
+        ALTER TABLE recording_jobs DROP COLUMN audio_content_type;
+
+        ALTER TABLE recordings DROP COLUMN audio_size;
+        ALTER TABLE recordings DROP COLUMN audio_content_type;
+        ALTER TABLE recordings DROP COLUMN audio_key;
+    `
+};
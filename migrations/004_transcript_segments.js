@@ -0,0 +1,27 @@
+// backend/migrations/004_transcript_segments.js
+// Timestamped transcript segments from Whisper's verbose_json output
+
+module.exports = {
+    up: `
+        CREATE TABLE transcript_segments (
+            id SERIAL PRIMARY KEY,
+            recording_id INTEGER NOT NULL REFERENCES recordings(id),
+            segment_index INTEGER NOT NULL,
+            start_seconds DOUBLE PRECISION NOT NULL,
+            end_seconds DOUBLE PRECISION NOT NULL,
+            text TEXT NOT NULL,
+            avg_logprob DOUBLE PRECISION,
+            no_speech_prob DOUBLE PRECISION
+        );
+
+        CREATE INDEX idx_transcript_segments_recording_id ON transcript_segments(recording_id, segment_index);
+
+        -- Segments wait here between transcription and save, so retries keep them
+        ALTER TABLE recording_jobs ADD COLUMN transcript_segments JSONB;
+    `,
+
+    down: `
+        ALTER TABLE recording_jobs DROP COLUMN transcript_segments;
+        DROP TABLE IF EXISTS transcript_segments;
+    `
+};
@@ -0,0 +1,12 @@
+// backend/migrations/005_job_progress.js
+// Chunk progress for long recordings that are transcribed in pieces
+
+module.exports = {
+    up: `
+        ALTER TABLE recording_jobs ADD COLUMN progress JSONB;
+    `,
+
+    down: `
+        ALTER TABLE recording_jobs DROP COLUMN progress;
+    `
+};
@@ -0,0 +1,24 @@
+// backend/migrations/006_recording_language.js
+// Detected language of each recording (ISO 639-1), plus an optional translation
+// of the text into the configured pivot language. Jobs carry the language hint
+// given at upload and then the language Whisper detected.
+
+module.exports = {
+    up: `
+        ALTER TABLE recordings ADD COLUMN language VARCHAR(8);
+        ALTER TABLE recordings ADD COLUMN translated_text TEXT;
+        ALTER TABLE recordings ADD COLUMN translation_language VARCHAR(8);
+        CREATE INDEX idx_recordings_language ON recordings(language);
+
+        ALTER TABLE recording_jobs ADD COLUMN language VARCHAR(8);
+    `,
+
+    down: `
+        ALTER TABLE recording_jobs DROP COLUMN language;
+
+        DROP INDEX IF EXISTS idx_recordings_language;
+        ALTER TABLE recordings DROP COLUMN translation_language;
+        ALTER TABLE recordings DROP COLUMN translated_text;
+        ALTER TABLE recordings DROP COLUMN language;
+    `
+};
@@ -0,0 +1,29 @@
+// backend/migrations/007_recording_revisions.js
+// Previous versions of edited recordings. Each row is the recording as it was
+// before an edit or revert, including the entities extracted from it.
+
+module.exports = {
+    up: `
+        CREATE TABLE recording_revisions (
+            id SERIAL PRIMARY KEY,
+            recording_id INTEGER NOT NULL REFERENCES recordings(id),
+            revision_number INTEGER NOT NULL,
+            text TEXT NOT NULL,
+            project_id INTEGER,
+            language VARCHAR(8),
+            translated_text TEXT,
+            translation_language VARCHAR(8),
+            entities JSONB,
+            reason VARCHAR(20) NOT NULL DEFAULT 'edit',
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            UNIQUE (recording_id, revision_number)
+        );
+
+        ALTER TABLE recordings ADD COLUMN updated_at TIMESTAMPTZ;
+    `,
+
+    down: `
+        ALTER TABLE recordings DROP COLUMN updated_at;
+        DROP TABLE IF EXISTS recording_revisions;
+    `
+};
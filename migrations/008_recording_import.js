@@ -0,0 +1,17 @@
+// backend/migrations/008_recording_import.js
+// Notes brought in through POST /api/import remember where they came from and a
+// hash of their content and date, so importing the same export twice skips them.
+
+module.exports = {
+    up: `
+        ALTER TABLE recordings ADD COLUMN import_source TEXT;
+        ALTER TABLE recordings ADD COLUMN import_hash VARCHAR(64);
+        CREATE INDEX idx_recordings_import_hash ON recordings(import_hash);
+    `,
+
+    down: `
+        DROP INDEX IF EXISTS idx_recordings_import_hash;
+        ALTER TABLE recordings DROP COLUMN import_hash;
+        ALTER TABLE recordings DROP COLUMN import_source;
+    `
+};
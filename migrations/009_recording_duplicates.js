@@ -0,0 +1,19 @@
+// backend/migrations/009_recording_duplicates.js
+// Simhash fingerprint of each recording's text. A recording flagged as a likely
+// duplicate points at the earliest recording of its cluster through duplicate_of.
+
+module.exports = {
+    up: `
+        ALTER TABLE recordings ADD COLUMN fingerprint VARCHAR(16);
+        ALTER TABLE recordings ADD COLUMN duplicate_of INTEGER REFERENCES recordings(id);
+        ALTER TABLE recordings ADD COLUMN duplicate_score REAL;
+        CREATE INDEX idx_recordings_duplicate_of ON recordings(duplicate_of);
+    `,
+
+    down: `
+        DROP INDEX IF EXISTS idx_recordings_duplicate_of;
+        ALTER TABLE recordings DROP COLUMN duplicate_score;
+        ALTER TABLE recordings DROP COLUMN duplicate_of;
+        ALTER TABLE recordings DROP COLUMN fingerprint;
+    `
+};
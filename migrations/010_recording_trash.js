@@ -0,0 +1,15 @@
+// backend/migrations/010_recording_trash.js
+// Deleting a recording moves it to the trash: deleted_at is set and every read
+// skips it until it is restored or purged for good.
+
+module.exports = {
+    up: `
+        ALTER TABLE recordings ADD COLUMN deleted_at TIMESTAMPTZ;
+        CREATE INDEX idx_recordings_deleted_at ON recordings(deleted_at);
+    `,
+
+    down: `
+        DROP INDEX IF EXISTS idx_recordings_deleted_at;
+        ALTER TABLE recordings DROP COLUMN deleted_at;
+    `
+};
@@ -0,0 +1,37 @@
+// backend/migrations/011_contacts.js
+// Canonical people. Each contact has any number of aliases (the spellings it has
+// been mentioned by), and every person mention in a recording is linked to a
+// contact with a confidence score.
+
+module.exports = {
+    up: `
+        CREATE TABLE contacts (
+            id SERIAL PRIMARY KEY,
+            name TEXT NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+
+        CREATE TABLE contact_aliases (
+            id SERIAL PRIMARY KEY,
+            contact_id INTEGER NOT NULL REFERENCES contacts(id),
+            alias TEXT NOT NULL,
+            normalized_alias TEXT NOT NULL UNIQUE,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+
+        CREATE INDEX idx_contact_aliases_contact_id ON contact_aliases(contact_id);
+
+        ALTER TABLE people ADD COLUMN contact_id INTEGER REFERENCES contacts(id);
+        ALTER TABLE people ADD COLUMN link_confidence REAL;
+        CREATE INDEX idx_people_contact_id ON people(contact_id);
+    `,
+
+    down: `
+        DROP INDEX IF EXISTS idx_people_contact_id;
+        ALTER TABLE people DROP COLUMN link_confidence;
+        ALTER TABLE people DROP COLUMN contact_id;
+        DROP TABLE IF EXISTS contact_aliases;
+        DROP TABLE IF EXISTS contacts;
+    `
+};
@@ -0,0 +1,30 @@
+// backend/migrations/012_entity_dates.js
+// Resolved dates for tasks and events. The phrase they were resolved from ("next
+// Tuesday at 3") is kept next to the timestamp, so a wrong date can be traced back.
+
+module.exports = {
+    up: `
+        ALTER TABLE tasks ADD COLUMN due_at TIMESTAMPTZ;
+        ALTER TABLE tasks ADD COLUMN due_all_day BOOLEAN;
+        ALTER TABLE tasks ADD COLUMN due_phrase TEXT;
+        CREATE INDEX idx_tasks_due_at ON tasks(due_at);
+
+        ALTER TABLE events ADD COLUMN starts_at TIMESTAMPTZ;
+        ALTER TABLE events ADD COLUMN ends_at TIMESTAMPTZ;
+        ALTER TABLE events ADD COLUMN all_day BOOLEAN;
+        ALTER TABLE events ADD COLUMN date_phrase TEXT;
+        CREATE INDEX idx_events_starts_at ON events(starts_at);
+    `,
+
+    down: `
+        DROP INDEX IF EXISTS idx_events_starts_at;
+        ALTER TABLE events DROP COLUMN date_phrase;
+        ALTER TABLE events DROP COLUMN all_day;
+        ALTER TABLE events DROP COLUMN ends_at;
+        ALTER TABLE events DROP COLUMN starts_at;
+        DROP INDEX IF EXISTS idx_tasks_due_at;
+        ALTER TABLE tasks DROP COLUMN due_phrase;
+        ALTER TABLE tasks DROP COLUMN due_all_day;
+        ALTER TABLE tasks DROP COLUMN due_at;
+    `
+};
@@ -0,0 +1,28 @@
+// backend/migrations/013_calendar_events.js
+// Events imported from other calendars (.ics files). The UID the calendar gave an
+// event identifies it, so importing an updated export changes events in place.
+
+module.exports = {
+    up: `
+        CREATE TABLE calendar_events (
+            id SERIAL PRIMARY KEY,
+            uid TEXT NOT NULL UNIQUE,
+            summary TEXT NOT NULL,
+            description TEXT,
+            location TEXT,
+            starts_at TIMESTAMPTZ NOT NULL,
+            ends_at TIMESTAMPTZ,
+            all_day BOOLEAN NOT NULL DEFAULT FALSE,
+            rrule TEXT,
+            source TEXT,
+            imported_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+
+        CREATE INDEX idx_calendar_events_starts_at ON calendar_events(starts_at);
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS calendar_events;
+    `
+};
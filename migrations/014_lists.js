@@ -0,0 +1,40 @@
+// backend/migrations/014_lists.js
+// Shopping and checklist lists. Extracted items are linked to a list item, so the
+// same item mentioned in several recordings is one entry on the list.
+
+module.exports = {
+    up: `
+        CREATE TABLE lists (
+            id SERIAL PRIMARY KEY,
+            name TEXT NOT NULL,
+            normalized_name TEXT NOT NULL UNIQUE,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+
+        CREATE TABLE list_items (
+            id SERIAL PRIMARY KEY,
+            list_id INTEGER NOT NULL REFERENCES lists(id),
+            name TEXT NOT NULL,
+            normalized_name TEXT NOT NULL,
+            checked BOOLEAN NOT NULL DEFAULT FALSE,
+            checked_at TIMESTAMPTZ,
+            checked_by_recording_id INTEGER REFERENCES recordings(id),
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+
+        CREATE INDEX idx_list_items_list_id ON list_items(list_id);
+        CREATE INDEX idx_list_items_normalized_name ON list_items(normalized_name);
+
+        ALTER TABLE items ADD COLUMN list_item_id INTEGER REFERENCES list_items(id);
+        CREATE INDEX idx_items_list_item_id ON items(list_item_id);
+    `,
+
+    down: `
+        DROP INDEX IF EXISTS idx_items_list_item_id;
+        ALTER TABLE items DROP COLUMN list_item_id;
+        DROP TABLE IF EXISTS list_items;
+        DROP TABLE IF EXISTS lists;
+    `
+};
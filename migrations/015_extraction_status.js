@@ -0,0 +1,19 @@
+// backend/migrations/015_extraction_status.js
+// Which extractor produced a recording's entities and how it went, so failed or
+// repaired extractions show up instead of silently leaving a recording empty.
+
+module.exports = {
+    up: `
+        ALTER TABLE recordings ADD COLUMN extractor_version TEXT;
+        ALTER TABLE recordings ADD COLUMN extraction_status VARCHAR(20);
+        ALTER TABLE recordings ADD COLUMN extraction_errors JSONB;
+        CREATE INDEX idx_recordings_extraction_status ON recordings(extraction_status);
+    `,
+
+    down: `
+        DROP INDEX IF EXISTS idx_recordings_extraction_status;
+        ALTER TABLE recordings DROP COLUMN extraction_errors;
+        ALTER TABLE recordings DROP COLUMN extraction_status;
+        ALTER TABLE recordings DROP COLUMN extractor_version;
+    `
+};
@@ -0,0 +1,50 @@
+// backend/migrations/016_extraction_backfill.js
+// Runs that extract entities again for older recordings, with a cursor so an
+// interrupted run carries on where it stopped, and what each recording gained and
+// lost. Tasks changed by hand are marked so re-extraction leaves them alone.
+
+module.exports = {
+    up: `
+        CREATE TABLE backfill_runs (
+            id SERIAL PRIMARY KEY,
+            status VARCHAR(20) NOT NULL DEFAULT 'running',
+            filters JSONB NOT NULL,
+            throttle_ms INTEGER NOT NULL DEFAULT 0,
+            total INTEGER NOT NULL DEFAULT 0,
+            processed INTEGER NOT NULL DEFAULT 0,
+            changed INTEGER NOT NULL DEFAULT 0,
+            failed INTEGER NOT NULL DEFAULT 0,
+            last_recording_id INTEGER,
+            last_error TEXT,
+            locked_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            finished_at TIMESTAMPTZ
+        );
+
+        CREATE INDEX idx_backfill_runs_status ON backfill_runs(status);
+
+        CREATE TABLE backfill_results (
+            id SERIAL PRIMARY KEY,
+            run_id INTEGER NOT NULL REFERENCES backfill_runs(id),
+            recording_id INTEGER NOT NULL,
+            status VARCHAR(20) NOT NULL,
+            added JSONB,
+            removed JSONB,
+            kept JSONB,
+            revision_number INTEGER,
+            error TEXT,
+            processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+
+        CREATE INDEX idx_backfill_results_run ON backfill_results(run_id);
+
+        ALTER TABLE tasks ADD COLUMN edited_at TIMESTAMPTZ;
+    `,
+
+    down: `
+        ALTER TABLE tasks DROP COLUMN edited_at;
+        DROP TABLE IF EXISTS backfill_results;
+        DROP TABLE IF EXISTS backfill_runs;
+    `
+};
@@ -0,0 +1,36 @@
+// backend/migrations/017_task_lifecycle.js
+// Tasks that can be added by hand (no recording), prioritized, snoozed, cancelled
+// and reopened, with every status change kept as a transition.
+
+module.exports = {
+    up: `
+        ALTER TABLE tasks ALTER COLUMN recording_id DROP NOT NULL;
+        ALTER TABLE tasks ADD COLUMN project_id INTEGER REFERENCES projects(id);
+        ALTER TABLE tasks ADD COLUMN priority VARCHAR(10) NOT NULL DEFAULT 'normal';
+        ALTER TABLE tasks ADD COLUMN snoozed_until TIMESTAMPTZ;
+        ALTER TABLE tasks ADD COLUMN updated_at TIMESTAMPTZ;
+
+        CREATE TABLE task_transitions (
+            id SERIAL PRIMARY KEY,
+            task_id INTEGER NOT NULL REFERENCES tasks(id),
+            from_status VARCHAR(20),
+            to_status VARCHAR(20) NOT NULL,
+            source VARCHAR(20) NOT NULL,
+            recording_id INTEGER REFERENCES recordings(id),
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+
+        CREATE INDEX idx_task_transitions_task ON task_transitions(task_id);
+    `,
+
+    // Tasks added by hand have no recording to belong to, and are dropped
+    down: `
+        DROP TABLE IF EXISTS task_transitions;
+        DELETE FROM tasks WHERE recording_id IS NULL;
+        ALTER TABLE tasks DROP COLUMN updated_at;
+        ALTER TABLE tasks DROP COLUMN snoozed_until;
+        ALTER TABLE tasks DROP COLUMN priority;
+        ALTER TABLE tasks DROP COLUMN project_id;
+        ALTER TABLE tasks ALTER COLUMN recording_id SET NOT NULL;
+    `
+};
@@ -0,0 +1,25 @@
+// backend/migrations/018_task_completion_suggestions.js
+// Tasks a recording may have completed. Confident matches are closed straight away
+// (status auto); the rest wait in a review queue until accepted or rejected.
+
+module.exports = {
+    up: `
+        CREATE TABLE task_completion_suggestions (
+            id SERIAL PRIMARY KEY,
+            task_id INTEGER NOT NULL REFERENCES tasks(id),
+            recording_id INTEGER NOT NULL REFERENCES recordings(id),
+            confidence REAL NOT NULL,
+            reasons JSONB NOT NULL DEFAULT '{}',
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            resolved_at TIMESTAMPTZ
+        );
+
+        CREATE INDEX idx_task_completion_suggestions_status ON task_completion_suggestions(status);
+        CREATE INDEX idx_task_completion_suggestions_task ON task_completion_suggestions(task_id);
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS task_completion_suggestions;
+    `
+};
@@ -0,0 +1,42 @@
+// backend/migrations/019_task_recurrence.js
+// Repeating tasks and due-time reminders. Completing an occurrence of a repeating
+// task creates the next one, which points back at it (at most one can). A reminder
+// is sent once per task and due time; the unique key keeps a restarted scheduler
+// from sending it again.
+
+module.exports = {
+    up: `
+        ALTER TABLE tasks ADD COLUMN recurrence_rule TEXT;
+        ALTER TABLE tasks ADD COLUMN recurrence_start TIMESTAMPTZ;
+        ALTER TABLE tasks ADD COLUMN occurrence INTEGER NOT NULL DEFAULT 1;
+        ALTER TABLE tasks ADD COLUMN previous_task_id INTEGER REFERENCES tasks(id);
+        CREATE UNIQUE INDEX idx_tasks_previous_task ON tasks(previous_task_id);
+
+        CREATE TABLE task_reminders (
+            id SERIAL PRIMARY KEY,
+            task_id INTEGER NOT NULL REFERENCES tasks(id),
+            due_at TIMESTAMPTZ NOT NULL,
+            remind_at TIMESTAMPTZ NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            locked_at TIMESTAMPTZ,
+            notifier VARCHAR(20),
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            sent_at TIMESTAMPTZ,
+            UNIQUE (task_id, due_at)
+        );
+
+        CREATE INDEX idx_task_reminders_status ON task_reminders(status);
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS task_reminders;
+        DROP INDEX IF EXISTS idx_tasks_previous_task;
+        ALTER TABLE tasks DROP COLUMN previous_task_id;
+        ALTER TABLE tasks DROP COLUMN occurrence;
+        ALTER TABLE tasks DROP COLUMN recurrence_start;
+        ALTER TABLE tasks DROP COLUMN recurrence_rule;
+    `
+};
@@ -0,0 +1,20 @@
+// backend/migrations/020_digests.js
+// Saved morning briefings. A digest is kept as it was built, so past ones read the
+// same later; the unique key stops a restarted scheduler from saving a period twice.
+
+module.exports = {
+    up: `
+        CREATE TABLE digests (
+            id SERIAL PRIMARY KEY,
+            period VARCHAR(10) NOT NULL,
+            period_start TIMESTAMPTZ NOT NULL,
+            content JSONB NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            UNIQUE (period, period_start)
+        );
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS digests;
+    `
+};
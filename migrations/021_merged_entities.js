@@ -0,0 +1,23 @@
+// backend/migrations/021_merged_entities.js
+// Entities a merge moved onto the surviving recording remember the recording they
+// came from, so restoring a merged recording from the trash can move them back.
+
+module.exports = {
+    up: `
+        ALTER TABLE people ADD COLUMN merged_from INTEGER;
+        ALTER TABLE tasks ADD COLUMN merged_from INTEGER;
+        ALTER TABLE events ADD COLUMN merged_from INTEGER;
+        ALTER TABLE topics ADD COLUMN merged_from INTEGER;
+        ALTER TABLE locations ADD COLUMN merged_from INTEGER;
+        ALTER TABLE items ADD COLUMN merged_from INTEGER;
+    `,
+
+    down: `
+        ALTER TABLE items DROP COLUMN merged_from;
+        ALTER TABLE locations DROP COLUMN merged_from;
+        ALTER TABLE topics DROP COLUMN merged_from;
+        ALTER TABLE events DROP COLUMN merged_from;
+        ALTER TABLE tasks DROP COLUMN merged_from;
+        ALTER TABLE people DROP COLUMN merged_from;
+    `
+};
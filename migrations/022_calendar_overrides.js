@@ -0,0 +1,22 @@
+// backend/migrations/022_calendar_overrides.js
+// A repeating event's moved or cancelled occurrences come as events of their own,
+// with the series' UID and a RECURRENCE-ID naming the occurrence they replace. They
+// are kept beside the series rather than over it, so UID and occurrence together
+// identify an event. A cancelled occurrence is kept so the series can skip it.
+
+module.exports = {
+    up: `
+        ALTER TABLE calendar_events ADD COLUMN recurrence_id TIMESTAMPTZ;
+        ALTER TABLE calendar_events ADD COLUMN cancelled BOOLEAN NOT NULL DEFAULT FALSE;
+        ALTER TABLE calendar_events DROP CONSTRAINT calendar_events_uid_key;
+        CREATE UNIQUE INDEX idx_calendar_events_occurrence ON calendar_events(uid, recurrence_id);
+    `,
+
+    down: `
+        DROP INDEX IF EXISTS idx_calendar_events_occurrence;
+        DELETE FROM calendar_events WHERE recurrence_id IS NOT NULL;
+        ALTER TABLE calendar_events ADD CONSTRAINT calendar_events_uid_key UNIQUE (uid);
+        ALTER TABLE calendar_events DROP COLUMN cancelled;
+        ALTER TABLE calendar_events DROP COLUMN recurrence_id;
+    `
+};
@@ -5,153 +5,1380 @@ const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
 
-const speechToText = require('./services/speechToText');
 const aiProcessor = require('./services/aiProcessor');
+const speechToText = require('./services/speechToText');
 const database = require('./services/database');
+const blobStore = require('./services/blobStore');
+const recordingPipeline = require('./services/recordingPipeline');
+const recordingQueue = require('./services/recordingQueue');
+const trashPurger = require('./services/trashPurger');
+const taskScheduler = require('./services/taskScheduler');
+const digestScheduler = require('./services/digestScheduler');
+const notifier = require('./services/notifier');
+const extractionBackfill = require('./services/extractionBackfill');
+const usageTracker = require('./services/usageTracker');
+const languages = require('./services/languages');
+const noteImporter = require('./services/noteImporter');
+const accountArchive = require('./services/accountArchive');
+const digest = require('./services/digest');
+const icalendar = require('./services/icalendar');
+const dateResolver = require('./services/dateResolver');
+const recurrence = require('./services/recurrence');
+
+const app = express();
+const PORT = process.env.PORT || 5000;
+
+// Middleware
+// Listing headers (see GET /api/recordings) are readable from the browser too
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'Link'] }));
+app.use(express.json());
+app.use(express.static('public'));
+
+// File upload configuration
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        const uploadDir = './uploads';
+        if (!fs.existsSync(uploadDir)) {
+            fs.mkdirSync(uploadDir);
+        }
+        cb(null, uploadDir);
+    },
+    filename: (req, file, cb) => {
+        cb(null, `recording-${Date.now()}.wav`);
+    }
+});
+
+// Long recordings are split for transcription, but keep uploads within reason
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB) || 500;
+const upload = multer({ storage, limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 } });
+
+// Turn multer errors (e.g. file too large) into JSON responses
+function uploadAudio(req, res, next) {
+    upload.single('audio')(req, res, (error) => {
+        if (!error) return next();
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `Audio file too large (max ${MAX_UPLOAD_MB}MB)` });
+        }
+        console.error('Error receiving upload:', error);
+        res.status(400).json({ error: 'Invalid upload' });
+    });
+}
+
+// Note imports keep their original file names; they are deleted once processed
+const MAX_IMPORT_MB = parseInt(process.env.MAX_IMPORT_MB) || 100;
+const importUpload = multer({ dest: './uploads/imports', limits: { fileSize: MAX_IMPORT_MB * 1024 * 1024 } });
+
+function uploadImportFiles(req, res, next) {
+    importUpload.any()(req, res, (error) => {
+        if (!error) return next();
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `Import file too large (max ${MAX_IMPORT_MB}MB)` });
+        }
+        console.error('Error receiving import:', error);
+        res.status(400).json({ error: 'Invalid upload' });
+    });
+}
+
+// Recordings listing page size and the fields a listing can be trimmed to
+const MAX_PAGE_SIZE = 200;
+const RECORDING_FIELDS = [
+    'id', 'timestamp', 'text', 'word_count', 'project_id', 'project', 'language',
+    'translated_text', 'translation_language', 'has_audio', 'extraction', 'entities'
+];
+const EXTRACTION_STATUSES = ['ok', 'repaired', 'retried', 'failed', 'skipped'];
+const TASK_STATUSES = ['pending', 'in_progress', 'snoozed', 'completed', 'cancelled'];
+const TASK_PRIORITIES = ['low', 'normal', 'high'];
+const MAX_BULK_TASKS = 100;
+const REMINDER_STATUSES = ['pending', 'sent', 'skipped', 'failed'];
+
+// Turn GET /api/recordings query parameters into listRecordings options.
+// Returns { options, fields } or { error } for a 400 response.
+function parseRecordingListQuery(query) {
+    const options = { cursor: query.cursor || null, sort: query.sort || 'newest' };
+
+    if (query.limit !== undefined) {
+        options.limit = parseInt(query.limit);
+        if (isNaN(options.limit) || options.limit < 1 || options.limit > MAX_PAGE_SIZE) {
+            return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+        }
+    }
+
+    // Optional ?language=es (ISO 639-1 code or a name such as "spanish")
+    if (query.language) {
+        options.language = languages.normalize(query.language);
+        if (!options.language) return { error: 'Unknown language' };
+    }
+
+    for (const name of ['from', 'to']) {
+        if (query[name]) {
+            options[name] = new Date(query[name]);
+            if (isNaN(options[name])) return { error: `Invalid ${name} date` };
+        }
+    }
+
+    for (const name of ['projectId', 'minWords']) {
+        if (query[name] !== undefined) {
+            options[name] = parseInt(query[name]);
+            if (isNaN(options[name]) || options[name] < 0) return { error: `Invalid ${name}` };
+        }
+    }
+
+    if (query.person) options.person = query.person;
+    if (query.topic) options.topic = query.topic;
+
+    // ?extractionStatus=failed finds recordings whose entities couldn't be extracted
+    if (query.extractionStatus) {
+        if (!EXTRACTION_STATUSES.includes(query.extractionStatus)) {
+            return { error: `extractionStatus must be one of: ${EXTRACTION_STATUSES.join(', ')}` };
+        }
+        options.extractionStatus = query.extractionStatus;
+    }
+
+    if (query.hasPendingTasks !== undefined) {
+        if (!['true', 'false'].includes(query.hasPendingTasks)) {
+            return { error: 'hasPendingTasks must be true or false' };
+        }
+        options.hasPendingTasks = query.hasPendingTasks === 'true';
+    }
+
+    // ?fields=id,timestamp,text trims each recording; entities are only loaded when asked for
+    let fields = null;
+    if (query.fields) {
+        fields = query.fields.split(',').map(field => field.trim()).filter(Boolean);
+        const unknown = fields.filter(field => !RECORDING_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            return { error: `Unknown fields: ${unknown.join(', ')}. Use any of: ${RECORDING_FIELDS.join(', ')}` };
+        }
+        options.includeEntities = fields.includes('entities');
+    }
+
+    return { options, fields };
+}
+
+// Turn a task body into updateTask/createTask changes. Dates may be "2026-11-02",
+// an ISO date-time or a phrase such as "next friday"; recurrence an RRULE or a phrase
+// such as "every other week". Returns { changes } or { error }.
+function parseTaskChanges(body) {
+    const changes = {};
+
+    if (body.description !== undefined) {
+        if (typeof body.description !== 'string' || !body.description.trim()) {
+            return { error: 'description must be a non-empty string' };
+        }
+        changes.description = body.description;
+    }
+    if (body.priority !== undefined) {
+        if (!TASK_PRIORITIES.includes(body.priority)) {
+            return { error: `priority must be one of: ${TASK_PRIORITIES.join(', ')}` };
+        }
+        changes.priority = body.priority;
+    }
+    if (body.status !== undefined) {
+        if (!TASK_STATUSES.includes(body.status)) {
+            return { error: `status must be one of: ${TASK_STATUSES.join(', ')}` };
+        }
+        changes.status = body.status;
+    }
+    if (body.projectId !== undefined) {
+        changes.projectId = body.projectId === null ? null : parseInt(body.projectId);
+        if (changes.projectId !== null && (isNaN(changes.projectId) || changes.projectId < 1)) {
+            return { error: 'Invalid projectId' };
+        }
+    }
+    if (body.dueAt !== undefined) {
+        changes.due = body.dueAt === null ? null : dateResolver.parseInput(body.dueAt);
+        if (changes.due === null && body.dueAt !== null) {
+            return { error: 'dueAt must be a date or time' };
+        }
+    }
+    if (body.snoozedUntil !== undefined) {
+        const until = dateResolver.parseInput(body.snoozedUntil);
+        if (!until) {
+            return { error: 'snoozedUntil must be a date or time' };
+        }
+        changes.snoozedUntil = until.start;
+    }
+    if (body.recurrence !== undefined) {
+        changes.recurrence = body.recurrence === null ? null : recurrence.normalize(body.recurrence);
+        if (changes.recurrence === null && body.recurrence !== null) {
+            return { error: 'recurrence must be an RRULE or a phrase such as "every Sunday"' };
+        }
+    }
+
+    return { changes };
+}
+
+// HTTP status for task errors the caller can fix, null for anything else
+function taskErrorStatus(message) {
+    if (message.startsWith('Cannot change a ')) return 409;
+    if (['Task description is required', 'Snoozing needs a time in the future', 'Project not found'].includes(message)) {
+        return 400;
+    }
+    return null;
+}
+
+// Routes
+// Recordings, a page at a time. The body is the page's array of recordings; the
+// X-Total-Count header holds how many match in all, and a Link header (rel="next")
+// the URL of the next page while there is one.
+app.get('/api/recordings', async (req, res) => {
+    try {
+        const { options, fields, error } = parseRecordingListQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const page = await database.listRecordings(options);
+        const recordings = fields
+            ? page.recordings.map(recording => Object.fromEntries(fields.map(field => [field, recording[field]])))
+            : page.recordings;
+
+        res.set('X-Total-Count', String(page.total));
+        if (page.next_cursor) {
+            const next = new URLSearchParams({ ...req.query, cursor: page.next_cursor });
+            res.set('Link', `<${req.baseUrl}${req.path}?${next}>; rel="next"`);
+        }
+        res.json(recordings);
+    } catch (error) {
+        if (error.message === 'Invalid cursor' || error.message.startsWith('Unknown sort')) {
+            res.status(400).json({ error: error.message });
+        } else {
+            console.error('Error fetching recordings:', error);
+            res.status(500).json({ error: 'Failed to fetch recordings' });
+        }
+    }
+});
+
+app.post('/api/recordings', uploadAudio, async (req, res) => {
+    try {
+        // Get projectId from request (either form data or JSON)
+        const projectId = req.body.projectId ? parseInt(req.body.projectId) : null;
+
+        // Optional language the recording is in; detected automatically when omitted
+        const language = req.body.language ? languages.normalize(req.body.language) : null;
+        if (req.body.language && !language) {
+            if (req.file) fs.unlink(req.file.path, () => {});
+            return res.status(400).json({ error: 'Unknown language' });
+        }
+
+        if (req.file) {
+            // Audio is transcribed and extracted in the background; poll the job for progress
+            const job = await recordingQueue.enqueue(req.file.path, {
+                contentType: req.file.mimetype,
+                projectId,
+                language
+            });
+            return res.status(202).json({
+                message: 'Recording queued for processing',
+                jobId: job.id,
+                statusUrl: `/api/jobs/${job.id}`,
+                job: recordingQueue.formatJob(job)
+            });
+        }
+
+        if (!req.body.text) {
+            return res.status(400).json({ error: 'No audio file or text provided' });
+        }
+
+        // Handle direct text input (for testing)
+        const transcription = req.body.text;
+
+        if (transcription.trim() === '') {
+            return res.status(400).json({ error: 'Failed to transcribe audio - no text detected' });
+        }
+
+        // Extract entities, save (this handles project detection AND explicit project selection)
+        // and check for potential task completions
+        const newRecording = await recordingPipeline.processText(transcription, projectId, { language });
+        
+        res.json(newRecording);
+    } catch (error) {
+        console.error('Error processing recording:', error);
+        res.status(500).json({ error: 'Failed to process recording. Please try again.' });
+    }
+});
+
+// Import notes from other tools: Markdown files or a zipped folder, JSON lines or CSV.
+// ?dryRun=true reports what would be imported without saving anything.
+app.post('/api/import', uploadImportFiles, async (req, res) => {
+    const files = req.files || [];
+
+    try {
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No files provided' });
+        }
+
+        const body = req.body || {};
+        const dryRun = ['true', '1', 'yes'].includes(String(req.query.dryRun ?? body.dryRun ?? '').toLowerCase());
+        const projectId = body.projectId ? parseInt(body.projectId) : null;
+
+        if (body.projectId && isNaN(projectId)) {
+            return res.status(400).json({ error: 'Invalid project ID' });
+        }
+
+        const report = await noteImporter.importFiles(
+            files.map(file => ({ path: file.path, name: file.originalname })),
+            { dryRun, projectId }
+        );
+
+        res.json(report);
+    } catch (error) {
+        if (error.message.startsWith('Too many notes')) {
+            res.status(400).json({ error: error.message });
+        } else {
+            console.error('Error importing notes:', error);
+            res.status(500).json({ error: 'Failed to import notes' });
+        }
+    } finally {
+        for (const file of files) {
+            fs.unlink(file.path, () => {});
+        }
+    }
+});
+
+// Restore an archive made by GET /api/export; ids are remapped and existing data is kept
+app.post('/api/import/archive', uploadImportFiles, async (req, res) => {
+    const files = req.files || [];
+
+    try {
+        if (files.length !== 1) {
+            return res.status(400).json({ error: 'Upload exactly one archive file' });
+        }
+
+        const result = await accountArchive.restoreArchive(files[0].path);
+        res.json({ message: 'Archive restored', ...result });
+    } catch (error) {
+        if (error.message === 'Not an account archive' || error.message === 'Unsupported archive version') {
+            res.status(400).json({ error: error.message });
+        } else {
+            console.error('Error restoring archive:', error);
+            res.status(500).json({ error: 'Failed to restore archive' });
+        }
+    } finally {
+        for (const file of files) {
+            fs.unlink(file.path, () => {});
+        }
+    }
+});
+
+// Download everything: ?format=zip (default, restorable) or ?format=markdown (readable).
+// ?audio=false leaves audio out of the zip.
+app.get('/api/export', async (req, res) => {
+    try {
+        const format = req.query.format || 'zip';
+        const date = new Date().toISOString().slice(0, 10);
+
+        if (format === 'markdown') {
+            const markdown = await accountArchive.createMarkdown();
+            res.set('Content-Type', 'text/markdown; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="life-assistant-${date}.md"`);
+            return res.send(markdown);
+        }
+
+        if (format !== 'zip') {
+            return res.status(400).json({ error: 'Format must be zip or markdown' });
+        }
+
+        const archive = await accountArchive.createArchive({ includeAudio: req.query.audio !== 'false' });
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition', `attachment; filename="life-assistant-${date}.zip"`);
+        res.send(archive);
+    } catch (error) {
+        console.error('Error exporting account:', error);
+        res.status(500).json({ error: 'Failed to export data' });
+    }
+});
+
+// Recording job endpoints
+app.get('/api/jobs/:id', async (req, res) => {
+    try {
+        const jobId = parseInt(req.params.id);
+
+        if (!jobId || isNaN(jobId)) {
+            return res.status(400).json({ error: 'Invalid job ID' });
+        }
+
+        const job = await database.getJob(jobId);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json(recordingQueue.formatJob(job));
+    } catch (error) {
+        console.error('Error fetching job:', error);
+        res.status(500).json({ error: 'Failed to fetch job' });
+    }
+});
+
+app.post('/api/jobs/:id/retry', async (req, res) => {
+    try {
+        const jobId = parseInt(req.params.id);
+
+        if (!jobId || isNaN(jobId)) {
+            return res.status(400).json({ error: 'Invalid job ID' });
+        }
+
+        const job = await recordingQueue.retry(jobId);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.status(202).json({
+            message: 'Job queued for retry',
+            job: recordingQueue.formatJob(job)
+        });
+    } catch (error) {
+        if (error.message === 'Only failed jobs can be retried' ||
+            error.message === 'Audio for this job is no longer available') {
+            res.status(409).json({ error: error.message });
+        } else {
+            console.error('Error retrying job:', error);
+            res.status(500).json({ error: 'Failed to retry job' });
+        }
+    }
+});
+
+// Recordings flagged as near-duplicates, grouped under the recording they repeat
+app.get('/api/recordings/duplicates', async (req, res) => {
+    try {
+        const clusters = await database.getDuplicateClusters();
+        res.json(clusters);
+    } catch (error) {
+        console.error('Error fetching duplicates:', error);
+        res.status(500).json({ error: 'Failed to fetch duplicates' });
+    }
+});
+
+// Merge a duplicate cluster into its earliest recording. An optional recordingIds
+// body merges just those recordings (the cluster's recording included).
+app.post('/api/recordings/duplicates/:id/merge', async (req, res) => {
+    try {
+        const recordingId = parseInt(req.params.id);
+
+        if (!recordingId || isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        let recordingIds = null;
+        if (req.body && req.body.recordingIds !== undefined) {
+            if (!Array.isArray(req.body.recordingIds) || req.body.recordingIds.some(id => !Number.isInteger(id))) {
+                return res.status(400).json({ error: 'recordingIds must be an array of recording IDs' });
+            }
+            recordingIds = [recordingId, ...req.body.recordingIds];
+        }
+
+        const merge = await database.mergeRecordings(recordingId, recordingIds);
+        const recording = await database.getRecording(merge.recordingId);
+
+        res.json({ ...recording, merged: { into: merge.recordingId, recording_ids: merge.mergedIds } });
+    } catch (error) {
+        if (error.message === 'Recording not found') {
+            res.status(404).json({ error: error.message });
+        } else if (error.message === 'Nothing to merge') {
+            res.status(400).json({ error: 'Recording has no duplicates to merge' });
+        } else {
+            console.error('Error merging duplicates:', error);
+            res.status(500).json({ error: 'Failed to merge duplicates' });
+        }
+    }
+});
+
+// Mark a recording (or a whole cluster, given its first recording) as not a duplicate
+app.post('/api/recordings/duplicates/:id/dismiss', async (req, res) => {
+    try {
+        const recordingId = parseInt(req.params.id);
+
+        if (!recordingId || isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        const dismissed = await database.dismissDuplicate(recordingId);
+
+        if (dismissed === 0) {
+            return res.status(404).json({ error: 'Recording is not flagged as a duplicate' });
+        }
+
+        res.json({ message: 'Duplicate flag cleared', dismissed });
+    } catch (error) {
+        console.error('Error dismissing duplicate:', error);
+        res.status(500).json({ error: 'Failed to dismiss duplicate' });
+    }
+});
+
+// Edit a recording's text, project and/or language; the previous version is kept as a revision
+app.patch('/api/recordings/:id', async (req, res) => {
+    try {
+        const recordingId = parseInt(req.params.id);
+        
+        if (!recordingId || isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        const { text } = req.body;
+        const rawProjectId = req.body.projectId !== undefined ? req.body.projectId : req.body.project_id;
+        const changes = {};
+
+        if (text !== undefined) {
+            if (typeof text !== 'string' || text.trim() === '') {
+                return res.status(400).json({ error: 'Recording text cannot be empty' });
+            }
+            changes.text = text.trim();
+        }
+
+        if (rawProjectId !== undefined) {
+            const projectId = parseInt(rawProjectId);
+            if (!projectId || isNaN(projectId)) {
+                return res.status(400).json({ error: 'Invalid project ID' });
+            }
+            changes.projectId = projectId;
+        }
+
+        if (req.body.language !== undefined) {
+            changes.language = languages.normalize(req.body.language);
+            if (!changes.language) {
+                return res.status(400).json({ error: 'Unknown language' });
+            }
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update - provide text, projectId or language' });
+        }
+
+        const recording = await recordingPipeline.edit(recordingId, changes);
+
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        res.json(recording);
+    } catch (error) {
+        if (error.message === 'Project not found') {
+            res.status(400).json({ error: error.message });
+        } else {
+            console.error('Error editing recording:', error);
+            res.status(500).json({ error: 'Failed to edit recording' });
+        }
+    }
+});
+
+// Earlier versions of an edited recording, newest first
+app.get('/api/recordings/:id/revisions', async (req, res) => {
+    try {
+        const recordingId = parseInt(req.params.id);
+        
+        if (!recordingId || isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        const recording = await database.getRecording(recordingId);
+
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        const revisions = await database.getRecordingRevisions(recordingId);
+        res.json({
+            recording_id: recording.id,
+            text: recording.text,
+            updated_at: recording.updated_at,
+            revisions
+        });
+    } catch (error) {
+        console.error('Error fetching revisions:', error);
+        res.status(500).json({ error: 'Failed to fetch revisions' });
+    }
+});
+
+// Restore an earlier version; the version being replaced becomes a new revision
+app.post('/api/recordings/:id/revisions/:revision/revert', async (req, res) => {
+    try {
+        const recordingId = parseInt(req.params.id);
+        const revisionNumber = parseInt(req.params.revision);
+        
+        if (!recordingId || isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+        if (!revisionNumber || isNaN(revisionNumber)) {
+            return res.status(400).json({ error: 'Invalid revision number' });
+        }
+
+        const recording = await recordingPipeline.revert(recordingId, revisionNumber);
+
+        if (!recording) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        res.json(recording);
+    } catch (error) {
+        console.error('Error reverting recording:', error);
+        res.status(500).json({ error: 'Failed to revert recording' });
+    }
+});
+
+// Delete recording endpoint; the recording goes to the trash and can be restored
+// until it is purged
+app.delete('/api/recordings/:id', async (req, res) => {
+    try {
+        const recordingId = parseInt(req.params.id);
+        
+        if (!recordingId || isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+        
+        // Move to the trash
+        const deletedRecording = await database.deleteRecording(recordingId);
+        
+        if (deletedRecording) {
+            res.json({ 
+                message: 'Recording moved to trash',
+                deletedRecording: deletedRecording,
+                purge_at: trashPurger.purgeDate(deletedRecording.deleted_at)
+            });
+        } else {
+            res.status(404).json({ error: 'Recording not found' });
+        }
+    } catch (error) {
+        console.error('Error deleting recording:', error);
+        res.status(500).json({ error: 'Failed to delete recording' });
+    }
+});
+
+// Take a recording back out of the trash
+app.post('/api/recordings/:id/restore', async (req, res) => {
+    try {
+        const recordingId = parseInt(req.params.id);
+
+        if (!recordingId || isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        const recording = await database.restoreRecording(recordingId);
+
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found in trash' });
+        }
+
+        res.json(recording);
+    } catch (error) {
+        console.error('Error restoring recording:', error);
+        res.status(500).json({ error: 'Failed to restore recording' });
+    }
+});
+
+// Recordings in the trash, with the date each will be permanently deleted
+app.get('/api/trash', async (req, res) => {
+    try {
+        const trash = await database.getTrash();
+        res.json(trash.map(recording => ({
+            ...recording,
+            purge_at: trashPurger.purgeDate(recording.deleted_at)
+        })));
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+});
+
+// Empty the trash now instead of waiting for the retention window
+app.delete('/api/trash', async (req, res) => {
+    try {
+        const purged = await database.purgeTrash(new Date());
+        res.json({ message: 'Trash emptied', purged: purged.length, recording_ids: purged });
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        res.status(500).json({ error: 'Failed to empty trash' });
+    }
+});
+
+// Timestamped transcript of a recording
+app.get('/api/recordings/:id/transcript', async (req, res) => {
+    try {
+        const recordingId = parseInt(req.params.id);
+        
+        if (!recordingId || isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        const recording = await database.getRecording(recordingId);
+
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        const segments = await database.getTranscriptSegments(recordingId);
+        res.json({
+            recording_id: recording.id,
+            timestamp: recording.timestamp,
+            text: recording.text,
+            has_audio: recording.has_audio,
+            segments
+        });
+    } catch (error) {
+        console.error('Error fetching transcript:', error);
+        res.status(500).json({ error: 'Failed to fetch transcript' });
+    }
+});
+
+// Stream a recording's original audio, honouring Range requests so players can seek
+app.get('/api/recordings/:id/audio', async (req, res) => {
+    try {
+        const recordingId = parseInt(req.params.id);
+        
+        if (!recordingId || isNaN(recordingId)) {
+            return res.status(400).json({ error: 'Invalid recording ID' });
+        }
+
+        const recording = await database.getRecording(recordingId);
+
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        const blob = recording.audio_key ? await blobStore.stat(recording.audio_key) : null;
+
+        if (!blob) {
+            return res.status(404).json({ error: 'No audio stored for this recording' });
+        }
+
+        res.set({
+            'Accept-Ranges': 'bytes',
+            'Content-Type': recording.audio_content_type || 'application/octet-stream'
+        });
+
+        let start = 0;
+        let end = blob.size - 1;
+
+        if (req.headers.range) {
+            const ranges = req.range(blob.size);
+
+            if (ranges === -1) {
+                res.set('Content-Range', `bytes */${blob.size}`);
+                return res.status(416).end();
+            }
+
+            // Malformed headers are ignored and the whole file is sent; only the first range is served
+            if (ranges !== -2 && ranges.type === 'bytes') {
+                start = ranges[0].start;
+                end = ranges[0].end;
+                res.status(206).set('Content-Range', `bytes ${start}-${end}/${blob.size}`);
+            }
+        }
+
+        res.set('Content-Length', String(end - start + 1));
+
+        if (req.method === 'HEAD') {
+            return res.end();
+        }
+
+        const stream = await blobStore.createReadStream(recording.audio_key, { start, end });
+        stream.on('error', (error) => {
+            console.error('Error streaming recording audio:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Error fetching recording audio:', error);
+        res.status(500).json({ error: 'Failed to fetch recording audio' });
+    }
+});
+
+// Task endpoints
+// ?status=pending,in_progress&projectId=2&dueBefore=2026-11-01&priority=high&person=sam
+app.get('/api/tasks', async (req, res) => {
+    try {
+        const filters = {};
+
+        if (req.query.status) {
+            filters.status = String(req.query.status).split(',').map(status => status.trim()).filter(Boolean);
+            const unknown = filters.status.find(status => !TASK_STATUSES.includes(status));
+            if (unknown) {
+                return res.status(400).json({ error: `status must be one of: ${TASK_STATUSES.join(', ')}` });
+            }
+        }
+        if (req.query.projectId !== undefined) {
+            filters.projectId = parseInt(req.query.projectId);
+            if (isNaN(filters.projectId) || filters.projectId < 1) {
+                return res.status(400).json({ error: 'Invalid projectId' });
+            }
+        }
+        if (req.query.dueBefore) {
+            const due = dateResolver.parseInput(req.query.dueBefore);
+            if (!due) {
+                return res.status(400).json({ error: 'Invalid dueBefore date' });
+            }
+            filters.dueBefore = due.start;
+        }
+        if (req.query.priority) {
+            if (!TASK_PRIORITIES.includes(req.query.priority)) {
+                return res.status(400).json({ error: `priority must be one of: ${TASK_PRIORITIES.join(', ')}` });
+            }
+            filters.priority = req.query.priority;
+        }
+        if (req.query.person) filters.person = req.query.person;
+
+        const tasks = await database.getTasks(filters);
+        res.json({ tasks, total: tasks.length });
+    } catch (error) {
+        console.error('Error fetching tasks:', error);
+        res.status(500).json({ error: 'Failed to fetch tasks' });
+    }
+});
+
+// Add a task by hand: { description, dueAt, priority, projectId, status, snoozedUntil, recurrence }
+app.post('/api/tasks', async (req, res) => {
+    try {
+        const { changes, error } = parseTaskChanges(req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const task = await database.createTask(changes);
+        res.status(201).json(task);
+    } catch (error) {
+        const status = taskErrorStatus(error.message);
+        if (status) {
+            res.status(status).json({ error: error.message });
+        } else {
+            console.error('Error creating task:', error);
+            res.status(500).json({ error: 'Failed to create task' });
+        }
+    }
+});
+
+app.get('/api/tasks/pending', async (req, res) => {
+    try {
+        const pendingTasks = await database.getPendingTasks();
+        res.json(pendingTasks);
+    } catch (error) {
+        console.error('Error fetching pending tasks:', error);
+        res.status(500).json({ error: 'Failed to fetch pending tasks' });
+    }
+});
+
+// Tasks that recordings may have completed, waiting for review
+app.get('/api/tasks/completion-suggestions', async (req, res) => {
+    try {
+        const suggestions = await database.getCompletionSuggestions();
+        res.json({ suggestions, total: suggestions.length });
+    } catch (error) {
+        console.error('Error fetching completion suggestions:', error);
+        res.status(500).json({ error: 'Failed to fetch completion suggestions' });
+    }
+});
+
+// Accept completes the task as done by the suggestion's recording; a rejected task
+// isn't suggested for that recording again
+async function resolveCompletionSuggestion(req, res, accept) {
+    const action = accept ? 'accept' : 'reject';
+
+    try {
+        const suggestionId = parseInt(req.params.id);
+
+        if (!suggestionId || isNaN(suggestionId)) {
+            return res.status(400).json({ error: 'Invalid suggestion ID' });
+        }
+
+        const result = await database.resolveCompletionSuggestion(suggestionId, accept);
+
+        if (!result) {
+            return res.status(404).json({ error: 'Suggestion not found' });
+        }
+
+        res.json({ message: `Suggestion ${action}ed`, ...result });
+    } catch (error) {
+        if (error.message === 'Suggestion has already been resolved' || error.message === 'Task is no longer open') {
+            res.status(409).json({ error: error.message });
+        } else {
+            console.error(`Error ${action}ing completion suggestion:`, error);
+            res.status(500).json({ error: `Failed to ${action} suggestion` });
+        }
+    }
+}
+
+app.post('/api/tasks/completion-suggestions/:id/accept', (req, res) => resolveCompletionSuggestion(req, res, true));
+app.post('/api/tasks/completion-suggestions/:id/reject', (req, res) => resolveCompletionSuggestion(req, res, false));
+
+// Reminders sent (or being sent) for due tasks, newest first. ?status= pending, sent,
+// skipped or failed
+app.get('/api/reminders', async (req, res) => {
+    try {
+        const status = req.query.status || null;
+        if (status && !REMINDER_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${REMINDER_STATUSES.join(', ')}` });
+        }
+
+        const reminders = await database.getReminders({ status });
+        res.json({ reminders, total: reminders.length, notifier: notifier.name });
+    } catch (error) {
+        console.error('Error fetching reminders:', error);
+        res.status(500).json({ error: 'Failed to fetch reminders' });
+    }
+});
+
+// Apply the same change to several tasks: { ids, changes } or { ids, delete: true }.
+// Each task succeeds or fails on its own.
+app.post('/api/tasks/bulk', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const ids = Array.isArray(body.ids) ? [...new Set(body.ids.map(id => parseInt(id)))] : [];
+
+        if (ids.length === 0 || ids.some(id => isNaN(id) || id < 1)) {
+            return res.status(400).json({ error: 'ids must be a list of task IDs' });
+        }
+        if (ids.length > MAX_BULK_TASKS) {
+            return res.status(400).json({ error: `At most ${MAX_BULK_TASKS} tasks at a time` });
+        }
+
+        const { changes, error } = body.delete === true ? { changes: null } : parseTaskChanges(body.changes || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (changes && Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'Nothing to change' });
+        }
+
+        const result = { updated: [], deleted: [], failed: [] };
+        for (const id of ids) {
+            try {
+                const task = changes ? await database.updateTask(id, changes) : await database.deleteTask(id);
+                if (!task) {
+                    result.failed.push({ id, error: 'Task not found' });
+                } else if (changes) {
+                    result.updated.push(task);
+                } else {
+                    result.deleted.push(id);
+                }
+            } catch (error) {
+                if (!taskErrorStatus(error.message)) throw error;
+                result.failed.push({ id, error: error.message });
+            }
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error updating tasks:', error);
+        res.status(500).json({ error: 'Failed to update tasks' });
+    }
+});
+
+// A task with its status history
+app.get('/api/tasks/:id', async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id);
+
+        if (!taskId || isNaN(taskId)) {
+            return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const task = await database.getTask(taskId);
+
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        res.json(task);
+    } catch (error) {
+        console.error('Error fetching task:', error);
+        res.status(500).json({ error: 'Failed to fetch task' });
+    }
+});
+
+// Edit a task: { description, dueAt (null clears it), priority, projectId, status, snoozedUntil,
+// recurrence (null stops the task repeating) }
+app.patch('/api/tasks/:id', async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id);
+
+        if (!taskId || isNaN(taskId)) {
+            return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const { changes, error } = parseTaskChanges(req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const task = await database.updateTask(taskId, changes);
+
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        res.json(task);
+    } catch (error) {
+        const status = taskErrorStatus(error.message);
+        if (status) {
+            res.status(status).json({ error: error.message });
+        } else {
+            console.error('Error updating task:', error);
+            res.status(500).json({ error: 'Failed to update task' });
+        }
+    }
+});
+
+app.delete('/api/tasks/:id', async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id);
+
+        if (!taskId || isNaN(taskId)) {
+            return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const task = await database.deleteTask(taskId);
+
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        res.json({ message: 'Task deleted', task });
+    } catch (error) {
+        console.error('Error deleting task:', error);
+        res.status(500).json({ error: 'Failed to delete task' });
+    }
+});
+
+app.post('/api/tasks/:id/complete', async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id);
+        const { completedByRecordingId } = req.body || {};
+        
+        if (!taskId || isNaN(taskId)) {
+            return res.status(400).json({ error: 'Invalid task ID' });
+        }
+        
+        const completedTask = await database.completeTask(taskId, completedByRecordingId);
+        
+        if (completedTask) {
+            res.json({ 
+                message: 'Task marked as completed',
+                task: completedTask 
+            });
+        } else {
+            res.status(404).json({ error: 'Task not found or already completed' });
+        }
+    } catch (error) {
+        console.error('Error completing task:', error);
+        res.status(500).json({ error: 'Failed to complete task' });
+    }
+});
+
+// Undo a completion or cancellation made by mistake
+app.post('/api/tasks/:id/reopen', async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id);
+
+        if (!taskId || isNaN(taskId)) {
+            return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const current = await database.getTask(taskId);
+
+        if (!current) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        if (current.status !== 'completed' && current.status !== 'cancelled') {
+            return res.status(409).json({ error: 'Only completed or cancelled tasks can be reopened' });
+        }
 
-const app = express();
-const PORT = process.env.PORT || 5000;
+        const task = await database.updateTask(taskId, { status: 'pending' });
+        res.json({ message: 'Task reopened', task });
+    } catch (error) {
+        console.error('Error reopening task:', error);
+        res.status(500).json({ error: 'Failed to reopen task' });
+    }
+});
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static('public'));
+// Hide a task until a date or time ({ until: "2026-11-02" | "monday 9am" | ISO date-time })
+app.post('/api/tasks/:id/snooze', async (req, res) => {
+    try {
+        const taskId = parseInt(req.params.id);
 
-// File upload configuration
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadDir = './uploads';
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir);
+        if (!taskId || isNaN(taskId)) {
+            return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const until = dateResolver.parseInput((req.body || {}).until);
+        if (!until) {
+            return res.status(400).json({ error: 'until must be a date or time' });
+        }
+
+        const task = await database.updateTask(taskId, { status: 'snoozed', snoozedUntil: until.start });
+
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        res.json({ message: 'Task snoozed', task });
+    } catch (error) {
+        const status = taskErrorStatus(error.message);
+        if (status) {
+            res.status(status).json({ error: error.message });
+        } else {
+            console.error('Error snoozing task:', error);
+            res.status(500).json({ error: 'Failed to snooze task' });
         }
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-        cb(null, `recording-${Date.now()}.wav`);
     }
 });
 
-const upload = multer({ storage });
-
-// Routes
-app.get('/api/recordings', async (req, res) => {
+// List endpoints
+app.get('/api/lists', async (req, res) => {
     try {
-        const recordings = await database.getAllRecordings();
-        res.json(recordings);
+        const lists = await database.getLists();
+        res.json(lists);
     } catch (error) {
-        console.error('Error fetching recordings:', error);
-        res.status(500).json({ error: 'Failed to fetch recordings' });
+        console.error('Error fetching lists:', error);
+        res.status(500).json({ error: 'Failed to fetch lists' });
     }
 });
 
-app.post('/api/recordings', upload.single('audio'), async (req, res) => {
+app.post('/api/lists', async (req, res) => {
     try {
-        let transcription;
-        
-        if (req.file) {
-            // Process actual audio file
-            transcription = await speechToText.transcribeAudio(req.file.path);
-            
-            // Clean up uploaded file
-            fs.unlinkSync(req.file.path);
-        } else if (req.body.text) {
-            // Handle direct text input (for testing)
-            transcription = req.body.text;
+        const { name } = req.body || {};
+
+        if (!name || String(name).trim() === '') {
+            return res.status(400).json({ error: 'List name is required' });
+        }
+
+        const list = await database.createList(String(name));
+        res.status(201).json(list);
+    } catch (error) {
+        if (error.message === 'List already exists') {
+            res.status(409).json({ error: error.message });
         } else {
-            return res.status(400).json({ error: 'No audio file or text provided' });
+            console.error('Error creating list:', error);
+            res.status(500).json({ error: 'Failed to create list' });
         }
+    }
+});
 
-        if (!transcription || transcription.trim() === '') {
-            return res.status(400).json({ error: 'Failed to transcribe audio - no text detected' });
+// ?checked=true or ?checked=false returns only checked off or open items
+app.get('/api/lists/:id/items', async (req, res) => {
+    try {
+        const listId = parseInt(req.params.id);
+
+        if (!listId || isNaN(listId)) {
+            return res.status(400).json({ error: 'Invalid list ID' });
         }
 
-        // Extract entities and context using AI
-        const entities = await aiProcessor.extractEntities(transcription);
-        
-        // Get projectId from request (either form data or JSON)
-        const projectId = req.body.projectId ? parseInt(req.body.projectId) : null;
-        
-        // Save to database (this handles project detection AND explicit project selection)
-        const newRecording = await database.saveRecording(transcription, entities, projectId);
-        
-        // Check for potential task completions
-        try {
-            const taskCompletion = await database.detectTaskCompletion(transcription, newRecording.id);
-            if (taskCompletion.hasCompletion) {
-                newRecording.taskCompletionDetected = taskCompletion;
-                console.log(`🎯 Task completion detected in recording ${newRecording.id}`);
+        let checked = null;
+        if (req.query.checked !== undefined) {
+            if (!['true', 'false'].includes(req.query.checked)) {
+                return res.status(400).json({ error: 'checked must be true or false' });
             }
-        } catch (error) {
-            console.error('Error checking task completion:', error);
-            // Don't fail the whole request if task detection fails
+            checked = req.query.checked === 'true';
         }
-        
-        res.json(newRecording);
+
+        const result = await database.getListItems(listId, { checked });
+        if (!result) {
+            return res.status(404).json({ error: 'List not found' });
+        }
+
+        res.json(result);
     } catch (error) {
-        console.error('Error processing recording:', error);
-        res.status(500).json({ error: 'Failed to process recording. Please try again.' });
+        console.error('Error fetching list items:', error);
+        res.status(500).json({ error: 'Failed to fetch list items' });
     }
 });
 
-// Delete recording endpoint
-app.delete('/api/recordings/:id', async (req, res) => {
+app.post('/api/lists/:id/items', async (req, res) => {
     try {
-        const recordingId = parseInt(req.params.id);
-        
-        if (!recordingId || isNaN(recordingId)) {
-            return res.status(400).json({ error: 'Invalid recording ID' });
+        const listId = parseInt(req.params.id);
+        const { name } = req.body || {};
+
+        if (!listId || isNaN(listId)) {
+            return res.status(400).json({ error: 'Invalid list ID' });
         }
-        
-        // Delete from database
-        const deletedRecording = await database.deleteRecording(recordingId);
-        
-        if (deletedRecording) {
-            res.json({ 
-                message: 'Recording deleted successfully',
-                deletedRecording: deletedRecording 
-            });
+        if (!name || String(name).trim() === '') {
+            return res.status(400).json({ error: 'Item name is required' });
+        }
+
+        const item = await database.addListItem(listId, String(name));
+        if (!item) {
+            return res.status(404).json({ error: 'List not found' });
+        }
+
+        res.status(201).json(item);
+    } catch (error) {
+        if (error.message === 'Item name is required') {
+            res.status(400).json({ error: error.message });
         } else {
-            res.status(404).json({ error: 'Recording not found' });
+            console.error('Error adding list item:', error);
+            res.status(500).json({ error: 'Failed to add list item' });
+        }
+    }
+});
+
+// Body: { checked, name } - either or both
+app.patch('/api/lists/:id/items/:itemId', async (req, res) => {
+    try {
+        const listId = parseInt(req.params.id);
+        const itemId = parseInt(req.params.itemId);
+        const { checked, name } = req.body || {};
+
+        if (!listId || isNaN(listId) || !itemId || isNaN(itemId)) {
+            return res.status(400).json({ error: 'Invalid list or item ID' });
+        }
+        if (checked === undefined && name === undefined) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+        if (checked !== undefined && typeof checked !== 'boolean') {
+            return res.status(400).json({ error: 'checked must be true or false' });
+        }
+        if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+            return res.status(400).json({ error: 'Item name is required' });
+        }
+
+        const item = await database.updateListItem(listId, itemId, { checked, name });
+        if (!item) {
+            return res.status(404).json({ error: 'List item not found' });
         }
+
+        res.json(item);
     } catch (error) {
-        console.error('Error deleting recording:', error);
-        res.status(500).json({ error: 'Failed to delete recording' });
+        if (error.message === 'Item name is required') {
+            res.status(400).json({ error: error.message });
+        } else {
+            console.error('Error updating list item:', error);
+            res.status(500).json({ error: 'Failed to update list item' });
+        }
     }
 });
 
-// Task endpoints
-app.get('/api/tasks/pending', async (req, res) => {
+// Calendar endpoints
+// Feed items for extracted events and dated tasks; UIDs come from the row ids, which
+// survive edits of the recording, so a calendar app updates entries in place
+function calendarFeedItems(entries) {
+    return entries.map(entry => ({
+        uid: icalendar.uid(entry.kind, entry.id),
+        summary: entry.kind === 'task' ? `To do: ${entry.title}` : entry.title,
+        description: [
+            entry.recording_text,
+            entry.date_phrase ? `Date from "${entry.date_phrase}"` : null,
+            entry.project_name ? `Project: ${entry.project_name}` : null
+        ].filter(Boolean).join('\n\n'),
+        start: entry.starts_at,
+        end: entry.ends_at,
+        allDay: entry.all_day
+    }));
+}
+
+// Subscribable feed; ?projectId= limits it to one project
+app.get('/api/calendar.ics', async (req, res) => {
     try {
-        const pendingTasks = await database.getPendingTasks();
-        res.json(pendingTasks);
+        let projectId = null;
+        if (req.query.projectId !== undefined) {
+            projectId = parseInt(req.query.projectId);
+            if (isNaN(projectId)) {
+                return res.status(400).json({ error: 'Invalid project ID' });
+            }
+        }
+
+        const entries = await database.getCalendarEntries({ projectId });
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="life-assistant.ics"');
+        res.send(icalendar.render(calendarFeedItems(entries)));
     } catch (error) {
-        console.error('Error fetching pending tasks:', error);
-        res.status(500).json({ error: 'Failed to fetch pending tasks' });
+        console.error('Error building calendar feed:', error);
+        res.status(500).json({ error: 'Failed to build calendar feed' });
     }
 });
 
-app.post('/api/tasks/:id/complete', async (req, res) => {
+// Import .ics files exported from other calendars; importing again updates events
+app.post('/api/calendar/import', uploadImportFiles, async (req, res) => {
+    const files = req.files || [];
+
     try {
-        const taskId = parseInt(req.params.id);
-        const { completedByRecordingId } = req.body;
-        
-        if (!taskId || isNaN(taskId)) {
-            return res.status(400).json({ error: 'Invalid task ID' });
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No files provided' });
         }
-        
-        const completedTask = await database.completeTask(taskId, completedByRecordingId);
-        
-        if (completedTask) {
-            res.json({ 
-                message: 'Task marked as completed',
-                task: completedTask 
-            });
+
+        const parsed = files.map(file => ({
+            name: file.originalname,
+            events: icalendar.parse(fs.readFileSync(file.path, 'utf8'))
+        }));
+
+        const result = { imported: 0, updated: 0, removed: 0 };
+        for (const file of parsed) {
+            const counts = await database.importCalendarEvents(file.events, file.name);
+            for (const key of Object.keys(result)) {
+                result[key] += counts[key];
+            }
+        }
+
+        res.json({ message: 'Calendar imported', ...result });
+    } catch (error) {
+        if (error.message === 'Not an iCalendar file') {
+            res.status(400).json({ error: error.message });
         } else {
-            res.status(404).json({ error: 'Task not found or already completed' });
+            console.error('Error importing calendar:', error);
+            res.status(500).json({ error: 'Failed to import calendar' });
+        }
+    } finally {
+        for (const file of files) {
+            fs.unlink(file.path, () => {});
+        }
+    }
+});
+
+// Digest endpoints
+// Today's briefing (or this week's with ?period=week), built now and not saved
+app.get('/api/digest', async (req, res) => {
+    try {
+        const period = req.query.period || 'day';
+        if (!digest.periods.includes(period)) {
+            return res.status(400).json({ error: `period must be one of: ${digest.periods.join(', ')}` });
         }
+
+        res.json(await digest.build(period));
     } catch (error) {
-        console.error('Error completing task:', error);
-        res.status(500).json({ error: 'Failed to complete task' });
+        console.error('Error building digest:', error);
+        res.status(500).json({ error: 'Failed to build digest' });
+    }
+});
+
+// Digests saved by the scheduler, newest first: ?period=day|week&limit=
+app.get('/api/digests', async (req, res) => {
+    try {
+        const period = req.query.period || null;
+        if (period && !digest.periods.includes(period)) {
+            return res.status(400).json({ error: `period must be one of: ${digest.periods.join(', ')}` });
+        }
+
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 30;
+        if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+        }
+
+        const digests = await database.getDigests({ period, limit });
+        res.json({ digests, total: digests.length });
+    } catch (error) {
+        console.error('Error fetching digests:', error);
+        res.status(500).json({ error: 'Failed to fetch digests' });
+    }
+});
+
+app.get('/api/digests/:id', async (req, res) => {
+    try {
+        const digestId = parseInt(req.params.id);
+
+        if (!digestId || isNaN(digestId)) {
+            return res.status(400).json({ error: 'Invalid digest ID' });
+        }
+
+        const saved = await database.getDigest(digestId);
+
+        if (!saved) {
+            return res.status(404).json({ error: 'Digest not found' });
+        }
+
+        res.json(saved);
+    } catch (error) {
+        console.error('Error fetching digest:', error);
+        res.status(500).json({ error: 'Failed to fetch digest' });
     }
 });
 
@@ -223,6 +1450,11 @@ app.get('/api/projects/:id/recordings', async (req, res) => {
 });
 
 // Chat endpoint
+// Imported calendar events this far back and ahead are given to the model
+const CHAT_CALENDAR_PAST_DAYS = 7;
+const CHAT_CALENDAR_AHEAD_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 app.post('/api/chat', async (req, res) => {
     try {
         const { question } = req.body;
@@ -231,25 +1463,217 @@ app.post('/api/chat', async (req, res) => {
             return res.status(400).json({ error: 'Question is required' });
         }
 
-        // Get all recordings from database
+        // Get all recordings from database, and imported calendar events around today
         const recordings = await database.getAllRecordings();
+        const now = Date.now();
+        const calendarEvents = await database.getCalendarEvents({
+            from: new Date(now - CHAT_CALENDAR_PAST_DAYS * DAY_MS),
+            to: new Date(now + CHAT_CALENDAR_AHEAD_DAYS * DAY_MS)
+        });
 
-        if (recordings.length === 0) {
+        if (recordings.length === 0 && calendarEvents.length === 0) {
             return res.json({ 
                 response: "I don't have any recordings to search through yet. Try recording something first, then ask me questions about it!" 
             });
         }
 
         // Generate response based on recordings
-        const response = await aiProcessor.generateResponse(question, recordings);
+        const response = await aiProcessor.generateResponse(question, recordings, calendarEvents);
+
+        // Moments in the audio that mention what was asked about
+        const segments = await database.searchSegments(aiProcessor.getSearchTerms(question), 5);
+        const sources = segments.map(segment => ({
+            ...segment,
+            audio_url: `/api/recordings/${segment.recording_id}/audio`
+        }));
         
-        res.json({ response });
+        res.json({ response, sources });
     } catch (error) {
         console.error('Error generating response:', error);
         res.status(500).json({ error: 'Sorry, I had trouble understanding your question. Please try again.' });
     }
 });
 
+// People directory: one entry per person however they were mentioned
+app.get('/api/people', async (req, res) => {
+    try {
+        const contacts = await database.getContacts();
+        res.json(contacts);
+    } catch (error) {
+        console.error('Error fetching people:', error);
+        res.status(500).json({ error: 'Failed to fetch people' });
+    }
+});
+
+// Merge contacts that are the same person: { targetId, sourceIds: [...] }
+app.post('/api/people/merge', async (req, res) => {
+    try {
+        const { targetId, sourceIds } = req.body || {};
+
+        if (!Number.isInteger(targetId)) {
+            return res.status(400).json({ error: 'targetId must be a contact ID' });
+        }
+        if (!Array.isArray(sourceIds) || sourceIds.length === 0 || sourceIds.some(id => !Number.isInteger(id))) {
+            return res.status(400).json({ error: 'sourceIds must be a non-empty array of contact IDs' });
+        }
+        if (sourceIds.includes(targetId)) {
+            return res.status(400).json({ error: 'A contact cannot be merged into itself' });
+        }
+
+        const contact = await database.mergeContacts(targetId, [...new Set(sourceIds)]);
+        res.json(contact);
+    } catch (error) {
+        if (error.message === 'Contact not found') {
+            res.status(404).json({ error: error.message });
+        } else {
+            console.error('Error merging people:', error);
+            res.status(500).json({ error: 'Failed to merge people' });
+        }
+    }
+});
+
+// A person's timeline: recordings mentioning them, related tasks and last contact date
+app.get('/api/people/:id', async (req, res) => {
+    try {
+        const contactId = parseInt(req.params.id);
+
+        if (!contactId || isNaN(contactId)) {
+            return res.status(400).json({ error: 'Invalid person ID' });
+        }
+
+        const contact = await database.getContact(contactId);
+
+        if (!contact) {
+            return res.status(404).json({ error: 'Person not found' });
+        }
+
+        res.json(contact);
+    } catch (error) {
+        console.error('Error fetching person:', error);
+        res.status(500).json({ error: 'Failed to fetch person' });
+    }
+});
+
+// Extract entities again for a project, a date range and/or recordings extracted by
+// an extractor older than belowVersion. Runs in the background; poll the run for progress.
+app.post('/api/admin/backfill', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { filters, error } = extractionBackfill.parseFilters(body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const options = {};
+        if (body.throttleMs !== undefined) {
+            options.throttleMs = parseInt(body.throttleMs);
+            if (isNaN(options.throttleMs) || options.throttleMs < 0) {
+                return res.status(400).json({ error: 'Invalid throttleMs' });
+            }
+        }
+
+        const run = await extractionBackfill.create(filters, options);
+        res.status(202).json({
+            message: `Backfill started for ${run.total} recordings`,
+            run: extractionBackfill.formatRun(run)
+        });
+    } catch (error) {
+        console.error('Error starting backfill:', error);
+        res.status(500).json({ error: 'Failed to start backfill' });
+    }
+});
+
+app.get('/api/admin/backfill', async (req, res) => {
+    try {
+        const runs = await database.getBackfillRuns();
+        res.json({ runs: runs.map(run => extractionBackfill.formatRun(run)) });
+    } catch (error) {
+        console.error('Error fetching backfill runs:', error);
+        res.status(500).json({ error: 'Failed to fetch backfill runs' });
+    }
+});
+
+// A run with the entities added and removed for each recording it has done
+app.get('/api/admin/backfill/:id', async (req, res) => {
+    try {
+        const runId = parseInt(req.params.id);
+
+        if (!runId || isNaN(runId)) {
+            return res.status(400).json({ error: 'Invalid backfill run ID' });
+        }
+
+        const run = await database.getBackfillRun(runId);
+
+        if (!run) {
+            return res.status(404).json({ error: 'Backfill run not found' });
+        }
+
+        const results = await database.getBackfillResults(runId);
+        res.json(extractionBackfill.formatRun(run, results));
+    } catch (error) {
+        console.error('Error fetching backfill run:', error);
+        res.status(500).json({ error: 'Failed to fetch backfill run' });
+    }
+});
+
+app.post('/api/admin/backfill/:id/pause', async (req, res) => {
+    try {
+        const runId = parseInt(req.params.id);
+
+        if (!runId || isNaN(runId)) {
+            return res.status(400).json({ error: 'Invalid backfill run ID' });
+        }
+
+        const run = await extractionBackfill.pause(runId);
+
+        if (!run) {
+            return res.status(404).json({ error: 'Backfill run not found' });
+        }
+
+        res.json({
+            message: 'Backfill will pause after the current recording',
+            run: extractionBackfill.formatRun(run)
+        });
+    } catch (error) {
+        if (error.message === 'Only running backfills can be paused') {
+            res.status(409).json({ error: error.message });
+        } else {
+            console.error('Error pausing backfill:', error);
+            res.status(500).json({ error: 'Failed to pause backfill' });
+        }
+    }
+});
+
+// Carry on with a paused or failed run from the recording after the last one it finished
+app.post('/api/admin/backfill/:id/resume', async (req, res) => {
+    try {
+        const runId = parseInt(req.params.id);
+
+        if (!runId || isNaN(runId)) {
+            return res.status(400).json({ error: 'Invalid backfill run ID' });
+        }
+
+        const run = await extractionBackfill.resume(runId);
+
+        if (!run) {
+            return res.status(404).json({ error: 'Backfill run not found' });
+        }
+
+        res.status(202).json({
+            message: 'Backfill resumed',
+            run: extractionBackfill.formatRun(run)
+        });
+    } catch (error) {
+        if (error.message === 'Backfill run is already completed' ||
+            error.message === 'Backfill run is already being processed') {
+            res.status(409).json({ error: error.message });
+        } else {
+            console.error('Error resuming backfill:', error);
+            res.status(500).json({ error: 'Failed to resume backfill' });
+        }
+    }
+});
+
 // Analytics endpoint
 app.get('/api/analytics', async (req, res) => {
     try {
@@ -257,8 +1681,12 @@ app.get('/api/analytics', async (req, res) => {
         const analytics = await database.getAnalytics(timeframe);
         res.json(analytics);
     } catch (error) {
-        console.error('Error fetching analytics:', error);
-        res.status(500).json({ error: 'Failed to fetch analytics' });
+        if (error.message === 'Invalid timeframe') {
+            res.status(400).json({ error: 'Timeframe must look like "30 days"' });
+        } else {
+            console.error('Error fetching analytics:', error);
+            res.status(500).json({ error: 'Failed to fetch analytics' });
+        }
     }
 });
 
@@ -266,7 +1694,7 @@ app.get('/api/analytics', async (req, res) => {
 app.get('/api/usage/real', async (req, res) => {
     try {
         const timeframe = req.query.timeframe || '30'; // days
-        const realUsageData = await database.getRealUsageData(timeframe);
+        const realUsageData = await usageTracker.getRealUsageData(timeframe);
         res.json(realUsageData);
     } catch (error) {
         console.error('Error fetching real usage data:', error);
@@ -278,7 +1706,7 @@ app.get('/api/usage/real', async (req, res) => {
 app.get('/api/usage/test/:vendor', async (req, res) => {
     try {
         const vendor = req.params.vendor;
-        const testResult = await database.testVendorConnection(vendor);
+        const testResult = await usageTracker.testVendorConnection(vendor);
         res.json(testResult);
     } catch (error) {
         console.error(`Error testing ${req.params.vendor} connection:`, error);
@@ -305,12 +1733,17 @@ app.get('/api/search', async (req, res) => {
 // Health check
 app.get('/api/health', async (req, res) => {
     try {
-        const recordings = await database.getAllRecordings();
+        const recordingsCount = await database.countRecordings();
+        const failedExtractions = await database.countRecordings({ extractionStatus: 'failed' });
         res.json({ 
             status: 'OK', 
             timestamp: new Date().toISOString(),
             database: 'connected',
-            recordings_count: recordings.length,
+            recordings_count: recordingsCount,
+            failed_extractions: failedExtractions,
+            speech_to_text: speechToText.provider.name,
+            llm: aiProcessor.chatModel.name,
+            notifier: notifier.name,
             version: '4.0.0'
         });
     } catch (error) {
@@ -326,12 +1759,51 @@ app.get('/api/health', async (req, res) => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('Shutting down gracefully...');
+    recordingQueue.stop();
+    trashPurger.stop();
+    taskScheduler.stop();
+    digestScheduler.stop();
+    await extractionBackfill.stop();
     await database.close();
     process.exit(0);
 });
 
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`Health check: http://localhost:${PORT}/api/health`);
-    console.log('Database connection will be tested on first request');
-});
\ No newline at end of file
+// Connect storage and refuse to serve against a database that is missing migrations
+async function start() {
+    try {
+        await database.init();
+        await database.migrations.assertUpToDate();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (error.code === 'SCHEMA_OUT_OF_DATE') {
+            console.error('Run "npm run migrate" to apply pending migrations before starting the server.');
+        }
+        await database.close();
+        process.exit(1);
+    }
+
+    // Person mentions saved before contacts existed; a no-op once they're all linked
+    try {
+        await database.linkUnlinkedPeople();
+    } catch (error) {
+        console.error('Error linking people to contacts:', error.message);
+    }
+
+    app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+        console.log(`Health check: http://localhost:${PORT}/api/health`);
+    });
+
+    recordingQueue.start();
+    trashPurger.start();
+    taskScheduler.start();
+    digestScheduler.start();
+    extractionBackfill.start();
+}
+
+// Started from the command line; tests require the app without starting it
+if (require.main === module) {
+    start();
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,256 @@
+// backend/services/accountArchive.js
+// Whole-account backup. An archive is a zip with manifest.json, one JSON file per
+// table under data/, retained audio under audio/ and a readable notes.md. Restoring
+// inserts everything with new ids, so it works on an empty or a populated database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const database = require('./database');
+const blobStore = require('./blobStore');
+
+const ARCHIVE_FORMAT = 'ai-life-assistant-archive';
+const ARCHIVE_VERSION = 1;
+
+// Entity tables shown under each note in the Markdown export
+const MARKDOWN_ENTITIES = [
+    { table: 'people', column: 'name', label: 'People' },
+    { table: 'events', column: 'event_name', label: 'Events' },
+    { table: 'locations', column: 'location_name', label: 'Places' },
+    { table: 'items', column: 'item_name', label: 'Items' },
+    { table: 'topics', column: 'topic', label: 'Topics' }
+];
+
+class AccountArchive {
+    // Returns a zip Buffer. options.includeAudio = false leaves the audio files out.
+    async createArchive({ includeAudio = true } = {}) {
+        const tables = await database.exportTables();
+        const zip = new AdmZip();
+        const audio = [];
+
+        for (const [table, rows] of Object.entries(tables)) {
+            zip.addFile(`data/${table}.json`, Buffer.from(JSON.stringify(rows, null, 2)));
+        }
+
+        if (includeAudio) {
+            for (const recording of tables.recordings) {
+                if (!recording.audio_key) continue;
+
+                const data = await this.readBlob(recording.audio_key);
+                if (!data) {
+                    console.warn(`Audio for recording ${recording.id} is missing from blob storage, not exported`);
+                    continue;
+                }
+
+                const file = `audio/${recording.id}${path.extname(recording.audio_key)}`;
+                zip.addFile(file, data);
+                audio.push({
+                    recording_id: recording.id,
+                    file,
+                    content_type: recording.audio_content_type,
+                    size: data.length
+                });
+            }
+        }
+
+        zip.addFile('notes.md', Buffer.from(this.renderMarkdown(tables)));
+
+        const manifest = {
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            exported_at: new Date().toISOString(),
+            tables: Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, rows.length])),
+            audio
+        };
+        zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+
+        console.log(`📦 Archive created: ${tables.recordings.length} recordings, ${audio.length} audio files`);
+        return zip.toBuffer();
+    }
+
+    async readBlob(key) {
+        if (!(await blobStore.stat(key))) return null;
+
+        const chunks = [];
+        const stream = await blobStore.createReadStream(key);
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    // Restore an archive from a zip file on disk. Returns what was restored and
+    // what was already there.
+    async restoreArchive(zipPath) {
+        let zip;
+        let manifest;
+
+        try {
+            zip = new AdmZip(zipPath);
+            manifest = JSON.parse(zip.readAsText('manifest.json'));
+        } catch (error) {
+            throw new Error('Not an account archive');
+        }
+
+        if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+            throw new Error('Not an account archive');
+        }
+        if (manifest.version > ARCHIVE_VERSION) {
+            throw new Error('Unsupported archive version');
+        }
+
+        const tables = {};
+        for (const entry of zip.getEntries()) {
+            const match = entry.entryName.match(/^data\/([a-z_]+)\.json$/);
+            if (match) {
+                tables[match[1]] = JSON.parse(entry.getData().toString('utf8'));
+            }
+        }
+
+        const { idMaps, restored, skipped } = await database.restoreTables(tables);
+        // Archives from before contacts existed have unlinked person mentions
+        await database.linkUnlinkedPeople();
+        const audio = await this.restoreAudio(zip, manifest.audio || [], idMaps.recordings);
+
+        return {
+            archive: { version: manifest.version, exported_at: manifest.exported_at },
+            restored,
+            skipped,
+            audio
+        };
+    }
+
+    // Audio goes back into blob storage under the new recording ids. Recordings that
+    // already had audio (restored before) keep theirs.
+    async restoreAudio(zip, entries, recordingIds) {
+        const result = { restored: 0, skipped: 0 };
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-audio-'));
+
+        try {
+            for (const entry of entries) {
+                const recordingId = recordingIds.get(entry.recording_id);
+                const zipEntry = zip.getEntry(entry.file);
+                const recording = recordingId ? await database.getRecording(recordingId) : null;
+
+                if (!recording || recording.has_audio || !zipEntry) {
+                    result.skipped++;
+                    continue;
+                }
+
+                const extension = path.extname(entry.file);
+                const tempPath = path.join(workDir, `${recordingId}${extension}`);
+                fs.writeFileSync(tempPath, zipEntry.getData());
+
+                const key = `recordings/restored-${recordingId}${extension}`;
+                const stored = await blobStore.put(key, tempPath);
+                await database.setRecordingAudio(recordingId, {
+                    key,
+                    contentType: entry.content_type,
+                    size: stored.size
+                });
+                result.restored++;
+            }
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+
+        return result;
+    }
+
+    // Markdown export, one section per project and one per day, oldest first
+    async createMarkdown() {
+        return this.renderMarkdown(await database.exportTables());
+    }
+
+    renderMarkdown(tables) {
+        const projects = new Map(tables.projects.map(project => [project.id, project]));
+        const byRecording = (table) => {
+            const map = new Map();
+            for (const row of tables[table] || []) {
+                if (!map.has(row.recording_id)) map.set(row.recording_id, []);
+                map.get(row.recording_id).push(row);
+            }
+            return map;
+        };
+        const tasksByRecording = byRecording('tasks');
+        const entitiesByTable = Object.fromEntries(MARKDOWN_ENTITIES.map(({ table }) => [table, byRecording(table)]));
+
+        // Group recordings: project -> day -> recordings
+        const groups = new Map();
+        const recordings = tables.recordings
+            .filter(recording => !recording.deleted_at)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        for (const recording of recordings) {
+            const projectKey = recording.project_id || 0;
+            const day = new Date(recording.timestamp).toISOString().slice(0, 10);
+
+            if (!groups.has(projectKey)) groups.set(projectKey, new Map());
+            const days = groups.get(projectKey);
+            if (!days.has(day)) days.set(day, []);
+            days.get(day).push(recording);
+        }
+
+        const lines = [
+            '# Life Assistant export',
+            '',
+            `Exported ${new Date().toISOString()} - ${recordings.length} recordings`,
+            ''
+        ];
+
+        const projectOrder = [...groups.keys()].sort((a, b) => {
+            const nameA = projects.get(a)?.name || '~';
+            const nameB = projects.get(b)?.name || '~';
+            return nameA.localeCompare(nameB);
+        });
+
+        for (const projectKey of projectOrder) {
+            const project = projects.get(projectKey);
+            const title = project ? project.name : 'No project';
+            lines.push(`## ${title}${project && !project.is_active ? ' (archived)' : ''}`, '');
+            if (project && project.description) {
+                lines.push(project.description, '');
+            }
+
+            for (const [day, dayRecordings] of groups.get(projectKey)) {
+                lines.push(`### ${day}`, '');
+
+                for (const recording of dayRecordings) {
+                    const time = new Date(recording.timestamp).toISOString().slice(11, 16);
+                    const [firstLine, ...rest] = recording.text.split('\n');
+                    lines.push(`- **${time}** ${firstLine}`);
+                    rest.forEach(line => lines.push(`  ${line}`));
+
+                    if (recording.translated_text) {
+                        lines.push(`  - Translation (${recording.translation_language}): ${recording.translated_text.replace(/\n/g, ' ')}`);
+                    }
+
+                    for (const task of tasksByRecording.get(recording.id) || []) {
+                        lines.push(`  - [${task.status === 'completed' ? 'x' : ' '}] ${task.task_description}`);
+                    }
+
+                    for (const { table, column, label } of MARKDOWN_ENTITIES) {
+                        const values = (entitiesByTable[table].get(recording.id) || []).map(row => row[column]);
+                        if (values.length > 0) {
+                            lines.push(`  - ${label}: ${[...new Set(values)].join(', ')}`);
+                        }
+                    }
+                }
+
+                lines.push('');
+            }
+        }
+
+        const handTasks = tasksByRecording.get(null) || [];
+        if (handTasks.length > 0) {
+            lines.push('## Tasks added by hand', '');
+            for (const task of handTasks) {
+                lines.push(`- [${task.status === 'completed' ? 'x' : ' '}] ${task.task_description}`);
+            }
+            lines.push('');
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = new AccountArchive();
@@ -1,61 +1,100 @@
 // backend/services/aiProcessor.js
-const axios = require('axios');
+const { createChatModel, getTaskSettings } = require('./llm');
+const languages = require('./languages');
+const dateResolver = require('./dateResolver');
+const extractionSchema = require('./extractionSchema');
 
 class AIProcessor {
-    constructor() {
-        this.openaiApiKey = process.env.OPENAI_API_KEY;
-        this.apiUrl = 'https://api.openai.com/v1/chat/completions';
+    constructor(chatModel = createChatModel()) {
+        // Chat backend chosen with LLM_PROVIDER (openai, local or mock)
+        this.chatModel = chatModel;
+        console.log(`🧠 LLM provider: ${chatModel.name}`);
         
         // Simplified settings without heavy filtering
         this.MAX_RECORDINGS_FOR_CONTEXT = 50; // Use more recordings now
         this.MAX_CONTEXT_LENGTH = 8000; // Increased context limit
+        this.EXTRACTION_MAX_ATTEMPTS = parseInt(process.env.EXTRACTION_MAX_ATTEMPTS) || 3;
     }
 
+    // Run a chat completion with the model settings configured for a task
+    // ('extraction', 'chat', ...); overrides win over the task settings
+    async complete(task, messages, overrides = {}) {
+        const settings = { ...getTaskSettings(task), ...overrides };
+        const result = await this.chatModel.complete(messages, settings);
+        return result.content;
+    }
+
+    // Extract entities with the extraction schema. A reply that doesn't validate is
+    // repaired if possible, otherwise the model is asked again (up to
+    // EXTRACTION_MAX_ATTEMPTS times in all). Returns { entities, extraction } where
+    // extraction = { version, status, attempts, errors } and status is ok, repaired,
+    // retried (valid on a later attempt), failed or skipped (no model configured).
+    // Failures give empty entities.
     async extractEntities(text) {
-        if (!this.openaiApiKey) {
+        const extraction = { version: extractionSchema.version, status: 'skipped', attempts: 0, errors: [] };
+
+        if (!this.chatModel.isConfigured()) {
             console.warn('OpenAI API key not found for entity extraction');
-            return {};
+            return { entities: {}, extraction };
         }
 
-        try {
-            const prompt = `Extract structured information from this personal recording:
+        const categories = Object.entries(extractionSchema.categories)
+            .map(([category, description]) => `- ${category}: ${description}`)
+            .join('\n');
+        const messages = [
+            { role: 'system', content: 'You are a helpful assistant that extracts structured information from text. Always return valid JSON only.' },
+            { role: 'user', content: `Extract structured information from this personal recording (it may be in any language):
 "${text}"
 
-Return a JSON object with these categories (only include if present):
-- people: names mentioned
-- tasks: action items or things to do
-- events: meetings, appointments, social events
-- dates: specific dates or time references
-- times: specific times
-- locations: addresses or place names
-- items: shopping lists, objects mentioned
-- topics: main subjects discussed
-
-Example: {"people": ["John"], "tasks": ["call dentist"], "dates": ["tomorrow"]}
-
-Return only valid JSON, no other text.`;
-
-            const response = await axios.post(this.apiUrl, {
-                model: 'gpt-3.5-turbo',
-                messages: [
-                    { role: 'system', content: 'You are a helpful assistant that extracts structured information from text. Always return valid JSON only.' },
-                    { role: 'user', content: prompt }
-                ],
-                max_tokens: 300,
-                temperature: 0.1
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            const result = response.data.choices[0].message.content.trim();
-            return JSON.parse(result);
-        } catch (error) {
-            console.error('Entity extraction error:', error.message);
-            return {};
+Return a JSON object with these categories, each a list of strings (an empty list when nothing fits):
+${categories}
+
+Example: {"people": ["John"], "tasks": ["call dentist"], "dates": ["tomorrow"], "events": [], "times": [], "locations": [], "items": [], "topics": []}
+
+Keep the category names in English but write the values in the language of the recording.
+Return only valid JSON, no other text.` }
+        ];
+
+        while (extraction.attempts < this.EXTRACTION_MAX_ATTEMPTS) {
+            extraction.attempts++;
+
+            let reply;
+            try {
+                reply = await this.complete('extraction', messages, {
+                    responseSchema: { name: 'record_entities', description: 'Record what the recording mentions', schema: extractionSchema.schema }
+                });
+            } catch (error) {
+                // The model itself failed; asking again right away won't help
+                console.error('Entity extraction error:', error.message);
+                extraction.errors.push(`Model error: ${error.message}`);
+                break;
+            }
+
+            const parsed = extractionSchema.parse(reply);
+            const errors = parsed === null ? ['(root): reply is not JSON'] : extractionSchema.validate(parsed);
+            if (errors.length === 0) {
+                extraction.status = extraction.attempts > 1 ? 'retried' : 'ok';
+                return { entities: parsed, extraction };
+            }
+
+            extraction.errors.push(...errors.map(error => `attempt ${extraction.attempts}: ${error}`));
+
+            const repaired = extractionSchema.repair(parsed);
+            if (repaired && extractionSchema.validate(repaired).length === 0) {
+                console.warn(`Entity extraction reply repaired (${errors.length} problems)`);
+                extraction.status = 'repaired';
+                return { entities: repaired, extraction };
+            }
+
+            messages.push(
+                { role: 'assistant', content: reply },
+                { role: 'user', content: `That reply is not valid: ${errors.slice(0, 5).join('; ')}. Reply again with only the JSON object.` }
+            );
         }
+
+        console.error(`Entity extraction failed after ${extraction.attempts} attempts`);
+        extraction.status = 'failed';
+        return { entities: {}, extraction };
     }
 
     // Simplified context preparation - no complex filtering
@@ -71,7 +110,7 @@ Return only valid JSON, no other text.`;
         let usedRecordings = 0;
         
         for (const recording of recentRecordings) {
-            const recordingText = `[${new Date(recording.timestamp).toLocaleDateString()}] ${recording.text}\n`;
+            const recordingText = this.formatContextEntry(recording);
             
             // Check if adding this recording would exceed our context limit
             if (context.length + recordingText.length > this.MAX_CONTEXT_LENGTH) {
@@ -86,20 +125,123 @@ Return only valid JSON, no other text.`;
         return context;
     }
 
-    async generateResponse(question, recordings) {
-        if (!this.openaiApiKey) {
+    // One line per recording; non-English recordings are tagged with their
+    // language and carry their pivot translation when there is one
+    formatContextEntry(recording) {
+        const date = new Date(recording.timestamp).toLocaleDateString();
+        const language = recording.language && recording.language !== 'en'
+            ? ` (${languages.getName(recording.language)})`
+            : '';
+        const translation = recording.translated_text
+            ? ` [${languages.getName(recording.translation_language)} translation: ${recording.translated_text}]`
+            : '';
+
+        return `[${date}]${language} ${recording.text}${translation}\n`;
+    }
+
+    // One line per imported calendar event, in the user's time zone:
+    // "- Tue, Oct 20, 15:00-16:00: Dentist (Main St) [repeats FREQ=WEEKLY]"
+    prepareCalendarContext(events) {
+        if (!events || events.length === 0) return '';
+
+        const timeZone = dateResolver.timeZone;
+        const day = (date) => new Date(date).toLocaleDateString('en-US', { timeZone, weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+        const time = (date) => new Date(date).toLocaleTimeString('en-US', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+        return events.map(event => {
+            let when = day(event.starts_at);
+            if (!event.all_day) {
+                when += `, ${time(event.starts_at)}${event.ends_at ? `-${time(event.ends_at)}` : ''}`;
+            }
+            const location = event.location ? ` (${event.location})` : '';
+            const except = event.exdates && event.exdates.length > 0 ? `, not on ${event.exdates.map(day).join('; ')}` : '';
+            const repeats = event.rrule ? ` [repeats ${event.rrule}${except}]` : '';
+            return `- ${when}: ${event.summary}${location}${repeats}\n`;
+        }).join('');
+    }
+
+    // Translate text into targetLanguage (ISO 639-1). Returns null if no model is
+    // configured or the text is already in that language.
+    async translate(text, targetLanguage, sourceLanguage = null) {
+        if (!this.chatModel.isConfigured() || !text || !targetLanguage) return null;
+        if (sourceLanguage && sourceLanguage === targetLanguage) return null;
+
+        const source = sourceLanguage ? ` from ${languages.getName(sourceLanguage)}` : '';
+        const translation = await this.complete('translation', [
+            { role: 'system', content: 'You translate personal voice notes. Keep names, numbers and dates exactly as they are. Reply with the translation only.' },
+            { role: 'user', content: `Translate this${source} into ${languages.getName(targetLanguage)}:\n\n${text}` }
+        ]);
+
+        return translation.trim() || null;
+    }
+
+    // A few sentences on what a project's recordings from one period were about, for
+    // the digest. Returns null if no model is configured; errors are the caller's.
+    async summarizeRecordings(recordings, { projectName, period }) {
+        if (!this.chatModel.isConfigured() || !recordings || recordings.length === 0) return null;
+
+        const context = this.prepareContext([...recordings]);
+        const summary = await this.complete('digest', [
+            { role: 'system', content: 'You write short briefings from a person\'s voice notes. Use only what the notes say and never make anything up.' },
+            { role: 'user', content: `Summarize these notes from ${period} about "${projectName}" in two or three sentences, for a morning briefing. Mention decisions, progress and anything still open. Write in English.
+
+${context}` }
+        ]);
+
+        return summary.trim() || null;
+    }
+
+    // How sure the model is (0..1) that each task is one the clauses report as done,
+    // as a Map of task id to score. tasks: [{ id, description }]. Returns null if no
+    // model is configured or the reply isn't a list of scores; errors are the caller's.
+    async rateTaskCompletions(clauses, tasks) {
+        if (!this.chatModel.isConfigured() || clauses.length === 0 || tasks.length === 0) return null;
+
+        const list = tasks.map(task => `${task.id}. ${task.description}`).join('\n');
+        const reply = await this.complete('matching', [
+            { role: 'system', content: 'You decide which to-do items a person\'s voice note says they have done. Always return valid JSON only.' },
+            { role: 'user', content: `The note says:
+${clauses.map(clause => `- ${clause.trim()}`).join('\n')}
+
+Open to-do items:
+${list}
+
+For each item the note may say was done, give a score from 0 (unrelated) to 1 (certainly the same thing, however it is worded).
+Return {"matches": [{"task": <item number>, "score": <0..1>}]} and leave out unrelated items.` }
+        ]);
+
+        const parsed = extractionSchema.parse(reply);
+        if (!parsed || !Array.isArray(parsed.matches)) return null;
+
+        const ids = new Set(tasks.map(task => task.id));
+        const scores = new Map();
+        for (const match of parsed.matches) {
+            const id = Number(match && match.task);
+            const score = Number(match && match.score);
+            if (ids.has(id) && Number.isFinite(score)) {
+                scores.set(id, Math.min(1, Math.max(0, score)));
+            }
+        }
+        return scores;
+    }
+
+    // calendarEvents: events imported from the user's calendars, for schedule questions
+    async generateResponse(question, recordings, calendarEvents = []) {
+        if (!this.chatModel.isConfigured()) {
             return "I need an OpenAI API key to provide intelligent responses. Currently running without AI capabilities.";
         }
 
-        if (!recordings || recordings.length === 0) {
+        recordings = recordings || [];
+        if (recordings.length === 0 && calendarEvents.length === 0) {
             return "I don't have any recordings to search through yet. Try recording something first!";
         }
 
         try {
             // Use ALL recordings (no filtering) up to our limits
             const context = this.prepareContext(recordings);
+            const calendar = this.prepareCalendarContext(calendarEvents);
             
-            if (!context) {
+            if (!context && !calendar) {
                 return `I have ${recordings.length} recordings but they're too long to process efficiently. Try asking about more recent topics.`;
             }
             
@@ -117,7 +259,9 @@ Current Context:
 
 Personal recordings (most recent shown):
 ${context}
-
+${calendar ? `
+Calendar (events imported from the user's calendar apps):
+${calendar}` : ''}
 User question: ${question}
 
 Instructions:
@@ -128,24 +272,15 @@ Instructions:
 - Be concise but thorough
 - Reference specific recordings when relevant (by date if helpful)
 - Do not make up information not present in the recordings
+- For questions about the user's schedule, use the calendar events as well as the recordings
+- Recordings may be in different languages; use all of them regardless of language
+- Answer in the language the user's question is written in
 - Note: I'm searching through ${recordings.length} total recordings to find your answer`;
 
-            const response = await axios.post(this.apiUrl, {
-                model: 'gpt-3.5-turbo',
-                messages: [
-                    { role: 'system', content: 'You are a helpful personal assistant that answers questions based strictly on the user\'s recorded information. Never make up information.' },
-                    { role: 'user', content: prompt }
-                ],
-                max_tokens: 500,
-                temperature: 0.3
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            const aiResponse = response.data.choices[0].message.content.trim();
+            const aiResponse = await this.complete('chat', [
+                { role: 'system', content: 'You are a helpful personal assistant that answers questions based strictly on the user\'s recorded information. Never make up information.' },
+                { role: 'user', content: prompt }
+            ]);
             
             // Add simple context info
             const contextInfo = `\n\n💡 *Searched ${recordings.length} recordings for your answer.*`;
@@ -165,6 +300,29 @@ Instructions:
         }
     }
 
+    // Significant words of a question, used to find the moments in recordings that
+    // a chat answer is most likely drawing on
+    getSearchTerms(text, maxTerms = 8) {
+        const stopWords = new Set([
+            'the', 'and', 'for', 'are', 'was', 'were', 'what', 'when', 'where', 'who', 'why',
+            'how', 'did', 'does', 'have', 'has', 'had', 'that', 'this', 'with', 'about', 'from',
+            'you', 'your', 'our', 'any', 'can', 'could', 'should', 'would', 'there', 'their',
+            'they', 'them', 'then', 'than', 'tell', 'said', 'say', 'all', 'but', 'not', 'out',
+            'get', 'got', 'into', 'today', 'yesterday', 'tomorrow', 'week', 'which', 'some'
+        ]);
+
+        const words = (text || '').toLowerCase().split(/[^\p{L}\p{N}']+/u);
+        const terms = [];
+
+        for (const word of words) {
+            if (word.length >= 3 && !stopWords.has(word) && !terms.includes(word)) {
+                terms.push(word);
+            }
+        }
+
+        return terms.slice(0, maxTerms);
+    }
+
     // Simple cost estimation
     estimateTokenUsage(question, recordings) {
         const context = this.prepareContext(recordings);
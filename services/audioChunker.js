@@ -0,0 +1,379 @@
+// backend/services/audioChunker.js
+// Splits long audio into overlapping chunks cut at quiet moments, transcribes them
+// with a bounded pool and stitches the results back into one transcript.
+// WAV (PCM) is handled natively; other formats are converted to WAV with ffmpeg first.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const WAV_HEADER_BYTES = 44;
+const FRAME_SECONDS = 0.05;         // Energy is measured per 50ms frame
+const QUIET_WINDOW_FRAMES = 6;      // A cut point must be quiet for ~300ms
+const READ_BUFFER_BYTES = 1024 * 1024;
+
+class AudioChunker {
+    constructor() {
+        this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+    }
+
+    // Transcribe a file of any length. transcribeChunk(chunkPath) must resolve to
+    // { text, segments } with segment times relative to the chunk.
+    async transcribeInChunks(filePath, transcribeChunk, options = {}) {
+        const {
+            maxChunkBytes,
+            overlapSeconds = 2,
+            concurrency = 3,
+            onProgress = () => {}
+        } = options;
+
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-chunks-'));
+
+        try {
+            const chunks = await this.splitAudio(filePath, { maxChunkBytes, overlapSeconds, workDir });
+            let completed = 0;
+
+            console.log(`✂️ Split ${path.basename(filePath)} into ${chunks.length} chunks`);
+            onProgress({ completed, total: chunks.length });
+
+            const results = await mapWithConcurrency(chunks, concurrency, async (chunk) => {
+                const result = await transcribeChunk(chunk.path);
+                completed++;
+                onProgress({ completed, total: chunks.length });
+                return result;
+            });
+
+            return this.stitchTranscripts(chunks, results);
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    }
+
+    // Write chunk files into workDir: [{ path, start, end }] with times in seconds
+    async splitAudio(filePath, { maxChunkBytes, overlapSeconds = 2, workDir }) {
+        let wavPath = filePath;
+        let wav = this.readWavInfo(filePath);
+
+        if (!wav) {
+            wavPath = path.join(workDir, 'source.wav');
+            await this.convertToWav(filePath, wavPath);
+            wav = this.readWavInfo(wavPath);
+        }
+
+        if (!wav) {
+            throw new Error('Could not read audio for chunking');
+        }
+
+        const totalSeconds = wav.dataSize / wav.byteRate;
+        const maxChunkSeconds = (maxChunkBytes - WAV_HEADER_BYTES) / wav.byteRate;
+        const overlap = Math.min(overlapSeconds, maxChunkSeconds * 0.1);
+        const searchWindow = Math.min(30, maxChunkSeconds * 0.2);
+        const energies = this.measureFrameEnergy(wavPath, wav);
+
+        const boundaries = [];
+        let start = 0;
+
+        while (start < totalSeconds) {
+            const hardEnd = start + maxChunkSeconds;
+
+            if (hardEnd >= totalSeconds) {
+                boundaries.push({ start, end: totalSeconds });
+                break;
+            }
+
+            const cut = this.findQuietPoint(energies, Math.max(start + overlap * 2, hardEnd - searchWindow), hardEnd);
+            boundaries.push({ start, end: cut });
+            start = cut - overlap;
+        }
+
+        return boundaries.map((boundary, i) => {
+            const chunkPath = path.join(workDir, `chunk-${String(i).padStart(3, '0')}.wav`);
+            this.writeWavSlice(wavPath, wav, boundary.start, boundary.end, chunkPath);
+            return { path: chunkPath, start: boundary.start, end: boundary.end };
+        });
+    }
+
+    // Parse a PCM/float WAV header. Returns null for anything else.
+    readWavInfo(filePath) {
+        const fd = fs.openSync(filePath, 'r');
+
+        try {
+            const header = Buffer.alloc(12);
+            if (fs.readSync(fd, header, 0, 12, 0) < 12) return null;
+            if (header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+                return null;
+            }
+
+            const fileSize = fs.fstatSync(fd).size;
+            const chunkHeader = Buffer.alloc(8);
+            let position = 12;
+            let format = null;
+
+            while (position + 8 <= fileSize) {
+                fs.readSync(fd, chunkHeader, 0, 8, position);
+                const id = chunkHeader.toString('ascii', 0, 4);
+                const size = chunkHeader.readUInt32LE(4);
+
+                if (id === 'fmt ') {
+                    const fmt = Buffer.alloc(Math.min(size, 40));
+                    fs.readSync(fd, fmt, 0, fmt.length, position + 8);
+                    format = {
+                        audioFormat: fmt.readUInt16LE(0),
+                        channels: fmt.readUInt16LE(2),
+                        sampleRate: fmt.readUInt32LE(4),
+                        byteRate: fmt.readUInt32LE(8),
+                        blockAlign: fmt.readUInt16LE(12),
+                        bitsPerSample: fmt.readUInt16LE(14)
+                    };
+                } else if (id === 'data' && format) {
+                    // 1 = PCM, 3 = IEEE float, 0xFFFE = extensible (assumed PCM)
+                    if (![1, 3, 0xFFFE].includes(format.audioFormat) || !format.byteRate) return null;
+
+                    return {
+                        ...format,
+                        dataOffset: position + 8,
+                        // Streaming encoders sometimes leave the size unset (0 or 0xFFFFFFFF)
+                        dataSize: size === 0 ? fileSize - position - 8 : Math.min(size, fileSize - position - 8)
+                    };
+                }
+
+                position += 8 + size + (size % 2);
+            }
+
+            return null;
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    convertToWav(inputPath, outputPath) {
+        const args = ['-y', '-i', inputPath, '-ac', '1', '-ar', '16000', '-c:a', 'pcm_s16le', outputPath];
+
+        return new Promise((resolve, reject) => {
+            execFile(this.ffmpegPath, args, { timeout: 10 * 60 * 1000 }, (error) => {
+                if (error) {
+                    const message = error.code === 'ENOENT'
+                        ? 'ffmpeg is required to split non-WAV audio (set FFMPEG_PATH)'
+                        : `ffmpeg conversion failed: ${error.message}`;
+                    reject(new Error(message));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    // Mean absolute amplitude (0..1) of the first channel for every frame
+    measureFrameEnergy(filePath, wav) {
+        const bytesPerSample = wav.bitsPerSample / 8;
+        const samplesPerFrame = Math.max(1, Math.round(wav.sampleRate * FRAME_SECONDS));
+        const frameBytes = samplesPerFrame * wav.blockAlign;
+        const frameCount = Math.ceil(wav.dataSize / frameBytes);
+        const energies = new Float32Array(frameCount);
+
+        const framesPerRead = Math.max(1, Math.floor(READ_BUFFER_BYTES / frameBytes));
+        const buffer = Buffer.alloc(framesPerRead * frameBytes);
+        const fd = fs.openSync(filePath, 'r');
+
+        try {
+            for (let frame = 0; frame < frameCount; frame += framesPerRead) {
+                const offset = frame * frameBytes;
+                const bytesRead = fs.readSync(fd, buffer, 0, Math.min(buffer.length, wav.dataSize - offset), wav.dataOffset + offset);
+
+                for (let f = 0; f < framesPerRead && frame + f < frameCount; f++) {
+                    let sum = 0;
+                    let count = 0;
+
+                    for (let pos = f * frameBytes; pos + bytesPerSample <= Math.min((f + 1) * frameBytes, bytesRead); pos += wav.blockAlign) {
+                        sum += Math.abs(readSample(buffer, pos, wav));
+                        count++;
+                    }
+                    energies[frame + f] = count > 0 ? sum / count : 0;
+                }
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        return energies;
+    }
+
+    // Time (seconds) in [from, to] at the middle of the quietest stretch
+    findQuietPoint(energies, from, to) {
+        const firstFrame = Math.max(0, Math.floor(from / FRAME_SECONDS));
+        const lastFrame = Math.min(energies.length - QUIET_WINDOW_FRAMES, Math.floor(to / FRAME_SECONDS) - QUIET_WINDOW_FRAMES);
+
+        if (lastFrame <= firstFrame) return to;
+
+        let bestFrame = lastFrame;
+        let bestEnergy = Infinity;
+
+        for (let frame = firstFrame; frame <= lastFrame; frame++) {
+            let energy = 0;
+            for (let i = 0; i < QUIET_WINDOW_FRAMES; i++) {
+                energy += energies[frame + i];
+            }
+
+            // Prefer later cuts on ties so chunks stay as large as possible
+            if (energy <= bestEnergy) {
+                bestEnergy = energy;
+                bestFrame = frame;
+            }
+        }
+
+        return Math.min(to, (bestFrame + QUIET_WINDOW_FRAMES / 2) * FRAME_SECONDS);
+    }
+
+    writeWavSlice(sourcePath, wav, startSeconds, endSeconds, outputPath) {
+        const startByte = Math.floor(startSeconds * wav.byteRate / wav.blockAlign) * wav.blockAlign;
+        const endByte = Math.min(wav.dataSize, Math.floor(endSeconds * wav.byteRate / wav.blockAlign) * wav.blockAlign);
+        const length = Math.max(0, endByte - startByte);
+
+        const header = Buffer.alloc(WAV_HEADER_BYTES);
+        header.write('RIFF', 0, 'ascii');
+        header.writeUInt32LE(36 + length, 4);
+        header.write('WAVE', 8, 'ascii');
+        header.write('fmt ', 12, 'ascii');
+        header.writeUInt32LE(16, 16);
+        header.writeUInt16LE(wav.audioFormat === 0xFFFE ? 1 : wav.audioFormat, 20);
+        header.writeUInt16LE(wav.channels, 22);
+        header.writeUInt32LE(wav.sampleRate, 24);
+        header.writeUInt32LE(wav.byteRate, 28);
+        header.writeUInt16LE(wav.blockAlign, 32);
+        header.writeUInt16LE(wav.bitsPerSample, 34);
+        header.write('data', 36, 'ascii');
+        header.writeUInt32LE(length, 40);
+
+        const input = fs.openSync(sourcePath, 'r');
+        const output = fs.openSync(outputPath, 'w');
+
+        try {
+            fs.writeSync(output, header);
+            const buffer = Buffer.alloc(READ_BUFFER_BYTES);
+
+            for (let copied = 0; copied < length;) {
+                const bytesRead = fs.readSync(input, buffer, 0, Math.min(buffer.length, length - copied), wav.dataOffset + startByte + copied);
+                if (bytesRead === 0) break;
+                fs.writeSync(output, buffer, 0, bytesRead);
+                copied += bytesRead;
+            }
+        } finally {
+            fs.closeSync(input);
+            fs.closeSync(output);
+        }
+    }
+
+    // Merge per-chunk results into { text, segments, duration }. Each chunk owns the
+    // audio up to the middle of its overlap with the next one; segments outside that
+    // window are the neighbour's, and words repeated across a seam are dropped.
+    stitchTranscripts(chunks, results) {
+        const segments = [];
+        const textParts = [];
+
+        chunks.forEach((chunk, i) => {
+            const result = results[i] || {};
+            const ownStart = i === 0 ? 0 : (chunk.start + chunks[i - 1].end) / 2;
+            const ownEnd = i === chunks.length - 1 ? Infinity : (chunk.end + chunks[i + 1].start) / 2;
+
+            if (Array.isArray(result.segments) && result.segments.length > 0) {
+                let first = true;
+
+                for (const segment of result.segments) {
+                    const start = chunk.start + segment.start;
+                    const end = chunk.start + segment.end;
+                    const middle = (start + end) / 2;
+
+                    if (middle < ownStart || middle >= ownEnd) continue;
+
+                    let text = segment.text.trim();
+                    if (first && textParts.length > 0) {
+                        text = removeOverlap(textParts.slice(-3).join(' '), text);
+                    }
+                    first = false;
+
+                    if (text === '') continue;
+
+                    segments.push({ ...segment, start, end, text });
+                    textParts.push(text);
+                }
+            } else if (result.text && result.text.trim() !== '') {
+                // No timings from the backend, so only the text can be de-duplicated
+                const previous = textParts.join(' ');
+                const text = previous ? removeOverlap(previous, result.text.trim()) : result.text.trim();
+                if (text !== '') textParts.push(text);
+            }
+        });
+
+        return {
+            text: textParts.join(' ').replace(/\s+/g, ' ').trim(),
+            segments,
+            duration: chunks.length > 0 ? chunks[chunks.length - 1].end : 0,
+            language: mostCommonLanguage(results)
+        };
+    }
+}
+
+// Chunks are detected separately; a short or silent one can come back wrong
+function mostCommonLanguage(results) {
+    const counts = new Map();
+    for (const result of results) {
+        if (result && result.language) {
+            counts.set(result.language, (counts.get(result.language) || 0) + 1);
+        }
+    }
+
+    let best = null;
+    for (const [language, count] of counts) {
+        if (!best || count > counts.get(best)) best = language;
+    }
+    return best;
+}
+
+function readSample(buffer, pos, wav) {
+    switch (wav.bitsPerSample) {
+        case 8: return (buffer.readUInt8(pos) - 128) / 128;
+        case 16: return buffer.readInt16LE(pos) / 32768;
+        case 24: return buffer.readIntLE(pos, 3) / 8388608;
+        case 32: return wav.audioFormat === 3 ? buffer.readFloatLE(pos) : buffer.readInt32LE(pos) / 2147483648;
+        default: return 0;
+    }
+}
+
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+// Drop the words at the start of `next` that repeat the end of `previous`
+function removeOverlap(previous, next, maxWords = 20) {
+    const previousWords = previous.split(/\s+/).map(normalizeWord);
+    const nextWords = next.split(/\s+/);
+    const nextNormalized = nextWords.map(normalizeWord);
+
+    for (let k = Math.min(maxWords, previousWords.length, nextWords.length); k >= 2; k--) {
+        const tail = previousWords.slice(-k).join(' ');
+        const head = nextNormalized.slice(0, k).join(' ');
+        if (tail === head) {
+            return nextWords.slice(k).join(' ');
+        }
+    }
+
+    return next;
+}
+
+// Run fn over items with at most `limit` in flight, preserving result order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    });
+
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = new AudioChunker();
@@ -0,0 +1,28 @@
+// backend/services/blobStorage/blobStore.js
+// Contract for binary storage (recording audio). Keys are relative paths such as
+// "recordings/job-12.m4a"; content type and size are tracked by the caller.
+
+const INTERFACE_METHODS = [
+    'put',                  // (key, sourceFilePath) -> { key, size } - takes ownership of the file
+    'stat',                 // (key) -> { size } | null
+    'createReadStream',     // (key, { start, end }) -> readable stream (end inclusive)
+    'delete'                // (key) -> true if something was removed
+];
+
+class BlobStore {
+    constructor() {
+        if (new.target === BlobStore) {
+            throw new Error('BlobStore is an interface - use a concrete blob store');
+        }
+    }
+}
+
+for (const method of INTERFACE_METHODS) {
+    BlobStore.prototype[method] = async function () {
+        throw new Error(`${this.constructor.name} does not implement ${method}()`);
+    };
+}
+
+BlobStore.INTERFACE_METHODS = INTERFACE_METHODS;
+
+module.exports = BlobStore;
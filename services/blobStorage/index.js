@@ -0,0 +1,27 @@
+// backend/services/blobStorage/index.js
+const BlobStore = require('./blobStore');
+const LocalBlobStore = require('./localBlobStore');
+const S3BlobStore = require('./s3BlobStore');
+
+const BACKENDS = {
+    local: LocalBlobStore,
+    s3: S3BlobStore
+};
+
+// Pick a blob store by name, defaulting to BLOB_STORAGE (local if unset)
+function createBlobStore(backend = process.env.BLOB_STORAGE || 'local', options = {}) {
+    const Backend = BACKENDS[backend.toLowerCase()];
+
+    if (!Backend) {
+        throw new Error(`Unknown blob storage "${backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    return new Backend(options);
+}
+
+module.exports = {
+    createBlobStore,
+    BlobStore,
+    LocalBlobStore,
+    S3BlobStore
+};
@@ -0,0 +1,63 @@
+// backend/services/blobStorage/localBlobStore.js - Blobs as files under a local directory
+const fs = require('fs');
+const path = require('path');
+const BlobStore = require('./blobStore');
+
+class LocalBlobStore extends BlobStore {
+    constructor(options = {}) {
+        super();
+        this.rootDir = path.resolve(options.rootDir || process.env.AUDIO_STORAGE_DIR || './storage/audio');
+    }
+
+    // Map a key to a path, refusing anything that escapes the root directory
+    resolve(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        if (!filePath.startsWith(this.rootDir + path.sep)) {
+            throw new Error(`Invalid blob key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async put(key, sourceFilePath) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        try {
+            await fs.promises.rename(sourceFilePath, filePath);
+        } catch (error) {
+            // Uploads and storage may live on different devices
+            if (error.code !== 'EXDEV') throw error;
+            await fs.promises.copyFile(sourceFilePath, filePath);
+            await fs.promises.unlink(sourceFilePath);
+        }
+
+        const stats = await fs.promises.stat(filePath);
+        return { key, size: stats.size };
+    }
+
+    async stat(key) {
+        try {
+            const stats = await fs.promises.stat(this.resolve(key));
+            return { size: stats.size };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async createReadStream(key, { start, end } = {}) {
+        return fs.createReadStream(this.resolve(key), { start, end });
+    }
+
+    async delete(key) {
+        try {
+            await fs.promises.unlink(this.resolve(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+}
+
+module.exports = LocalBlobStore;
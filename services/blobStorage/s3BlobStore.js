@@ -0,0 +1,40 @@
+// backend/services/blobStorage/s3BlobStore.js - S3-compatible object storage (not wired up yet)
+// Configuration is read here so deployments can be prepared; each operation still
+// needs an S3 client (AWS SDK or any S3-compatible endpoint such as R2 or MinIO).
+const BlobStore = require('./blobStore');
+
+class S3BlobStore extends BlobStore {
+    constructor(options = {}) {
+        super();
+        this.bucket = options.bucket || process.env.S3_BUCKET;
+        this.endpoint = options.endpoint || process.env.S3_ENDPOINT;
+        this.region = options.region || process.env.S3_REGION || 'us-east-1';
+        this.prefix = options.prefix || process.env.S3_PREFIX || '';
+
+        if (!this.bucket) {
+            throw new Error('S3_BUCKET must be set to use S3 blob storage');
+        }
+    }
+
+    objectKey(key) {
+        return this.prefix ? `${this.prefix.replace(/\/$/, '')}/${key}` : key;
+    }
+
+    async put(key) {
+        throw new Error(`S3 blob storage is not implemented yet (put ${this.objectKey(key)})`);
+    }
+
+    async stat(key) {
+        throw new Error(`S3 blob storage is not implemented yet (stat ${this.objectKey(key)})`);
+    }
+
+    async createReadStream(key) {
+        throw new Error(`S3 blob storage is not implemented yet (read ${this.objectKey(key)})`);
+    }
+
+    async delete(key) {
+        throw new Error(`S3 blob storage is not implemented yet (delete ${this.objectKey(key)})`);
+    }
+}
+
+module.exports = S3BlobStore;
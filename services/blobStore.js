@@ -0,0 +1,5 @@
+// backend/services/blobStore.js
+// Shared blob store for recording audio, chosen by BLOB_STORAGE (local | s3)
+const { createBlobStore } = require('./blobStorage');
+
+module.exports = createBlobStore();
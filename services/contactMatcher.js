@@ -0,0 +1,123 @@
+// backend/services/contactMatcher.js
+// Decides which contact a name mentioned in a recording refers to, by comparing it
+// with every contact's aliases: the same name, a first name against a fuller name
+// ("John" and "John Smith"), or a close spelling ("Katherine" and "Catherine").
+
+// Dropped from the front of a name, so "Dr. Patel" is the same person as "Patel"
+const TITLES = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'sir']);
+
+const SCORES = {
+    exact: 1,
+    firstName: 0.75,
+    // Multiplied by the spelling similarity, so a close spelling scores below 0.8
+    spelling: 0.8
+};
+
+// Spellings less alike than this are different names
+const MIN_SPELLING_SIMILARITY = 0.8;
+
+// Links weaker than this (after ties are shared out) get a new contact instead
+const LINK_CONFIDENCE = parseFloat(process.env.CONTACT_LINK_CONFIDENCE) || 0.6;
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+class ContactMatcher {
+    constructor() {
+        this.linkConfidence = LINK_CONFIDENCE;
+    }
+
+    // Lowercase words without punctuation, possessives or a leading title;
+    // "Dr. John's" becomes "john". Empty for names without letters.
+    normalize(name) {
+        const words = String(name || '')
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(/['’]s\b/gu, '')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim()
+            .split(' ')
+            .filter(Boolean);
+
+        while (words.length > 1 && TITLES.has(words[0])) {
+            words.shift();
+        }
+        return words.join(' ');
+    }
+
+    // How likely two normalized names are the same person, 0..1
+    score(a, b) {
+        if (a === b) return SCORES.exact;
+
+        const wordsA = a.split(' ');
+        const wordsB = b.split(' ');
+        if ((wordsA.length === 1 || wordsB.length === 1) && wordsA[0] === wordsB[0]) {
+            return SCORES.firstName;
+        }
+
+        const similarity = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+        return similarity >= MIN_SPELLING_SIMILARITY ? similarity * SCORES.spelling : 0;
+    }
+
+    // aliases: [{ contactId, alias }] with normalized aliases. Returns the best
+    // { contactId, confidence }, or null when no contact is a confident match.
+    match(name, aliases) {
+        const normalized = this.normalize(name);
+        if (!normalized) return null;
+
+        const bestByContact = new Map();
+        const conflicting = new Set();
+        const fullName = normalized.includes(' ');
+
+        for (const { contactId, alias } of aliases) {
+            const score = this.score(normalized, alias);
+
+            // "John Doe" is not the contact already known as "John Smith", even
+            // though both go by "John"
+            if (fullName && alias.includes(' ') && score === 0) {
+                conflicting.add(contactId);
+            }
+            if (score > (bestByContact.get(contactId) || 0)) {
+                bestByContact.set(contactId, score);
+            }
+        }
+
+        const ranked = [...bestByContact.entries()]
+            .filter(([contactId]) => !conflicting.has(contactId))
+            .sort((a, b) => (b[1] - a[1]) || (a[0] - b[0]));
+        if (ranked.length === 0) return null;
+
+        // A first name shared by several contacts could be any of them
+        const [contactId, score] = ranked[0];
+        const ties = ranked.filter(([, other]) => other === score).length;
+        const confidence = score / ties;
+
+        return confidence >= this.linkConfidence ? { contactId, confidence } : null;
+    }
+
+    // Whether `name` is a fuller form of `current` ("John" -> "John Smith"), and so
+    // the better name to show for the contact
+    isFullerName(name, current) {
+        const words = this.normalize(name).split(' ');
+        const currentWords = this.normalize(current).split(' ');
+        return words.length > currentWords.length
+            && currentWords.every((word, i) => words[i] === word);
+    }
+}
+
+module.exports = new ContactMatcher();
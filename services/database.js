@@ -1,1018 +1,7 @@
-// backend/services/database.js - Complete Version with Real Usage Tracking
-const { Pool } = require('pg');
+// backend/services/database.js
+// Shared storage instance for the app. The backend is chosen by STORAGE_BACKEND
+// (postgres | memory); see services/storage for the implementations.
+const { createStorage } = require('./storage');
+const blobStore = require('./blobStore');
 
-class DatabaseService {
-    constructor() {
-        this.pool = new Pool({
-            connectionString: process.env.DATABASE_URL,
-            ssl: {
-                rejectUnauthorized: false
-            }
-        });
-        
-        // Test connection on startup
-        this.testConnection();
-    }
-
-    async testConnection() {
-        try {
-            const client = await this.pool.connect();
-            console.log('✅ Database connected successfully');
-            client.release();
-        } catch (error) {
-            console.error('❌ Database connection failed:', error.message);
-        }
-    }
-
-    // Complete project detection for all project names
-    async detectProjectFromText(text) {
-        try {
-            console.log(`🔍 Project detection - Input: "${text}"`);
-            
-            // Get all active projects to check against
-            const allProjects = await this.pool.query(
-                'SELECT name FROM projects WHERE is_active = true'
-            );
-            
-            const projectNames = allProjects.rows.map(p => p.name);
-            console.log(`🔍 Active projects: ${projectNames.join(', ')}`);
-            
-            // Try different patterns that speech-to-text might produce
-            const patterns = [
-                /^([^:]+):\s*(.+)/i,     // "Project: content"
-                /^([^,]+),\s*(.+)/i,     // "Project, content" 
-                /^([^.]+)\.\s*(.+)/i,    // "Project. content"
-            ];
-            
-            for (let i = 0; i < patterns.length; i++) {
-                const match = text.match(patterns[i]);
-                
-                if (match) {
-                    const detectedName = match[1].trim();
-                    const content = match[2].trim();
-                    
-                    console.log(`🎯 Pattern ${i + 1} matched: "${detectedName}" | "${content}"`);
-                    
-                    // Check if detected name matches any project (case-insensitive)
-                    const matchingProject = await this.pool.query(
-                        'SELECT * FROM projects WHERE LOWER(name) = LOWER($1) AND is_active = true',
-                        [detectedName]
-                    );
-                    
-                    if (matchingProject.rows.length > 0) {
-                        console.log(`📁 SUCCESS - Found project: "${matchingProject.rows[0].name}"`);
-                        return {
-                            project: matchingProject.rows[0],
-                            cleanedText: content
-                        };
-                    } else {
-                        console.log(`❌ No project found for: "${detectedName}"`);
-                    }
-                }
-            }
-            
-            // If no pattern matched, try checking if text starts with any project name
-            for (const projectName of projectNames) {
-                const regex = new RegExp(`^${projectName}[\\s,.:]`, 'i');
-                if (regex.test(text)) {
-                    console.log(`🎯 Text starts with project: "${projectName}"`);
-                    
-                    const project = await this.pool.query(
-                        'SELECT * FROM projects WHERE LOWER(name) = LOWER($1) AND is_active = true',
-                        [projectName]
-                    );
-                    
-                    if (project.rows.length > 0) {
-                        const cleanedText = text.replace(new RegExp(`^${projectName}[\\s,.:]?\\s*`, 'i'), '');
-                        console.log(`📁 SUCCESS - Found project: "${project.rows[0].name}"`);
-                        return {
-                            project: project.rows[0],
-                            cleanedText: cleanedText
-                        };
-                    }
-                }
-            }
-            
-            console.log(`❌ No project detected in: "${text}"`);
-            return null;
-            
-        } catch (error) {
-            console.error('Error detecting project from text:', error);
-            return null;
-        }
-    }
-
-    // Save a new recording with extracted entities and project detection
-    async saveRecording(text, entities = {}, projectId = null) {
-        const client = await this.pool.connect();
-        
-        try {
-            await client.query('BEGIN');
-
-            // If no projectId provided, try to detect from text
-            let finalProjectId = projectId;
-            let finalText = text;
-            
-            if (!projectId) {
-                const projectDetection = await this.detectProjectFromText(text);
-                if (projectDetection) {
-                    finalProjectId = projectDetection.project.id;
-                    finalText = projectDetection.cleanedText;
-                    console.log(`📁 Auto-detected project: ${projectDetection.project.name}`);
-                }
-            }
-            
-            // If still no project, use General project
-            if (!finalProjectId) {
-                const generalProject = await client.query(
-                    "SELECT id FROM projects WHERE name = 'General' AND is_active = true LIMIT 1"
-                );
-                if (generalProject.rows.length > 0) {
-                    finalProjectId = generalProject.rows[0].id;
-                }
-            }
-
-            // Calculate word count
-            const wordCount = finalText.trim().split(/\s+/).length;
-
-            // Insert main recording with project
-            const recordingResult = await client.query(
-                `INSERT INTO recordings (text, word_count, project_id, timestamp) 
-                 VALUES ($1, $2, $3, NOW()) 
-                 RETURNING id, timestamp`,
-                [finalText, wordCount, finalProjectId]
-            );
-
-            const recordingId = recordingResult.rows[0].id;
-            const timestamp = recordingResult.rows[0].timestamp;
-
-            // Insert extracted entities into separate tables
-            await this.insertEntities(client, recordingId, entities);
-
-            await client.query('COMMIT');
-
-            console.log(`📝 Recording saved with ID: ${recordingId}, Project: ${finalProjectId}`);
-            
-            return {
-                id: recordingId,
-                timestamp: timestamp,
-                text: finalText,
-                entities: entities,
-                word_count: wordCount,
-                project_id: finalProjectId
-            };
-
-        } catch (error) {
-            await client.query('ROLLBACK');
-            console.error('Error saving recording:', error);
-            throw error;
-        } finally {
-            client.release();
-        }
-    }
-
-    // Delete a recording and all its related entities
-    async deleteRecording(recordingId) {
-        const client = await this.pool.connect();
-        
-        try {
-            await client.query('BEGIN');
-            
-            // Delete related entities first (foreign key constraints)
-            await client.query('DELETE FROM people WHERE recording_id = $1', [recordingId]);
-            await client.query('DELETE FROM tasks WHERE recording_id = $1', [recordingId]);
-            await client.query('DELETE FROM events WHERE recording_id = $1', [recordingId]);
-            await client.query('DELETE FROM topics WHERE recording_id = $1', [recordingId]);
-            await client.query('DELETE FROM locations WHERE recording_id = $1', [recordingId]);
-            await client.query('DELETE FROM items WHERE recording_id = $1', [recordingId]);
-            
-            // Delete the main recording
-            const result = await client.query(
-                'DELETE FROM recordings WHERE id = $1 RETURNING *', 
-                [recordingId]
-            );
-            
-            await client.query('COMMIT');
-            
-            if (result.rows.length > 0) {
-                console.log(`🗑️ Recording ${recordingId} deleted successfully`);
-                return result.rows[0];
-            } else {
-                console.log(`❌ Recording ${recordingId} not found`);
-                return null;
-            }
-            
-        } catch (error) {
-            await client.query('ROLLBACK');
-            console.error('Error deleting recording:', error);
-            throw error;
-        } finally {
-            client.release();
-        }
-    }
-
-    // Insert entities into their respective tables
-    async insertEntities(client, recordingId, entities) {
-        // Insert people
-        if (entities.people && entities.people.length > 0) {
-            for (const person of entities.people) {
-                await client.query(
-                    'INSERT INTO people (recording_id, name) VALUES ($1, $2)',
-                    [recordingId, person]
-                );
-            }
-        }
-
-        // Insert tasks
-        if (entities.tasks && entities.tasks.length > 0) {
-            for (const task of entities.tasks) {
-                await client.query(
-                    'INSERT INTO tasks (recording_id, task_description) VALUES ($1, $2)',
-                    [recordingId, task]
-                );
-            }
-        }
-
-        // Insert events
-        if (entities.events && entities.events.length > 0) {
-            for (const event of entities.events) {
-                await client.query(
-                    'INSERT INTO events (recording_id, event_name) VALUES ($1, $2)',
-                    [recordingId, event]
-                );
-            }
-        }
-
-        // Insert topics
-        if (entities.topics && entities.topics.length > 0) {
-            for (const topic of entities.topics) {
-                await client.query(
-                    'INSERT INTO topics (recording_id, topic) VALUES ($1, $2)',
-                    [recordingId, topic]
-                );
-            }
-        }
-
-        // Insert locations
-        if (entities.locations && entities.locations.length > 0) {
-            for (const location of entities.locations) {
-                await client.query(
-                    'INSERT INTO locations (recording_id, location_name) VALUES ($1, $2)',
-                    [recordingId, location]
-                );
-            }
-        }
-
-        // Insert items
-        if (entities.items && entities.items.length > 0) {
-            for (const item of entities.items) {
-                await client.query(
-                    'INSERT INTO items (recording_id, item_name) VALUES ($1, $2)',
-                    [recordingId, item]
-                );
-            }
-        }
-    }
-
-    // Get all recordings with their entities (for AI context)
-    async getAllRecordings() {
-        try {
-            const result = await this.pool.query(`
-                SELECT 
-                    r.id,
-                    r.timestamp,
-                    r.text,
-                    r.word_count,
-                    r.project_id,
-                    p.name as project_name,
-                    p.color as project_color,
-                    
-                    -- Aggregate people as JSON array
-                    COALESCE(
-                        JSON_AGG(DISTINCT pe.name) FILTER (WHERE pe.name IS NOT NULL), 
-                        '[]'::json
-                    ) as people,
-                    
-                    -- Aggregate tasks as JSON array
-                    COALESCE(
-                        JSON_AGG(DISTINCT t.task_description) FILTER (WHERE t.task_description IS NOT NULL), 
-                        '[]'::json
-                    ) as tasks,
-                    
-                    -- Aggregate events as JSON array
-                    COALESCE(
-                        JSON_AGG(DISTINCT e.event_name) FILTER (WHERE e.event_name IS NOT NULL), 
-                        '[]'::json
-                    ) as events,
-                    
-                    -- Aggregate topics as JSON array
-                    COALESCE(
-                        JSON_AGG(DISTINCT tp.topic) FILTER (WHERE tp.topic IS NOT NULL), 
-                        '[]'::json
-                    ) as topics,
-                    
-                    -- Aggregate locations as JSON array
-                    COALESCE(
-                        JSON_AGG(DISTINCT l.location_name) FILTER (WHERE l.location_name IS NOT NULL), 
-                        '[]'::json
-                    ) as locations,
-                    
-                    -- Aggregate items as JSON array
-                    COALESCE(
-                        JSON_AGG(DISTINCT i.item_name) FILTER (WHERE i.item_name IS NOT NULL), 
-                        '[]'::json
-                    ) as items
-                    
-                FROM recordings r
-                LEFT JOIN projects p ON r.project_id = p.id
-                LEFT JOIN people pe ON r.id = pe.recording_id
-                LEFT JOIN tasks t ON r.id = t.recording_id
-                LEFT JOIN events e ON r.id = e.recording_id
-                LEFT JOIN topics tp ON r.id = tp.recording_id
-                LEFT JOIN locations l ON r.id = l.recording_id
-                LEFT JOIN items i ON r.id = i.recording_id
-                
-                GROUP BY r.id, r.timestamp, r.text, r.word_count, r.project_id, p.name, p.color
-                ORDER BY r.timestamp DESC
-            `);
-
-            // Transform the result to match the expected format
-            return result.rows.map(row => ({
-                id: row.id,
-                timestamp: row.timestamp,
-                text: row.text,
-                word_count: row.word_count,
-                project_id: row.project_id,
-                project: row.project_name ? {
-                    name: row.project_name,
-                    color: row.project_color
-                } : null,
-                entities: {
-                    people: row.people || [],
-                    tasks: row.tasks || [],
-                    events: row.events || [],
-                    topics: row.topics || [],
-                    locations: row.locations || [],
-                    items: row.items || []
-                }
-            }));
-
-        } catch (error) {
-            console.error('Error fetching recordings:', error);
-            throw error;
-        }
-    }
-
-    // Task Management Methods
-    async getPendingTasks() {
-        try {
-            const result = await this.pool.query(`
-                SELECT t.*, r.timestamp as recorded_at, r.text as recording_text
-                FROM tasks t
-                JOIN recordings r ON t.recording_id = r.id
-                WHERE t.status = 'pending'
-                ORDER BY r.timestamp DESC
-            `);
-
-            return result.rows;
-        } catch (error) {
-            console.error('Error fetching pending tasks:', error);
-            throw error;
-        }
-    }
-
-    async completeTask(taskId, completedByRecordingId = null) {
-        const client = await this.pool.connect();
-        
-        try {
-            await client.query('BEGIN');
-            
-            const result = await client.query(
-                `UPDATE tasks 
-                 SET status = 'completed', 
-                     completed_at = NOW(),
-                     completed_by_recording_id = $2
-                 WHERE id = $1 AND status = 'pending'
-                 RETURNING *`,
-                [taskId, completedByRecordingId]
-            );
-            
-            await client.query('COMMIT');
-            
-            if (result.rows.length > 0) {
-                console.log(`✅ Task ${taskId} marked as completed`);
-                return result.rows[0];
-            } else {
-                console.log(`❌ Task ${taskId} not found or already completed`);
-                return null;
-            }
-            
-        } catch (error) {
-            await client.query('ROLLBACK');
-            console.error('Error completing task:', error);
-            throw error;
-        } finally {
-            client.release();
-        }
-    }
-
-    async detectTaskCompletion(recordingText, recordingId) {
-        try {
-            const recordingLower = recordingText.toLowerCase();
-            
-            // Look for completion keywords
-            const completionKeywords = [
-                'done', 'finished', 'completed', 'called', 'talked to', 
-                'met with', 'spoke to', 'emailed', 'sent', 'bought',
-                'picked up', 'dropped off', 'scheduled', 'booked'
-            ];
-            
-            // Check if recording contains completion keywords
-            const detectedKeywords = completionKeywords.filter(keyword => 
-                recordingLower.includes(keyword)
-            );
-            
-            if (detectedKeywords.length > 0) {
-                console.log(`🎯 Task completion keywords detected: [${detectedKeywords.join(', ')}]`);
-                return {
-                    hasCompletion: true,
-                    keywords: detectedKeywords,
-                    recordingId: recordingId,
-                    recordingText: recordingText
-                };
-            }
-            
-            return { hasCompletion: false };
-            
-        } catch (error) {
-            console.error('Error detecting task completion:', error);
-            return { hasCompletion: false };
-        }
-    }
-
-    // Project Management Methods
-    async getAllProjects() {
-        try {
-            const result = await this.pool.query(`
-                SELECT p.*, 
-                       COUNT(r.id) as recording_count
-                FROM projects p
-                LEFT JOIN recordings r ON p.id = r.project_id
-                WHERE p.is_active = true
-                GROUP BY p.id
-                ORDER BY p.created_at ASC
-            `);
-
-            return result.rows;
-        } catch (error) {
-            console.error('Error fetching projects:', error);
-            throw error;
-        }
-    }
-
-    async createProject(name, description = '', color = '#667eea') {
-        try {
-            const result = await this.pool.query(`
-                INSERT INTO projects (name, description, color)
-                VALUES ($1, $2, $3)
-                RETURNING *
-            `, [name.trim(), description.trim(), color]);
-
-            console.log(`📁 Project created: ${name}`);
-            return result.rows[0];
-        } catch (error) {
-            if (error.code === '23505') {
-                throw new Error('Project name already exists');
-            }
-            console.error('Error creating project:', error);
-            throw error;
-        }
-    }
-
-    async deleteProject(projectId) {
-        const client = await this.pool.connect();
-        
-        try {
-            await client.query('BEGIN');
-            
-            // Check if project has recordings
-            const recordingsCheck = await client.query(
-                'SELECT COUNT(*) as count FROM recordings WHERE project_id = $1',
-                [projectId]
-            );
-            
-            const recordingCount = parseInt(recordingsCheck.rows[0].count);
-            
-            if (recordingCount > 0) {
-                // Move recordings to General project before deleting
-                const generalProject = await client.query(
-                    "SELECT id FROM projects WHERE name = 'General' LIMIT 1"
-                );
-                
-                if (generalProject.rows.length > 0) {
-                    await client.query(
-                        'UPDATE recordings SET project_id = $1 WHERE project_id = $2',
-                        [generalProject.rows[0].id, projectId]
-                    );
-                }
-            }
-            
-            // Mark project as inactive
-            const result = await client.query(
-                'UPDATE projects SET is_active = false WHERE id = $1 RETURNING *',
-                [projectId]
-            );
-            
-            await client.query('COMMIT');
-            
-            if (result.rows.length > 0) {
-                console.log(`🗑️ Project ${projectId} deleted (${recordingCount} recordings moved to General)`);
-                return { project: result.rows[0], movedRecordings: recordingCount };
-            } else {
-                throw new Error('Project not found');
-            }
-            
-        } catch (error) {
-            await client.query('ROLLBACK');
-            console.error('Error deleting project:', error);
-            throw error;
-        } finally {
-            client.release();
-        }
-    }
-
-    async getProjectRecordings(projectId) {
-        try {
-            const result = await this.pool.query(`
-                SELECT 
-                    r.id,
-                    r.timestamp,
-                    r.text,
-                    r.word_count,
-                    p.name as project_name,
-                    p.color as project_color
-                FROM recordings r
-                LEFT JOIN projects p ON r.project_id = p.id
-                WHERE r.project_id = $1
-                ORDER BY r.timestamp DESC
-            `, [projectId]);
-
-            return result.rows.map(row => ({
-                id: row.id,
-                timestamp: row.timestamp,
-                text: row.text,
-                word_count: row.word_count,
-                project: {
-                    name: row.project_name,
-                    color: row.project_color
-                }
-            }));
-        } catch (error) {
-            console.error('Error fetching project recordings:', error);
-            throw error;
-        }
-    }
-
-    // Real usage data that calls actual vendor APIs
-    async getRealUsageData(timeframeDays = 30) {
-        try {
-            console.log('🔄 Fetching real usage data from vendor APIs...');
-            
-            const [openaiData, railwayData, supabaseData, appData] = await Promise.allSettled([
-                this.getOpenAIRealUsage(timeframeDays),
-                this.getRailwayRealUsage(timeframeDays),
-                this.getSupabaseRealUsage(timeframeDays),
-                this.getAppUsageStats(timeframeDays)
-            ]);
-
-            // Extract successful results
-            const openai = openaiData.status === 'fulfilled' ? openaiData.value : { status: 'error', totalCost: 0 };
-            const railway = railwayData.status === 'fulfilled' ? railwayData.value : { status: 'error', totalCost: 0 };
-            const supabase = supabaseData.status === 'fulfilled' ? supabaseData.value : { status: 'error', totalCost: 0 };
-            const vercel = { status: 'manual', totalCost: 0, deployments: appData.value?.recordingCount ? Math.ceil(appData.value.recordingCount / 10) : 0 };
-
-            const totalCost = (openai.totalCost || 0) + (railway.totalCost || 0) + (supabase.totalCost || 0);
-            const monthlyProjection = (totalCost / timeframeDays) * 30;
-
-            return {
-                totalCost: parseFloat(totalCost.toFixed(4)),
-                monthlyProjection: parseFloat(monthlyProjection.toFixed(2)),
-                openai,
-                railway,
-                supabase,
-                vercel,
-                config: {
-                    openaiConfigured: !!process.env.OPENAI_API_KEY,
-                    railwayConfigured: !!process.env.RAILWAY_API_TOKEN,
-                    supabaseConfigured: !!process.env.SUPABASE_PROJECT_REF,
-                    vercelConfigured: false // No API available
-                },
-                timestamp: new Date().toISOString(),
-                timeframe: timeframeDays
-            };
-
-        } catch (error) {
-            console.error('Error fetching real usage data:', error);
-            throw error;
-        }
-    }
-
-    // OpenAI Real Usage via Official API
-    async getOpenAIRealUsage(timeframeDays = 30) {
-        try {
-            if (!process.env.OPENAI_API_KEY) {
-                return { status: 'error', error: 'OpenAI API key not configured', totalCost: 0 };
-            }
-
-            const startTime = Math.floor(Date.now() / 1000) - (timeframeDays * 24 * 60 * 60);
-            const headers = {
-                'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-                'Content-Type': 'application/json'
-            };
-
-            // Get usage data from OpenAI Usage API
-            const usageResponse = await fetch(`https://api.openai.com/v1/organization/usage/completions?start_time=${startTime}&bucket_width=1d`, {
-                headers
-            });
-
-            // Get costs data from OpenAI Costs API  
-            const costsResponse = await fetch(`https://api.openai.com/v1/organization/costs?start_time=${startTime}&bucket_width=1d`, {
-                headers
-            });
-
-            if (!usageResponse.ok || !costsResponse.ok) {
-                return { 
-                    status: 'error', 
-                    error: `OpenAI API error: ${usageResponse.status}`,
-                    totalCost: 0
-                };
-            }
-
-            const usageData = await usageResponse.json();
-            const costsData = await costsResponse.json();
-
-            // Process the data
-            let totalTokens = 0;
-            let completionTokens = 0;
-            let requestCount = 0;
-
-            if (usageData.data) {
-                usageData.data.forEach(bucket => {
-                    if (bucket.results) {
-                        bucket.results.forEach(result => {
-                            totalTokens += (result.n_tokens || 0);
-                            completionTokens += (result.n_tokens || 0);
-                            requestCount += (result.n_requests || 0);
-                        });
-                    }
-                });
-            }
-
-            // Calculate costs from costs API
-            let totalCost = 0;
-            let completionCost = 0;
-            let whisperCost = 0;
-
-            if (costsData.data) {
-                costsData.data.forEach(bucket => {
-                    if (bucket.results) {
-                        bucket.results.forEach(result => {
-                            const cost = parseFloat(result.amount?.value || 0);
-                            totalCost += cost;
-                            
-                            // Categorize by result type/object
-                            if (result.object?.includes('completion') || result.object?.includes('chat')) {
-                                completionCost += cost;
-                            } else if (result.object?.includes('whisper') || result.object?.includes('transcription')) {
-                                whisperCost += cost;
-                            } else {
-                                completionCost += cost; // Default to completion
-                            }
-                        });
-                    }
-                });
-            }
-
-            // Estimate Whisper minutes (assuming average cost)
-            const whisperMinutes = whisperCost > 0 ? whisperCost / 0.006 : 0;
-
-            return {
-                status: 'connected',
-                totalCost: parseFloat(totalCost.toFixed(4)),
-                totalTokens,
-                completionTokens,
-                completionCost: parseFloat(completionCost.toFixed(4)),
-                whisperCost: parseFloat(whisperCost.toFixed(4)),
-                whisperMinutes: parseFloat(whisperMinutes.toFixed(1)),
-                requestCount,
-                usageRequests: requestCount
-            };
-
-        } catch (error) {
-            console.error('Error fetching OpenAI real usage:', error);
-            return { 
-                status: 'error', 
-                error: error.message,
-                totalCost: 0
-            };
-        }
-    }
-
-    // Railway Real Usage via GraphQL API
-    async getRailwayRealUsage(timeframeDays = 30) {
-        try {
-            if (!process.env.RAILWAY_API_TOKEN) {
-                return { status: 'error', error: 'Railway API token not configured', totalCost: 0 };
-            }
-
-            const query = `
-                query {
-                    me {
-                        projects {
-                            id
-                            name
-                            services {
-                                id
-                                name
-                                deployments(first: 10) {
-                                    edges {
-                                        node {
-                                            id
-                                            status
-                                            createdAt
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                    }
-                }
-            `;
-
-            const response = await fetch('https://backboard.railway.com/graphql/v2', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${process.env.RAILWAY_API_TOKEN}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ query })
-            });
-
-            if (!response.ok) {
-                return { 
-                    status: 'error', 
-                    error: `Railway API error: ${response.status}`,
-                    totalCost: 0
-                };
-            }
-
-            const data = await response.json();
-
-            if (data.errors) {
-                return { 
-                    status: 'error', 
-                    error: data.errors[0]?.message || 'Railway GraphQL error',
-                    totalCost: 0
-                };
-            }
-
-            // Process Railway data
-            let deployments = 0;
-            let services = 0;
-
-            if (data.data?.me?.projects) {
-                data.data.me.projects.forEach(project => {
-                    services += project.services?.length || 0;
-                    project.services?.forEach(service => {
-                        deployments += service.deployments?.edges?.length || 0;
-                    });
-                });
-            }
-
-            // Estimate costs (Railway typically charges ~$5/month for hobby projects)
-            const estimatedMonthlyCost = 5.00;
-            const dailyCost = estimatedMonthlyCost / 30;
-            const totalCost = dailyCost * timeframeDays;
-
-            return {
-                status: 'connected',
-                totalCost: parseFloat(totalCost.toFixed(2)),
-                deployments,
-                services,
-                computeHours: parseFloat((timeframeDays * 24 * 0.8).toFixed(1)), // Estimate 80% uptime
-                computeCost: parseFloat(totalCost.toFixed(2)),
-                bandwidth: parseFloat((deployments * 0.1).toFixed(1)), // Estimate 0.1GB per deployment
-                bandwidthCost: 0, // Usually included
-                buildMinutes: deployments * 2, // Estimate 2 min per deployment
-                cpuUsage: '15%', // Typical for small apps
-                memoryUsage: '128 MB'
-            };
-
-        } catch (error) {
-            console.error('Error fetching Railway real usage:', error);
-            return { 
-                status: 'error', 
-                error: error.message,
-                totalCost: 0
-            };
-        }
-    }
-
-    // Supabase Real Usage via Prometheus Metrics API
-    async getSupabaseRealUsage(timeframeDays = 30) {
-        try {
-            if (!process.env.SUPABASE_PROJECT_REF || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
-                return { status: 'error', error: 'Supabase credentials not configured', totalCost: 0 };
-            }
-
-            const metricsUrl = `https://${process.env.SUPABASE_PROJECT_REF}.supabase.co/customer/v1/privileged/metrics`;
-            const auth = Buffer.from(`service_role:${process.env.SUPABASE_SERVICE_ROLE_KEY}`).toString('base64');
-
-            const response = await fetch(metricsUrl, {
-                headers: {
-                    'Authorization': `Basic ${auth}`,
-                    'Accept': 'text/plain'
-                }
-            });
-
-            if (!response.ok) {
-                return { 
-                    status: 'error', 
-                    error: `Supabase metrics API error: ${response.status}`,
-                    totalCost: 0
-                };
-            }
-
-            const metricsText = await response.text();
-            
-            // Parse Prometheus metrics (simplified parsing)
-            const lines = metricsText.split('\n');
-            let dbSize = 0;
-            let activeConnections = 0;
-            let dbRequests = 0;
-
-            lines.forEach(line => {
-                // Parse key metrics from Prometheus format
-                if (line.includes('pg_database_size_bytes') && !line.startsWith('#')) {
-                    const match = line.match(/pg_database_size_bytes{.*?}\s+(\d+)/);
-                    if (match) dbSize += parseInt(match[1]);
-                }
-                
-                if (line.includes('pg_stat_database_numbackends') && !line.startsWith('#')) {
-                    const match = line.match(/pg_stat_database_numbackends{.*?}\s+(\d+)/);
-                    if (match) activeConnections += parseInt(match[1]);
-                }
-                
-                if (line.includes('pg_stat_database_xact_commit') && !line.startsWith('#')) {
-                    const match = line.match(/pg_stat_database_xact_commit{.*?}\s+(\d+)/);
-                    if (match) dbRequests += parseInt(match[1]);
-                }
-            });
-
-            // Convert bytes to MB
-            const dbSizeMB = Math.round(dbSize / (1024 * 1024));
-            
-            // Estimate costs (Supabase free tier has generous limits)
-            let totalCost = 0;
-            let storageCost = 0;
-            let egressCost = 0;
-            
-            // Storage cost (after 500MB free)
-            if (dbSizeMB > 500) {
-                const chargeableMB = dbSizeMB - 500;
-                storageCost = (chargeableMB / 1024) * 0.125; // $0.125/GB/month
-            }
-            
-            // Egress cost (after 2GB free) - estimate based on requests
-            const estimatedEgressGB = Math.max(0, (dbRequests / 10000) - 2); // Rough estimate
-            if (estimatedEgressGB > 0) {
-                egressCost = estimatedEgressGB * 0.09; // $0.09/GB
-            }
-            
-            totalCost = (storageCost + egressCost) * (timeframeDays / 30);
-
-            return {
-                status: 'connected',
-                totalCost: parseFloat(totalCost.toFixed(4)),
-                dbSize: dbSizeMB,
-                dbRequests,
-                activeConnections,
-                storageUsed: `${dbSizeMB} MB`,
-                storageCost: parseFloat(storageCost.toFixed(4)),
-                egress: parseFloat(estimatedEgressGB.toFixed(2)),
-                egressCost: parseFloat(egressCost.toFixed(4)),
-                authUsers: 1 // At least 1 (you)
-            };
-
-        } catch (error) {
-            console.error('Error fetching Supabase real usage:', error);
-            return { 
-                status: 'error', 
-                error: error.message,
-                totalCost: 0
-            };
-        }
-    }
-
-    // Get app usage stats from our own database
-    async getAppUsageStats(timeframeDays = 30) {
-        try {
-            const timeframeInterval = `${timeframeDays} days`;
-            
-            const result = await this.pool.query(`
-                SELECT 
-                    COUNT(*) as recording_count,
-                    SUM(word_count) as total_words,
-                    COUNT(DISTINCT DATE(timestamp)) as active_days
-                FROM recordings 
-                WHERE timestamp >= NOW() - INTERVAL '${timeframeInterval}'
-            `);
-
-            return {
-                recordingCount: parseInt(result.rows[0].recording_count) || 0,
-                totalWords: parseInt(result.rows[0].total_words) || 0,
-                activeDays: parseInt(result.rows[0].active_days) || 0
-            };
-
-        } catch (error) {
-            console.error('Error fetching app usage stats:', error);
-            return {
-                recordingCount: 0,
-                totalWords: 0,
-                activeDays: 0
-            };
-        }
-    }
-
-    // Test individual vendor connections
-    async testVendorConnection(vendor) {
-        try {
-            switch (vendor) {
-                case 'openai':
-                    const openaiTest = await this.getOpenAIRealUsage(1);
-                    return { vendor: 'openai', ...openaiTest };
-                
-                case 'railway':
-                    const railwayTest = await this.getRailwayRealUsage(1);
-                    return { vendor: 'railway', ...railwayTest };
-                
-                case 'supabase':
-                    const supabaseTest = await this.getSupabaseRealUsage(1);
-                    return { vendor: 'supabase', ...supabaseTest };
-                
-                default:
-                    return { vendor, status: 'error', error: 'Unknown vendor' };
-            }
-        } catch (error) {
-            return { vendor, status: 'error', error: error.message };
-        }
-    }
-
-    // Analytics and utility methods
-    async getAnalytics(timeframe = '30 days') {
-        try {
-            const result = await this.pool.query(`
-                SELECT 
-                    COUNT(DISTINCT r.id) as total_recordings,
-                    COUNT(DISTINCT p.name) as unique_people,
-                    COUNT(t.id) as total_tasks,
-                    COUNT(CASE WHEN t.status = 'completed' THEN 1 END) as completed_tasks,
-                    AVG(r.word_count) as avg_words_per_recording
-                FROM recordings r
-                LEFT JOIN people p ON r.id = p.recording_id
-                LEFT JOIN tasks t ON r.id = t.recording_id
-                WHERE r.timestamp >= NOW() - INTERVAL '${timeframe}'
-            `);
-
-            return result.rows[0];
-        } catch (error) {
-            console.error('Error fetching analytics:', error);
-            throw error;
-        }
-    }
-
-    async searchRecordings(searchTerm) {
-        try {
-            const result = await this.pool.query(`
-                SELECT id, timestamp, text, word_count
-                FROM recordings 
-                WHERE text ILIKE $1
-                ORDER BY timestamp DESC
-                LIMIT 50
-            `, [`%${searchTerm}%`]);
-
-            return result.rows;
-        } catch (error) {
-            console.error('Error searching recordings:', error);
-            throw error;
-        }
-    }
-
-    // Close database connection
-    async close() {
-        await this.pool.end();
-        console.log('Database connection closed');
-    }
-}
-
-module.exports = new DatabaseService();
\ No newline at end of file
+module.exports = createStorage(undefined, { blobStore });
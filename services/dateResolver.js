@@ -0,0 +1,384 @@
+// backend/services/dateResolver.js
+// Turns date and time phrases ("next Tuesday at 3", "in two weeks", "end of month")
+// into real datetimes. Phrases are read relative to an anchor - the moment the
+// recording was made - on the wall clock of the user's time zone (USER_TIMEZONE).
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+    eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, 'a couple of': 2, 'a few': 3
+};
+
+const UNIT_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000 };
+
+// Wall-clock hours for vague times of day
+const TIMES_OF_DAY = { morning: 9, noon: 12, midday: 12, afternoon: 15, evening: 19, tonight: 20, midnight: 23.99 };
+
+// Friday is when "end of the week" work is due
+const END_OF_WEEK = 5;
+
+const NUMBER = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+const WEEKDAY = `(${WEEKDAYS.join('|')})`;
+const MONTH = `(${MONTHS.map(month => `${month}|${month.slice(0, 3)}`).join('|')})\\.?`;
+const CLOCK = '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)?';
+
+function parseNumber(value) {
+    return /^\d+$/.test(value) ? parseInt(value) : NUMBER_WORDS[value];
+}
+
+function monthIndex(value) {
+    return MONTHS.findIndex(month => month.startsWith(value.replace('.', '').slice(0, 3)));
+}
+
+// Calendar arithmetic on { year, month, day } (month 1-12), independent of time zone
+function addDays(date, days) {
+    const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+    return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+}
+
+function addMonths(date, months) {
+    const first = new Date(Date.UTC(date.year, date.month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+    return { year: first.getUTCFullYear(), month: first.getUTCMonth() + 1, day: Math.min(date.day, lastDay) };
+}
+
+function weekday(date) {
+    return new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+}
+
+function compareDates(a, b) {
+    return (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+}
+
+// Hour from a clock match; without am/pm, 1-7 are read as afternoon ("at 3")
+function clockHour(hour, meridiem, guess = true) {
+    const marker = meridiem ? meridiem.replace(/\./g, '') : null;
+    if (marker === 'pm' && hour < 12) return hour + 12;
+    if (marker === 'am' && hour === 12) return 0;
+    if (!marker && guess && hour >= 1 && hour <= 7) return hour + 12;
+    return hour;
+}
+
+// Date phrases, each resolving to { date } (a calendar day) or { instant } (an exact moment)
+const DATE_RULES = [
+    {
+        pattern: new RegExp(`\\bin\\s+(?:half an hour|${NUMBER}\\s+(minute|hour|day|week|month|year)s?)\\b`),
+        resolve: (match, today, anchor) => {
+            if (!match[1]) return { instant: new Date(anchor.getTime() + 30 * UNIT_MS.minute) };
+            const amount = parseNumber(match[1]);
+            const unit = match[2];
+            if (UNIT_MS[unit]) return { instant: new Date(anchor.getTime() + amount * UNIT_MS[unit]) };
+            if (unit === 'day') return { date: addDays(today, amount) };
+            if (unit === 'week') return { date: addDays(today, amount * 7) };
+            return { date: addMonths(today, unit === 'month' ? amount : amount * 12) };
+        }
+    },
+    {
+        pattern: new RegExp(`\\b${NUMBER}\\s+(day|week)s?\\s+from\\s+(?:now|today)\\b`),
+        resolve: (match, today) => ({ date: addDays(today, parseNumber(match[1]) * (match[2] === 'week' ? 7 : 1)) })
+    },
+    {
+        pattern: /\b(?:the\s+)?day after tomorrow\b/,
+        resolve: (match, today) => ({ date: addDays(today, 2) })
+    },
+    {
+        pattern: /\b(today|tonight|tomorrow|yesterday)\b/,
+        resolve: (match, today) => ({ date: addDays(today, { today: 0, tonight: 0, tomorrow: 1, yesterday: -1 }[match[1]]) })
+    },
+    {
+        // ISO dates
+        pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/,
+        resolve: (match) => ({ date: { year: parseInt(match[1]), month: parseInt(match[2]), day: parseInt(match[3]) } })
+    },
+    {
+        // "October 21", "Oct 21st, 2027"; without a year, the next such date
+        pattern: new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`),
+        resolve: (match, today) => ({ date: nextDate(today, monthIndex(match[1]) + 1, parseInt(match[2]), match[3]) })
+    },
+    {
+        // "21 October", "the 21st of October"
+        pattern: new RegExp(`\\b(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?\\b`),
+        resolve: (match, today) => ({ date: nextDate(today, monthIndex(match[2]) + 1, parseInt(match[1]), match[3]) })
+    },
+    {
+        // "on the 15th": that day of this month, or next month once it has passed
+        pattern: /\b(?:on\s+)?the\s+(\d{1,2})(?:st|nd|rd|th)\b/,
+        resolve: (match, today) => {
+            const day = parseInt(match[1]);
+            const date = { year: today.year, month: today.month, day };
+            return { date: compareDates(date, today) < 0 ? addMonths(date, 1) : date };
+        }
+    },
+    {
+        pattern: /\bend of (?:the\s+)?(week|month|year)\b/,
+        resolve: (match, today) => {
+            if (match[1] === 'week') {
+                const days = END_OF_WEEK - weekday(today);
+                return { date: addDays(today, Math.max(days, 0)) };
+            }
+            if (match[1] === 'month') {
+                return { date: addDays(addMonths({ ...today, day: 1 }, 1), -1) };
+            }
+            return { date: { year: today.year, month: 12, day: 31 } };
+        }
+    },
+    {
+        pattern: /\b(this|next)?\s*weekend\b/,
+        resolve: (match, today) => {
+            const current = weekday(today);
+            // Already the weekend: "this weekend" is today, "next weekend" the one after
+            const untilSaturday = current === 6 ? 0 : current === 0 ? -1 : 6 - current;
+            return { date: addDays(today, untilSaturday + (match[1] === 'next' ? 7 : 0)) };
+        }
+    },
+    {
+        pattern: /\bnext (week|month|year)\b/,
+        resolve: (match, today) => {
+            if (match[1] === 'week') return { date: addDays(today, 7 - ((weekday(today) + 6) % 7)) };
+            if (match[1] === 'month') return { date: addMonths({ ...today, day: 1 }, 1) };
+            return { date: { year: today.year + 1, month: 1, day: 1 } };
+        }
+    },
+    {
+        // "Tuesday" and "this Tuesday" are the coming one, "next Tuesday" the one in
+        // the following week, "last Tuesday" the most recent one
+        pattern: new RegExp(`\\b(?:(this|next|last|on)\\s+)?${WEEKDAY}\\b`),
+        resolve: (match, today) => {
+            const target = WEEKDAYS.indexOf(match[2]);
+            const current = weekday(today);
+
+            if (match[1] === 'last') {
+                return { date: addDays(today, -(((current - target + 6) % 7) + 1)) };
+            }
+            if (match[1] === 'next') {
+                const nextMonday = 7 - ((current + 6) % 7);
+                return { date: addDays(today, nextMonday + ((target + 6) % 7)) };
+            }
+            return { date: addDays(today, ((target - current + 6) % 7) + 1) };
+        }
+    }
+];
+
+// Time phrases, each resolving to { hour, minute } and optionally an end { endHour, endMinute }
+const TIME_RULES = [
+    {
+        // "from 3 to 5", "3-5pm", "between 2:30 and 4 pm"
+        pattern: new RegExp(`\\b(?:from\\s+|between\\s+)?${CLOCK}\\s*(?:-|–|to|until|till|and)\\s*${CLOCK}(?=\\s|$|[.,;!?])`),
+        resolve: (match) => {
+            if (!match[3] && !match[6] && !/^(from|between)/.test(match[0])) return null;
+            const endHour = clockHour(parseInt(match[4]), match[6]);
+            let hour = clockHour(parseInt(match[1]), match[3] || match[6]);
+            if (hour > endHour) hour = clockHour(parseInt(match[1]), match[3] || 'am', false);
+            return { hour, minute: parseInt(match[2] || 0), endHour, endMinute: parseInt(match[5] || 0) };
+        }
+    },
+    {
+        pattern: /\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)(?=\s|$|[,;!?]|\.)/,
+        resolve: (match) => ({ hour: clockHour(parseInt(match[1]), match[3]), minute: parseInt(match[2] || 0) })
+    },
+    {
+        pattern: /\b(\d{1,2}):(\d{2})\b/,
+        resolve: (match) => ({ hour: parseInt(match[1]), minute: parseInt(match[2]) })
+    },
+    {
+        // "at 3" is read as 3pm, "at 7:30" as given
+        pattern: /\bat\s+(\d{1,2})(?::(\d{2}))?(?:\s*o'?clock)?\b(?!\s*(?:st|nd|rd|th|%|\/|-|\.\d|am|pm|a\.m|p\.m))/,
+        resolve: (match) => ({ hour: clockHour(parseInt(match[1]), null, !match[2]), minute: parseInt(match[2] || 0) })
+    },
+    {
+        pattern: /\b(?:in the\s+|this\s+|at\s+)?(morning|noon|midday|afternoon|evening|tonight|midnight)\b/,
+        resolve: (match) => {
+            const hour = TIMES_OF_DAY[match[1]];
+            return { hour: Math.floor(hour), minute: hour % 1 ? 59 : 0 };
+        }
+    }
+];
+
+// "for two hours", "for 30 minutes": how long an event lasts
+const DURATION_PATTERN = new RegExp(`\\bfor\\s+(?:half an hour|${NUMBER}\\s+(minute|hour)s?)\\b`);
+
+// The next date with this month and day, or the given year's
+function nextDate(today, month, day, year) {
+    if (year) return { year: parseInt(year), month, day };
+    const date = { year: today.year, month, day };
+    return compareDates(date, today) < 0 ? { ...date, year: today.year + 1 } : date;
+}
+
+// Earliest match of any rule in text, skipping spans already taken
+function firstMatch(rules, text, taken = []) {
+    let best = null;
+
+    for (const rule of rules) {
+        const pattern = new RegExp(rule.pattern.source, 'g');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (match[0].trim() === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+            if (taken.some(span => start < span.end && end > span.start)) continue;
+            if (!best || start < best.start || (start === best.start && end > best.end)) {
+                best = { rule, match, start, end };
+            }
+            break;
+        }
+    }
+
+    return best;
+}
+
+class DateResolver {
+    constructor() {
+        const configured = process.env.USER_TIMEZONE;
+        if (configured && !this.validTimeZone(configured)) {
+            console.warn(`Unknown USER_TIMEZONE "${configured}", using the server time zone`);
+        }
+
+        this.timeZone = this.validTimeZone(configured)
+            || Intl.DateTimeFormat().resolvedOptions().timeZone
+            || 'UTC';
+    }
+
+    // The time zone if Intl knows it (an IANA name such as "Europe/Berlin"), else null
+    validTimeZone(timeZone) {
+        if (!timeZone) return null;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return timeZone;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Wall-clock date and time of a moment in the time zone
+    localParts(date, timeZone = this.timeZone) {
+        const parts = {};
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+        for (const { type, value } of formatter.formatToParts(date)) {
+            if (type !== 'literal') parts[type] = parseInt(value);
+        }
+        return parts;
+    }
+
+    // A calendar date { year, month, day } days later (earlier if negative)
+    addDays(date, days) {
+        return addDays(date, days);
+    }
+
+    // Day of the week of a calendar date, 0 for Sunday
+    weekday(date) {
+        return weekday(date);
+    }
+
+    // The moment the time zone's wall clock shows this date and time
+    zonedTime(date, hour, minute, timeZone = this.timeZone) {
+        const wallClock = Date.UTC(date.year, date.month - 1, date.day, hour, minute);
+        const offsetAt = (moment) => {
+            const local = this.localParts(new Date(moment), timeZone);
+            return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - moment;
+        };
+
+        // Second pass settles moments near a DST change
+        let moment = wallClock - offsetAt(wallClock);
+        moment = wallClock - offsetAt(moment);
+        return new Date(moment);
+    }
+
+    // Find the first date/time phrase in text and resolve it against anchor.
+    // Returns { phrase, start, end, allDay } or null when text has no date or time.
+    // A time without a date is the next time the clock shows it after the anchor.
+    resolve(text, anchor = new Date(), timeZone = this.timeZone) {
+        if (!text) return null;
+
+        const lower = String(text).toLowerCase();
+        const anchorDate = new Date(anchor);
+        const local = this.localParts(anchorDate, timeZone);
+        const today = { year: local.year, month: local.month, day: local.day };
+
+        const dateMatch = firstMatch(DATE_RULES, lower);
+        const taken = dateMatch ? [dateMatch] : [];
+        const timeMatch = firstMatch(TIME_RULES, lower, taken);
+        const durationMatch = DURATION_PATTERN.exec(lower);
+
+        const date = dateMatch ? dateMatch.rule.resolve(dateMatch.match, today, anchorDate) : null;
+        const time = timeMatch ? timeMatch.rule.resolve(timeMatch.match) : null;
+        if (!date && !time) return null;
+
+        // An exact moment ("in two hours") needs no time of day
+        const spans = [dateMatch, date && date.instant ? null : (time && timeMatch)].filter(Boolean)
+            .sort((a, b) => a.start - b.start);
+        const phrase = spans.map(span => String(text).slice(span.start, span.end).trim()).join(' ');
+
+        if (date && date.instant) {
+            return { phrase, start: date.instant, end: null, allDay: false };
+        }
+
+        // "tonight" on its own still means this evening
+        const day = date ? date.date : today;
+        const implied = !time && dateMatch && dateMatch.match[1] === 'tonight' ? { hour: 20, minute: 0 } : null;
+        const clock = time || implied;
+
+        if (!clock) {
+            return { phrase, start: this.zonedTime(day, 0, 0, timeZone), end: null, allDay: true };
+        }
+
+        let start = this.zonedTime(day, clock.hour, clock.minute, timeZone);
+        if (!date && start < anchorDate) {
+            start = this.zonedTime(addDays(day, 1), clock.hour, clock.minute, timeZone);
+        }
+
+        let end = null;
+        if (clock.endHour !== undefined) {
+            end = this.zonedTime(day, clock.endHour, clock.endMinute, timeZone);
+            if (end <= start) end = new Date(end.getTime() + 24 * UNIT_MS.hour);
+        } else if (durationMatch) {
+            const minutes = durationMatch[1]
+                ? parseNumber(durationMatch[1]) * (durationMatch[2] === 'hour' ? 60 : 1)
+                : 30;
+            end = new Date(start.getTime() + minutes * UNIT_MS.minute);
+        }
+
+        return { phrase, start, end, allDay: false };
+    }
+
+    // A date typed into the API: "2026-10-20" (all day in the user's zone), an ISO
+    // date-time, or a phrase such as "friday 3pm". Returns { start, allDay, phrase }
+    // or null when it can't be read.
+    parseInput(value, anchor = new Date()) {
+        const text = String(value || '').trim();
+        const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (dateOnly) {
+            const date = { year: parseInt(dateOnly[1]), month: parseInt(dateOnly[2]), day: parseInt(dateOnly[3]) };
+            return { start: this.zonedTime(date, 0, 0), allDay: true, phrase: null };
+        }
+
+        if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+            const start = new Date(text);
+            return isNaN(start) ? null : { start, allDay: false, phrase: null };
+        }
+
+        const resolved = this.resolve(text, anchor);
+        return resolved ? { start: resolved.start, allDay: resolved.allDay, phrase: resolved.phrase } : null;
+    }
+
+    // One phrase from the model's separate dates and times, when they are unambiguous
+    // ({ dates: ['tomorrow'], times: ['3pm'] } -> 'tomorrow 3pm'); null otherwise
+    combinePhrases(dates = [], times = []) {
+        const dateList = Array.isArray(dates) ? dates.filter(Boolean) : [];
+        const timeList = Array.isArray(times) ? times.filter(Boolean) : [];
+        if (dateList.length > 1 || timeList.length > 1) return null;
+
+        const phrase = [...dateList, ...timeList].join(' ').trim();
+        return phrase || null;
+    }
+}
+
+module.exports = new DateResolver();
@@ -0,0 +1,277 @@
+// backend/services/digest.js
+// Morning briefing built from what is already stored: open tasks, events coming up,
+// people a follow-up was promised to and, per project, what the recordings of the
+// last day (or week) were about. Project summaries come from the LLM when one is
+// configured; otherwise, or if it fails, they are put together from the extracted
+// entities.
+const database = require('./database');
+const aiProcessor = require('./aiProcessor');
+const dateResolver = require('./dateResolver');
+const recurrence = require('./recurrence');
+
+// days: how far back the recordings go; aheadDays: how far ahead events and due
+// tasks are shown (today included)
+const PERIODS = {
+    day: { days: 1, aheadDays: 3, label: 'yesterday' },
+    week: { days: 7, aheadDays: 7, label: 'the past week' }
+};
+
+// Weekly digests start on this day (0 = Sunday ... 6 = Saturday)
+const WEEK_START = process.env.DIGEST_WEEK_START !== undefined
+    ? parseInt(process.env.DIGEST_WEEK_START) % 7 || 0
+    : 1;
+
+// Open tasks without a date listed by name; the rest are only counted
+const MAX_LISTED_TASKS = 10;
+const MAX_TOPICS = 5;
+const RECORDING_PAGE_SIZE = 100;
+
+const PRIORITY_ORDER = { high: 0, normal: 1, low: 2 };
+
+function startOfDay(date) {
+    return dateResolver.zonedTime(date, 0, 0);
+}
+
+function briefTask(task) {
+    return {
+        id: task.id,
+        description: task.task_description,
+        priority: task.priority,
+        due_at: task.due_at,
+        all_day: Boolean(task.due_all_day),
+        project: task.project_name
+    };
+}
+
+class Digest {
+    constructor() {
+        this.periods = Object.keys(PERIODS);
+        this.weekStart = WEEK_START;
+    }
+
+    // First day of the period that contains now, in the user's time zone. A daily
+    // digest is for today; a weekly one for the week that started on WEEK_START.
+    periodDay(period, now = new Date()) {
+        const local = dateResolver.localParts(now);
+        const today = { year: local.year, month: local.month, day: local.day };
+        if (period !== 'week') return today;
+
+        return dateResolver.addDays(today, -((dateResolver.weekday(today) - this.weekStart + 7) % 7));
+    }
+
+    periodStart(period, now = new Date()) {
+        return startOfDay(this.periodDay(period, now));
+    }
+
+    // Build the digest for the period containing now ('day' or 'week')
+    async build(period = 'day', now = new Date()) {
+        const settings = PERIODS[period];
+        if (!settings) {
+            throw new Error(`Unknown digest period "${period}". Use one of: ${this.periods.join(', ')}`);
+        }
+
+        const local = dateResolver.localParts(now);
+        const today = { year: local.year, month: local.month, day: local.day };
+        const todayStart = startOfDay(today);
+        const upcomingUntil = startOfDay(dateResolver.addDays(today, settings.aheadDays));
+
+        const periodDay = this.periodDay(period, now);
+        const periodStart = startOfDay(periodDay);
+        const from = startOfDay(dateResolver.addDays(periodDay, -settings.days));
+
+        const digest = {
+            period,
+            period_start: periodStart,
+            generated_at: now,
+            recordings_from: from,
+            recordings_to: periodStart,
+            upcoming_until: upcomingUntil,
+            tasks: await this.buildTasks({ now, todayStart, upcomingUntil }),
+            events: await this.buildEvents({ todayStart, upcomingUntil }),
+            follow_ups: await this.buildFollowUps(),
+            projects: await this.buildProjects({ from, to: periodStart, label: settings.label })
+        };
+
+        console.log(`📰 Built ${period} digest: ${digest.tasks.open} open tasks, ${digest.events.length} events, ${digest.projects.length} projects`);
+        return digest;
+    }
+
+    // Open tasks split into overdue, due before upcomingUntil and the rest. All-day
+    // tasks are overdue from the day after they were due.
+    async buildTasks({ now, todayStart, upcomingUntil }) {
+        const tasks = await database.getPendingTasks();
+        const overdue = [];
+        const dueSoon = [];
+        const other = [];
+
+        for (const task of tasks) {
+            const due = task.due_at ? new Date(task.due_at) : null;
+            if (due && due < (task.due_all_day ? todayStart : now)) {
+                overdue.push(task);
+            } else if (due && due < upcomingUntil) {
+                dueSoon.push(task);
+            } else {
+                other.push(task);
+            }
+        }
+
+        const byDue = (a, b) => new Date(a.due_at) - new Date(b.due_at);
+        other.sort((a, b) => (PRIORITY_ORDER[a.priority] ?? 1) - (PRIORITY_ORDER[b.priority] ?? 1));
+
+        return {
+            open: tasks.length,
+            overdue: overdue.sort(byDue).map(briefTask),
+            due_soon: dueSoon.sort(byDue).map(briefTask),
+            other: other.slice(0, MAX_LISTED_TASKS).map(briefTask),
+            other_count: other.length
+        };
+    }
+
+    // Events from recordings and imported calendars from the start of today until
+    // upcomingUntil, earliest first. A repeating calendar event shows its next
+    // occurrence.
+    async buildEvents({ todayStart, upcomingUntil }) {
+        const entries = await database.getCalendarEntries();
+        const events = entries
+            .filter(entry => entry.kind === 'event')
+            .filter(entry => new Date(entry.starts_at) >= todayStart && new Date(entry.starts_at) < upcomingUntil)
+            .map(entry => ({
+                title: entry.title,
+                starts_at: entry.starts_at,
+                ends_at: entry.ends_at,
+                all_day: Boolean(entry.all_day),
+                project: entry.project_name,
+                source: 'recording',
+                recording_id: entry.recording_id
+            }));
+
+        const calendarEvents = await database.getCalendarEvents({ from: todayStart, to: upcomingUntil });
+        for (const event of calendarEvents) {
+            let startsAt = new Date(event.starts_at);
+            if (event.rrule) {
+                // Occurrences moved or cancelled in the calendar are skipped; a moved
+                // one is an event of its own
+                const skipped = new Set(event.exdates.map(date => new Date(date).getTime()));
+                let after = new Date(todayStart.getTime() - 1);
+                do {
+                    startsAt = recurrence.next(event.rrule, { after, start: event.starts_at, allDay: event.all_day });
+                    after = startsAt;
+                } while (startsAt && skipped.has(startsAt.getTime()));
+                if (!startsAt || startsAt >= upcomingUntil) continue;
+            }
+
+            const length = event.ends_at ? new Date(event.ends_at) - new Date(event.starts_at) : null;
+            events.push({
+                title: event.summary,
+                starts_at: startsAt,
+                ends_at: length !== null ? new Date(startsAt.getTime() + length) : null,
+                all_day: event.all_day,
+                location: event.location,
+                source: 'calendar'
+            });
+        }
+
+        return events.sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at));
+    }
+
+    async buildFollowUps() {
+        const followUps = await database.getFollowUps();
+        return followUps.map(({ contact, last_contact_at, tasks }) => ({
+            contact,
+            last_contact_at,
+            tasks: tasks.map(task => ({ id: task.id, description: task.task_description, due_at: task.due_at }))
+        }));
+    }
+
+    // One entry per project with recordings between from and to, busiest first
+    async buildProjects({ from, to, label }) {
+        const recordings = [];
+        let cursor = null;
+        do {
+            const page = await database.listRecordings({
+                from,
+                to: new Date(to.getTime() - 1),
+                sort: 'oldest',
+                limit: RECORDING_PAGE_SIZE,
+                cursor
+            });
+            recordings.push(...page.recordings);
+            cursor = page.next_cursor;
+        } while (cursor);
+
+        const groups = new Map();
+        for (const recording of recordings) {
+            const key = recording.project_id || 0;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    id: recording.project_id,
+                    name: recording.project ? recording.project.name : 'No project',
+                    recordings: []
+                });
+            }
+            groups.get(key).recordings.push(recording);
+        }
+
+        const projects = [];
+        for (const group of groups.values()) {
+            const highlights = this.highlights(group.recordings);
+            let summary = null;
+
+            try {
+                summary = await aiProcessor.summarizeRecordings(group.recordings, { projectName: group.name, period: label });
+            } catch (error) {
+                console.error(`Digest summary for project "${group.name}" failed, using the fallback:`, error.message);
+            }
+
+            projects.push({
+                project_id: group.id,
+                name: group.name,
+                summary: summary || this.fallbackSummary(highlights, label),
+                summary_source: summary ? 'llm' : 'fallback',
+                highlights
+            });
+        }
+
+        return projects.sort((a, b) => b.highlights.recordings - a.highlights.recordings || a.name.localeCompare(b.name));
+    }
+
+    // What the recordings' extracted entities say, without an LLM
+    highlights(recordings) {
+        const topicCounts = new Map();
+        const collect = (key) => [...new Set(recordings.flatMap(recording => (recording.entities || {})[key] || []))];
+
+        for (const recording of recordings) {
+            for (const topic of (recording.entities || {}).topics || []) {
+                topicCounts.set(topic, (topicCounts.get(topic) || 0) + 1);
+            }
+        }
+
+        return {
+            recordings: recordings.length,
+            words: recordings.reduce((total, recording) => total + (recording.word_count || 0), 0),
+            topics: [...topicCounts.entries()]
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .slice(0, MAX_TOPICS)
+                .map(([topic]) => topic),
+            people: collect('people'),
+            tasks: collect('tasks'),
+            events: collect('events'),
+            recording_ids: recordings.map(recording => recording.id)
+        };
+    }
+
+    // "3 recordings from yesterday (420 words). Topics: fence, budget. People: Sam.
+    // New tasks: call the builder."
+    fallbackSummary(highlights, label) {
+        const parts = [
+            `${highlights.recordings} recording${highlights.recordings === 1 ? '' : 's'} from ${label} (${highlights.words} words).`
+        ];
+        if (highlights.topics.length > 0) parts.push(`Topics: ${highlights.topics.join(', ')}.`);
+        if (highlights.people.length > 0) parts.push(`People: ${highlights.people.join(', ')}.`);
+        if (highlights.tasks.length > 0) parts.push(`New tasks: ${highlights.tasks.join('; ')}.`);
+        if (highlights.events.length > 0) parts.push(`Events: ${highlights.events.join('; ')}.`);
+        return parts.join(' ');
+    }
+}
+
+module.exports = new Digest();
@@ -0,0 +1,70 @@
+// backend/services/digestScheduler.js
+// Background worker that saves a daily digest every morning and a weekly one on the
+// first day of the week, so past digests can be browsed. A period that already has
+// a digest is left alone, so a restart doesn't save it twice, and one missed while
+// the server was down is saved when it comes back (later that day or week).
+const database = require('./database');
+const digest = require('./digest');
+const dateResolver = require('./dateResolver');
+
+const CHECK_INTERVAL_MS = parseInt(process.env.DIGEST_CHECK_INTERVAL_MS) || 15 * 60 * 1000;
+
+// Digests are built from this hour on (user's time zone)
+const DIGEST_HOUR = process.env.DIGEST_HOUR !== undefined
+    ? parseInt(process.env.DIGEST_HOUR) || 0
+    : 7;
+
+class DigestScheduler {
+    constructor() {
+        this.timer = null;
+        this.stopped = true;
+    }
+
+    start() {
+        this.stopped = false;
+        this.schedule(0);
+        console.log(`📰 Digest scheduler started (digests from ${DIGEST_HOUR}:00)`);
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.run(), delay);
+    }
+
+    async run() {
+        try {
+            await this.saveDueDigests();
+        } catch (error) {
+            console.error('Error saving digests:', error);
+        } finally {
+            if (!this.stopped) {
+                this.schedule(CHECK_INTERVAL_MS);
+            }
+        }
+    }
+
+    // Save the digest of every period that has started, is past DIGEST_HOUR on its
+    // first day and has none yet. Returns the saved digests.
+    async saveDueDigests(now = new Date()) {
+        const saved = [];
+
+        for (const period of digest.periods) {
+            const periodStart = digest.periodStart(period, now);
+            const firstDayHour = dateResolver.zonedTime(dateResolver.localParts(periodStart), DIGEST_HOUR, 0);
+            if (now < firstDayHour || await database.hasDigest(period, periodStart)) continue;
+
+            const content = await digest.build(period, now);
+            const row = await database.saveDigest(period, periodStart, content);
+            if (row) saved.push(row);
+        }
+
+        return saved;
+    }
+}
+
+module.exports = new DigestScheduler();
@@ -0,0 +1,286 @@
+// backend/services/extractionBackfill.js
+// Extracts entities again for recordings saved by an older extractor (or any chosen
+// project or date range). Runs live in the backfill_runs table and work through
+// recordings in id order, so a run stopped by a restart or a paused run carries on
+// from the last recording it finished. Each recording's previous entities are kept as
+// a revision, and what was added and removed is recorded per recording.
+const database = require('./database');
+const recordingPipeline = require('./recordingPipeline');
+const extractionSchema = require('./extractionSchema');
+
+// Pause between recordings, so a backfill doesn't crowd out live requests to the model
+const THROTTLE_MS = process.env.BACKFILL_THROTTLE_MS !== undefined
+    ? Math.max(0, parseInt(process.env.BACKFILL_THROTTLE_MS) || 0)
+    : 1000;
+
+// The process working through a run touches it after every recording; a run left
+// alone longer than this belonged to a process that died
+const STALE_RUN_MS = 2 * 60 * 1000;
+
+// How often the server looks for interrupted runs to take over
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class ExtractionBackfill {
+    constructor() {
+        this.timer = null;
+        this.stopped = false;
+        this.throttleMs = THROTTLE_MS;
+        // Run id -> promise of the work this process is doing on it
+        this.active = new Map();
+    }
+
+    // In the server: take over interrupted runs now and whenever one turns up
+    start() {
+        this.stopped = false;
+        this.schedule(0);
+        console.log('🔁 Extraction backfill worker started');
+    }
+
+    // Stop after the current recording. Runs this process was on stay running and
+    // unlocked, so the next start carries on with them.
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+
+        for (const runId of this.active.keys()) {
+            await database.updateBackfillRun(runId, { locked_at: null });
+        }
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.check(), delay);
+    }
+
+    async check() {
+        try {
+            await this.resumeInterrupted();
+        } catch (error) {
+            console.error('Error resuming backfill runs:', error);
+        } finally {
+            if (!this.stopped) {
+                this.schedule(CHECK_INTERVAL_MS);
+            }
+        }
+    }
+
+    // Check filters given to the API or the command line ({ projectId, from, to,
+    // belowVersion }, as strings or numbers). Returns { filters } or { error }.
+    parseFilters(input) {
+        const filters = {};
+
+        for (const name of ['projectId', 'belowVersion']) {
+            if (input[name] !== undefined && input[name] !== null && input[name] !== '') {
+                filters[name] = parseInt(input[name]);
+                if (isNaN(filters[name]) || filters[name] < 1) return { error: `Invalid ${name}` };
+            }
+        }
+
+        for (const name of ['from', 'to']) {
+            if (input[name]) {
+                const date = new Date(input[name]);
+                if (isNaN(date)) return { error: `Invalid ${name} date` };
+                filters[name] = date.toISOString();
+            }
+        }
+
+        // Re-extracting everything by accident costs a model call per recording
+        if (Object.keys(filters).length === 0) {
+            return { error: 'Choose a projectId, a from/to date range or a belowVersion' };
+        }
+        return { filters };
+    }
+
+    // filters: { projectId, from, to, belowVersion } - belowVersion 3 takes recordings
+    // extracted by v1 or v2. Creates the run and starts working through it in the
+    // background; wait() resolves when it stops.
+    async create(filters, { throttleMs = this.throttleMs } = {}) {
+        const candidates = await this.candidates(filters);
+        const run = await database.createBackfillRun({ filters, throttleMs, total: candidates.length });
+        return this.launch(run.id);
+    }
+
+    // Carry on with a paused, failed or interrupted run. Returns null if the run doesn't exist.
+    async resume(runId) {
+        const run = await database.getBackfillRun(runId);
+        if (!run) return null;
+
+        if (run.status === 'completed') {
+            throw new Error('Backfill run is already completed');
+        }
+        if (this.active.has(run.id)) return run;
+
+        return this.launch(run.id);
+    }
+
+    // The run once this process has stopped working on it (finished, paused or failed)
+    async wait(runId) {
+        await this.active.get(runId);
+        return database.getBackfillRun(runId);
+    }
+
+    // Stop a run after the recording it is on. Returns null if the run doesn't exist.
+    async pause(runId) {
+        const run = await database.getBackfillRun(runId);
+        if (!run) return null;
+
+        if (run.status !== 'running') {
+            throw new Error('Only running backfills can be paused');
+        }
+        return database.updateBackfillRun(runId, { status: 'paused' });
+    }
+
+    // Pick up runs that were running when their process stopped
+    async resumeInterrupted() {
+        const runs = await database.getStaleBackfillRuns(new Date(Date.now() - STALE_RUN_MS));
+
+        for (const run of runs) {
+            if (this.active.has(run.id)) continue;
+            console.log(`🔁 Resuming interrupted backfill run ${run.id}`);
+            await this.launch(run.id);
+        }
+        return runs.length;
+    }
+
+    async launch(runId) {
+        const run = await database.claimBackfillRun(runId, new Date(Date.now() - STALE_RUN_MS));
+        if (!run) {
+            throw new Error('Backfill run is already being processed');
+        }
+
+        const processing = this.process(run)
+            .catch(async (error) => {
+                console.error(`Error in backfill run ${run.id}:`, error);
+                await database.updateBackfillRun(run.id, { status: 'failed', last_error: error.message, locked_at: null });
+            })
+            .finally(() => this.active.delete(run.id));
+        this.active.set(run.id, processing);
+        return run;
+    }
+
+    // Recordings the filters cover after afterId, as [{ id, extractor_version }]
+    async candidates(filters, afterId = null) {
+        const recordings = await database.getBackfillCandidates({
+            projectId: filters.projectId,
+            from: filters.from ? new Date(filters.from) : null,
+            to: filters.to ? new Date(filters.to) : null
+        }, afterId);
+        if (!filters.belowVersion) return recordings;
+
+        return recordings.filter(recording =>
+            extractionSchema.versionNumber(recording.extractor_version) < filters.belowVersion);
+    }
+
+    async process(run) {
+        const recordings = await this.candidates(run.filters, run.last_recording_id);
+        console.log(`🔁 Backfill run ${run.id}: ${recordings.length} recordings to extract again`);
+
+        let current = run;
+        for (const [index, candidate] of recordings.entries()) {
+            if (this.stopped) return;
+
+            // Paused from the API or another process since the last recording
+            const latest = await database.getBackfillRun(run.id);
+            if (latest.status !== 'running') {
+                await database.updateBackfillRun(run.id, { locked_at: null });
+                console.log(`⏸️ Backfill run ${run.id} paused after ${latest.processed} recordings`);
+                return;
+            }
+
+            const result = await this.reextract(candidate.id);
+            if (result.stop) {
+                // The model isn't answering; resuming later starts again at this recording
+                await database.updateBackfillRun(run.id, { status: 'failed', last_error: result.error, locked_at: null });
+                console.error(`❌ Backfill run ${run.id} stopped at recording ${candidate.id}: ${result.error}`);
+                return;
+            }
+
+            if (result.status) {
+                await database.addBackfillResult(run.id, candidate.id, result);
+            }
+            current = await database.updateBackfillRun(run.id, {
+                last_recording_id: candidate.id,
+                processed: current.processed + 1,
+                changed: current.changed + (result.status === 'changed' ? 1 : 0),
+                failed: current.failed + (result.status === 'failed' ? 1 : 0),
+                locked_at: new Date()
+            });
+            console.log(`🔁 Backfill run ${run.id}: recording ${candidate.id} ${result.status || 'deleted'} (${current.processed}/${current.total})`);
+
+            if (index < recordings.length - 1 && run.throttle_ms > 0) {
+                await sleep(run.throttle_ms);
+            }
+        }
+
+        await database.updateBackfillRun(run.id, { status: 'completed', finished_at: new Date(), locked_at: null });
+        console.log(`✅ Backfill run ${run.id} completed: ${current.processed} recordings, ${current.changed} changed, ${current.failed} failed`);
+    }
+
+    // Extract one recording again. A failed extraction leaves its entities as they were.
+    // Returns a result for addBackfillResult, {} for a recording deleted since the run
+    // started, or { stop, error } when the run can't go on.
+    async reextract(recordingId) {
+        const recording = await database.getRecording(recordingId);
+        if (!recording) return {};
+
+        const { entities, extraction } = await recordingPipeline.extract(recording.text);
+        if (extraction.status === 'skipped') {
+            return { stop: true, error: 'No language model is configured' };
+        }
+        if (extraction.status === 'failed') {
+            const modelError = extraction.errors.find(error => error.startsWith('Model error'));
+            if (modelError) return { stop: true, error: modelError };
+            return { status: 'failed', error: extraction.errors.join('; ') };
+        }
+
+        const update = await database.updateRecording(recordingId, { entities, extraction, reason: 'reextract' });
+        if (!update) return {};
+
+        return {
+            status: update.changed ? 'changed' : 'unchanged',
+            added: update.diff.added,
+            removed: update.diff.removed,
+            kept: update.diff.kept,
+            revision: update.revision
+        };
+    }
+
+    // Public view of a run for the API, with its per-recording results when given
+    formatRun(run, results = null) {
+        const formatted = {
+            id: run.id,
+            status: run.status,
+            filters: run.filters,
+            throttle_ms: run.throttle_ms,
+            total: run.total,
+            processed: run.processed,
+            changed: run.changed,
+            failed: run.failed,
+            last_recording_id: run.last_recording_id,
+            last_error: run.last_error,
+            created_at: run.created_at,
+            updated_at: run.updated_at,
+            finished_at: run.finished_at
+        };
+
+        if (results) {
+            formatted.results = results.map(result => ({
+                recording_id: result.recording_id,
+                status: result.status,
+                added: result.added,
+                removed: result.removed,
+                kept: result.kept,
+                revision: result.revision_number,
+                error: result.error,
+                processed_at: result.processed_at
+            }));
+        }
+        return formatted;
+    }
+}
+
+module.exports = new ExtractionBackfill();
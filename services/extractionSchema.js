@@ -0,0 +1,158 @@
+// backend/services/extractionSchema.js
+// What entity extraction must return, as a JSON Schema sent to the model, plus the
+// checks run on the reply: validate() lists what is wrong with it and repair() fixes
+// what can be fixed without asking the model again.
+
+// Bump when the prompt or schema changes, so recordings extracted by an older
+// version can be found and extracted again
+const EXTRACTOR_VERSION = 'v2';
+
+// Category -> what the model should put in it
+const CATEGORIES = {
+    people: 'names of people mentioned',
+    tasks: 'action items or things to do',
+    events: 'meetings, appointments, social events',
+    dates: 'specific dates or time references',
+    times: 'specific times',
+    locations: 'addresses or place names',
+    items: 'shopping list entries and objects mentioned',
+    topics: 'main subjects discussed'
+};
+
+const MAX_VALUES = 50;
+const MAX_VALUE_LENGTH = 500;
+
+const SCHEMA = {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(CATEGORIES).map(([category, description]) => [category, {
+        type: 'array',
+        description,
+        items: { type: 'string', minLength: 1, maxLength: MAX_VALUE_LENGTH },
+        maxItems: MAX_VALUES
+    }])),
+    required: Object.keys(CATEGORIES),
+    additionalProperties: false
+};
+
+// Object keys a model sometimes wraps a value in ({ "name": "John" })
+const VALUE_KEYS = ['name', 'value', 'text', 'description', 'task', 'title'];
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// The first {...} in a reply that has text around its JSON, with trailing commas removed
+function salvageJson(reply) {
+    const start = reply.indexOf('{');
+    const end = reply.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+
+    try {
+        return JSON.parse(reply.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1'));
+    } catch (error) {
+        return null;
+    }
+}
+
+class ExtractionSchema {
+    constructor() {
+        this.version = EXTRACTOR_VERSION;
+        this.categories = CATEGORIES;
+        this.schema = SCHEMA;
+    }
+
+    // 'v2' -> 2. Recordings extracted before versions were recorded have none and
+    // count as version 1.
+    versionNumber(version) {
+        const match = String(version || '').match(/^v?(\d+)$/i);
+        return match ? parseInt(match[1]) : 1;
+    }
+
+    // Problems with value against the schema, as "path: message" strings; empty when valid.
+    // Covers the parts of JSON Schema the extraction schema uses.
+    validate(value, schema = SCHEMA, path = '') {
+        const where = path || '(root)';
+        const type = typeOf(value);
+        const errors = [];
+
+        if (schema.type && type !== schema.type) {
+            return [`${where}: must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}, got ${type}`];
+        }
+
+        if (type === 'object') {
+            for (const key of schema.required || []) {
+                if (!(key in value)) errors.push(`${where}: missing "${key}"`);
+            }
+            for (const [key, child] of Object.entries(value)) {
+                if (schema.properties && schema.properties[key]) {
+                    errors.push(...this.validate(child, schema.properties[key], `${path}/${key}`));
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${where}: unexpected "${key}"`);
+                }
+            }
+        } else if (type === 'array') {
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${where}: more than ${schema.maxItems} values`);
+            }
+            if (schema.items) {
+                value.forEach((child, i) => errors.push(...this.validate(child, schema.items, `${path}/${i}`)));
+            }
+        } else if (type === 'string') {
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                errors.push(`${where}: is empty`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${where}: longer than ${schema.maxLength} characters`);
+            }
+        }
+
+        return errors;
+    }
+
+    // Parse a model reply: plain JSON, JSON in a Markdown code fence (local models add
+    // one despite being asked not to) or JSON with text around it. null if there's none.
+    parse(reply) {
+        const text = String(reply || '').trim();
+        const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+
+        try {
+            return JSON.parse(fenced ? fenced[1] : text);
+        } catch (error) {
+            return salvageJson(text);
+        }
+    }
+
+    // Bend a parsed reply into the schema's shape: a single string becomes a list,
+    // wrapped values are unwrapped, empty and repeated values and unknown categories
+    // are dropped, missing categories are empty. null if value isn't an object at all.
+    repair(value) {
+        if (typeOf(value) !== 'object') return null;
+
+        const repaired = {};
+        for (const category of Object.keys(CATEGORIES)) {
+            const raw = value[category];
+            const list = raw === undefined || raw === null ? [] : Array.isArray(raw) ? raw : [raw];
+            const values = [];
+
+            for (const entry of list) {
+                let text = entry;
+                if (typeOf(entry) === 'object') {
+                    const key = VALUE_KEYS.find(candidate => typeof entry[candidate] === 'string');
+                    text = key ? entry[key] : null;
+                } else if (typeof entry === 'number') {
+                    text = String(entry);
+                }
+
+                if (typeof text !== 'string') continue;
+                text = text.trim().slice(0, MAX_VALUE_LENGTH);
+                if (text && !values.includes(text)) values.push(text);
+            }
+
+            repaired[category] = values.slice(0, MAX_VALUES);
+        }
+        return repaired;
+    }
+}
+
+module.exports = new ExtractionSchema();
@@ -0,0 +1,225 @@
+// backend/services/icalendar.js
+// Reads and writes iCalendar (RFC 5545) files: the feed calendar apps subscribe to,
+// and .ics files exported from them. Only what events need is supported - VEVENTs
+// with start, end or duration, summary, description, location and a repeat rule.
+const crypto = require('crypto');
+const dateResolver = require('./dateResolver');
+
+const PRODUCT_ID = '-//AI Life Assistant//Calendar//EN';
+const UID_DOMAIN = 'ai-life-assistant';
+
+// Lines are folded at 75 octets; continuation lines start with a space
+const MAX_LINE_OCTETS = 75;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+// 20261020T130000Z
+function formatDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// 20261020, the day in the user's time zone
+function formatDate(date) {
+    const local = dateResolver.localParts(date);
+    return `${local.year}${pad(local.month)}${pad(local.day)}`;
+}
+
+// "P1DT2H30M" -> milliseconds
+function parseDuration(value) {
+    const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const ms = ((parseInt(weeks || 0) * 7 + parseInt(days || 0)) * 24 * 3600
+        + parseInt(hours || 0) * 3600 + parseInt(minutes || 0) * 60 + parseInt(seconds || 0)) * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+class ICalendar {
+    // Stable UID for an item of the feed, so calendar apps update it instead of
+    // adding a copy each time the feed is refreshed
+    uid(kind, id) {
+        return `${kind}-${id}@${UID_DOMAIN}`;
+    }
+
+    // items: [{ uid, summary, description, location, start, end, allDay, updatedAt }]
+    render(items, { name = 'Life Assistant', now = new Date() } = {}) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeText(name)}`,
+            `X-WR-TIMEZONE:${dateResolver.timeZone}`
+        ];
+
+        for (const item of items) {
+            const start = new Date(item.start);
+            lines.push('BEGIN:VEVENT', `UID:${item.uid}`, `DTSTAMP:${formatDateTime(now)}`);
+
+            if (item.allDay) {
+                const end = item.end ? new Date(item.end) : new Date(start.getTime() + DAY_MS);
+                lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`);
+                lines.push(`DTEND;VALUE=DATE:${formatDate(end > start ? end : new Date(start.getTime() + DAY_MS))}`);
+            } else {
+                lines.push(`DTSTART:${formatDateTime(start)}`);
+                if (item.end) lines.push(`DTEND:${formatDateTime(new Date(item.end))}`);
+            }
+
+            lines.push(`SUMMARY:${escapeText(item.summary)}`);
+            if (item.description) lines.push(`DESCRIPTION:${escapeText(item.description)}`);
+            if (item.location) lines.push(`LOCATION:${escapeText(item.location)}`);
+            if (item.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(new Date(item.updatedAt))}`);
+            lines.push('END:VEVENT');
+        }
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    // Events in an .ics file: [{ uid, summary, description, location, start, end,
+    // allDay, rrule, recurrenceId, cancelled }]. An event with a recurrenceId replaces
+    // that occurrence of the repeating event with its UID. Throws 'Not an iCalendar
+    // file' for anything else.
+    parse(text) {
+        const lines = String(text).replace(/^﻿/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+            throw new Error('Not an iCalendar file');
+        }
+
+        const events = [];
+        const components = [];
+        let event = null;
+
+        for (const line of lines) {
+            const property = this.parseLine(line);
+            if (!property) continue;
+
+            if (property.name === 'BEGIN') {
+                components.push(property.value.toUpperCase());
+                if (property.value.toUpperCase() === 'VEVENT') event = {};
+                continue;
+            }
+            if (property.name === 'END') {
+                const component = components.pop();
+                if (component === 'VEVENT' && event) {
+                    const parsed = this.toEvent(event);
+                    if (parsed) events.push(parsed);
+                    event = null;
+                }
+                continue;
+            }
+
+            // Properties of a VALARM inside the event are not the event's
+            if (event && components[components.length - 1] === 'VEVENT') {
+                event[property.name] = property;
+            }
+        }
+
+        return events;
+    }
+
+    // NAME;PARAM=value;PARAM="value":VALUE
+    parseLine(line) {
+        const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^;:]*))*):(.*)$/);
+        if (!match) return null;
+
+        const params = {};
+        for (const param of match[2].matchAll(/;([A-Za-z0-9-]+)=("[^"]*"|[^;:]*)/g)) {
+            params[param[1].toUpperCase()] = param[2].replace(/^"|"$/g, '');
+        }
+        return { name: match[1].toUpperCase(), params, value: match[3] };
+    }
+
+    toEvent(properties) {
+        if (!properties.DTSTART) return null;
+
+        const start = this.parseDate(properties.DTSTART);
+        if (!start) return null;
+
+        let end = properties.DTEND ? this.parseDate(properties.DTEND) : null;
+        if (!end && properties.DURATION) {
+            const duration = parseDuration(properties.DURATION.value);
+            if (duration !== null) end = { date: new Date(start.date.getTime() + duration) };
+        }
+        // An all-day event without an end lasts the one day
+        if (!end && start.allDay) end = { date: new Date(start.date.getTime() + DAY_MS) };
+
+        const recurrenceId = properties['RECURRENCE-ID'] ? this.parseDate(properties['RECURRENCE-ID']) : null;
+        const text = (name) => (properties[name] ? unescapeText(properties[name].value).trim() || null : null);
+        const summary = text('SUMMARY') || '(no title)';
+
+        return {
+            // Events without a UID get one from what they are, so importing the same
+            // file twice still doesn't add them twice
+            uid: text('UID') || crypto.createHash('sha1')
+                .update(`${summary}|${start.date.toISOString()}`)
+                .digest('hex') + '@import',
+            summary,
+            description: text('DESCRIPTION'),
+            location: text('LOCATION'),
+            start: start.date,
+            end: end ? end.date : null,
+            allDay: start.allDay,
+            rrule: properties.RRULE ? properties.RRULE.value : null,
+            recurrenceId: recurrenceId ? recurrenceId.date : null,
+            cancelled: text('STATUS') === 'CANCELLED'
+        };
+    }
+
+    // DATE (all day), UTC date-time, or a local date-time in TZID or the user's zone
+    parseDate(property) {
+        const match = property.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+        if (!match) return null;
+
+        const [, year, month, day, hour, minute, second, utc] = match;
+        const date = { year: parseInt(year), month: parseInt(month), day: parseInt(day) };
+
+        if (hour === undefined) {
+            return { date: dateResolver.zonedTime(date, 0, 0), allDay: true };
+        }
+        if (utc) {
+            return { date: new Date(Date.UTC(date.year, date.month - 1, date.day, parseInt(hour), parseInt(minute), parseInt(second || 0))), allDay: false };
+        }
+
+        const timeZone = dateResolver.validTimeZone(property.params.TZID) || dateResolver.timeZone;
+        const zoned = dateResolver.zonedTime(date, parseInt(hour), parseInt(minute), timeZone);
+        return { date: new Date(zoned.getTime() + parseInt(second || 0) * 1000), allDay: false };
+    }
+}
+
+module.exports = new ICalendar();
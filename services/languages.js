@@ -0,0 +1,115 @@
+// backend/services/languages.js
+// Language codes for recordings. Everything is stored as ISO 639-1 ("en", "es");
+// Whisper reports full names ("spanish"), which normalize() maps back to codes.
+
+const LANGUAGE_NAMES = {
+    af: 'Afrikaans', ar: 'Arabic', bg: 'Bulgarian', ca: 'Catalan', cs: 'Czech',
+    cy: 'Welsh', da: 'Danish', de: 'German', el: 'Greek', en: 'English',
+    es: 'Spanish', et: 'Estonian', fa: 'Persian', fi: 'Finnish', fr: 'French',
+    he: 'Hebrew', hi: 'Hindi', hr: 'Croatian', hu: 'Hungarian', id: 'Indonesian',
+    is: 'Icelandic', it: 'Italian', ja: 'Japanese', ko: 'Korean', lt: 'Lithuanian',
+    lv: 'Latvian', ms: 'Malay', nl: 'Dutch', no: 'Norwegian', pl: 'Polish',
+    pt: 'Portuguese', ro: 'Romanian', ru: 'Russian', sk: 'Slovak', sl: 'Slovenian',
+    sr: 'Serbian', sv: 'Swedish', sw: 'Swahili', ta: 'Tamil', th: 'Thai',
+    tl: 'Tagalog', tr: 'Turkish', uk: 'Ukrainian', ur: 'Urdu', vi: 'Vietnamese',
+    zh: 'Chinese'
+};
+
+// Whisper names that don't match the English name above
+const NAME_ALIASES = {
+    'castilian': 'es',
+    'flemish': 'nl',
+    'moldavian': 'ro',
+    'moldovan': 'ro',
+    'valencian': 'ca',
+    'mandarin': 'zh',
+    'cantonese': 'zh',
+    'nynorsk': 'no',
+    'norwegian nynorsk': 'no'
+};
+
+const CODES_BY_NAME = Object.entries(LANGUAGE_NAMES).reduce((codes, [code, name]) => {
+    codes[name.toLowerCase()] = code;
+    return codes;
+}, { ...NAME_ALIASES });
+
+// Common function words, enough to tell typed notes apart in the languages
+// people most often mix with English
+const STOP_WORDS = {
+    en: ['the', 'and', 'to', 'of', 'is', 'that', 'with', 'for', 'this', 'have', 'need', 'call', 'tomorrow'],
+    es: ['el', 'la', 'que', 'de', 'y', 'los', 'las', 'por', 'para', 'con', 'una', 'mañana', 'tengo', 'hay'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'mit', 'für', 'auf', 'ein', 'eine', 'morgen', 'muss'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'je', 'pour', 'avec', 'une', 'des', 'pas', 'demain', 'il', 'faut'],
+    it: ['il', 'che', 'di', 'e', 'per', 'con', 'una', 'sono', 'non', 'domani', 'devo', 'gli'],
+    pt: ['o', 'que', 'de', 'e', 'não', 'para', 'com', 'uma', 'os', 'amanhã', 'preciso', 'você'],
+    nl: ['de', 'het', 'een', 'en', 'is', 'niet', 'ik', 'met', 'voor', 'op', 'morgen', 'moet']
+};
+
+// Scripts that identify a language (or a likely one) on their own
+const SCRIPT_LANGUAGES = [
+    [/[぀-ヿ]/u, 'ja'],
+    [/[가-힯]/u, 'ko'],
+    [/\p{Script=Han}/u, 'zh'],
+    [/\p{Script=Arabic}/u, 'ar'],
+    [/\p{Script=Hebrew}/u, 'he'],
+    [/\p{Script=Greek}/u, 'el'],
+    [/\p{Script=Devanagari}/u, 'hi'],
+    [/\p{Script=Thai}/u, 'th'],
+    [/\p{Script=Cyrillic}/u, 'ru']
+];
+
+class Languages {
+    constructor() {
+        // What typed text is taken to be in when detection can't tell (DEFAULT_LANGUAGE)
+        this.defaultLanguage = this.normalize(process.env.DEFAULT_LANGUAGE) || 'en';
+    }
+
+    // 'es', 'ES', 'es-MX' and 'spanish' all become 'es'; unknown values become null
+    normalize(value) {
+        if (!value || typeof value !== 'string') return null;
+
+        const lower = value.trim().toLowerCase();
+        const code = lower.split(/[-_]/)[0];
+
+        if (LANGUAGE_NAMES[code]) return code;
+        return CODES_BY_NAME[lower] || null;
+    }
+
+    isSupported(code) {
+        return Boolean(LANGUAGE_NAMES[code]);
+    }
+
+    getName(code) {
+        return LANGUAGE_NAMES[code] || code;
+    }
+
+    // Best guess for typed text (audio gets Whisper's detection instead). Text too
+    // short or ambiguous to tell gets the default language; empty text gets null.
+    detect(text) {
+        if (!text || text.trim() === '') return null;
+
+        for (const [pattern, code] of SCRIPT_LANGUAGES) {
+            if (pattern.test(text)) return code;
+        }
+
+        const words = text.toLowerCase().split(/[^\p{L}']+/u).filter(Boolean);
+        let best = null;
+        let bestHits = 0;
+        let runnerUp = 0;
+
+        for (const [code, stopWords] of Object.entries(STOP_WORDS)) {
+            const hits = words.filter(word => stopWords.includes(word)).length;
+            if (hits > bestHits) {
+                runnerUp = bestHits;
+                bestHits = hits;
+                best = code;
+            } else if (hits > runnerUp) {
+                runnerUp = hits;
+            }
+        }
+
+        return bestHits >= 2 && bestHits > runnerUp ? best : this.defaultLanguage;
+    }
+}
+
+module.exports = new Languages();
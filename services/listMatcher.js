@@ -0,0 +1,110 @@
+// backend/services/listMatcher.js
+// Text rules for shopping and checklist lists: which list a memo's items belong to
+// ("add nails to my hardware list"), when two item names are the same item ("the
+// eggs" and "2 egg"), and which items a memo says are done ("bought the milk").
+
+const DEFAULT_LIST_NAME = process.env.DEFAULT_LIST_NAME || 'Shopping';
+
+// Dropped from the front of an item name: articles, amounts and units
+const LEADING_WORDS = new Set([
+    'a', 'an', 'the', 'some', 'more', 'few', 'couple', 'another', 'extra', 'any',
+    'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'dozen', 'half', 'of'
+]);
+const UNITS = new Set([
+    'kg', 'g', 'lb', 'lbs', 'oz', 'l', 'ml', 'liter', 'litre', 'gallon', 'pound',
+    'bottle', 'bag', 'box', 'pack', 'packet', 'can', 'jar', 'loaf', 'carton', 'bunch', 'tin'
+]);
+
+// Lists that are really the task list
+const TASK_LIST_NAMES = new Set(['to do', 'todo', 'task', 'tasks']);
+
+// "bought", "picked up the" ... followed by the items. Not "got to buy".
+const DONE_PATTERN = /\b(?:bought|got|picked up|grabbed|purchased|packed|found|already have|crossed off|checked off|ticked off)\b(?!\s+to\b)/;
+const NEGATION_PATTERN = /\b(?:not|never|no|didn't|didnt|haven't|havent|couldn't|couldnt|forgot|still need|need to|have to)\b/;
+
+// "eggs" -> "egg", "berries" -> "berry", "glasses" -> "glass", "tomatoes" -> "tomato"
+function singular(word) {
+    if (word.length <= 3 || word.endsWith('ss')) return word;
+    if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (/(?:ch|sh|x|ss)es$/.test(word) || (word.endsWith('oes') && word.length > 5)) return word.slice(0, -2);
+    if (word.endsWith('s')) return word.slice(0, -1);
+    return word;
+}
+
+function words(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+}
+
+class ListMatcher {
+    constructor() {
+        this.defaultListName = DEFAULT_LIST_NAME;
+    }
+
+    // Key two item names share when they are the same item; empty if nothing is left
+    normalizeItem(name) {
+        const itemWords = words(name);
+
+        while (itemWords.length > 1 && (LEADING_WORDS.has(itemWords[0]) || /^\d+$/.test(itemWords[0])
+            || (UNITS.has(singular(itemWords[0])) && itemWords[1] === 'of'))) {
+            itemWords.shift();
+        }
+        return itemWords.map(singular).join(' ');
+    }
+
+    normalizeListName(name) {
+        return words(name).join(' ');
+    }
+
+    // The list a memo names ("put it on the packing list", "Hardware list: nails"),
+    // as a display name, or null when it doesn't name one
+    listNameFromText(text) {
+        const patterns = [
+            /\b(?:to|on|onto|for|in|into)\s+(?:my|the|our|a)\s+([\p{L}\p{N}' -]{1,40}?)\s+list\b/iu,
+            /(?:^|[.!?\n]\s*)([\p{L}\p{N}' -]{1,40}?)\s+list\s*:/iu
+        ];
+
+        for (const pattern of patterns) {
+            const match = String(text || '').match(pattern);
+            if (!match) continue;
+
+            // At most the three words nearest "list"
+            const nameWords = match[1].trim().split(/\s+/).slice(-3);
+            const name = nameWords.join(' ');
+            if (TASK_LIST_NAMES.has(this.normalizeListName(name))) continue;
+
+            return name.charAt(0).toUpperCase() + name.slice(1);
+        }
+        return null;
+    }
+
+    // items: [{ id, normalized_name }]. Returns the ids of those the text says were
+    // bought or done ("got the eggs and the milk"), skipping negated clauses.
+    findCheckedOff(text, items) {
+        const done = new Set();
+        const clauses = String(text || '').toLowerCase().split(/[.!?;\n]+|,\s*but\b/);
+
+        for (const clause of clauses) {
+            const verb = clause.match(DONE_PATTERN);
+            if (!verb || NEGATION_PATTERN.test(clause)) continue;
+
+            const rest = ` ${words(clause.slice(verb.index + verb[0].length)).map(singular).join(' ')} `;
+            for (const item of items) {
+                if (item.normalized_name && rest.includes(` ${item.normalized_name} `)) {
+                    done.add(item.id);
+                }
+            }
+        }
+
+        return [...done];
+    }
+}
+
+module.exports = new ListMatcher();
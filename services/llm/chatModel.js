@@ -0,0 +1,36 @@
+// backend/services/llm/chatModel.js
+// Contract for chat-completion backends. Callers pass OpenAI-style messages and
+// per-call settings; prompts and parsing stay in aiProcessor.
+
+const INTERFACE_METHODS = [
+    'complete',             // (messages, { task, model, temperature, maxTokens, responseSchema }) -> { content, model, usage }
+    'test'                  // () -> { status: 'ok' | 'error', message }
+];
+
+class ChatModel {
+    constructor() {
+        if (new.target === ChatModel) {
+            throw new Error('ChatModel is an interface - use a concrete chat model');
+        }
+
+        // Short identifier reported in health checks, e.g. "openai"
+        this.name = 'unknown';
+        // Used when neither the task nor the call names a model
+        this.defaultModel = null;
+    }
+
+    // False when the backend can't be called at all (e.g. no API key)
+    isConfigured() {
+        return true;
+    }
+}
+
+for (const method of INTERFACE_METHODS) {
+    ChatModel.prototype[method] = async function () {
+        throw new Error(`${this.constructor.name} does not implement ${method}()`);
+    };
+}
+
+ChatModel.INTERFACE_METHODS = INTERFACE_METHODS;
+
+module.exports = ChatModel;
@@ -0,0 +1,57 @@
+// backend/services/llm/index.js
+const ChatModel = require('./chatModel');
+const OpenAIChatModel = require('./openaiChatModel');
+const LocalChatModel = require('./localChatModel');
+const MockChatModel = require('./mockChatModel');
+
+const PROVIDERS = {
+    openai: OpenAIChatModel,
+    local: LocalChatModel,
+    mock: MockChatModel
+};
+
+// Per-task defaults. Each can be overridden with LLM_<TASK>_MODEL,
+// LLM_<TASK>_TEMPERATURE and LLM_<TASK>_MAX_TOKENS; LLM_MODEL sets the model
+// for every task. A null model means the provider's default.
+const TASK_DEFAULTS = {
+    extraction: { model: null, temperature: 0.1, maxTokens: 800 },
+    chat: { model: null, temperature: 0.3, maxTokens: 500 },
+    translation: { model: null, temperature: 0, maxTokens: 2000 },
+    digest: { model: null, temperature: 0.2, maxTokens: 300 },
+    matching: { model: null, temperature: 0, maxTokens: 300 }
+};
+
+// Pick a chat model by name, defaulting to LLM_PROVIDER (mock under NODE_ENV=test, otherwise openai)
+function createChatModel(provider = process.env.LLM_PROVIDER || (process.env.NODE_ENV === 'test' ? 'mock' : 'openai'), options = {}) {
+    const Provider = PROVIDERS[provider.toLowerCase()];
+
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider "${provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return new Provider(options);
+}
+
+function getTaskSettings(task) {
+    const defaults = TASK_DEFAULTS[task] || {};
+    const prefix = `LLM_${task.toUpperCase()}_`;
+    const temperature = parseFloat(process.env[`${prefix}TEMPERATURE`]);
+    const maxTokens = parseInt(process.env[`${prefix}MAX_TOKENS`]);
+
+    return {
+        task,
+        model: process.env[`${prefix}MODEL`] || process.env.LLM_MODEL || defaults.model || null,
+        temperature: isNaN(temperature) ? defaults.temperature : temperature,
+        maxTokens: isNaN(maxTokens) ? defaults.maxTokens : maxTokens
+    };
+}
+
+module.exports = {
+    createChatModel,
+    getTaskSettings,
+    TASK_DEFAULTS,
+    ChatModel,
+    OpenAIChatModel,
+    LocalChatModel,
+    MockChatModel
+};
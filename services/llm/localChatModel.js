@@ -0,0 +1,27 @@
+// backend/services/llm/localChatModel.js
+// Any server speaking the OpenAI chat completions protocol: Ollama
+// (http://localhost:11434/v1), llama.cpp server (http://localhost:8080/v1),
+// LM Studio, vLLM and so on. An API key is only sent if one is configured.
+// Structured output defaults to a json_schema response format, which these servers
+// turn into a grammar; not every local model can call functions.
+const OpenAIChatModel = require('./openaiChatModel');
+
+class LocalChatModel extends OpenAIChatModel {
+    constructor(options = {}) {
+        super({
+            timeout: parseInt(process.env.LOCAL_LLM_TIMEOUT_MS) || 5 * 60 * 1000,
+            structuredOutput: process.env.LLM_STRUCTURED_OUTPUT || 'json_schema',
+            ...options,
+            baseUrl: options.baseUrl || process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+            model: options.model || process.env.LOCAL_LLM_MODEL || 'llama3.1'
+        });
+        this.name = 'local';
+        this.apiKey = options.apiKey || process.env.LOCAL_LLM_API_KEY || null;
+    }
+
+    isConfigured() {
+        return true;
+    }
+}
+
+module.exports = LocalChatModel;
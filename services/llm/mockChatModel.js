@@ -0,0 +1,90 @@
+// backend/services/llm/mockChatModel.js
+// Scripted replies for tests and offline development. Rules come from the JSON
+// file at LLM_MOCK_SCRIPT or from script(); each rule looks like
+//   { "task": "extraction", "match": "milk", "reply": { "items": ["milk"] } }
+// and the first rule whose task and match (case-insensitive substring of the
+// last user message) fit is used. Object replies are sent as JSON. A rule with
+// "status" instead of a reply fails like an HTTP error with that status.
+// Replies queued with enqueue() are returned first, in order.
+const fs = require('fs');
+const ChatModel = require('./chatModel');
+
+const DEFAULT_REPLIES = {
+    extraction: '{}'
+};
+
+class MockChatModel extends ChatModel {
+    constructor(options = {}) {
+        super();
+        this.name = 'mock';
+        this.defaultModel = 'mock';
+        this.rules = [];
+        this.queue = [];
+        this.calls = [];
+
+        const scriptPath = options.scriptPath || process.env.LLM_MOCK_SCRIPT;
+        if (scriptPath) {
+            this.script(JSON.parse(fs.readFileSync(scriptPath, 'utf8')));
+        }
+        if (options.rules) {
+            this.script(options.rules);
+        }
+    }
+
+    script(rules) {
+        this.rules.push(...rules);
+        return this;
+    }
+
+    enqueue(...replies) {
+        this.queue.push(...replies);
+        return this;
+    }
+
+    reset() {
+        this.rules = [];
+        this.queue = [];
+        this.calls = [];
+    }
+
+    async complete(messages, { task = null, model, responseSchema = null } = {}) {
+        const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+        const prompt = lastUserMessage ? String(lastUserMessage.content) : '';
+
+        this.calls.push({ task, model: model || this.defaultModel, messages, responseSchema });
+
+        let rule;
+        if (this.queue.length > 0) {
+            const queued = this.queue.shift();
+            rule = queued && typeof queued === 'object' && ('reply' in queued || 'status' in queued)
+                ? queued
+                : { reply: queued };
+        } else {
+            rule = this.rules.find(candidate =>
+                (!candidate.task || candidate.task === task) &&
+                (!candidate.match || prompt.toLowerCase().includes(String(candidate.match).toLowerCase()))
+            );
+        }
+
+        if (rule && rule.status) {
+            const error = new Error(`Mock chat model failed with status ${rule.status}`);
+            error.response = { status: rule.status };
+            throw error;
+        }
+
+        let content;
+        if (rule) {
+            content = typeof rule.reply === 'string' ? rule.reply : JSON.stringify(rule.reply);
+        } else {
+            content = DEFAULT_REPLIES[task] || `Mock ${task || 'chat'} response.`;
+        }
+
+        return { content, model: model || this.defaultModel, usage: null };
+    }
+
+    async test() {
+        return { status: 'ok', message: `Mock chat model is active with ${this.rules.length} scripted replies` };
+    }
+}
+
+module.exports = MockChatModel;
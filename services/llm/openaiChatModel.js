@@ -0,0 +1,100 @@
+// backend/services/llm/openaiChatModel.js
+const axios = require('axios');
+const ChatModel = require('./chatModel');
+
+// How a responseSchema is sent: as a function the model is made to call (works with
+// every chat model), as a json_schema response format (newer models and most local
+// servers), or not at all
+const STRUCTURED_OUTPUT_MODES = ['tool', 'json_schema', 'off'];
+
+class OpenAIChatModel extends ChatModel {
+    constructor(options = {}) {
+        super();
+        this.name = 'openai';
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.defaultModel = options.model || 'gpt-3.5-turbo';
+        this.timeout = options.timeout || parseInt(process.env.LLM_TIMEOUT_MS) || 60000;
+        this.structuredOutput = options.structuredOutput || process.env.LLM_STRUCTURED_OUTPUT || 'tool';
+
+        if (!STRUCTURED_OUTPUT_MODES.includes(this.structuredOutput)) {
+            throw new Error(`Unknown LLM_STRUCTURED_OUTPUT "${this.structuredOutput}". Use one of: ${STRUCTURED_OUTPUT_MODES.join(', ')}`);
+        }
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    // Axios errors are passed through so callers can react to error.response.status.
+    // With responseSchema ({ name, description, schema }) the reply content is the
+    // JSON the model produced for it.
+    async complete(messages, { model, temperature, maxTokens, responseSchema } = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('OpenAI API key not configured');
+        }
+
+        const body = {
+            model: model || this.defaultModel,
+            messages
+        };
+        if (typeof temperature === 'number') body.temperature = temperature;
+        if (maxTokens) body.max_tokens = maxTokens;
+        if (responseSchema) this.addResponseSchema(body, responseSchema);
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+            headers: this.getHeaders(),
+            timeout: this.timeout
+        });
+
+        const choice = response.data.choices?.[0];
+        const toolCall = choice?.message?.tool_calls?.[0];
+        const content = toolCall ? toolCall.function?.arguments : choice?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('Unexpected response format from chat completions API');
+        }
+
+        return {
+            content: content.trim(),
+            model: response.data.model || body.model,
+            usage: response.data.usage || null
+        };
+    }
+
+    addResponseSchema(body, { name, description, schema }) {
+        if (this.structuredOutput === 'tool') {
+            body.tools = [{ type: 'function', function: { name, description, parameters: schema } }];
+            body.tool_choice = { type: 'function', function: { name } };
+        } else if (this.structuredOutput === 'json_schema') {
+            // Not strict: strict mode rejects length and count limits, which the
+            // caller validates anyway
+            body.response_format = { type: 'json_schema', json_schema: { name, description, schema, strict: false } };
+        }
+    }
+
+    getHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    async test() {
+        if (!this.isConfigured()) {
+            return { status: 'error', message: 'OpenAI API key not configured' };
+        }
+
+        try {
+            await axios.get(`${this.baseUrl}/models`, { headers: this.getHeaders(), timeout: 5000 });
+            return { status: 'ok', message: `Chat model ready (${this.defaultModel})` };
+        } catch (error) {
+            return {
+                status: 'error',
+                message: `Service test failed: ${error.response?.status || error.message}`
+            };
+        }
+    }
+}
+
+module.exports = OpenAIChatModel;
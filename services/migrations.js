@@ -0,0 +1,187 @@
+// backend/services/migrations.js
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary constant so concurrent deploys don't run migrations twice
+const ADVISORY_LOCK_KEY = 712604;
+
+class MigrationRunner {
+    constructor(pool, options = {}) {
+        this.pool = pool;
+        this.migrationsDir = options.migrationsDir || MIGRATIONS_DIR;
+        this.useAdvisoryLock = options.useAdvisoryLock !== false;
+    }
+
+    // Read migration files from disk, ordered by version
+    loadMigrations() {
+        return fs.readdirSync(this.migrationsDir)
+            .map(file => {
+                const match = file.match(MIGRATION_FILE_PATTERN);
+                if (!match) return null;
+
+                const migration = require(path.join(this.migrationsDir, file));
+                return {
+                    version: match[1],
+                    name: match[2],
+                    up: migration.up,
+                    down: migration.down
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+    }
+
+    async ensureMigrationsTable(client) {
+        const existing = await client.query(
+            "SELECT 1 FROM information_schema.tables WHERE table_name = 'schema_migrations'"
+        );
+        if (existing.rows.length > 0) return;
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version VARCHAR(32) PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+    }
+
+    async getAppliedVersions(client) {
+        await this.ensureMigrationsTable(client);
+        const result = await client.query(
+            'SELECT version, applied_at FROM schema_migrations ORDER BY version ASC'
+        );
+        return new Map(result.rows.map(row => [row.version, row.applied_at]));
+    }
+
+    // Run fn with a dedicated client, holding the migration lock if enabled
+    async withLock(fn) {
+        const client = await this.pool.connect();
+
+        try {
+            if (this.useAdvisoryLock) {
+                await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+            }
+            return await fn(client);
+        } finally {
+            if (this.useAdvisoryLock) {
+                await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]).catch(() => {});
+            }
+            client.release();
+        }
+    }
+
+    async status() {
+        const client = await this.pool.connect();
+
+        try {
+            const applied = await this.getAppliedVersions(client);
+            const migrations = this.loadMigrations();
+            const known = new Set(migrations.map(m => m.version));
+
+            const rows = migrations.map(m => ({
+                version: m.version,
+                name: m.name,
+                applied: applied.has(m.version),
+                applied_at: applied.get(m.version) || null
+            }));
+
+            // Versions recorded in the database that no longer have a file
+            for (const [version, appliedAt] of applied) {
+                if (!known.has(version)) {
+                    rows.push({ version, name: '(missing file)', applied: true, applied_at: appliedAt });
+                }
+            }
+
+            return rows;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getPending() {
+        const rows = await this.status();
+        return rows.filter(row => !row.applied);
+    }
+
+    // Apply pending migrations in order, optionally stopping at a target version
+    async up({ to = null } = {}) {
+        return this.withLock(async (client) => {
+            const applied = await this.getAppliedVersions(client);
+            const pending = this.loadMigrations().filter(m =>
+                !applied.has(m.version) && (to === null || parseInt(m.version) <= parseInt(to))
+            );
+
+            const ran = [];
+            for (const migration of pending) {
+                await this.runStep(client, migration, 'up');
+                ran.push(migration);
+            }
+            return ran;
+        });
+    }
+
+    // Revert the most recently applied migrations
+    async down({ steps = 1 } = {}) {
+        return this.withLock(async (client) => {
+            const applied = await this.getAppliedVersions(client);
+            const toRevert = this.loadMigrations()
+                .filter(m => applied.has(m.version))
+                .reverse()
+                .slice(0, steps);
+
+            const ran = [];
+            for (const migration of toRevert) {
+                await this.runStep(client, migration, 'down');
+                ran.push(migration);
+            }
+            return ran;
+        });
+    }
+
+    async runStep(client, migration, direction) {
+        const sql = migration[direction];
+        if (typeof sql !== 'string') {
+            throw new Error(`Migration ${migration.version}_${migration.name} has no ${direction} step`);
+        }
+
+        try {
+            await client.query('BEGIN');
+            await client.query(sql);
+
+            if (direction === 'up') {
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                    [migration.version, migration.name]
+                );
+            } else {
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+            }
+
+            await client.query('COMMIT');
+            console.log(`🗄️ Migration ${migration.version}_${migration.name} ${direction === 'up' ? 'applied' : 'reverted'}`);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`❌ Migration ${migration.version}_${migration.name} failed (${direction}):`, error.message);
+            throw error;
+        }
+    }
+
+    // Throws if any migration has not been applied yet
+    async assertUpToDate() {
+        const pending = await this.getPending();
+
+        if (pending.length > 0) {
+            const list = pending.map(m => `${m.version}_${m.name}`).join(', ');
+            const error = new Error(`Database schema is out of date. Pending migrations: ${list}`);
+            error.code = 'SCHEMA_OUT_OF_DATE';
+            error.pending = pending;
+            throw error;
+        }
+    }
+}
+
+module.exports = MigrationRunner;
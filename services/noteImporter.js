@@ -0,0 +1,340 @@
+// backend/services/noteImporter.js
+// Bulk import of notes written elsewhere: Markdown files or a zipped Markdown
+// folder (Obsidian style, dates from frontmatter), JSON lines, or CSV. Each note
+// becomes a recording with its original timestamp, going through the same
+// project detection and extraction as typed text.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const database = require('./database');
+const recordingPipeline = require('./recordingPipeline');
+
+const MAX_NOTES = parseInt(process.env.IMPORT_MAX_NOTES) || 1000;
+const MAX_NOTE_BYTES = 1024 * 1024;
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.txt'];
+const JSON_EXTENSIONS = ['.jsonl', '.ndjson', '.json'];
+
+// Field names other tools use for the same thing, checked in order
+const TEXT_FIELDS = ['text', 'content', 'body', 'note', 'transcription'];
+const DATE_FIELDS = ['timestamp', 'date', 'created', 'created_at', 'createdAt', 'time'];
+const PROJECT_FIELDS = ['project', 'project_name', 'folder'];
+
+class NoteImporter {
+    // files: [{ path, name }] as uploaded. Returns a report with one entry per file
+    // and a status per note: imported, would_import (dry run), duplicate, empty or error.
+    async importFiles(files, { dryRun = false, projectId = null } = {}) {
+        const parsed = files.map(file => this.parseFile(file.path, file.name));
+        const totalNotes = parsed.reduce((sum, file) => sum + file.notes.length, 0);
+
+        if (totalNotes > MAX_NOTES) {
+            throw new Error(`Too many notes in one import (${totalNotes}, max ${MAX_NOTES})`);
+        }
+
+        const projects = await database.getAllProjects();
+        const projectsByName = new Map(projects.map(project => [project.name.toLowerCase(), project]));
+
+        const allNotes = parsed.flatMap(file => file.notes);
+        const existingHashes = await database.findImportedHashes(allNotes.map(note => note.hash));
+        const seenHashes = new Set();
+
+        const report = {
+            dryRun,
+            summary: { files: files.length, notes: totalNotes, imported: 0, duplicates: 0, empty: 0, errors: 0 },
+            files: []
+        };
+
+        for (const file of parsed) {
+            const fileReport = { file: file.name, format: file.format, error: file.error || null, notes: [] };
+            if (file.error) report.summary.errors++;
+
+            for (const note of file.notes) {
+                const result = await this.importNote(note, {
+                    dryRun,
+                    projectId,
+                    projectsByName,
+                    isDuplicate: existingHashes.has(note.hash) || seenHashes.has(note.hash)
+                });
+                seenHashes.add(note.hash);
+                fileReport.notes.push(result);
+
+                if (result.status === 'imported' || result.status === 'would_import') report.summary.imported++;
+                else if (result.status === 'duplicate') report.summary.duplicates++;
+                else if (result.status === 'empty') report.summary.empty++;
+                else report.summary.errors++;
+            }
+
+            report.files.push(fileReport);
+        }
+
+        console.log(`📚 Import ${dryRun ? '(dry run) ' : ''}finished: ${report.summary.imported} imported, ${report.summary.duplicates} duplicates, ${report.summary.errors} errors`);
+        return report;
+    }
+
+    async importNote(note, { dryRun, projectId, projectsByName, isDuplicate }) {
+        const result = {
+            source: note.source,
+            timestamp: note.timestamp ? note.timestamp.toISOString() : null
+        };
+
+        if (note.error) {
+            return { ...result, status: 'error', error: note.error };
+        }
+        if (!note.text) {
+            return { ...result, status: 'empty' };
+        }
+        if (isDuplicate) {
+            return { ...result, status: 'duplicate' };
+        }
+
+        // A project named in the note wins over the one given for the whole import
+        const namedProject = note.project ? projectsByName.get(note.project.toLowerCase()) : null;
+        const noteProjectId = namedProject ? namedProject.id : projectId;
+
+        try {
+            if (dryRun) {
+                const detection = noteProjectId ? null : await database.detectProjectFromText(note.text);
+                return {
+                    ...result,
+                    status: 'would_import',
+                    project: namedProject ? namedProject.name : (detection ? detection.project.name : null),
+                    preview: note.text.slice(0, 120)
+                };
+            }
+
+            // Old notes shouldn't close today's tasks, so completion detection is skipped
+            const recording = await recordingPipeline.processText(note.text, noteProjectId, {
+                timestamp: note.timestamp,
+                importSource: note.source,
+                importHash: note.hash,
+                detectCompletion: false
+            });
+            return { ...result, status: 'imported', recording_id: recording.id, project_id: recording.project_id };
+        } catch (error) {
+            console.error(`Error importing note ${note.source}:`, error);
+            return { ...result, status: 'error', error: error.message };
+        }
+    }
+
+    // Returns { name, format, notes: [{ source, text, timestamp, project, hash }], error }
+    parseFile(filePath, name) {
+        const extension = path.extname(name).toLowerCase();
+
+        try {
+            if (extension === '.zip') {
+                return { name, format: 'zip', notes: this.parseZip(filePath, name) };
+            }
+            if (MARKDOWN_EXTENSIONS.includes(extension)) {
+                // An uploaded file's mtime is the upload time, so it isn't used as a fallback
+                const note = this.parseMarkdown(fs.readFileSync(filePath, 'utf8'), name);
+                return { name, format: 'markdown', notes: [note] };
+            }
+            if (JSON_EXTENSIONS.includes(extension)) {
+                return { name, format: 'json', notes: this.parseJson(fs.readFileSync(filePath, 'utf8'), name) };
+            }
+            if (extension === '.csv') {
+                return { name, format: 'csv', notes: this.parseCsvNotes(fs.readFileSync(filePath, 'utf8'), name) };
+            }
+
+            return { name, format: null, notes: [], error: 'Unsupported file type (use .md, .zip, .jsonl, .json or .csv)' };
+        } catch (error) {
+            return { name, format: null, notes: [], error: `Could not read file: ${error.message}` };
+        }
+    }
+
+    // Every Markdown file in the archive; app folders such as .obsidian are skipped
+    parseZip(filePath, name) {
+        const zip = new AdmZip(filePath);
+        const notes = [];
+
+        for (const entry of zip.getEntries()) {
+            const entryName = entry.entryName;
+            const parts = entryName.split('/');
+
+            if (entry.isDirectory) continue;
+            if (parts.some(part => part.startsWith('.') || part === '__MACOSX')) continue;
+            if (!MARKDOWN_EXTENSIONS.includes(path.extname(entryName).toLowerCase())) continue;
+
+            if (entry.header.size > MAX_NOTE_BYTES) {
+                notes.push({ ...this.buildNote(`${name}/${entryName}`, '', null, null), error: 'Note is larger than 1MB' });
+                continue;
+            }
+
+            notes.push(this.parseMarkdown(entry.getData().toString('utf8'), `${name}/${entryName}`, entry.header.time));
+        }
+
+        return notes;
+    }
+
+    // Date comes from frontmatter, then a YYYY-MM-DD file name (daily notes), then
+    // the file's modification time
+    parseMarkdown(content, source, modifiedAt = null) {
+        const { fields, body } = this.parseFrontmatter(content.replace(/^﻿/, ''));
+
+        const timestamp = this.parseTimestamp(this.pickField(fields, DATE_FIELDS))
+            || this.parseTimestamp((path.basename(source).match(/\d{4}-\d{2}-\d{2}/) || [])[0])
+            || (modifiedAt instanceof Date && !isNaN(modifiedAt) ? modifiedAt : null);
+
+        return this.buildNote(source, body, timestamp, this.pickField(fields, PROJECT_FIELDS));
+    }
+
+    // Simple "key: value" frontmatter between --- lines; lists and nesting are ignored
+    parseFrontmatter(content) {
+        const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+        if (!match) return { fields: {}, body: content };
+
+        const fields = {};
+        for (const line of match[1].split(/\r?\n/)) {
+            const field = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+            if (field && field[2] !== '') {
+                fields[field[1]] = field[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+            }
+        }
+
+        return { fields, body: content.slice(match[0].length) };
+    }
+
+    // One JSON object per line, or a single JSON array of objects
+    parseJson(content, name) {
+        const trimmed = content.trim();
+        let records;
+
+        if (trimmed.startsWith('[')) {
+            records = JSON.parse(trimmed).map((record, i) => ({ record, line: i + 1 }));
+        } else {
+            records = trimmed.split(/\r?\n/)
+                .map((line, i) => ({ line: i + 1, text: line.trim() }))
+                .filter(({ text }) => text !== '')
+                .map(({ line, text }) => {
+                    try {
+                        return { record: JSON.parse(text), line };
+                    } catch (error) {
+                        return { record: null, line, error: 'Invalid JSON' };
+                    }
+                });
+        }
+
+        return records.map(({ record, line, error }) => error
+            ? { ...this.buildNote(`${name}#${line}`, '', null, null), error }
+            : this.recordToNote(record, `${name}#${line}`));
+    }
+
+    parseCsvNotes(content, name) {
+        const rows = this.parseCsv(content.replace(/^﻿/, ''));
+        if (rows.length === 0) return [];
+
+        const headers = rows[0].map(header => header.trim());
+        if (!headers.some(header => TEXT_FIELDS.includes(header))) {
+            throw new Error(`CSV needs a text column (one of: ${TEXT_FIELDS.join(', ')})`);
+        }
+
+        return rows.slice(1)
+            .filter(row => row.some(cell => cell.trim() !== ''))
+            .map((row, i) => {
+                const record = {};
+                headers.forEach((header, column) => { record[header] = row[column]; });
+                // +2: header row, and rows are numbered from 1
+                return this.recordToNote(record, `${name}#${i + 2}`);
+            });
+    }
+
+    // RFC 4180: quoted fields may contain commas, newlines and "" for a quote
+    parseCsv(content) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    recordToNote(record, source) {
+        if (!record || typeof record !== 'object') {
+            return { ...this.buildNote(source, '', null, null), error: 'Not a JSON object' };
+        }
+
+        const text = this.pickField(record, TEXT_FIELDS);
+        return this.buildNote(
+            source,
+            typeof text === 'string' ? text : '',
+            this.parseTimestamp(this.pickField(record, DATE_FIELDS)),
+            this.pickField(record, PROJECT_FIELDS)
+        );
+    }
+
+    pickField(record, names) {
+        for (const name of names) {
+            if (record[name] !== undefined && record[name] !== null && record[name] !== '') {
+                return record[name];
+            }
+        }
+        return null;
+    }
+
+    // The hash covers text and date, so the same note on two different days isn't
+    // mistaken for a duplicate
+    buildNote(source, text, timestamp, project) {
+        const cleanText = (text || '').trim();
+        const hash = crypto.createHash('sha256')
+            .update(`${cleanText.replace(/\s+/g, ' ').toLowerCase()}\n${timestamp ? timestamp.toISOString() : ''}`)
+            .digest('hex');
+
+        return {
+            source,
+            text: cleanText,
+            timestamp,
+            project: typeof project === 'string' && project.trim() !== '' ? project.trim() : null,
+            hash
+        };
+    }
+
+    // ISO strings, "YYYY-MM-DD HH:mm" and Unix times in seconds or milliseconds
+    parseTimestamp(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        if (typeof value === 'number' || /^\d{9,13}$/.test(String(value).trim())) {
+            const number = Number(value);
+            const date = new Date(number < 1e11 ? number * 1000 : number);
+            return isNaN(date) ? null : date;
+        }
+
+        const date = new Date(String(value).trim().replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, '$1T$2'));
+        return isNaN(date) ? null : date;
+    }
+}
+
+module.exports = new NoteImporter();
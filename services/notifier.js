@@ -0,0 +1,5 @@
+// backend/services/notifier.js
+// Shared notifier for reminders, chosen by NOTIFIER (webhook | outbox)
+const { createNotifier } = require('./notifiers');
+
+module.exports = createNotifier();
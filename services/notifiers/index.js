@@ -0,0 +1,27 @@
+// backend/services/notifiers/index.js
+const Notifier = require('./notifier');
+const WebhookNotifier = require('./webhookNotifier');
+const OutboxNotifier = require('./outboxNotifier');
+
+const NOTIFIERS = {
+    webhook: WebhookNotifier,
+    outbox: OutboxNotifier
+};
+
+// Pick a notifier by name, defaulting to NOTIFIER (outbox if unset)
+function createNotifier(name = process.env.NOTIFIER || 'outbox', options = {}) {
+    const Implementation = NOTIFIERS[name.toLowerCase()];
+
+    if (!Implementation) {
+        throw new Error(`Unknown notifier "${name}". Use one of: ${Object.keys(NOTIFIERS).join(', ')}`);
+    }
+
+    return new Implementation(options);
+}
+
+module.exports = {
+    createNotifier,
+    Notifier,
+    WebhookNotifier,
+    OutboxNotifier
+};
@@ -0,0 +1,34 @@
+// backend/services/notifiers/notifier.js
+// Contract for reminder delivery. A notification is a plain object such as
+//   { type: 'task.due', reminder_id, task: { id, description, due_at, ... }, message }
+// and notify() throws when it couldn't be delivered, so the caller can retry.
+
+const INTERFACE_METHODS = [
+    'notify'                // (notification) -> { delivered: true, ... }
+];
+
+class Notifier {
+    constructor() {
+        if (new.target === Notifier) {
+            throw new Error('Notifier is an interface - use a concrete notifier');
+        }
+
+        // Short identifier stored with each reminder, e.g. "webhook"
+        this.name = 'unknown';
+    }
+
+    // False when notifications can't be sent at all (e.g. no webhook URL)
+    isConfigured() {
+        return true;
+    }
+}
+
+for (const method of INTERFACE_METHODS) {
+    Notifier.prototype[method] = async function () {
+        throw new Error(`${this.constructor.name} does not implement ${method}()`);
+    };
+}
+
+Notifier.INTERFACE_METHODS = INTERFACE_METHODS;
+
+module.exports = Notifier;
@@ -0,0 +1,39 @@
+// backend/services/notifiers/outboxNotifier.js - Notifications written to the log and
+// kept in memory (sent), for tests and for running without a real channel. With
+// NOTIFIER_OUTBOX_PATH each one is also appended to that file as a line of JSON.
+const fs = require('fs');
+const path = require('path');
+const Notifier = require('./notifier');
+
+class OutboxNotifier extends Notifier {
+    constructor(options = {}) {
+        super();
+        this.name = 'outbox';
+        this.filePath = options.filePath || process.env.NOTIFIER_OUTBOX_PATH || null;
+        this.sent = [];
+        // Set to an Error to make notify() fail, e.g. to try out retries
+        this.failWith = null;
+    }
+
+    async notify(notification) {
+        if (this.failWith) {
+            throw this.failWith;
+        }
+
+        this.sent.push(notification);
+        console.log(`🔔 ${notification.message}`);
+
+        if (this.filePath) {
+            await fs.promises.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+            await fs.promises.appendFile(this.filePath, `${JSON.stringify(notification)}\n`);
+        }
+        return { delivered: true };
+    }
+
+    reset() {
+        this.sent = [];
+        this.failWith = null;
+    }
+}
+
+module.exports = OutboxNotifier;
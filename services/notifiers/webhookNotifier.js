@@ -0,0 +1,37 @@
+// backend/services/notifiers/webhookNotifier.js - POST each notification as JSON to a URL
+// With a secret, the body is signed: X-Signature: sha256=<HMAC-SHA256 of the body in hex>
+const crypto = require('crypto');
+const axios = require('axios');
+const Notifier = require('./notifier');
+
+class WebhookNotifier extends Notifier {
+    constructor(options = {}) {
+        super();
+        this.name = 'webhook';
+        this.url = options.url || process.env.NOTIFIER_WEBHOOK_URL || null;
+        this.secret = options.secret || process.env.NOTIFIER_WEBHOOK_SECRET || null;
+        this.timeout = options.timeout || parseInt(process.env.NOTIFIER_WEBHOOK_TIMEOUT_MS) || 10000;
+    }
+
+    isConfigured() {
+        return Boolean(this.url);
+    }
+
+    // Any response other than 2xx counts as not delivered
+    async notify(notification) {
+        if (!this.isConfigured()) {
+            throw new Error('Webhook URL not configured');
+        }
+
+        const body = JSON.stringify(notification);
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.secret) {
+            headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+        }
+
+        const response = await axios.post(this.url, body, { headers, timeout: this.timeout });
+        return { delivered: true, status: response.status };
+    }
+}
+
+module.exports = WebhookNotifier;
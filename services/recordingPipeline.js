@@ -0,0 +1,166 @@
+// backend/services/recordingPipeline.js
+// The steps that turn audio or text into a saved recording. Used directly for
+// text input and stage by stage by the background recording queue.
+const fs = require('fs');
+const path = require('path');
+const speechToText = require('./speechToText');
+const aiProcessor = require('./aiProcessor');
+const database = require('./database');
+const blobStore = require('./blobStore');
+const languages = require('./languages');
+
+// Recordings in other languages get a translation into this one (e.g. "en"); unset disables it
+const PIVOT_LANGUAGE = languages.normalize(process.env.PIVOT_LANGUAGE);
+
+class RecordingPipeline {
+    // Returns { text, segments, duration, language }. options.language is an optional
+    // hint, options.onProgress reports chunk progress for recordings long enough to be split.
+    async transcribe(audioFilePath, options = {}) {
+        const result = await speechToText.transcribeAudioDetailed(audioFilePath, options);
+
+        if (!result.text || result.text.trim() === '') {
+            const error = new Error('Failed to transcribe audio - no text detected');
+            error.permanent = true;
+            throw error;
+        }
+
+        return result;
+    }
+
+    // Returns { entities, extraction }; extraction (version, status, errors) is saved
+    // with the recording so failed extractions can be found
+    async extract(transcription) {
+        return aiProcessor.extractEntities(transcription);
+    }
+
+    // Translate into the pivot language when the recording is in another one.
+    // Returns { text, language } or null; a failed translation never fails the save.
+    async translate(transcription, language) {
+        if (!PIVOT_LANGUAGE || !language || language === PIVOT_LANGUAGE) return null;
+
+        try {
+            const text = await aiProcessor.translate(transcription, PIVOT_LANGUAGE, language);
+            return text ? { text, language: PIVOT_LANGUAGE } : null;
+        } catch (error) {
+            console.error(`Error translating recording from ${language} to ${PIVOT_LANGUAGE}:`, error.message);
+            return null;
+        }
+    }
+
+    // Move a job's uploaded audio into blob storage. The key is derived from the job,
+    // so a retry after a failed save finds the audio that was already moved.
+    async storeAudio(job) {
+        const extension = path.extname(job.audio_path || '').toLowerCase() || '.wav';
+        const key = `recordings/job-${job.id}${extension}`;
+        const contentType = job.audio_content_type && job.audio_content_type.startsWith('audio/')
+            ? job.audio_content_type
+            : speechToText.getContentType(extension.slice(1));
+
+        if (job.audio_path && fs.existsSync(job.audio_path)) {
+            const stored = await blobStore.put(key, job.audio_path);
+            return { key, contentType, size: stored.size };
+        }
+
+        const existing = await blobStore.stat(key);
+        if (!existing) {
+            throw new Error('Audio file for this job is no longer available');
+        }
+        return { key, contentType, size: existing.size };
+    }
+
+    // Save the recording (project detection happens in storage), then complete the tasks it
+    // says were done (or queue them for review) and check off list items it says were
+    // bought. options.detectCompletion = false skips both checks (e.g. for old imported notes).
+    async save(transcription, entities, projectId = null, options = {}) {
+        const newRecording = await database.saveRecording(transcription, entities, projectId, options);
+
+        if (options.detectCompletion === false) {
+            return newRecording;
+        }
+
+        try {
+            const { completed, suggested } = await database.matchTaskCompletions(newRecording.id);
+            if (completed.length > 0) {
+                newRecording.tasksCompleted = completed;
+            }
+            if (suggested.length > 0) {
+                newRecording.taskCompletionSuggestions = suggested;
+            }
+        } catch (error) {
+            console.error('Error checking task completion:', error);
+            // Don't fail the whole save if task detection fails
+        }
+
+        try {
+            const checkedOff = await database.checkOffListItems(transcription, newRecording.id);
+            if (checkedOff.length > 0) {
+                newRecording.listItemsCheckedOff = checkedOff;
+            }
+        } catch (error) {
+            console.error('Error checking off list items:', error);
+        }
+
+        return newRecording;
+    }
+
+    // Apply an edit ({ text, projectId, language }) to a saved recording. A text change
+    // re-runs extraction and translation; the old version is kept as a revision.
+    // Returns the updated recording, or null if it doesn't exist.
+    async edit(recordingId, changes) {
+        const recording = await database.getRecording(recordingId);
+        if (!recording) return null;
+
+        const update = { reason: 'edit' };
+        if (changes.projectId !== undefined) update.projectId = changes.projectId;
+        if (changes.language !== undefined) update.language = changes.language;
+
+        const language = changes.language !== undefined ? changes.language : recording.language;
+        const textChanged = changes.text !== undefined && changes.text !== recording.text;
+
+        if (textChanged) {
+            const { entities, extraction } = await this.extract(changes.text);
+            update.text = changes.text;
+            update.entities = entities;
+            update.extraction = extraction;
+        }
+        if (textChanged || language !== recording.language) {
+            update.translation = await this.translate(update.text || recording.text, language);
+        }
+
+        await database.updateRecording(recordingId, update);
+        return database.getRecording(recordingId);
+    }
+
+    // Restore an earlier revision. The entities saved with it are reconciled back in,
+    // so tasks keep their current status. Returns null if the recording or revision
+    // doesn't exist.
+    async revert(recordingId, revisionNumber) {
+        const revision = await database.getRecordingRevision(recordingId, revisionNumber);
+        if (!revision) return null;
+
+        // The revision's project may have been deleted since; keep the current one then
+        const projects = await database.getAllProjects();
+        const projectActive = projects.some(project => project.id === revision.project_id);
+
+        await database.updateRecording(recordingId, {
+            text: revision.text,
+            projectId: projectActive ? revision.project_id : undefined,
+            language: revision.language,
+            translation: { text: revision.translated_text, language: revision.translation_language },
+            entities: revision.entities || undefined,
+            reason: 'revert'
+        });
+        return database.getRecording(recordingId);
+    }
+
+    // Typed text has no Whisper detection, so guess the language unless the caller knows it.
+    // Other options (timestamp, importSource, importHash, detectCompletion) go to save().
+    async processText(transcription, projectId = null, options = {}) {
+        const language = options.language || languages.detect(transcription);
+        const { entities, extraction } = await this.extract(transcription);
+        const translation = await this.translate(transcription, language);
+        return this.save(transcription, entities, projectId, { ...options, language, translation, extraction });
+    }
+}
+
+module.exports = new RecordingPipeline();
@@ -0,0 +1,203 @@
+// backend/services/recordingQueue.js
+// Background worker for audio uploads. Jobs live in the recording_jobs table, so
+// queued and failed uploads survive restarts and can be retried without re-uploading.
+const fs = require('fs');
+const database = require('./database');
+const recordingPipeline = require('./recordingPipeline');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS) || 5000;
+
+// A job still mid-stage after this long belonged to a worker that died
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+class RecordingQueue {
+    constructor() {
+        this.timer = null;
+        this.draining = false;
+        this.stopped = true;
+    }
+
+    start() {
+        this.stopped = false;
+        this.schedule(0);
+        console.log('🎧 Recording queue worker started');
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.drain(), delay);
+    }
+
+    // options.language is a hint for transcription; Whisper detects it otherwise
+    async enqueue(audioPath, { contentType = null, projectId = null, language = null } = {}) {
+        const job = await database.createJob({
+            audioPath,
+            audioContentType: contentType,
+            projectId,
+            language,
+            maxAttempts: MAX_ATTEMPTS
+        });
+
+        if (!this.stopped) {
+            this.schedule(0);
+        }
+        return job;
+    }
+
+    // Process runnable jobs one at a time until none are left, then poll again
+    async drain() {
+        if (this.draining || this.stopped) return;
+        this.draining = true;
+
+        try {
+            let job;
+            while (!this.stopped && (job = await database.claimNextJob(new Date(Date.now() - STALE_JOB_MS)))) {
+                await this.processJob(job);
+            }
+        } catch (error) {
+            console.error('Error draining recording queue:', error);
+        } finally {
+            this.draining = false;
+            if (!this.stopped) {
+                this.schedule(POLL_INTERVAL_MS);
+            }
+        }
+    }
+
+    async processJob(job) {
+        console.log(`⚙️ Processing recording job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+        try {
+            // A retry after a failed extraction reuses the stored transcription
+            let transcription = job.transcription;
+            let segments = job.transcript_segments || [];
+            let language = job.language;
+
+            if (!transcription) {
+                if (!job.audio_path || !fs.existsSync(job.audio_path)) {
+                    const error = new Error('Audio file for this job is no longer available');
+                    error.permanent = true;
+                    throw error;
+                }
+
+                await database.updateJob(job.id, { stage: 'transcribing' });
+                const result = await recordingPipeline.transcribe(job.audio_path, {
+                    language: job.language,
+                    onProgress: (progress) => {
+                        database.updateJob(job.id, { progress }).catch(error => {
+                            console.error(`Error saving progress for job ${job.id}:`, error.message);
+                        });
+                    }
+                });
+                transcription = result.text;
+                segments = result.segments;
+                language = result.language || job.language;
+                await database.updateJob(job.id, { transcription, transcript_segments: segments, language });
+            }
+
+            await database.updateJob(job.id, { stage: 'extracting' });
+            const { entities, extraction } = await recordingPipeline.extract(transcription);
+            const translation = await recordingPipeline.translate(transcription, language);
+
+            // Keep the original audio alongside the recording
+            const audio = await recordingPipeline.storeAudio(job);
+            // Dated from the upload, not from when a busy or retried queue got to it, so
+            // "tomorrow" means the day after it was recorded
+            const recording = await recordingPipeline.save(transcription, entities, job.project_id, {
+                timestamp: job.created_at,
+                audio,
+                segments,
+                language,
+                translation,
+                extraction
+            });
+
+            await database.updateJob(job.id, {
+                stage: 'saved',
+                recording_id: recording.id,
+                last_error: null,
+                locked_at: null
+            });
+
+            console.log(`✅ Recording job ${job.id} saved as recording ${recording.id}`);
+        } catch (error) {
+            await this.handleFailure(job, error);
+        }
+    }
+
+    async handleFailure(job, error) {
+        const exhausted = error.permanent || job.attempts >= job.max_attempts;
+
+        try {
+            if (exhausted) {
+                await database.updateJob(job.id, {
+                    stage: 'failed',
+                    last_error: error.message,
+                    locked_at: null
+                });
+                console.error(`❌ Recording job ${job.id} failed: ${error.message}`);
+            } else {
+                // Exponential backoff: 5s, 10s, 20s, ...
+                const delay = RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1);
+                await database.updateJob(job.id, {
+                    stage: 'queued',
+                    last_error: error.message,
+                    next_attempt_at: new Date(Date.now() + delay),
+                    locked_at: null
+                });
+                console.warn(`⚠️ Recording job ${job.id} attempt ${job.attempts} failed, retrying in ${delay / 1000}s: ${error.message}`);
+            }
+        } catch (updateError) {
+            console.error(`Error recording failure for job ${job.id}:`, updateError);
+        }
+    }
+
+    // Retry a failed job. Returns null if the job doesn't exist.
+    async retry(jobId) {
+        const job = await database.getJob(jobId);
+        if (!job) return null;
+
+        if (job.stage !== 'failed') {
+            throw new Error('Only failed jobs can be retried');
+        }
+
+        if (!job.transcription && (!job.audio_path || !fs.existsSync(job.audio_path))) {
+            throw new Error('Audio for this job is no longer available');
+        }
+
+        const requeued = await database.requeueJob(jobId);
+
+        if (!this.stopped) {
+            this.schedule(0);
+        }
+        return requeued;
+    }
+
+    // Public view of a job for the API
+    formatJob(job) {
+        return {
+            id: job.id,
+            stage: job.stage,
+            attempts: job.attempts,
+            max_attempts: job.max_attempts,
+            last_error: job.last_error,
+            project_id: job.project_id,
+            recording_id: job.recording_id,
+            transcription: job.transcription,
+            language: job.language,
+            progress: job.progress,
+            next_attempt_at: job.stage === 'queued' ? job.next_attempt_at : null,
+            created_at: job.created_at,
+            updated_at: job.updated_at
+        };
+    }
+}
+
+module.exports = new RecordingQueue();
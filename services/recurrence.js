@@ -0,0 +1,289 @@
+// backend/services/recurrence.js
+// Recurrence rules for repeating tasks, written as a subset of iCalendar RRULE:
+// FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY ("MO", or "1MO" / "-1FR" for
+// the first Monday / last Friday of a month), BYMONTHDAY (-1 is the last day),
+// BYMONTH, COUNT and UNTIL. Phrases such as "every Sunday" or "on the 1st of every
+// month" are turned into rules. Occurrences fall on the wall clock of USER_TIMEZONE.
+const dateResolver = require('./dateResolver');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+const NUMBER_WORDS = { two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY = `(${WEEKDAYS.join('|')})`;
+
+// Days since 1970-01-01 of a calendar date { year, month, day }
+function dayNumber(date) {
+    return Date.UTC(date.year, date.month - 1, date.day) / DAY_MS;
+}
+
+function fromDayNumber(number) {
+    const date = new Date(number * DAY_MS);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function daysInMonth(date) {
+    return new Date(Date.UTC(date.year, date.month, 0)).getUTCDate();
+}
+
+// Weeks start on Monday; 1970-01-01 was a Thursday
+function weekNumber(date) {
+    return Math.floor((dayNumber(date) + 3) / 7);
+}
+
+function localDate(moment) {
+    const parts = dateResolver.localParts(new Date(moment));
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+// "20261231" or "20261231T235959Z"
+function parseUntil(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+
+    const date = { year: parseInt(match[1]), month: parseInt(match[2]), day: parseInt(match[3]) };
+    if (!match[4]) return dateResolver.zonedTime(date, 23, 59);
+    if (match[7]) {
+        return new Date(Date.UTC(date.year, date.month - 1, date.day, parseInt(match[4]), parseInt(match[5]), parseInt(match[6])));
+    }
+    return dateResolver.zonedTime(date, parseInt(match[4]), parseInt(match[5]));
+}
+
+// Whether a day of the month matches a BYMONTHDAY value (negative counts from the end)
+function monthDayMatches(date, monthDay) {
+    return monthDay > 0 ? date.day === monthDay : date.day === daysInMonth(date) + monthDay + 1;
+}
+
+// Whether a date is the start date's day of the month, or the month's last day when
+// the month is too short ("the 31st" falls on the 30th in April)
+function sameMonthDay(date, start) {
+    return date.day === Math.min(start.day, daysInMonth(date));
+}
+
+function weekdayMatches(date, { weekday, ordinal }, monthly) {
+    if (new Date(dayNumber(date) * DAY_MS).getUTCDay() !== weekday) return false;
+    if (!monthly || !ordinal) return true;
+    return ordinal > 0
+        ? Math.ceil(date.day / 7) === ordinal
+        : Math.ceil((daysInMonth(date) - date.day + 1) / 7) === -ordinal;
+}
+
+class Recurrence {
+    // A rule string ("FREQ=WEEKLY;BYDAY=SU", optionally prefixed "RRULE:") as
+    // { freq, interval, byDay, byMonthDay, byMonth, count, until }, or null if it
+    // isn't a rule this module understands
+    parse(rule) {
+        const text = String(rule || '').trim().replace(/^RRULE:/i, '');
+        if (!text) return null;
+
+        const parsed = { freq: null, interval: 1, byDay: [], byMonthDay: [], byMonth: [], count: null, until: null };
+
+        for (const part of text.split(';')) {
+            const [name, value] = part.split('=').map(piece => (piece || '').trim().toUpperCase());
+            if (!value) return null;
+
+            if (name === 'FREQ') {
+                if (!FREQUENCIES.includes(value)) return null;
+                parsed.freq = value;
+            } else if (name === 'INTERVAL' || name === 'COUNT') {
+                const number = parseInt(value);
+                if (!/^\d+$/.test(value) || number < 1) return null;
+                parsed[name.toLowerCase()] = number;
+            } else if (name === 'BYDAY') {
+                for (const day of value.split(',')) {
+                    const match = day.match(/^([+-]?[1-4])?(SU|MO|TU|WE|TH|FR|SA)$/);
+                    if (!match) return null;
+                    parsed.byDay.push({ weekday: DAY_CODES.indexOf(match[2]), ordinal: match[1] ? parseInt(match[1]) : 0 });
+                }
+            } else if (name === 'BYMONTHDAY') {
+                for (const day of value.split(',')) {
+                    const number = parseInt(day);
+                    if (!/^-?\d{1,2}$/.test(day) || number === 0 || number < -31 || number > 31) return null;
+                    parsed.byMonthDay.push(number);
+                }
+            } else if (name === 'BYMONTH') {
+                for (const month of value.split(',')) {
+                    const number = parseInt(month);
+                    if (!/^\d{1,2}$/.test(month) || number < 1 || number > 12) return null;
+                    parsed.byMonth.push(number);
+                }
+            } else if (name === 'UNTIL') {
+                parsed.until = parseUntil(value);
+                if (!parsed.until) return null;
+            } else {
+                return null;
+            }
+        }
+
+        return parsed.freq ? parsed : null;
+    }
+
+    // The rule written out the same way every time, so equal rules compare equal
+    format(parsed) {
+        const parts = [`FREQ=${parsed.freq}`];
+        if (parsed.interval > 1) parts.push(`INTERVAL=${parsed.interval}`);
+        if (parsed.byDay.length > 0) {
+            parts.push(`BYDAY=${parsed.byDay.map(({ weekday, ordinal }) => `${ordinal || ''}${DAY_CODES[weekday]}`).join(',')}`);
+        }
+        if (parsed.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${parsed.byMonthDay.join(',')}`);
+        if (parsed.byMonth.length > 0) parts.push(`BYMONTH=${parsed.byMonth.join(',')}`);
+        if (parsed.count) parts.push(`COUNT=${parsed.count}`);
+        if (parsed.until) parts.push(`UNTIL=${parsed.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+        return parts.join(';');
+    }
+
+    // A rule typed into the API, or a phrase such as "every other Monday". Returns the
+    // rule string, or null if it can't be read.
+    normalize(input) {
+        if (/FREQ=/i.test(String(input || ''))) {
+            const parsed = this.parse(input);
+            return parsed ? this.format(parsed) : null;
+        }
+        return this.fromText(input);
+    }
+
+    // The rule for the first repeat phrase in text ("water the plants every Sunday"
+    // -> "FREQ=WEEKLY;BYDAY=SU"), or null when the text doesn't repeat
+    fromText(text) {
+        const lower = String(text || '').toLowerCase();
+        if (!lower) return null;
+
+        const weekdays = (phrase) => [...phrase.matchAll(new RegExp(WEEKDAY, 'g'))]
+            .map(match => DAY_CODES[WEEKDAYS.indexOf(match[1])]);
+
+        // "the first Monday of every month", "every last Friday of the month"
+        let match = lower.match(new RegExp(`\\b(first|second|third|fourth|last)\\s+${WEEKDAY}\\s+of\\s+(?:the|every|each)\\s+month\\b`));
+        if (match) {
+            return `FREQ=MONTHLY;BYDAY=${ORDINALS[match[1]]}${DAY_CODES[WEEKDAYS.indexOf(match[2])]}`;
+        }
+
+        if (/\blast day of (?:the|every|each) month\b/.test(lower)) {
+            return 'FREQ=MONTHLY;BYMONTHDAY=-1';
+        }
+
+        // "on the 1st of every month", "monthly on the 15th", "the first of the month"
+        if (/\b(?:every|each)\s+month\b|\bmonthly\b|\bof\s+the\s+month\b/.test(lower)) {
+            const day = lower.match(/\bthe\s+(?:(\d{1,2})(?:st|nd|rd|th)|(first))\b(?!\s+(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday))/);
+            if (day) {
+                return `FREQ=MONTHLY;BYMONTHDAY=${day[1] ? parseInt(day[1]) : 1}`;
+            }
+        }
+
+        if (/\b(?:every|each)\s+weekday\b|\b(?:on\s+)?weekdays\b/.test(lower)) {
+            return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+        }
+        if (/\b(?:every|each)\s+weekend\b|\b(?:on\s+)?weekends\b/.test(lower)) {
+            return 'FREQ=WEEKLY;BYDAY=SA,SU';
+        }
+
+        // "every Sunday", "every other Tuesday and Thursday", "on Mondays"
+        match = lower.match(new RegExp(`\\b(?:every|each)\\s+(other\\s+)?${WEEKDAY}(?:(?:\\s*,\\s*|\\s+and\\s+|\\s*,\\s*and\\s+)${WEEKDAY})*`));
+        if (match) {
+            return `FREQ=WEEKLY;${match[1] ? 'INTERVAL=2;' : ''}BYDAY=${weekdays(match[0]).join(',')}`;
+        }
+        match = lower.match(new RegExp(`\\bon\\s+${WEEKDAY}s(?:(?:\\s*,\\s*|\\s+and\\s+)${WEEKDAY}s)*\\b`));
+        if (match) {
+            return `FREQ=WEEKLY;BYDAY=${weekdays(match[0]).join(',')}`;
+        }
+
+        // "every day", "every other week", "every 3 months"
+        match = lower.match(/\b(?:every|each)\s+(?:(other)\s+|(\d+|two|three|four|five|six|seven|eight|nine|ten)\s+)?(day|week|month|year)s?\b/);
+        if (match) {
+            const interval = match[1] ? 2 : match[2] ? (parseInt(match[2]) || NUMBER_WORDS[match[2]]) : 1;
+            const freq = { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' }[match[3]];
+            return interval > 1 ? `FREQ=${freq};INTERVAL=${interval}` : `FREQ=${freq}`;
+        }
+
+        match = lower.match(/\b(daily|weekly|fortnightly|biweekly|monthly|yearly|annually)\b/);
+        if (match) {
+            return {
+                daily: 'FREQ=DAILY',
+                weekly: 'FREQ=WEEKLY',
+                fortnightly: 'FREQ=WEEKLY;INTERVAL=2',
+                biweekly: 'FREQ=WEEKLY;INTERVAL=2',
+                monthly: 'FREQ=MONTHLY',
+                yearly: 'FREQ=YEARLY',
+                annually: 'FREQ=YEARLY'
+            }[match[1]];
+        }
+
+        return null;
+    }
+
+    // Whether a calendar day is an occurrence of a series that started on startDay
+    matches(parsed, date, startDay) {
+        if (dayNumber(date) < dayNumber(startDay)) return false;
+
+        const byDay = parsed.byDay.length > 0 ? parsed.byDay : null;
+        const monthly = parsed.freq === 'MONTHLY' || parsed.freq === 'YEARLY';
+        const onByDay = () => byDay.some(day => weekdayMatches(date, day, monthly));
+        const onMonthDay = () => parsed.byMonthDay.some(day => monthDayMatches(date, day));
+        const months = (date.year - startDay.year) * 12 + (date.month - startDay.month);
+
+        switch (parsed.freq) {
+            case 'DAILY':
+                return (dayNumber(date) - dayNumber(startDay)) % parsed.interval === 0 && (!byDay || onByDay());
+            case 'WEEKLY':
+                return (weekNumber(date) - weekNumber(startDay)) % parsed.interval === 0
+                    && (byDay ? onByDay() : weekdayMatches(date, { weekday: new Date(dayNumber(startDay) * DAY_MS).getUTCDay() }, false));
+            case 'MONTHLY':
+                if (months % parsed.interval !== 0) return false;
+                if (parsed.byMonthDay.length > 0) return onMonthDay();
+                return byDay ? onByDay() : sameMonthDay(date, startDay);
+            case 'YEARLY': {
+                if ((date.year - startDay.year) % parsed.interval !== 0) return false;
+                const inMonth = parsed.byMonth.length > 0 ? parsed.byMonth.includes(date.month) : date.month === startDay.month;
+                if (!inMonth) return false;
+                if (parsed.byMonthDay.length > 0) return onMonthDay();
+                return byDay ? onByDay() : sameMonthDay(date, startDay);
+            }
+            default:
+                return false;
+        }
+    }
+
+    // The first occurrence after `after` of a series starting at `start`, whose
+    // occurrences are all-day or at start's time of day. Returns a Date, or null once
+    // the rule has run out (UNTIL; COUNT is up to the caller, which knows how many
+    // occurrences there have been). An all-day occurrence counts as after `after`
+    // only on a later day.
+    next(rule, { after, start, allDay = false }) {
+        const parsed = typeof rule === 'string' ? this.parse(rule) : rule;
+        if (!parsed) return null;
+
+        const startLocal = localDate(start);
+        const afterLocal = localDate(after);
+        const hour = allDay ? 0 : startLocal.hour;
+        const minute = allDay ? 0 : startLocal.minute;
+        const first = Math.max(dayNumber(afterLocal), dayNumber(startLocal));
+        // Long enough to reach the next occurrence of any rule, however sparse
+        const limit = first + 366 * (parsed.interval + 1) * (parsed.freq === 'YEARLY' ? 4 : 1);
+
+        for (let number = first; number <= limit; number++) {
+            const date = fromDayNumber(number);
+            if (!this.matches(parsed, date, startLocal)) continue;
+            if (allDay && number <= dayNumber(afterLocal)) continue;
+
+            const occurrence = dateResolver.zonedTime(date, hour, minute);
+            if (!allDay && occurrence <= new Date(after)) continue;
+            if (parsed.until && occurrence > parsed.until) return null;
+            return occurrence;
+        }
+        return null;
+    }
+
+    // The first occurrence on or after start. Occurrences fall on the minute, so
+    // seconds in start don't push the first one to the next day.
+    first(rule, { start, allDay = false }) {
+        const time = new Date(start).getTime();
+        const after = allDay ? time - DAY_MS : Math.floor(time / MINUTE_MS) * MINUTE_MS - 1;
+        return this.next(rule, { after: new Date(after), start, allDay });
+    }
+}
+
+module.exports = new Recurrence();
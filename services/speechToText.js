@@ -1,182 +1,97 @@
 // backend/services/speechToText.js
+// Transcription front door. The engine itself is a provider from ./stt, chosen
+// with STT_PROVIDER (openai, local or fixture); this service adds the checks,
+// chunking and quality validation every provider shares.
 const fs = require('fs');
-const FormData = require('form-data');
-const axios = require('axios');
+const audioChunker = require('./audioChunker');
+const { createSttProvider } = require('./stt');
+
+const CHUNK_CONCURRENCY = parseInt(process.env.STT_CHUNK_CONCURRENCY) || 3;
 
 class SpeechToTextService {
-    constructor() {
-        this.openaiApiKey = process.env.OPENAI_API_KEY;
+    constructor(provider = createSttProvider()) {
+        this.provider = provider;
+        console.log(`🎙️ Speech-to-text provider: ${provider.name}`);
     }
 
     async transcribeAudio(audioFilePath) {
-        if (!this.openaiApiKey) {
-            throw new Error('OpenAI API key not configured. Speech-to-text unavailable.');
-        }
+        const result = await this.transcribeAudioDetailed(audioFilePath);
+        return result.text;
+    }
 
+    // Transcribe and keep segment timings and the detected language:
+    // { text, segments: [{ start, end, text, avg_logprob, no_speech_prob }], duration, language }
+    // options.language is an optional ISO 639-1 hint; without it the provider detects it.
+    // Files over the provider's size limit are split into chunks; options.onProgress
+    // receives { completed, total } chunk counts as they finish.
+    async transcribeAudioDetailed(audioFilePath, options = {}) {
         if (!fs.existsSync(audioFilePath)) {
             throw new Error('Audio file not found');
         }
 
-        try {
-            // Check file size - Whisper has a 25MB limit
-            const stats = fs.statSync(audioFilePath);
-            const fileSizeInMB = stats.size / (1024 * 1024);
-            
-            if (fileSizeInMB > 25) {
-                throw new Error('Audio file too large (max 25MB)');
-            }
-
-            if (stats.size === 0) {
-                throw new Error('Audio file is empty');
-            }
+        const stats = fs.statSync(audioFilePath);
 
-            console.log(`Processing audio file: ${audioFilePath}, size: ${(stats.size / 1024).toFixed(2)}KB`);
-
-            const formData = new FormData();
-            
-            // Create read stream with proper options
-            const audioStream = fs.createReadStream(audioFilePath);
-            
-            // Determine file extension and set appropriate name
-            const fileExtension = audioFilePath.split('.').pop().toLowerCase();
-            let filename = `audio.${fileExtension}`;
-            
-            // Map common mobile formats
-            if (fileExtension === 'webm') {
-                filename = 'audio.webm';
-            } else if (fileExtension === 'mp4' || fileExtension === 'm4a') {
-                filename = 'audio.mp4';
-            } else if (fileExtension === 'wav') {
-                filename = 'audio.wav';
-            } else {
-                // Default to wav if unknown
-                filename = 'audio.wav';
-            }
-
-            formData.append('file', audioStream, {
-                filename: filename,
-                contentType: this.getContentType(fileExtension)
-            });
-            formData.append('model', 'whisper-1');
-            formData.append('language', 'en');
-            
-            // Enhanced options for better transcription
-            formData.append('response_format', 'verbose_json');
-            formData.append('temperature', '0.2'); // Lower temperature for more accurate transcription
-
-            console.log(`Sending to Whisper API: ${filename}, content-type: ${this.getContentType(fileExtension)}`);
+        if (stats.size === 0) {
+            throw new Error('Audio file is empty');
+        }
 
-            const response = await axios.post(
-                'https://api.openai.com/v1/audio/transcriptions',
-                formData,
+        let result;
+        if (stats.size > this.provider.maxFileBytes) {
+            console.log(`Audio file ${audioFilePath} is ${(stats.size / (1024 * 1024)).toFixed(1)}MB, transcribing in chunks`);
+            result = await audioChunker.transcribeInChunks(
+                audioFilePath,
+                (chunkPath) => this.provider.transcribeFile(chunkPath, { language: options.language }),
                 {
-                    headers: {
-                        ...formData.getHeaders(),
-                        'Authorization': `Bearer ${this.openaiApiKey}`,
-                    },
-                    timeout: 30000, // 30 second timeout
-                    maxContentLength: 26214400, // 25MB in bytes
-                    maxBodyLength: 26214400
+                    maxChunkBytes: this.provider.maxFileBytes,
+                    concurrency: CHUNK_CONCURRENCY,
+                    onProgress: options.onProgress
                 }
             );
+        } else {
+            result = await this.provider.transcribeFile(audioFilePath, { language: options.language });
+        }
 
-            // Handle both verbose and simple response formats
-            let transcription;
-            if (response.data.text) {
-                transcription = response.data.text.trim();
-            } else if (typeof response.data === 'string') {
-                transcription = response.data.trim();
-            } else {
-                throw new Error('Unexpected response format from Whisper API');
-            }
-            
-            console.log(`Whisper transcription result: "${transcription}"`);
-            
-            // Enhanced validation
-            if (!transcription || transcription.length === 0) {
-                throw new Error('No speech detected in audio - recording may be too quiet or empty');
-            }
-
-            // Check for common Whisper artifacts that indicate poor audio
-            const lowQualityIndicators = [
-                transcription.length < 3,
-                /^(you|uh|um|hmm)$/i.test(transcription),
-                /^[^a-zA-Z0-9\s]+$/.test(transcription), // Only special characters
-                transcription === transcription.toLowerCase() && transcription.length < 10 // All lowercase and very short
-            ];
-
-            if (lowQualityIndicators.some(indicator => indicator)) {
-                console.warn(`Low quality transcription detected: "${transcription}"`);
-                throw new Error('Audio quality too low for transcription. Please speak more clearly and closer to the microphone.');
-            }
-
-            return transcription;
+        this.validateTranscription(result.text);
+        return result;
+    }
 
-        } catch (error) {
-            console.error('Transcription error details:', {
-                message: error.message,
-                status: error.response?.status,
-                statusText: error.response?.statusText,
-                data: error.response?.data,
-                audioPath: audioFilePath
-            });
+    // Reject empty transcripts and common Whisper artifacts that indicate poor audio
+    validateTranscription(transcription) {
+        if (!transcription || transcription.length === 0) {
+            throw new Error('No speech detected in audio - recording may be too quiet or empty');
+        }
 
-            if (error.response?.status === 429) {
-                throw new Error('Speech-to-text service is busy. Please try again in a moment.');
-            } else if (error.response?.status === 401) {
-                throw new Error('Invalid API key for speech-to-text service.');
-            } else if (error.response?.status === 413) {
-                throw new Error('Audio file too large. Please record shorter clips.');
-            } else if (error.response?.status === 400) {
-                const errorMsg = error.response?.data?.error?.message || 'Invalid audio format';
-                throw new Error(`Audio format error: ${errorMsg}. Try recording again.`);
-            } else if (error.message.includes('No speech detected') || error.message.includes('Audio quality too low')) {
-                throw error; // Pass through our custom messages
-            } else if (error.code === 'ECONNABORTED') {
-                throw new Error('Transcription timed out. Please try a shorter recording.');
-            } else {
-                throw new Error(`Transcription failed: ${error.message}. Please try recording again.`);
-            }
+        const lowQualityIndicators = [
+            transcription.length < 3,
+            /^(you|uh|um|hmm)$/i.test(transcription),
+            /^[^\p{L}\p{N}\s]+$/u.test(transcription), // Only special characters (any script)
+            // All lowercase and very short; scripts without case (e.g. Chinese) don't count
+            transcription !== transcription.toUpperCase() && transcription === transcription.toLowerCase() && transcription.length < 10
+        ];
+
+        if (lowQualityIndicators.some(indicator => indicator)) {
+            console.warn(`Low quality transcription detected: "${transcription}"`);
+            throw new Error('Audio quality too low for transcription. Please speak more clearly and closer to the microphone.');
         }
     }
 
     getContentType(fileExtension) {
-        const contentTypes = {
-            'wav': 'audio/wav',
-            'webm': 'audio/webm',
-            'mp4': 'audio/mp4',
-            'm4a': 'audio/mp4',
-            'ogg': 'audio/ogg',
-            'mp3': 'audio/mpeg',
-            'flac': 'audio/flac'
-        };
-        
-        return contentTypes[fileExtension.toLowerCase()] || 'audio/wav';
+        return this.provider.getContentType(fileExtension);
     }
 
-    // Test method to validate service
+    // Test method to validate service; reports which provider is active
     async testService() {
-        if (!this.openaiApiKey) {
-            return { status: 'error', message: 'OpenAI API key not configured' };
-        }
-        
         try {
-            // Try a simple API call to validate the key
-            await axios.get('https://api.openai.com/v1/models', {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                },
-                timeout: 5000
-            });
-            
-            return { status: 'ok', message: 'Speech-to-text service is ready' };
+            const result = await this.provider.test();
+            return { ...result, provider: this.provider.name };
         } catch (error) {
-            return { 
-                status: 'error', 
-                message: `Service test failed: ${error.response?.status || error.message}` 
+            return {
+                status: 'error',
+                message: `Service test failed: ${error.message}`,
+                provider: this.provider.name
             };
         }
     }
 }
 
-module.exports = new SpeechToTextService();
\ No newline at end of file
+module.exports = new SpeechToTextService();
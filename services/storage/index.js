@@ -0,0 +1,28 @@
+// backend/services/storage/index.js
+const PostgresStorage = require('./postgresStorage');
+const MemoryStorage = require('./memoryStorage');
+const StorageBackend = require('./storageBackend');
+
+const BACKENDS = {
+    postgres: PostgresStorage,
+    memory: MemoryStorage
+};
+
+// Pick a backend by name, defaulting to STORAGE_BACKEND (postgres if unset)
+function createStorage(backend = process.env.STORAGE_BACKEND || 'postgres', options = {}) {
+    const Backend = BACKENDS[backend.toLowerCase()];
+
+    if (!Backend) {
+        throw new Error(`Unknown storage backend "${backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    console.log(`🗄️ Using ${backend} storage backend`);
+    return new Backend(options);
+}
+
+module.exports = {
+    createStorage,
+    StorageBackend,
+    PostgresStorage,
+    MemoryStorage
+};
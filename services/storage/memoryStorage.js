@@ -0,0 +1,47 @@
+// backend/services/storage/memoryStorage.js - Embedded in-memory storage backend
+// Runs the Postgres backend's queries against pg-mem, an in-process emulation of
+// Postgres, so the API works without a database server. Data lives only as long
+// as the process. Transactions are not isolated and ROLLBACK does not undo writes.
+const { newDb } = require('pg-mem');
+const PostgresStorage = require('./postgresStorage');
+
+// pg-mem answers "col IS NOT NULL" on an indexed column with an index filter whose
+// row check compares the value with NULL, so it turns every row down whenever another
+// condition picks the rows first ("id = $1 AND deleted_at IS NOT NULL" finds nothing).
+// The filter class isn't exported; one is built on a scratch table to reach it.
+function fixIndexedIsNotNull() {
+    const scratch = newDb({ noAstCoverageCheck: true });
+    scratch.public.none('CREATE TABLE probe (value INTEGER); CREATE INDEX idx_probe_value ON probe(value);');
+    const filter = scratch.public.getTable('probe').selection
+        .filter({ type: 'unary', op: 'IS NOT NULL', operand: { type: 'ref', name: 'value' } });
+
+    const prototype = Object.getPrototypeOf(filter);
+    const hasItem = prototype.hasItem;
+    prototype.hasItem = function (item, t) {
+        if (this.matchNull && this.equalsCst === null) {
+            const value = this.onValue.get(item, t);
+            return (value === null || value === undefined) === (this.op === 'eq');
+        }
+        return hasItem.call(this, item, t);
+    };
+}
+
+fixIndexedIsNotNull();
+
+class MemoryStorage extends PostgresStorage {
+    constructor(options = {}) {
+        const db = newDb({ noAstCoverageCheck: true });
+        const { Pool } = db.adapters.createPg();
+
+        super({ ...options, pool: new Pool(), useAdvisoryLock: false });
+        this.db = db;
+    }
+
+    // A fresh in-memory database always starts empty, so bring the schema up here
+    async init() {
+        await this.migrations.up();
+        console.log('✅ In-memory database ready');
+    }
+}
+
+module.exports = MemoryStorage;
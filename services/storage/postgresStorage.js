@@ -0,0 +1,3640 @@
+// backend/services/storage/postgresStorage.js - PostgreSQL storage backend
+const { Pool } = require('pg');
+const StorageBackend = require('./storageBackend');
+const MigrationRunner = require('../migrations');
+const textFingerprint = require('../textFingerprint');
+const contactMatcher = require('../contactMatcher');
+const dateResolver = require('../dateResolver');
+const listMatcher = require('../listMatcher');
+const taskMatcher = require('../taskMatcher');
+const recurrence = require('../recurrence');
+
+// Entity key (as returned by aiProcessor.extractEntities) -> table and value column
+const ENTITY_TABLES = {
+    people: { table: 'people', column: 'name' },
+    tasks: { table: 'tasks', column: 'task_description' },
+    events: { table: 'events', column: 'event_name' },
+    topics: { table: 'topics', column: 'topic' },
+    locations: { table: 'locations', column: 'location_name' },
+    items: { table: 'items', column: 'item_name' }
+};
+
+// Tables in an account archive, in restore order. refs maps a column to the table
+// whose ids it holds, so restored rows can point at the new ids; a row whose
+// required reference can't be mapped, or points at a recording or task that was
+// already there (and so already has its rows), is skipped. A required reference
+// that is empty in the archive (a task added by hand has no recording) stays empty.
+const ARCHIVE_TABLES = [
+    { table: 'projects', refs: {} },
+    { table: 'recordings', refs: { project_id: 'projects', duplicate_of: 'recordings' } },
+    { table: 'contacts', refs: {} },
+    { table: 'contact_aliases', refs: { contact_id: 'contacts' }, required: ['contact_id'] },
+    { table: 'people', refs: { recording_id: 'recordings', contact_id: 'contacts', merged_from: 'recordings' }, required: ['recording_id'] },
+    { table: 'tasks', refs: { recording_id: 'recordings', completed_by_recording_id: 'recordings', project_id: 'projects', previous_task_id: 'tasks', merged_from: 'recordings' }, required: ['recording_id'] },
+    { table: 'task_transitions', refs: { task_id: 'tasks', recording_id: 'recordings' }, required: ['task_id'] },
+    { table: 'events', refs: { recording_id: 'recordings', merged_from: 'recordings' }, required: ['recording_id'] },
+    { table: 'topics', refs: { recording_id: 'recordings', merged_from: 'recordings' }, required: ['recording_id'] },
+    { table: 'locations', refs: { recording_id: 'recordings', merged_from: 'recordings' }, required: ['recording_id'] },
+    { table: 'lists', refs: {} },
+    { table: 'list_items', refs: { list_id: 'lists', checked_by_recording_id: 'recordings' }, required: ['list_id'] },
+    { table: 'items', refs: { recording_id: 'recordings', list_item_id: 'list_items', merged_from: 'recordings' }, required: ['recording_id'] },
+    { table: 'transcript_segments', refs: { recording_id: 'recordings' }, required: ['recording_id'] },
+    { table: 'recording_revisions', refs: { recording_id: 'recordings', project_id: 'projects' }, required: ['recording_id'] },
+    { table: 'calendar_events', refs: {} }
+];
+
+// Audio lives in blob storage and is restored separately
+const ARCHIVE_SKIPPED_COLUMNS = { recordings: ['audio_key', 'audio_content_type', 'audio_size'] };
+
+const JOB_UPDATABLE_COLUMNS = [
+    'stage', 'audio_path', 'transcription', 'transcript_segments', 'recording_id',
+    'last_error', 'next_attempt_at', 'locked_at', 'progress', 'language'
+];
+const JOB_JSON_COLUMNS = ['transcript_segments', 'progress'];
+
+// Task status -> the statuses it can change to. Open tasks are pending or in progress;
+// snoozed tasks turn pending again once snoozed_until has passed.
+const TASK_TRANSITIONS = {
+    pending: ['in_progress', 'snoozed', 'completed', 'cancelled'],
+    in_progress: ['pending', 'snoozed', 'completed', 'cancelled'],
+    snoozed: ['pending', 'in_progress', 'completed', 'cancelled'],
+    completed: ['pending', 'in_progress'],
+    cancelled: ['pending', 'in_progress']
+};
+const OPEN_TASK_STATUSES = ['pending', 'in_progress'];
+// Tasks a recording can still complete
+const COMPLETABLE_TASK_STATUSES = Object.keys(TASK_TRANSITIONS).filter(status => TASK_TRANSITIONS[status].includes('completed'));
+
+// Tasks with their recording and project; tasks added by hand have no recording and
+// may have a project of their own
+const TASK_SELECT = `
+    SELECT t.*, r.timestamp as recorded_at, r.text as recording_text,
+           r.project_id as recording_project_id, p.name as project_name, rp.name as recording_project_name
+    FROM tasks t
+    LEFT JOIN recordings r ON t.recording_id = r.id
+    LEFT JOIN projects p ON t.project_id = p.id
+    LEFT JOIN projects rp ON r.project_id = rp.id
+`;
+
+// List items (as li) that aren't hidden with trashed recordings: those only trashed
+// recordings put on a list come back when one of them is restored, and items added
+// by hand have no recordings and always show
+const VISIBLE_LIST_ITEM = `(
+    li.id NOT IN (SELECT i.list_item_id FROM items i JOIN recordings r ON i.recording_id = r.id
+                  WHERE r.deleted_at IS NOT NULL AND i.list_item_id IS NOT NULL)
+    OR li.id IN (SELECT i.list_item_id FROM items i JOIN recordings r ON i.recording_id = r.id
+                 WHERE r.deleted_at IS NULL)
+)`;
+
+const REMINDER_UPDATABLE_COLUMNS = ['status', 'last_error', 'next_attempt_at', 'locked_at', 'notifier', 'sent_at'];
+
+const BACKFILL_UPDATABLE_COLUMNS = [
+    'status', 'processed', 'changed', 'failed', 'last_recording_id', 'last_error', 'locked_at', 'finished_at'
+];
+
+// Orders the recordings listing can be sorted in; ties are broken by id so cursors are stable
+const RECORDING_SORTS = {
+    newest: { column: 'timestamp', direction: 'DESC' },
+    oldest: { column: 'timestamp', direction: 'ASC' },
+    longest: { column: 'word_count', direction: 'DESC' },
+    shortest: { column: 'word_count', direction: 'ASC' }
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// An analytics timeframe ("30 days", "2 weeks", "1 year") as an interval to bind
+// into a query, or null if it isn't one
+function timeframeInterval(timeframe) {
+    const match = String(timeframe).trim().toLowerCase().match(/^(\d{1,4}) (day|week|month|year)s?$/);
+    if (!match) return null;
+
+    const count = parseInt(match[1]);
+    return match[2] === 'week' ? `${count * 7} days` : `${count} ${match[2]}s`;
+}
+
+const RECORDING_LIST_COLUMNS = `
+    r.id, r.timestamp, r.text, r.word_count, r.project_id, r.audio_key,
+    r.language, r.translated_text, r.translation_language,
+    r.extractor_version, r.extraction_status, r.extraction_errors,
+    p.name as project_name, p.color as project_color
+`;
+
+// WHERE conditions for the recordings listing filters; recordings are aliased r and
+// parameters are numbered after `params`, which is extended in place
+function recordingFilterConditions(filters, params) {
+    const conditions = ['r.deleted_at IS NULL'];
+    const add = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    if (filters.language) conditions.push(`r.language = ${add(filters.language)}`);
+    if (filters.from) conditions.push(`r.timestamp >= ${add(filters.from)}`);
+    if (filters.to) conditions.push(`r.timestamp <= ${add(filters.to)}`);
+    if (filters.projectId) conditions.push(`r.project_id = ${add(filters.projectId)}`);
+    if (filters.minWords) conditions.push(`r.word_count >= ${add(filters.minWords)}`);
+    if (filters.extractionStatus) conditions.push(`r.extraction_status = ${add(filters.extractionStatus)}`);
+    if (filters.person) {
+        // Any name the person is known by, so "John" also finds mentions of "John Smith"
+        conditions.push(`r.id IN (
+            SELECT pe.recording_id FROM people pe
+            JOIN contact_aliases a ON a.contact_id = pe.contact_id
+            WHERE a.normalized_alias = ${add(contactMatcher.normalize(filters.person))}
+        )`);
+    }
+    if (filters.topic) {
+        conditions.push(`r.id IN (SELECT recording_id FROM topics WHERE LOWER(topic) = LOWER(${add(filters.topic)}))`);
+    }
+    if (filters.hasPendingTasks !== undefined && filters.hasPendingTasks !== null) {
+        conditions.push(`r.id ${filters.hasPendingTasks ? 'IN' : 'NOT IN'} (
+            SELECT recording_id FROM tasks WHERE status IN ('pending', 'in_progress') AND recording_id IS NOT NULL
+        )`);
+    }
+
+    return conditions;
+}
+
+// Cursors are opaque to clients: the sort they belong to, and the last row's id and sort value
+function encodeCursor(sort, row, column) {
+    return Buffer.from(JSON.stringify({ sort, id: row.id, value: row[column] })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (decoded.sort === sort && Number.isInteger(decoded.id)) return decoded;
+    } catch (error) {
+        // Fall through to the error below
+    }
+    throw new Error('Invalid cursor');
+}
+
+// A TASK_SELECT row for the API, with the project it falls under
+function formatTask(row) {
+    const task = {
+        ...row,
+        project_id: row.project_id || row.recording_project_id || null,
+        project_name: row.project_name || row.recording_project_name || null
+    };
+    delete task.recording_project_id;
+    delete task.recording_project_name;
+    return task;
+}
+
+// Series start and first due date of a task that repeats by rule. due is the date
+// given or read for the task ({ start, allDay, phrase }); without one the series
+// starts on the anchor's day and its occurrences are all-day.
+function scheduleRecurrence(rule, due, anchor = new Date()) {
+    const local = dateResolver.localParts(new Date(anchor));
+    const start = due ? due.start : dateResolver.zonedTime({ year: local.year, month: local.month, day: local.day }, 0, 0);
+    const allDay = due ? due.allDay : true;
+    const first = recurrence.first(rule, { start, allDay });
+
+    return { start, due: first ? { start: first, allDay, phrase: due ? due.phrase : null } : due };
+}
+
+function formatRecordingRow(row, entities) {
+    return {
+        id: row.id,
+        timestamp: row.timestamp,
+        text: row.text,
+        word_count: row.word_count,
+        project_id: row.project_id,
+        project: row.project_name ? {
+            name: row.project_name,
+            color: row.project_color
+        } : null,
+        language: row.language,
+        translated_text: row.translated_text,
+        translation_language: row.translation_language,
+        has_audio: !!row.audio_key,
+        extraction: formatExtraction(row),
+        ...(entities ? { entities } : {})
+    };
+}
+
+// How the recording's entities were extracted; null for recordings saved before
+// extraction was tracked
+function formatExtraction(row) {
+    if (!row.extraction_status) return null;
+    return {
+        version: row.extractor_version,
+        status: row.extraction_status,
+        errors: row.extraction_errors || []
+    };
+}
+
+function formatSegment(row) {
+    return {
+        index: row.segment_index,
+        start: row.start_seconds,
+        end: row.end_seconds,
+        text: row.text,
+        avg_logprob: row.avg_logprob,
+        no_speech_prob: row.no_speech_prob
+    };
+}
+
+function formatRevision(row) {
+    return {
+        revision: row.revision_number,
+        text: row.text,
+        project_id: row.project_id,
+        language: row.language,
+        translated_text: row.translated_text,
+        translation_language: row.translation_language,
+        entities: row.entities,
+        reason: row.reason,
+        replaced_at: row.created_at
+    };
+}
+
+// Entity values compare equal regardless of case, punctuation and spacing
+function normalizeEntityValue(value) {
+    return String(value).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Share of words two entity values have in common (Jaccard), 0..1
+function wordSimilarity(a, b) {
+    const wordsA = new Set(normalizeEntityValue(a).split(' ').filter(Boolean));
+    const wordsB = new Set(normalizeEntityValue(b).split(' ').filter(Boolean));
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    let shared = 0;
+    for (const word of wordsA) {
+        if (wordsB.has(word)) shared++;
+    }
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// A re-extracted task this close to an existing one is the same task reworded
+const TASK_MATCH_SIMILARITY = 0.6;
+
+// An extracted task or event comes from the sentence holding at least this share of its words
+const SENTENCE_MATCH_COVERAGE = 0.5;
+
+// The sentence of a recording's text an extracted value was taken from: the one
+// holding most of its words, or null if none holds enough of them
+function sourceSentence(text, value) {
+    const valueWords = new Set(normalizeEntityValue(value).split(' ').filter(Boolean));
+    if (valueWords.size === 0) return null;
+
+    let best = null;
+    let bestCoverage = SENTENCE_MATCH_COVERAGE;
+    for (const sentence of String(text || '').split(/(?<=[.!?])\s+|\n+/)) {
+        const sentenceWords = new Set(normalizeEntityValue(sentence).split(' '));
+        const coverage = [...valueWords].filter(word => sentenceWords.has(word)).length / valueWords.size;
+        if (coverage >= bestCoverage && (!best || coverage > bestCoverage)) {
+            best = sentence.trim();
+            bestCoverage = coverage;
+        }
+    }
+    return best;
+}
+
+// A new recording is compared with recordings made this close to it in time, and
+// counts as a duplicate when its fingerprint differs in at most this many bits
+const DUPLICATE_WINDOW_HOURS = parseFloat(process.env.DUPLICATE_WINDOW_HOURS) || 24;
+const DUPLICATE_MAX_DISTANCE = parseInt(process.env.DUPLICATE_MAX_DISTANCE) || 8;
+
+// [start, end) of the millisecond a time falls in, for matching a time read back from
+// JavaScript against PostgreSQL's microsecond precision
+function millisecondRange(value) {
+    const start = new Date(value);
+    return [start, new Date(start.getTime() + 1)];
+}
+
+// "$1, $2, ..." for an IN list, starting after `offset` already-used parameters
+function placeholders(values, offset = 0) {
+    return values.map((_, i) => `$${i + offset + 1}`).join(', ');
+}
+
+class PostgresStorage extends StorageBackend {
+    constructor(options = {}) {
+        super();
+
+        // Pool doesn't open a connection until the first query
+        this.pool = options.pool || new Pool({
+            connectionString: options.connectionString || process.env.DATABASE_URL,
+            ssl: {
+                rejectUnauthorized: false
+            }
+        });
+
+        this.migrations = new MigrationRunner(this.pool, {
+            useAdvisoryLock: options.useAdvisoryLock
+        });
+
+        // Where recording audio lives, so deleting a recording can remove it too
+        this.blobStore = options.blobStore || null;
+
+        // What saveRecording does with a likely duplicate: 'off', 'flag' it for review,
+        // or 'merge' it into the earlier recording straight away
+        this.duplicatePolicy = options.duplicatePolicy || process.env.DUPLICATE_POLICY || 'flag';
+    }
+
+    async init() {
+        await this.testConnection();
+    }
+
+    async testConnection() {
+        try {
+            const client = await this.pool.connect();
+            console.log('✅ Database connected successfully');
+            client.release();
+        } catch (error) {
+            console.error('❌ Database connection failed:', error.message);
+            throw error;
+        }
+    }
+
+    // Complete project detection for all project names
+    async detectProjectFromText(text) {
+        try {
+            console.log(`🔍 Project detection - Input: "${text}"`);
+            
+            // Get all active projects to check against
+            const allProjects = await this.pool.query(
+                'SELECT name FROM projects WHERE is_active = true'
+            );
+            
+            const projectNames = allProjects.rows.map(p => p.name);
+            console.log(`🔍 Active projects: ${projectNames.join(', ')}`);
+            
+            // Try different patterns that speech-to-text might produce
+            const patterns = [
+                /^([^:]+):\s*(.+)/i,     // "Project: content"
+                /^([^,]+),\s*(.+)/i,     // "Project, content" 
+                /^([^.]+)\.\s*(.+)/i,    // "Project. content"
+            ];
+            
+            for (let i = 0; i < patterns.length; i++) {
+                const match = text.match(patterns[i]);
+                
+                if (match) {
+                    const detectedName = match[1].trim();
+                    const content = match[2].trim();
+                    
+                    console.log(`🎯 Pattern ${i + 1} matched: "${detectedName}" | "${content}"`);
+                    
+                    // Check if detected name matches any project (case-insensitive)
+                    const matchingProject = await this.pool.query(
+                        'SELECT * FROM projects WHERE LOWER(name) = LOWER($1) AND is_active = true',
+                        [detectedName]
+                    );
+                    
+                    if (matchingProject.rows.length > 0) {
+                        console.log(`📁 SUCCESS - Found project: "${matchingProject.rows[0].name}"`);
+                        return {
+                            project: matchingProject.rows[0],
+                            cleanedText: content
+                        };
+                    } else {
+                        console.log(`❌ No project found for: "${detectedName}"`);
+                    }
+                }
+            }
+            
+            // If no pattern matched, try checking if text starts with any project name
+            for (const projectName of projectNames) {
+                const regex = new RegExp(`^${projectName}[\\s,.:]`, 'i');
+                if (regex.test(text)) {
+                    console.log(`🎯 Text starts with project: "${projectName}"`);
+                    
+                    const project = await this.pool.query(
+                        'SELECT * FROM projects WHERE LOWER(name) = LOWER($1) AND is_active = true',
+                        [projectName]
+                    );
+                    
+                    if (project.rows.length > 0) {
+                        const cleanedText = text.replace(new RegExp(`^${projectName}[\\s,.:]?\\s*`, 'i'), '');
+                        console.log(`📁 SUCCESS - Found project: "${project.rows[0].name}"`);
+                        return {
+                            project: project.rows[0],
+                            cleanedText: cleanedText
+                        };
+                    }
+                }
+            }
+            
+            console.log(`❌ No project detected in: "${text}"`);
+            return null;
+            
+        } catch (error) {
+            console.error('Error detecting project from text:', error);
+            return null;
+        }
+    }
+
+    // Save a new recording with extracted entities and project detection.
+    // options.audio ({ key, contentType, size }) links audio already in blob storage,
+    // options.segments stores timestamped transcript segments, options.language the
+    // detected language and options.translation ({ text, language }) a pivot translation.
+    // Imported notes pass options.timestamp (their original date), importSource and importHash.
+    // Near-duplicates of recent recordings are flagged or merged per duplicatePolicy.
+    async saveRecording(text, entities = {}, projectId = null, options = {}) {
+        const client = await this.pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+
+            // If no projectId provided, try to detect from text
+            let finalProjectId = projectId;
+            let finalText = text;
+            
+            if (!projectId) {
+                const projectDetection = await this.detectProjectFromText(text);
+                if (projectDetection) {
+                    finalProjectId = projectDetection.project.id;
+                    finalText = projectDetection.cleanedText;
+                    console.log(`📁 Auto-detected project: ${projectDetection.project.name}`);
+                }
+            }
+            
+            // If still no project, use General project
+            if (!finalProjectId) {
+                const generalProject = await client.query(
+                    "SELECT id FROM projects WHERE name = 'General' AND is_active = true LIMIT 1"
+                );
+                if (generalProject.rows.length > 0) {
+                    finalProjectId = generalProject.rows[0].id;
+                }
+            }
+
+            // Calculate word count
+            const wordCount = finalText.trim().split(/\s+/).length;
+
+            const audio = options.audio || {};
+            const translation = options.translation || {};
+            const extraction = options.extraction || {};
+
+            const fingerprint = textFingerprint.fingerprint(finalText);
+            const duplicate = this.duplicatePolicy === 'off'
+                ? null
+                : await this.findDuplicate(client, fingerprint, options.timestamp || new Date());
+
+            // Insert main recording with project
+            const recordingResult = await client.query(
+                `INSERT INTO recordings (text, word_count, project_id, timestamp, audio_key, audio_content_type, audio_size,
+                                         language, translated_text, translation_language, import_source, import_hash,
+                                         fingerprint, duplicate_of, duplicate_score,
+                                         extractor_version, extraction_status, extraction_errors) 
+                 VALUES ($1, $2, $3, COALESCE($4, NOW()), $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18) 
+                 RETURNING id, timestamp`,
+                [finalText, wordCount, finalProjectId, options.timestamp || null,
+                    audio.key || null, audio.contentType || null, audio.size || null,
+                    options.language || null, translation.text || null, translation.language || null,
+                    options.importSource || null, options.importHash || null,
+                    fingerprint, duplicate ? duplicate.recordingId : null, duplicate ? duplicate.score : null,
+                    extraction.version || null, extraction.status || null,
+                    extraction.errors ? JSON.stringify(extraction.errors) : null]
+            );
+
+            const recordingId = recordingResult.rows[0].id;
+            const timestamp = recordingResult.rows[0].timestamp;
+
+            // Insert extracted entities into separate tables
+            await this.insertEntities(client, recordingId, entities);
+            await this.insertSegments(client, recordingId, options.segments);
+
+            await client.query('COMMIT');
+
+            console.log(`📝 Recording saved with ID: ${recordingId}, Project: ${finalProjectId}`);
+
+            if (duplicate) {
+                console.log(`👯 Recording ${recordingId} looks like a duplicate of ${duplicate.recordingId} (similarity ${duplicate.score.toFixed(2)})`);
+
+                if (this.duplicatePolicy === 'merge') {
+                    const merge = await this.mergeRecordings(duplicate.recordingId, [duplicate.recordingId, recordingId]);
+                    const survivor = await this.getRecording(merge.recordingId);
+                    return { ...survivor, merged: { into: merge.recordingId, recording_ids: merge.mergedIds } };
+                }
+            }
+            
+            return {
+                id: recordingId,
+                timestamp: timestamp,
+                text: finalText,
+                entities: entities,
+                word_count: wordCount,
+                project_id: finalProjectId,
+                language: options.language || null,
+                translated_text: translation.text || null,
+                translation_language: translation.language || null,
+                duplicate_of: duplicate ? duplicate.recordingId : null,
+                duplicate_score: duplicate ? duplicate.score : null,
+                has_audio: !!audio.key,
+                extraction: options.extraction || null
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error saving recording:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // The closest recording made within DUPLICATE_WINDOW_HOURS of `around`, if it is
+    // close enough to count as a duplicate. Returns { recordingId, matchedId, score } where
+    // recordingId is the root of the match's cluster.
+    async findDuplicate(client, fingerprint, around) {
+        if (!fingerprint) return null;
+
+        const windowMs = DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000;
+        const center = new Date(around).getTime();
+        const candidates = await client.query(`
+            SELECT id, text, fingerprint, duplicate_of FROM recordings
+            WHERE timestamp >= $1 AND timestamp <= $2 AND deleted_at IS NULL
+            ORDER BY timestamp DESC
+            LIMIT 500
+        `, [new Date(center - windowMs), new Date(center + windowMs)]);
+
+        let best = null;
+        for (const row of candidates.rows) {
+            // Recordings saved before fingerprints existed are fingerprinted on the fly
+            const candidate = row.fingerprint || textFingerprint.fingerprint(row.text);
+            if (!candidate) continue;
+
+            const distance = textFingerprint.distance(fingerprint, candidate);
+            if (distance <= DUPLICATE_MAX_DISTANCE && (!best || distance < best.distance)) {
+                best = { row, distance };
+            }
+        }
+
+        if (!best) return null;
+        return {
+            recordingId: best.row.duplicate_of || best.row.id,
+            matchedId: best.row.id,
+            score: textFingerprint.similarity(fingerprint, best.row.fingerprint || textFingerprint.fingerprint(best.row.text))
+        };
+    }
+
+    // Flagged duplicate clusters: the first recording and the ones flagged against it
+    async getDuplicateClusters() {
+        try {
+            const flagged = await this.pool.query(`
+                SELECT id, timestamp, text, word_count, project_id, audio_key, duplicate_of, duplicate_score
+                FROM recordings
+                WHERE duplicate_of IS NOT NULL AND deleted_at IS NULL
+                ORDER BY timestamp ASC
+            `);
+            if (flagged.rows.length === 0) return [];
+
+            const rootIds = [...new Set(flagged.rows.map(row => row.duplicate_of))];
+            const roots = await this.pool.query(`
+                SELECT id, timestamp, text, word_count, project_id, audio_key
+                FROM recordings
+                WHERE id IN (${placeholders(rootIds)}) AND deleted_at IS NULL
+            `, rootIds);
+
+            const allIds = [...rootIds, ...flagged.rows.map(row => row.id)];
+            const entitiesByRecording = await this.getEntitiesForRecordings(allIds);
+            const summarize = (row) => ({
+                id: row.id,
+                timestamp: row.timestamp,
+                text: row.text,
+                word_count: row.word_count,
+                project_id: row.project_id,
+                has_audio: !!row.audio_key,
+                entities: entitiesByRecording.get(row.id),
+                ...(row.duplicate_score !== undefined ? { similarity: row.duplicate_score } : {})
+            });
+
+            return roots.rows
+                .map(root => ({
+                    recording: summarize(root),
+                    duplicates: flagged.rows.filter(row => row.duplicate_of === root.id).map(summarize)
+                }))
+                .sort((a, b) => new Date(b.duplicates[b.duplicates.length - 1].timestamp) - new Date(a.duplicates[a.duplicates.length - 1].timestamp));
+        } catch (error) {
+            console.error('Error fetching duplicate clusters:', error);
+            throw error;
+        }
+    }
+
+    // Merge recordings into the earliest of them: its text and timestamp are kept,
+    // entities of the others move over unless it already has the same value (a
+    // completed copy of a task completes the kept one), and the others go to the
+    // trash flagged against it. Restoring one of them from the trash moves its
+    // entities back (see restoreRecording). recordingIds defaults to rootId's whole
+    // cluster. Returns { recordingId, mergedIds }.
+    async mergeRecordings(rootId, recordingIds = null) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            let ids = recordingIds;
+            if (!ids) {
+                const cluster = await client.query(
+                    'SELECT id FROM recordings WHERE (id = $1 OR duplicate_of = $1) AND deleted_at IS NULL',
+                    [rootId]
+                );
+                ids = cluster.rows.map(row => row.id);
+            }
+            ids = [...new Set(ids)];
+
+            const result = await client.query(
+                `SELECT * FROM recordings WHERE id IN (${placeholders(ids)}) AND deleted_at IS NULL`,
+                ids
+            );
+            if (result.rows.length !== ids.length || !result.rows.some(row => row.id === rootId)) {
+                throw new Error('Recording not found');
+            }
+            if (ids.length < 2) {
+                throw new Error('Nothing to merge');
+            }
+
+            const rows = result.rows.sort((a, b) => (new Date(a.timestamp) - new Date(b.timestamp)) || (a.id - b.id));
+            const survivor = rows[0];
+            const others = rows.slice(1);
+            const otherIds = others.map(row => row.id);
+            const otherList = placeholders(otherIds, 1);
+
+            for (const { table, column } of Object.values(ENTITY_TABLES)) {
+                const kept = await client.query(
+                    `SELECT * FROM ${table} WHERE recording_id = $1 ORDER BY id ASC`,
+                    [survivor.id]
+                );
+                const keptByValue = new Map(kept.rows.map(row => [normalizeEntityValue(row[column]), row]));
+
+                const moving = await client.query(
+                    `SELECT * FROM ${table} WHERE recording_id IN (${placeholders(otherIds)}) ORDER BY id ASC`,
+                    otherIds
+                );
+
+                for (const row of moving.rows) {
+                    const match = keptByValue.get(normalizeEntityValue(row[column]));
+
+                    if (!match) {
+                        await client.query(
+                            `UPDATE ${table} SET recording_id = $1, merged_from = $2 WHERE id = $3`,
+                            [survivor.id, row.recording_id, row.id]
+                        );
+                        keptByValue.set(normalizeEntityValue(row[column]), row);
+                        continue;
+                    }
+
+                    // The same value stays with its trashed recording
+                    if (table === 'tasks' && row.status === 'completed' && match.status !== 'completed') {
+                        await client.query(
+                            `UPDATE tasks SET status = 'completed', completed_at = $1, completed_by_recording_id = $2 WHERE id = $3`,
+                            [row.completed_at, row.completed_by_recording_id, match.id]
+                        );
+                        match.status = 'completed';
+                    }
+                }
+            }
+
+            await client.query(`UPDATE recordings SET duplicate_of = $1 WHERE duplicate_of IN (${otherList})`, [survivor.id, ...otherIds]);
+
+            // The survivor plays the audio of the first of the others that has some if
+            // it has none of its own; they share it until both are purged
+            if (!survivor.audio_key) {
+                const withAudio = others.find(row => row.audio_key);
+                if (withAudio) {
+                    await client.query(
+                        'UPDATE recordings SET audio_key = $1, audio_content_type = $2, audio_size = $3 WHERE id = $4',
+                        [withAudio.audio_key, withAudio.audio_content_type, withAudio.audio_size, survivor.id]
+                    );
+                }
+            }
+
+            await client.query(
+                `UPDATE recordings SET duplicate_of = NULL, duplicate_score = NULL, updated_at = NOW() WHERE id = $1`,
+                [survivor.id]
+            );
+            await client.query(
+                `UPDATE recordings SET duplicate_of = $1, deleted_at = NOW() WHERE id IN (${otherList})`,
+                [survivor.id, ...otherIds]
+            );
+
+            await client.query('COMMIT');
+
+            console.log(`🔗 Merged recordings ${otherIds.join(', ')} into ${survivor.id}`);
+            return { recordingId: survivor.id, mergedIds: otherIds };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error merging recordings:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Not a duplicate after all: clear the flag on a recording, or on its whole
+    // cluster if it is the first one. Returns how many flags were cleared.
+    async dismissDuplicate(recordingId) {
+        try {
+            const result = await this.pool.query(
+                `UPDATE recordings SET duplicate_of = NULL, duplicate_score = NULL
+                 WHERE (id = $1 OR duplicate_of = $1) AND duplicate_of IS NOT NULL AND deleted_at IS NULL
+                 RETURNING id`,
+                [recordingId]
+            );
+            return result.rows.length;
+        } catch (error) {
+            console.error('Error dismissing duplicate:', error);
+            throw error;
+        }
+    }
+
+    // Edit a recording, keeping the previous version as a revision. changes may hold
+    // text, projectId, language, translation ({ text, language }) and entities; entities
+    // (re-extracted from the new text) are reconciled with the existing rows, and may
+    // be given alone to re-extract a recording whose text hasn't changed.
+    // changes.reason labels the revision ('edit', 'revert' or 'reextract'). Returns
+    // null if the recording doesn't exist, otherwise { changed, revision, diff } with
+    // the entity diff from reconcileEntities when entities were given.
+    async updateRecording(recordingId, changes = {}) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const current = await client.query('SELECT * FROM recordings WHERE id = $1 AND deleted_at IS NULL', [recordingId]);
+            if (current.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            const recording = current.rows[0];
+
+            if (changes.projectId !== undefined && changes.projectId !== recording.project_id) {
+                const project = await client.query(
+                    'SELECT id FROM projects WHERE id = $1 AND is_active = true',
+                    [changes.projectId]
+                );
+                if (project.rows.length === 0) {
+                    throw new Error('Project not found');
+                }
+            }
+
+            const text = changes.text !== undefined ? changes.text : recording.text;
+            const projectId = changes.projectId !== undefined ? changes.projectId : recording.project_id;
+            const language = changes.language !== undefined ? changes.language : recording.language;
+            const translation = changes.translation !== undefined
+                ? (changes.translation || {})
+                : { text: recording.translated_text, language: recording.translation_language };
+
+            const fieldsChanged = text !== recording.text || projectId !== recording.project_id
+                || language !== recording.language;
+            if (!fieldsChanged && !changes.entities) {
+                await client.query('ROLLBACK');
+                return { changed: false, revision: null, diff: null };
+            }
+
+            // The current version's entities, read before anything is touched, for the revision
+            const entitiesByRecording = await this.getEntitiesForRecordings([recordingId]);
+
+            if (fieldsChanged) {
+                await client.query(
+                    `UPDATE recordings
+                     SET text = $1, word_count = $2, project_id = $3, language = $4,
+                         translated_text = $5, translation_language = $6, fingerprint = $7, updated_at = NOW()
+                     WHERE id = $8`,
+                    [text, text.trim().split(/\s+/).length, projectId, language,
+                        translation.text || null, translation.language || null, textFingerprint.fingerprint(text), recordingId]
+                );
+            }
+
+            const diff = changes.entities
+                ? await this.reconcileEntities(client, recordingId, changes.entities)
+                : null;
+            if (changes.extraction) {
+                await this.setExtraction(client, recordingId, changes.extraction);
+            }
+
+            // Entities extracted again to the same result leave nothing to revert to
+            const entitiesChanged = diff !== null
+                && (Object.keys(diff.added).length > 0 || Object.keys(diff.removed).length > 0);
+            if (!fieldsChanged && !entitiesChanged) {
+                await client.query('COMMIT');
+                return { changed: false, revision: null, diff };
+            }
+
+            const latest = await client.query(
+                'SELECT MAX(revision_number) as latest FROM recording_revisions WHERE recording_id = $1',
+                [recordingId]
+            );
+            const revisionNumber = (parseInt(latest.rows[0].latest) || 0) + 1;
+
+            await client.query(
+                `INSERT INTO recording_revisions
+                 (recording_id, revision_number, text, project_id, language, translated_text, translation_language, entities, reason)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+                [recordingId, revisionNumber, recording.text, recording.project_id, recording.language,
+                    recording.translated_text, recording.translation_language,
+                    JSON.stringify(entitiesByRecording.get(recordingId)), changes.reason || 'edit']
+            );
+
+            await client.query('COMMIT');
+
+            console.log(`✏️ Recording ${recordingId} edited (revision ${revisionNumber} saved)`);
+            return { changed: true, revision: revisionNumber, diff };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error updating recording:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async setExtraction(client, recordingId, extraction) {
+        await client.query(
+            'UPDATE recordings SET extractor_version = $1, extraction_status = $2, extraction_errors = $3 WHERE id = $4',
+            [extraction.version || null, extraction.status || null, JSON.stringify(extraction.errors || []), recordingId]
+        );
+    }
+
+    // Bring a recording's entity rows in line with a fresh extraction. Rows whose value
+    // is still present are kept (same id), so nothing pointing at them breaks. Tasks are
+    // also matched when reworded, and keep their status. Tasks edited by hand, or
+    // that have ever changed status (in progress, snoozed, completed...), are left
+    // exactly as they are: never reworded, re-dated or removed, even if the new text
+    // no longer mentions them.
+    // Returns { added, removed, kept }, each { entityKey: [values] } with only the keys
+    // that have values; a reworded value is removed and added, and kept lists the
+    // protected tasks that would otherwise have been changed.
+    async reconcileEntities(client, recordingId, entities) {
+        const dateContext = await this.getDateContext(client, recordingId, entities);
+        const diff = { added: {}, removed: {}, kept: {} };
+        const note = (change, key, value) => {
+            (diff[change][key] = diff[change][key] || []).push(value);
+        };
+
+        for (const [key, { table, column }] of Object.entries(ENTITY_TABLES)) {
+            const wanted = [];
+            for (const value of Array.isArray(entities[key]) ? entities[key] : []) {
+                if (value === null || value === undefined || String(value).trim() === '') continue;
+                if (!wanted.some(existing => normalizeEntityValue(existing) === normalizeEntityValue(value))) {
+                    wanted.push(String(value));
+                }
+            }
+
+            const existing = await client.query(
+                `SELECT id, ${column} as value${table === 'tasks' ? ', status, edited_at' : ''} FROM ${table}
+                 WHERE recording_id = $1 ORDER BY id ASC`,
+                [recordingId]
+            );
+            // Tasks that have been worked on (moved off pending, or through any status
+            // change on the way back) keep their history
+            const transitioned = new Set();
+            if (table === 'tasks') {
+                const transitions = await client.query(
+                    `SELECT DISTINCT tt.task_id FROM task_transitions tt
+                     JOIN tasks t ON t.id = tt.task_id
+                     WHERE t.recording_id = $1`,
+                    [recordingId]
+                );
+                transitions.rows.forEach(row => transitioned.add(row.task_id));
+            }
+            const isProtected = (row) => table === 'tasks'
+                && (row.status !== 'pending' || row.edited_at !== null || transitioned.has(row.id));
+            const unmatched = [...existing.rows];
+            const toInsert = [];
+
+            for (const value of wanted) {
+                let index = unmatched.findIndex(row => normalizeEntityValue(row.value) === normalizeEntityValue(value));
+
+                if (index === -1 && table === 'tasks') {
+                    let best = TASK_MATCH_SIMILARITY;
+                    unmatched.forEach((row, i) => {
+                        const similarity = wordSimilarity(row.value, value);
+                        if (similarity >= best) {
+                            best = similarity;
+                            index = i;
+                        }
+                    });
+                }
+
+                if (index === -1) {
+                    toInsert.push(value);
+                    continue;
+                }
+
+                const [row] = unmatched.splice(index, 1);
+                if (isProtected(row)) {
+                    if (row.value !== value) note('kept', key, row.value);
+                    continue;
+                }
+                if (row.value !== value) {
+                    note('removed', key, row.value);
+                    note('added', key, value);
+                    await client.query(`UPDATE ${table} SET ${column} = $1 WHERE id = $2`, [value, row.id]);
+                    if (table === 'people') {
+                        await client.query('UPDATE people SET contact_id = NULL, link_confidence = NULL WHERE id = $1', [row.id]);
+                    }
+                    if (table === 'items') {
+                        await client.query('UPDATE items SET list_item_id = NULL WHERE id = $1', [row.id]);
+                    }
+                }
+                // The edit may have changed the date even where the wording is the same
+                await this.setEntityDate(client, table, row.id, value, dateContext);
+            }
+
+            for (const row of unmatched) {
+                if (isProtected(row)) {
+                    note('kept', key, row.value);
+                    continue;
+                }
+                note('removed', key, row.value);
+                if (table === 'tasks') {
+                    await client.query('DELETE FROM task_transitions WHERE task_id = $1', [row.id]);
+                    await this.detachTasks(client, [row.id]);
+                }
+                await client.query(`DELETE FROM ${table} WHERE id = $1`, [row.id]);
+            }
+
+            for (const value of toInsert) {
+                note('added', key, value);
+                const inserted = await client.query(
+                    `INSERT INTO ${table} (recording_id, ${column}) VALUES ($1, $2) RETURNING id`,
+                    [recordingId, value]
+                );
+                await this.setEntityDate(client, table, inserted.rows[0].id, value, dateContext);
+            }
+        }
+
+        await this.linkPeople(client, recordingId);
+        await this.linkItems(client, recordingId);
+        return diff;
+    }
+
+    // What task and event dates are resolved against: the time the recording was made,
+    // the sentence of the recording each task or event came from ("Dentist on Friday.
+    // Call Sam tomorrow."), and the extracted date and time ("tomorrow", "3pm") for
+    // when neither the values nor their sentences have a date. That one is only used
+    // when there is a single date and no value or sentence has one of its own, since
+    // the date then belongs to all of them.
+    async getDateContext(client, recordingId, entities) {
+        const recording = await client.query('SELECT timestamp, text FROM recordings WHERE id = $1', [recordingId]);
+        const anchor = recording.rows[0] ? recording.rows[0].timestamp : new Date();
+        const text = recording.rows[0] ? recording.rows[0].text : '';
+
+        const sentences = new Map();
+        for (const values of [entities.tasks, entities.events]) {
+            for (const value of Array.isArray(values) ? values : []) {
+                if (value === null || value === undefined) continue;
+                sentences.set(normalizeEntityValue(value), sourceSentence(text, value));
+            }
+        }
+
+        const ownDates = [...sentences.entries()].some(([value, sentence]) =>
+            dateResolver.resolve(value, anchor) || dateResolver.resolve(sentence, anchor));
+
+        return {
+            anchor,
+            sentences,
+            fallbackPhrase: sentences.size > 0 && !ownDates ? dateResolver.combinePhrases(entities.dates, entities.times) : null
+        };
+    }
+
+    // Resolve and store the due date of a task or the start and end of an event.
+    // Other entity tables have no dates and are left alone.
+    async setEntityDate(client, table, rowId, value, { anchor, sentences = new Map(), fallbackPhrase }) {
+        if (table !== 'tasks' && table !== 'events') return;
+
+        const sentence = sentences.get(normalizeEntityValue(value)) || null;
+        let resolved = dateResolver.resolve(value, anchor)
+            || dateResolver.resolve(sentence, anchor)
+            || dateResolver.resolve(fallbackPhrase, anchor);
+
+        if (table === 'tasks') {
+            // "water the plants every Sunday" is due on the first Sunday, and again after that
+            const rule = recurrence.fromText(value) || recurrence.fromText(sentence) || recurrence.fromText(fallbackPhrase);
+            let recurrenceStart = null;
+            if (rule) {
+                const schedule = scheduleRecurrence(rule, resolved, anchor);
+                resolved = schedule.due;
+                recurrenceStart = schedule.start;
+            }
+
+            await client.query(
+                `UPDATE tasks SET due_at = $1, due_all_day = $2, due_phrase = $3, recurrence_rule = $4, recurrence_start = $5
+                 WHERE id = $6`,
+                [resolved ? resolved.start : null, resolved ? resolved.allDay : null, resolved ? resolved.phrase : null,
+                    rule, recurrenceStart, rowId]
+            );
+        } else {
+            await client.query(
+                'UPDATE events SET starts_at = $1, ends_at = $2, all_day = $3, date_phrase = $4 WHERE id = $5',
+                [resolved ? resolved.start : null, resolved ? resolved.end : null, resolved ? resolved.allDay : null,
+                    resolved ? resolved.phrase : null, rowId]
+            );
+        }
+    }
+
+    // Link person mentions that have no contact yet, creating a contact when nobody
+    // matches well enough. Only one recording's mentions when recordingId is given.
+    // Returns how many mentions were linked.
+    async linkPeople(client, recordingId = null) {
+        const people = recordingId
+            ? await client.query('SELECT id, name FROM people WHERE contact_id IS NULL AND recording_id = $1 ORDER BY id ASC', [recordingId])
+            : await client.query('SELECT id, name FROM people WHERE contact_id IS NULL ORDER BY id ASC');
+        const unlinked = people.rows;
+        if (unlinked.length === 0) return 0;
+
+        const aliasRows = await client.query('SELECT contact_id, normalized_alias FROM contact_aliases');
+        const aliases = aliasRows.rows.map(row => ({ contactId: row.contact_id, alias: row.normalized_alias }));
+        let linked = 0;
+
+        for (const person of unlinked) {
+            const name = person.name.trim();
+            const normalized = contactMatcher.normalize(name);
+            if (!normalized) continue;
+
+            let link = contactMatcher.match(name, aliases);
+            if (!link) {
+                const contact = await client.query('INSERT INTO contacts (name) VALUES ($1) RETURNING id', [name]);
+                link = { contactId: contact.rows[0].id, confidence: 1 };
+            }
+
+            // Remember this spelling, so the next mention is an exact match
+            if (!aliases.some(alias => alias.alias === normalized)) {
+                await client.query(
+                    'INSERT INTO contact_aliases (contact_id, alias, normalized_alias) VALUES ($1, $2, $3)',
+                    [link.contactId, name, normalized]
+                );
+                aliases.push({ contactId: link.contactId, alias: normalized });
+
+                const contact = await client.query('SELECT name FROM contacts WHERE id = $1', [link.contactId]);
+                if (contactMatcher.isFullerName(name, contact.rows[0].name)) {
+                    await client.query('UPDATE contacts SET name = $1, updated_at = NOW() WHERE id = $2', [name, link.contactId]);
+                }
+            }
+
+            await client.query(
+                'UPDATE people SET contact_id = $1, link_confidence = $2 WHERE id = $3',
+                [link.contactId, link.confidence, person.id]
+            );
+            linked++;
+        }
+
+        return linked;
+    }
+
+    // Put a recording's items that aren't on a list yet on the list the memo names,
+    // or the default list. Items the memo says were already bought are left off.
+    // Returns how many items were put on a list.
+    async linkItems(client, recordingId) {
+        const items = await client.query(
+            'SELECT id, item_name FROM items WHERE recording_id = $1 AND list_item_id IS NULL ORDER BY id ASC',
+            [recordingId]
+        );
+        const unlinked = items.rows;
+        if (unlinked.length === 0) return 0;
+
+        const recording = await client.query('SELECT text FROM recordings WHERE id = $1', [recordingId]);
+        const text = recording.rows[0] ? recording.rows[0].text : '';
+        const bought = new Set(listMatcher.findCheckedOff(text, unlinked.map(row => ({
+            id: row.id,
+            normalized_name: listMatcher.normalizeItem(row.item_name)
+        }))));
+
+        const list = await this.findOrCreateList(client, listMatcher.listNameFromText(text) || listMatcher.defaultListName);
+        let linked = 0;
+
+        for (const item of unlinked) {
+            if (bought.has(item.id)) continue;
+
+            const listItem = await this.addToList(client, list.id, item.item_name);
+            if (!listItem) continue;
+
+            await client.query('UPDATE items SET list_item_id = $1 WHERE id = $2', [listItem.id, item.id]);
+            linked++;
+        }
+
+        return linked;
+    }
+
+    async findOrCreateList(client, name) {
+        const normalized = listMatcher.normalizeListName(name);
+        const existing = await client.query('SELECT * FROM lists WHERE normalized_name = $1', [normalized]);
+        if (existing.rows.length > 0) return existing.rows[0];
+
+        const created = await client.query(
+            'INSERT INTO lists (name, normalized_name) VALUES ($1, $2) RETURNING *',
+            [name.trim(), normalized]
+        );
+        console.log(`🛒 List created: ${name}`);
+        return created.rows[0];
+    }
+
+    // The list's entry for an item: the existing one with the same normalized name
+    // (unchecked again if it had been checked off), or a new one. null for names
+    // with nothing left once normalized.
+    async addToList(client, listId, name) {
+        const normalized = listMatcher.normalizeItem(name);
+        if (!normalized) return null;
+
+        const existing = await client.query(
+            'SELECT * FROM list_items WHERE list_id = $1 AND normalized_name = $2 ORDER BY id ASC',
+            [listId, normalized]
+        );
+
+        if (existing.rows.length > 0) {
+            const [row] = existing.rows;
+            if (!row.checked) return row;
+
+            const reopened = await client.query(
+                `UPDATE list_items SET checked = FALSE, checked_at = NULL, checked_by_recording_id = NULL, updated_at = NOW()
+                 WHERE id = $1 RETURNING *`,
+                [row.id]
+            );
+            return reopened.rows[0];
+        }
+
+        const inserted = await client.query(
+            'INSERT INTO list_items (list_id, name, normalized_name) VALUES ($1, $2, $3) RETURNING *',
+            [listId, name.trim(), normalized]
+        );
+        await client.query('UPDATE lists SET updated_at = NOW() WHERE id = $1', [listId]);
+        return inserted.rows[0];
+    }
+
+    // Link every person mention that isn't linked to a contact yet, e.g. mentions
+    // saved before contacts existed or restored from an older archive
+    async linkUnlinkedPeople() {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+            const linked = await this.linkPeople(client);
+            await client.query('COMMIT');
+
+            if (linked > 0) {
+                console.log(`👥 Linked ${linked} person mentions to contacts`);
+            }
+            return linked;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error linking people to contacts:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Every contact with its aliases, how often it is mentioned and when it last
+    // was, most recently mentioned first
+    async getContacts() {
+        try {
+            const contacts = await this.pool.query(`
+                SELECT c.id, c.name, c.created_at,
+                       COUNT(r.id) as mention_count, MAX(r.timestamp) as last_mentioned_at
+                FROM contacts c
+                LEFT JOIN people pe ON pe.contact_id = c.id
+                LEFT JOIN recordings r ON pe.recording_id = r.id AND r.deleted_at IS NULL
+                GROUP BY c.id, c.name, c.created_at
+            `);
+            const aliases = await this.pool.query('SELECT contact_id, alias FROM contact_aliases ORDER BY id ASC');
+
+            return contacts.rows
+                .map(row => ({
+                    id: row.id,
+                    name: row.name,
+                    aliases: aliases.rows.filter(alias => alias.contact_id === row.id).map(alias => alias.alias),
+                    mention_count: parseInt(row.mention_count),
+                    last_mentioned_at: row.last_mentioned_at,
+                    created_at: row.created_at
+                }))
+                .sort((a, b) => new Date(b.last_mentioned_at || 0) - new Date(a.last_mentioned_at || 0) || a.id - b.id);
+        } catch (error) {
+            console.error('Error fetching contacts:', error);
+            throw error;
+        }
+    }
+
+    // One contact with the recordings that mention them, newest first, and the tasks
+    // from those recordings or naming them. Returns null if there is no such contact.
+    async getContact(contactId) {
+        try {
+            const contact = await this.pool.query('SELECT * FROM contacts WHERE id = $1', [contactId]);
+            if (contact.rows.length === 0) return null;
+
+            const aliases = await this.pool.query(
+                'SELECT alias FROM contact_aliases WHERE contact_id = $1 ORDER BY id ASC',
+                [contactId]
+            );
+            const mentions = await this.pool.query(`
+                SELECT pe.name, pe.link_confidence, r.id as recording_id, r.timestamp, r.text
+                FROM people pe
+                JOIN recordings r ON pe.recording_id = r.id
+                WHERE pe.contact_id = $1 AND r.deleted_at IS NULL
+                ORDER BY r.timestamp DESC
+            `, [contactId]);
+
+            const recordingIds = [...new Set(mentions.rows.map(row => row.recording_id))];
+            const names = aliases.rows.map(row => row.alias);
+            const conditions = names.map((_, i) => `t.task_description ILIKE $${i + 1}`);
+            if (recordingIds.length > 0) {
+                conditions.push(`t.recording_id IN (${placeholders(recordingIds, names.length)})`);
+            }
+
+            const tasks = conditions.length === 0 ? { rows: [] } : await this.pool.query(`
+                SELECT t.*, r.timestamp as recorded_at
+                FROM tasks t
+                LEFT JOIN recordings r ON t.recording_id = r.id
+                WHERE (t.recording_id IS NULL OR r.deleted_at IS NULL) AND (${conditions.join(' OR ')})
+                ORDER BY COALESCE(r.timestamp, t.created_at) DESC
+            `, [...names.map(name => `%${name}%`), ...recordingIds]);
+
+            return {
+                id: contact.rows[0].id,
+                name: contact.rows[0].name,
+                aliases: names,
+                created_at: contact.rows[0].created_at,
+                mention_count: mentions.rows.length,
+                last_contact_at: mentions.rows.length > 0 ? mentions.rows[0].timestamp : null,
+                mentions: mentions.rows.map(row => ({
+                    recording_id: row.recording_id,
+                    timestamp: row.timestamp,
+                    text: row.text,
+                    mentioned_as: row.name,
+                    confidence: row.link_confidence
+                })),
+                tasks: tasks.rows
+            };
+        } catch (error) {
+            console.error('Error fetching contact:', error);
+            throw error;
+        }
+    }
+
+    // Fold other contacts into one: their aliases and mentions move over, and links
+    // made by hand count as certain. Returns the merged contact.
+    async mergeContacts(targetId, sourceIds) {
+        const client = await this.pool.connect();
+        const ids = [targetId, ...sourceIds];
+
+        try {
+            await client.query('BEGIN');
+
+            const existing = await client.query(`SELECT id FROM contacts WHERE id IN (${placeholders(ids)})`, ids);
+            if (existing.rows.length !== new Set(ids).size) {
+                throw new Error('Contact not found');
+            }
+
+            const sourceList = placeholders(sourceIds, 1);
+            await client.query(`UPDATE contact_aliases SET contact_id = $1 WHERE contact_id IN (${sourceList})`, [targetId, ...sourceIds]);
+            await client.query(`UPDATE people SET contact_id = $1, link_confidence = 1 WHERE contact_id IN (${sourceList})`, [targetId, ...sourceIds]);
+            await client.query(`DELETE FROM contacts WHERE id IN (${placeholders(sourceIds)})`, sourceIds);
+            await client.query('UPDATE contacts SET updated_at = NOW() WHERE id = $1', [targetId]);
+
+            await client.query('COMMIT');
+            console.log(`👥 Merged contacts ${sourceIds.join(', ')} into ${targetId}`);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error merging contacts:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        return this.getContact(targetId);
+    }
+
+    // Open tasks that name a contact ("call Sam back"), grouped by contact: the
+    // people a follow-up was promised to. Contacts whose last mention is oldest come
+    // first; a task naming two people is listed under both.
+    async getFollowUps() {
+        try {
+            const tasks = await this.getTasks({ status: OPEN_TASK_STATUSES });
+            const aliases = (await this.pool.query('SELECT contact_id, normalized_alias FROM contact_aliases'))
+                .rows.map(row => ({ contactId: row.contact_id, alias: row.normalized_alias }));
+
+            const tasksByContact = new Map();
+            for (const task of tasks) {
+                for (const contactId of taskMatcher.peopleIn(task.task_description, aliases)) {
+                    if (!tasksByContact.has(contactId)) tasksByContact.set(contactId, []);
+                    tasksByContact.get(contactId).push(task);
+                }
+            }
+            if (tasksByContact.size === 0) return [];
+
+            const contactIds = [...tasksByContact.keys()];
+            const contacts = await this.pool.query(`
+                SELECT c.id, c.name, MAX(r.timestamp) as last_contact_at
+                FROM contacts c
+                LEFT JOIN people pe ON pe.contact_id = c.id
+                LEFT JOIN recordings r ON pe.recording_id = r.id AND r.deleted_at IS NULL
+                WHERE c.id IN (${placeholders(contactIds)})
+                GROUP BY c.id, c.name
+            `, contactIds);
+
+            return contacts.rows
+                .map(row => ({
+                    contact: { id: row.id, name: row.name },
+                    last_contact_at: row.last_contact_at,
+                    tasks: tasksByContact.get(row.id)
+                }))
+                .sort((a, b) => new Date(a.last_contact_at || 0) - new Date(b.last_contact_at || 0) || a.contact.id - b.contact.id);
+        } catch (error) {
+            console.error('Error fetching follow-ups:', error);
+            throw error;
+        }
+    }
+
+    // Which of these import hashes already belong to a recording. Trashed recordings
+    // count, so re-importing doesn't bring back notes the user deleted.
+    async findImportedHashes(hashes) {
+        if (!hashes || hashes.length === 0) return new Set();
+
+        try {
+            const result = await this.pool.query(
+                `SELECT import_hash FROM recordings WHERE import_hash IN (${placeholders(hashes)})`,
+                hashes
+            );
+            return new Set(result.rows.map(row => row.import_hash));
+        } catch (error) {
+            console.error('Error checking imported notes:', error);
+            throw error;
+        }
+    }
+
+    // Previous versions of a recording, newest first
+    async getRecordingRevisions(recordingId) {
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM recording_revisions
+                WHERE recording_id = $1
+                ORDER BY revision_number DESC
+            `, [recordingId]);
+
+            return result.rows.map(formatRevision);
+        } catch (error) {
+            console.error('Error fetching recording revisions:', error);
+            throw error;
+        }
+    }
+
+    async getRecordingRevision(recordingId, revisionNumber) {
+        try {
+            const result = await this.pool.query(
+                'SELECT * FROM recording_revisions WHERE recording_id = $1 AND revision_number = $2',
+                [recordingId, revisionNumber]
+            );
+            return result.rows.length > 0 ? formatRevision(result.rows[0]) : null;
+        } catch (error) {
+            console.error('Error fetching recording revision:', error);
+            throw error;
+        }
+    }
+
+    // Move a recording to the trash. Returns the trashed row, or null if there is no
+    // such recording or it is already in the trash.
+    async deleteRecording(recordingId) {
+        try {
+            const result = await this.pool.query(
+                'UPDATE recordings SET deleted_at = NOW() WHERE id = $1 AND deleted_at IS NULL RETURNING *',
+                [recordingId]
+            );
+
+            if (result.rows.length === 0) {
+                console.log(`❌ Recording ${recordingId} not found`);
+                return null;
+            }
+
+            console.log(`🗑️ Recording ${recordingId} moved to trash`);
+            return result.rows[0];
+        } catch (error) {
+            console.error('Error deleting recording:', error);
+            throw error;
+        }
+    }
+
+    // Take a recording out of the trash. A recording that was merged into another
+    // gets back the entities the merge moved over, and stays flagged as a duplicate
+    // of it. Returns it, or null if it isn't in the trash.
+    async restoreRecording(recordingId) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const restored = await client.query(
+                'UPDATE recordings SET deleted_at = NULL WHERE id = $1 AND deleted_at IS NOT NULL RETURNING id',
+                [recordingId]
+            );
+            if (restored.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            for (const { table } of Object.values(ENTITY_TABLES)) {
+                await client.query(
+                    `UPDATE ${table} SET recording_id = $1, merged_from = NULL WHERE merged_from = $1`,
+                    [recordingId]
+                );
+            }
+
+            await client.query('COMMIT');
+
+            console.log(`♻️ Recording ${recordingId} restored from trash`);
+            return this.getRecording(recordingId);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error restoring recording:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Recordings in the trash, most recently deleted first
+    async getTrash() {
+        try {
+            const result = await this.pool.query(`
+                SELECT r.id, r.timestamp, r.text, r.word_count, r.project_id, r.audio_key, r.language, r.deleted_at,
+                       p.name as project_name, p.color as project_color
+                FROM recordings r
+                LEFT JOIN projects p ON r.project_id = p.id
+                WHERE r.deleted_at IS NOT NULL
+                ORDER BY r.deleted_at DESC
+            `);
+
+            const entitiesByRecording = await this.getEntitiesForRecordings(result.rows.map(row => row.id));
+
+            return result.rows.map(row => ({
+                id: row.id,
+                timestamp: row.timestamp,
+                text: row.text,
+                word_count: row.word_count,
+                project_id: row.project_id,
+                project: row.project_name ? {
+                    name: row.project_name,
+                    color: row.project_color
+                } : null,
+                language: row.language,
+                has_audio: !!row.audio_key,
+                deleted_at: row.deleted_at,
+                entities: entitiesByRecording.get(row.id)
+            }));
+        } catch (error) {
+            console.error('Error fetching trash:', error);
+            throw error;
+        }
+    }
+
+    // Permanently delete trashed recordings that were deleted before `before`.
+    // Returns the ids of the purged recordings.
+    async purgeTrash(before) {
+        try {
+            const result = await this.pool.query(
+                'SELECT id FROM recordings WHERE deleted_at < $1 ORDER BY id ASC',
+                [before]
+            );
+
+            const purged = [];
+            for (const row of result.rows) {
+                if (await this.purgeRecording(row.id)) {
+                    purged.push(row.id);
+                }
+            }
+            return purged;
+        } catch (error) {
+            console.error('Error purging trash:', error);
+            throw error;
+        }
+    }
+
+    // Permanently delete a recording and all its related entities
+    async purgeRecording(recordingId) {
+        const client = await this.pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+            
+            // Delete related entities first (foreign key constraints)
+            await client.query('DELETE FROM people WHERE recording_id = $1', [recordingId]);
+            const tasks = await client.query('SELECT id FROM tasks WHERE recording_id = $1', [recordingId]);
+            await client.query(
+                'DELETE FROM task_transitions WHERE task_id IN (SELECT id FROM tasks WHERE recording_id = $1)',
+                [recordingId]
+            );
+            await this.detachTasks(client, tasks.rows.map(row => row.id));
+            await client.query('DELETE FROM task_completion_suggestions WHERE recording_id = $1', [recordingId]);
+            await client.query('DELETE FROM tasks WHERE recording_id = $1', [recordingId]);
+            await client.query('DELETE FROM events WHERE recording_id = $1', [recordingId]);
+            await client.query('DELETE FROM topics WHERE recording_id = $1', [recordingId]);
+            await client.query('DELETE FROM locations WHERE recording_id = $1', [recordingId]);
+            await client.query('DELETE FROM items WHERE recording_id = $1', [recordingId]);
+            await client.query('DELETE FROM transcript_segments WHERE recording_id = $1', [recordingId]);
+            await client.query('DELETE FROM recording_revisions WHERE recording_id = $1', [recordingId]);
+
+            // Keep rows that only point at this recording, but unlink them
+            await client.query('UPDATE tasks SET completed_by_recording_id = NULL WHERE completed_by_recording_id = $1', [recordingId]);
+            await client.query('UPDATE task_transitions SET recording_id = NULL WHERE recording_id = $1', [recordingId]);
+            await client.query('UPDATE list_items SET checked_by_recording_id = NULL WHERE checked_by_recording_id = $1', [recordingId]);
+            await client.query('UPDATE recording_jobs SET recording_id = NULL WHERE recording_id = $1', [recordingId]);
+            await client.query('UPDATE recordings SET duplicate_of = NULL, duplicate_score = NULL WHERE duplicate_of = $1', [recordingId]);
+            for (const { table } of Object.values(ENTITY_TABLES)) {
+                await client.query(`UPDATE ${table} SET merged_from = NULL WHERE merged_from = $1`, [recordingId]);
+            }
+            
+            // Delete the main recording
+            const result = await client.query(
+                'DELETE FROM recordings WHERE id = $1 RETURNING *', 
+                [recordingId]
+            );
+            
+            await client.query('COMMIT');
+            
+            if (result.rows.length > 0) {
+                // A merge may have left the audio with another recording as well
+                const audioKey = result.rows[0].audio_key;
+                const sharing = audioKey
+                    ? await this.pool.query('SELECT id FROM recordings WHERE audio_key = $1 LIMIT 1', [audioKey])
+                    : { rows: [] };
+                if (sharing.rows.length === 0) {
+                    await this.deleteAudioBlob(audioKey);
+                }
+                console.log(`🗑️ Recording ${recordingId} purged`);
+                return result.rows[0];
+            } else {
+                console.log(`❌ Recording ${recordingId} not found`);
+                return null;
+            }
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error purging recording:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Remove a recording's audio; the database row is already gone, so only log failures
+    async deleteAudioBlob(audioKey) {
+        if (!audioKey || !this.blobStore) return;
+
+        try {
+            await this.blobStore.delete(audioKey);
+        } catch (error) {
+            console.error(`Error deleting audio blob ${audioKey}:`, error);
+        }
+    }
+
+    // Get a single recording with its project and entities
+    async getRecording(recordingId) {
+        try {
+            const result = await this.pool.query(`
+                SELECT r.*, p.name as project_name, p.color as project_color
+                FROM recordings r
+                LEFT JOIN projects p ON r.project_id = p.id
+                WHERE r.id = $1 AND r.deleted_at IS NULL
+            `, [recordingId]);
+
+            if (result.rows.length === 0) return null;
+
+            const row = result.rows[0];
+            const entitiesByRecording = await this.getEntitiesForRecordings([row.id]);
+
+            return {
+                id: row.id,
+                timestamp: row.timestamp,
+                text: row.text,
+                word_count: row.word_count,
+                project_id: row.project_id,
+                project: row.project_name ? {
+                    name: row.project_name,
+                    color: row.project_color
+                } : null,
+                language: row.language,
+                translated_text: row.translated_text,
+                translation_language: row.translation_language,
+                updated_at: row.updated_at,
+                audio_key: row.audio_key,
+                audio_content_type: row.audio_content_type,
+                audio_size: row.audio_size !== null ? parseInt(row.audio_size) : null,
+                has_audio: !!row.audio_key,
+                extraction: formatExtraction(row),
+                entities: entitiesByRecording.get(row.id)
+            };
+        } catch (error) {
+            console.error('Error fetching recording:', error);
+            throw error;
+        }
+    }
+
+    // Insert entities into their respective tables
+    async insertEntities(client, recordingId, entities) {
+        // Insert people, then link them to contacts
+        if (entities.people && entities.people.length > 0) {
+            for (const person of entities.people) {
+                await client.query(
+                    'INSERT INTO people (recording_id, name) VALUES ($1, $2)',
+                    [recordingId, person]
+                );
+            }
+            await this.linkPeople(client, recordingId);
+        }
+
+        const dateContext = await this.getDateContext(client, recordingId, entities);
+
+        // Insert tasks, with their due dates
+        if (entities.tasks && entities.tasks.length > 0) {
+            for (const task of entities.tasks) {
+                const inserted = await client.query(
+                    'INSERT INTO tasks (recording_id, task_description) VALUES ($1, $2) RETURNING id',
+                    [recordingId, task]
+                );
+                await this.setEntityDate(client, 'tasks', inserted.rows[0].id, task, dateContext);
+            }
+        }
+
+        // Insert events, with their start and end times
+        if (entities.events && entities.events.length > 0) {
+            for (const event of entities.events) {
+                const inserted = await client.query(
+                    'INSERT INTO events (recording_id, event_name) VALUES ($1, $2) RETURNING id',
+                    [recordingId, event]
+                );
+                await this.setEntityDate(client, 'events', inserted.rows[0].id, event, dateContext);
+            }
+        }
+
+        // Insert topics
+        if (entities.topics && entities.topics.length > 0) {
+            for (const topic of entities.topics) {
+                await client.query(
+                    'INSERT INTO topics (recording_id, topic) VALUES ($1, $2)',
+                    [recordingId, topic]
+                );
+            }
+        }
+
+        // Insert locations
+        if (entities.locations && entities.locations.length > 0) {
+            for (const location of entities.locations) {
+                await client.query(
+                    'INSERT INTO locations (recording_id, location_name) VALUES ($1, $2)',
+                    [recordingId, location]
+                );
+            }
+        }
+
+        // Insert items, then put them on a list
+        if (entities.items && entities.items.length > 0) {
+            for (const item of entities.items) {
+                await client.query(
+                    'INSERT INTO items (recording_id, item_name) VALUES ($1, $2)',
+                    [recordingId, item]
+                );
+            }
+            await this.linkItems(client, recordingId);
+        }
+    }
+
+    async insertSegments(client, recordingId, segments) {
+        if (!segments || segments.length === 0) return;
+
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            await client.query(
+                `INSERT INTO transcript_segments 
+                 (recording_id, segment_index, start_seconds, end_seconds, text, avg_logprob, no_speech_prob)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                [recordingId, i, segment.start, segment.end, segment.text, segment.avg_logprob, segment.no_speech_prob]
+            );
+        }
+    }
+
+    // Timestamped transcript of a recording, in spoken order
+    async getTranscriptSegments(recordingId) {
+        try {
+            const result = await this.pool.query(`
+                SELECT segment_index, start_seconds, end_seconds, text, avg_logprob, no_speech_prob
+                FROM transcript_segments
+                WHERE recording_id = $1
+                ORDER BY segment_index ASC
+            `, [recordingId]);
+
+            return result.rows.map(formatSegment);
+        } catch (error) {
+            console.error('Error fetching transcript segments:', error);
+            throw error;
+        }
+    }
+
+    // Segments that mention any of the terms, best matches first, with the
+    // recording they belong to so callers can link to the exact second
+    async searchSegments(terms, limit = 5) {
+        if (!terms || terms.length === 0) return [];
+
+        try {
+            const conditions = terms.map((_, i) => `s.text ILIKE $${i + 1}`);
+            const result = await this.pool.query(`
+                SELECT s.recording_id, s.segment_index, s.start_seconds, s.end_seconds, s.text,
+                       s.avg_logprob, s.no_speech_prob, r.timestamp
+                FROM transcript_segments s
+                JOIN recordings r ON s.recording_id = r.id
+                WHERE r.deleted_at IS NULL AND (${conditions.join(' OR ')})
+                ORDER BY r.timestamp DESC
+                LIMIT 200
+            `, terms.map(term => `%${term}%`));
+
+            const scored = result.rows.map(row => {
+                const text = row.text.toLowerCase();
+                const score = terms.filter(term => text.includes(term.toLowerCase())).length;
+                return { score, row };
+            });
+
+            // Stable sort keeps newer recordings first among equal scores
+            return scored
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit)
+                .map(({ row }) => ({
+                    recording_id: row.recording_id,
+                    recording_timestamp: row.timestamp,
+                    ...formatSegment(row)
+                }));
+        } catch (error) {
+            console.error('Error searching transcript segments:', error);
+            throw error;
+        }
+    }
+
+    // Get all recordings with their entities (for AI context).
+    // filters.language limits the list to one language (ISO 639-1).
+    async getAllRecordings(filters = {}) {
+        try {
+            const params = [];
+            const conditions = recordingFilterConditions(filters, params);
+
+            const result = await this.pool.query(`
+                SELECT ${RECORDING_LIST_COLUMNS}
+                FROM recordings r
+                LEFT JOIN projects p ON r.project_id = p.id
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY r.timestamp DESC
+            `, params);
+
+            const entitiesByRecording = await this.getEntitiesForRecordings(result.rows.map(row => row.id));
+
+            return result.rows.map(row => formatRecordingRow(row, entitiesByRecording.get(row.id)));
+
+        } catch (error) {
+            console.error('Error fetching recordings:', error);
+            throw error;
+        }
+    }
+
+    // One page of recordings. options: limit, cursor (next_cursor of the previous page),
+    // sort (newest, oldest, longest, shortest), includeEntities, and the filters
+    // language, from, to, projectId, person, topic, hasPendingTasks, minWords and
+    // extractionStatus.
+    // Returns { recordings, total, next_cursor }; total counts every page.
+    async listRecordings(options = {}) {
+        const sortName = options.sort || 'newest';
+        const sort = RECORDING_SORTS[sortName];
+        if (!sort) {
+            throw new Error(`Unknown sort "${sortName}". Use one of: ${Object.keys(RECORDING_SORTS).join(', ')}`);
+        }
+
+        const limit = options.limit || DEFAULT_PAGE_SIZE;
+        const cursor = options.cursor ? decodeCursor(options.cursor, sortName) : null;
+
+        try {
+            const total = await this.countRecordings(options);
+
+            const params = [];
+            const conditions = recordingFilterConditions(options, params);
+            const column = `r.${sort.column}`;
+            const operator = sort.direction === 'DESC' ? '<' : '>';
+            let cursorJoin = '';
+
+            if (cursor) {
+                // Compare against the cursor row itself, so timestamps keep the database's
+                // full precision; its saved value is only used if the row has been purged since
+                const cursorRow = await this.pool.query('SELECT id FROM recordings WHERE id = $1', [cursor.id]);
+                params.push(cursor.id);
+                const id = `$${params.length}`;
+
+                if (cursorRow.rows.length > 0) {
+                    cursorJoin = `JOIN recordings c ON c.id = ${id}`;
+                    conditions.push(`(${column} ${operator} c.${sort.column} OR (${column} = c.${sort.column} AND r.id ${operator} c.id))`);
+                } else {
+                    params.push(cursor.value);
+                    const value = `$${params.length}`;
+                    conditions.push(`(${column} ${operator} ${value} OR (${column} = ${value} AND r.id ${operator} ${id}))`);
+                }
+            }
+
+            params.push(limit + 1);
+            const result = await this.pool.query(`
+                SELECT ${RECORDING_LIST_COLUMNS}
+                FROM recordings r
+                LEFT JOIN projects p ON r.project_id = p.id
+                ${cursorJoin}
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY ${column} ${sort.direction}, r.id ${sort.direction}
+                LIMIT $${params.length}
+            `, params);
+
+            // One row more than asked for tells whether there is a next page
+            const rows = result.rows.slice(0, limit);
+            const hasMore = result.rows.length > limit;
+            const entitiesByRecording = options.includeEntities === false
+                ? null
+                : await this.getEntitiesForRecordings(rows.map(row => row.id));
+
+            return {
+                recordings: rows.map(row => formatRecordingRow(row, entitiesByRecording && entitiesByRecording.get(row.id))),
+                total,
+                next_cursor: hasMore ? encodeCursor(sortName, rows[rows.length - 1], sort.column) : null
+            };
+        } catch (error) {
+            console.error('Error listing recordings:', error);
+            throw error;
+        }
+    }
+
+    // Number of recordings matching the listing filters (all of them by default)
+    async countRecordings(filters = {}) {
+        try {
+            const params = [];
+            const conditions = recordingFilterConditions(filters, params);
+            const result = await this.pool.query(
+                `SELECT COUNT(*) as count FROM recordings r WHERE ${conditions.join(' AND ')}`,
+                params
+            );
+            return parseInt(result.rows[0].count);
+        } catch (error) {
+            console.error('Error counting recordings:', error);
+            throw error;
+        }
+    }
+
+    // Load entity names for a set of recordings, one query per entity table
+    // instead of joining all six tables against recordings at once
+    async getEntitiesForRecordings(recordingIds) {
+        const entitiesByRecording = new Map(recordingIds.map(id => [id, {
+            people: [],
+            tasks: [],
+            events: [],
+            topics: [],
+            locations: [],
+            items: []
+        }]));
+
+        if (recordingIds.length === 0) return entitiesByRecording;
+
+        for (const [key, { table, column }] of Object.entries(ENTITY_TABLES)) {
+            const result = await this.pool.query(
+                `SELECT recording_id, ${column} as value FROM ${table}
+                 WHERE recording_id IN (${placeholders(recordingIds)})
+                 ORDER BY id ASC`,
+                recordingIds
+            );
+
+            for (const row of result.rows) {
+                const list = entitiesByRecording.get(row.recording_id)[key];
+                if (row.value !== null && !list.includes(row.value)) {
+                    list.push(row.value);
+                }
+            }
+        }
+
+        return entitiesByRecording;
+    }
+
+    // Task Management Methods
+    // Open (pending or in-progress) tasks with recording info, newest recording first
+    async getPendingTasks() {
+        try {
+            const tasks = await this.getTasks({ status: OPEN_TASK_STATUSES });
+            return tasks.sort((a, b) =>
+                new Date(b.recorded_at || b.created_at) - new Date(a.recorded_at || a.created_at));
+        } catch (error) {
+            console.error('Error fetching pending tasks:', error);
+            throw error;
+        }
+    }
+
+    // Tasks matching filters: status (list), projectId (the task's own project or its
+    // recording's), dueBefore, priority, person (mentioned in the task's recording or
+    // named in the task). Tasks with a due date come first, soonest first.
+    async getTasks(filters = {}) {
+        try {
+            await this.wakeSnoozedTasks();
+
+            const params = [];
+            const add = (value) => {
+                params.push(value);
+                return `$${params.length}`;
+            };
+            // Tasks of recordings in the trash are hidden with them
+            const conditions = ['(t.recording_id IS NULL OR r.deleted_at IS NULL)'];
+
+            if (filters.status && filters.status.length > 0) {
+                conditions.push(`t.status IN (${filters.status.map(add).join(', ')})`);
+            }
+            if (filters.projectId) {
+                conditions.push(`COALESCE(t.project_id, r.project_id) = ${add(filters.projectId)}`);
+            }
+            if (filters.dueBefore) conditions.push(`t.due_at <= ${add(filters.dueBefore)}`);
+            if (filters.priority) conditions.push(`t.priority = ${add(filters.priority)}`);
+            if (filters.person) {
+                conditions.push(`(t.recording_id IN (
+                    SELECT pe.recording_id FROM people pe
+                    JOIN contact_aliases a ON a.contact_id = pe.contact_id
+                    WHERE a.normalized_alias = ${add(contactMatcher.normalize(filters.person))}
+                ) OR t.task_description ILIKE ${add(`%${filters.person}%`)})`);
+            }
+
+            const result = await this.pool.query(`
+                ${TASK_SELECT}
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY t.id DESC
+            `, params);
+
+            return result.rows
+                .map(formatTask)
+                .sort((a, b) => {
+                    if (a.due_at && b.due_at) return new Date(a.due_at) - new Date(b.due_at);
+                    return (a.due_at ? 0 : 1) - (b.due_at ? 0 : 1);
+                });
+        } catch (error) {
+            console.error('Error fetching tasks:', error);
+            throw error;
+        }
+    }
+
+    // A task with its status history, or null
+    async getTask(taskId) {
+        try {
+            await this.wakeSnoozedTasks();
+
+            const result = await this.pool.query(`${TASK_SELECT} WHERE t.id = $1`, [taskId]);
+            if (result.rows.length === 0) return null;
+
+            const history = await this.pool.query(
+                `SELECT from_status, to_status, source, recording_id, created_at
+                 FROM task_transitions WHERE task_id = $1 ORDER BY id ASC`,
+                [taskId]
+            );
+            return { ...formatTask(result.rows[0]), history: history.rows };
+        } catch (error) {
+            console.error('Error fetching task:', error);
+            throw error;
+        }
+    }
+
+    // Add a task by hand. fields: { description, due: { start, allDay, phrase } | null,
+    // priority, projectId, status, recurrence }. Without a due date or recurrence rule,
+    // they are read from the description ("call mom on friday", "water the plants
+    // every Sunday"); a repeating task is due on its first occurrence.
+    async createTask(fields) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const description = String(fields.description || '').trim();
+            if (!description) {
+                throw new Error('Task description is required');
+            }
+            if (fields.projectId) {
+                await this.assertActiveProject(client, fields.projectId);
+            }
+
+            const status = fields.status || 'pending';
+            if (status === 'snoozed' && !(fields.snoozedUntil && new Date(fields.snoozedUntil) > new Date())) {
+                throw new Error('Snoozing needs a time in the future');
+            }
+            let resolved = fields.due !== undefined ? fields.due : dateResolver.resolve(description);
+            const rule = fields.recurrence !== undefined ? fields.recurrence : recurrence.fromText(description);
+            let recurrenceStart = null;
+            if (rule) {
+                const schedule = scheduleRecurrence(rule, resolved);
+                resolved = schedule.due;
+                recurrenceStart = schedule.start;
+            }
+
+            const result = await client.query(`
+                INSERT INTO tasks (recording_id, task_description, status, priority, project_id,
+                                   due_at, due_all_day, due_phrase, snoozed_until, recurrence_rule, recurrence_start,
+                                   edited_at, updated_at)
+                VALUES (NULL, $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
+                RETURNING id
+            `, [description, status, fields.priority || 'normal', fields.projectId || null,
+                resolved ? resolved.start : null, resolved ? resolved.allDay : null, resolved ? resolved.phrase : null,
+                status === 'snoozed' ? fields.snoozedUntil : null, rule || null, recurrenceStart]);
+            const taskId = result.rows[0].id;
+
+            if (status === 'completed') {
+                await client.query('UPDATE tasks SET completed_at = NOW() WHERE id = $1', [taskId]);
+            }
+            await this.recordTaskTransition(client, taskId, null, status, 'api');
+            if (rule && (status === 'completed' || status === 'cancelled')) {
+                await this.createNextOccurrence(client, taskId);
+            }
+
+            await client.query('COMMIT');
+
+            console.log(`📝 Task ${taskId} added`);
+            return this.getTask(taskId);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error creating task:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Change a task. changes may hold description, priority, projectId, due
+    // ({ start, allDay, phrase } or null to clear), status, snoozedUntil (required
+    // to snooze) and recurrence (a rule, or null to stop repeating). Completing or
+    // cancelling a repeating task adds its next occurrence. options.source says who
+    // changed it: 'api' (marks the task as edited by hand, so re-extraction leaves it
+    // alone), 'recording' or 'snooze'.
+    // Returns the task, or null if it doesn't exist.
+    async updateTask(taskId, changes = {}, { source = 'api', recordingId = null } = {}) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const current = await client.query('SELECT * FROM tasks WHERE id = $1', [taskId]);
+            if (current.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            const task = current.rows[0];
+
+            const assignments = {};
+            if (changes.description !== undefined) {
+                const description = String(changes.description || '').trim();
+                if (!description) {
+                    throw new Error('Task description is required');
+                }
+                assignments.task_description = description;
+            }
+            if (changes.priority !== undefined) assignments.priority = changes.priority;
+            if (changes.projectId !== undefined) {
+                if (changes.projectId !== null) {
+                    await this.assertActiveProject(client, changes.projectId);
+                }
+                assignments.project_id = changes.projectId;
+            }
+            if (changes.due !== undefined) {
+                assignments.due_at = changes.due ? changes.due.start : null;
+                assignments.due_all_day = changes.due ? changes.due.allDay : null;
+                assignments.due_phrase = changes.due ? changes.due.phrase : null;
+            }
+            if (changes.recurrence !== undefined) {
+                assignments.recurrence_rule = changes.recurrence;
+                assignments.recurrence_start = null;
+                if (changes.recurrence) {
+                    const due = changes.due !== undefined ? changes.due
+                        : task.due_at ? { start: task.due_at, allDay: task.due_all_day, phrase: task.due_phrase } : null;
+                    const schedule = scheduleRecurrence(changes.recurrence, due);
+                    assignments.recurrence_start = schedule.start;
+                    assignments.due_at = schedule.due ? schedule.due.start : null;
+                    assignments.due_all_day = schedule.due ? schedule.due.allDay : null;
+                    assignments.due_phrase = schedule.due ? schedule.due.phrase : null;
+                }
+            }
+
+            const status = changes.status !== undefined ? changes.status : task.status;
+            if (status !== task.status && !TASK_TRANSITIONS[task.status].includes(status)) {
+                throw new Error(`Cannot change a ${task.status} task to ${status}`);
+            }
+            if (status === 'snoozed') {
+                const until = changes.snoozedUntil !== undefined ? changes.snoozedUntil : task.snoozed_until;
+                if (!until || new Date(until) <= new Date()) {
+                    throw new Error('Snoozing needs a time in the future');
+                }
+                assignments.snoozed_until = until;
+            } else if (task.status === 'snoozed') {
+                assignments.snoozed_until = null;
+            }
+            if (status === 'completed' && task.status !== 'completed') {
+                assignments.completed_at = new Date();
+                assignments.completed_by_recording_id = recordingId;
+            } else if (status !== 'completed' && task.status === 'completed') {
+                assignments.completed_at = null;
+                assignments.completed_by_recording_id = null;
+            }
+            assignments.status = status;
+            // Only a change to what the task says marks it as edited by hand (which keeps
+            // re-extraction off it); moving it through its statuses doesn't
+            const contentChanged = ['description', 'priority', 'projectId', 'due', 'recurrence']
+                .some(field => changes[field] !== undefined);
+            if (source === 'api' && contentChanged) assignments.edited_at = new Date();
+
+            const columns = Object.keys(assignments);
+            await client.query(
+                `UPDATE tasks SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW()
+                 WHERE id = $1`,
+                [taskId, ...columns.map(column => assignments[column])]
+            );
+
+            if (status !== task.status) {
+                await this.recordTaskTransition(client, taskId, task.status, status, source, recordingId);
+            }
+            if ((status === 'completed' || status === 'cancelled') && (task.status !== 'completed' && task.status !== 'cancelled')) {
+                await this.createNextOccurrence(client, taskId);
+            }
+
+            await client.query('COMMIT');
+            return this.getTask(taskId);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error updating task:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async assertActiveProject(client, projectId) {
+        const project = await client.query(
+            'SELECT id FROM projects WHERE id = $1 AND is_active = true',
+            [projectId]
+        );
+        if (project.rows.length === 0) {
+            throw new Error('Project not found');
+        }
+    }
+
+    async recordTaskTransition(client, taskId, fromStatus, toStatus, source, recordingId = null) {
+        await client.query(
+            `INSERT INTO task_transitions (task_id, from_status, to_status, source, recording_id)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [taskId, fromStatus, toStatus, source, recordingId]
+        );
+    }
+
+    // Clear what refers to tasks about to be deleted: completion suggestions and
+    // reminders go, and an occurrence that followed one of them loses its link back
+    async detachTasks(client, taskIds) {
+        if (taskIds.length === 0) return;
+
+        const list = placeholders(taskIds);
+        await client.query(`DELETE FROM task_completion_suggestions WHERE task_id IN (${list})`, taskIds);
+        await client.query(`DELETE FROM task_reminders WHERE task_id IN (${list})`, taskIds);
+        await client.query(`UPDATE tasks SET previous_task_id = NULL WHERE previous_task_id IN (${list})`, taskIds);
+    }
+
+    // Add the occurrence that follows a repeating task, due on the rule's first date
+    // after the later of the task's due date and now. Nothing is added when the task
+    // doesn't repeat, already has a next occurrence or the rule has run out (COUNT,
+    // UNTIL). Returns the new task's id, or null.
+    async createNextOccurrence(client, taskId) {
+        const current = await client.query(
+            `SELECT t.*, r.project_id AS recording_project_id FROM tasks t
+             LEFT JOIN recordings r ON t.recording_id = r.id WHERE t.id = $1`,
+            [taskId]
+        );
+        const task = current.rows[0];
+        const parsed = task ? recurrence.parse(task.recurrence_rule) : null;
+        if (!parsed || (parsed.count && task.occurrence >= parsed.count)) return null;
+
+        const existing = await client.query('SELECT id FROM tasks WHERE previous_task_id = $1', [taskId]);
+        if (existing.rows.length > 0) return null;
+
+        const now = new Date();
+        const allDay = !task.due_at || task.due_all_day !== false;
+        const nextDue = recurrence.next(parsed, {
+            after: task.due_at && new Date(task.due_at) > now ? new Date(task.due_at) : now,
+            start: task.recurrence_start || task.due_at || now,
+            allDay
+        });
+        if (!nextDue) return null;
+
+        // Occurrences belong to no recording, so re-extracting the first one's recording
+        // leaves them alone
+        const inserted = await client.query(`
+            INSERT INTO tasks (recording_id, task_description, status, priority, project_id, due_at, due_all_day,
+                               recurrence_rule, recurrence_start, occurrence, previous_task_id, updated_at)
+            VALUES (NULL, $1, 'pending', $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+            RETURNING id
+        `, [task.task_description, task.priority, task.project_id || task.recording_project_id || null, nextDue, allDay,
+            task.recurrence_rule, task.recurrence_start, task.occurrence + 1, taskId]);
+        const nextId = inserted.rows[0].id;
+        await this.recordTaskTransition(client, nextId, null, 'pending', 'recurrence');
+
+        console.log(`🔁 Task ${taskId} repeats as task ${nextId}, due ${nextDue.toISOString()}`);
+        return nextId;
+    }
+
+    // Complete an open or snoozed task, optionally as done by a recording.
+    // Returns the task, or null if it doesn't exist or is already completed or cancelled.
+    async completeTask(taskId, completedByRecordingId = null) {
+        try {
+            const current = await this.pool.query('SELECT status FROM tasks WHERE id = $1', [taskId]);
+            if (current.rows.length === 0 || !TASK_TRANSITIONS[current.rows[0].status].includes('completed')) {
+                console.log(`❌ Task ${taskId} not found or already completed`);
+                return null;
+            }
+
+            const task = await this.updateTask(taskId, { status: 'completed' }, {
+                source: completedByRecordingId ? 'recording' : 'api',
+                recordingId: completedByRecordingId
+            });
+            console.log(`✅ Task ${taskId} marked as completed`);
+            return task;
+        } catch (error) {
+            console.error('Error completing task:', error);
+            throw error;
+        }
+    }
+
+    // Delete a task and its history. Returns the deleted task, or null.
+    async deleteTask(taskId) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM task_transitions WHERE task_id = $1', [taskId]);
+            await this.detachTasks(client, [taskId]);
+            const result = await client.query('DELETE FROM tasks WHERE id = $1 RETURNING *', [taskId]);
+            await client.query('COMMIT');
+
+            if (result.rows.length > 0) {
+                console.log(`🗑️ Task ${taskId} deleted`);
+            }
+            return result.rows[0] || null;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error deleting task:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Snoozed tasks whose time has come go back to pending. Returns their ids.
+    async wakeSnoozedTasks(now = new Date()) {
+        const due = await this.pool.query(
+            `SELECT id FROM tasks WHERE status = 'snoozed' AND snoozed_until <= $1`,
+            [now]
+        );
+
+        for (const { id } of due.rows) {
+            await this.updateTask(id, { status: 'pending' }, { source: 'snooze' });
+        }
+        if (due.rows.length > 0) {
+            console.log(`⏰ ${due.rows.length} snoozed tasks are due again`);
+        }
+        return due.rows.map(row => row.id);
+    }
+
+    // Compare a new recording with the open tasks from other recordings or added by
+    // hand. Confident matches are completed by the recording; weaker ones are queued
+    // as suggestions. Matching the same recording again leaves earlier results alone.
+    // Returns { completed, suggested }, each [{ taskId, description, confidence, reasons }].
+    async matchTaskCompletions(recordingId) {
+        try {
+            const recording = await this.pool.query('SELECT id, text, project_id FROM recordings WHERE id = $1', [recordingId]);
+            if (recording.rows.length === 0) return { completed: [], suggested: [] };
+
+            const tasks = (await this.getTasks({ status: COMPLETABLE_TASK_STATUSES }))
+                .filter(task => task.recording_id !== recordingId);
+            if (tasks.length === 0) return { completed: [], suggested: [] };
+
+            const people = await this.pool.query('SELECT contact_id FROM people WHERE recording_id = $1', [recordingId]);
+            const aliases = (await this.pool.query('SELECT contact_id, normalized_alias FROM contact_aliases'))
+                .rows.map(row => ({ contactId: row.contact_id, alias: row.normalized_alias }));
+
+            const candidates = await taskMatcher.rank({
+                text: recording.rows[0].text,
+                projectId: recording.rows[0].project_id,
+                contactIds: people.rows.map(row => row.contact_id).filter(Boolean)
+            }, tasks.map(task => ({
+                id: task.id,
+                description: task.task_description,
+                projectId: task.project_id,
+                contactIds: taskMatcher.peopleIn(task.task_description, aliases)
+            })));
+            if (candidates.length === 0) return { completed: [], suggested: [] };
+
+            // Matched before (and maybe rejected): leave those as they are
+            const previous = await this.pool.query(
+                'SELECT task_id FROM task_completion_suggestions WHERE recording_id = $1',
+                [recordingId]
+            );
+            const seen = new Set(previous.rows.map(row => row.task_id));
+            const descriptions = new Map(tasks.map(task => [task.id, task.task_description]));
+            const result = { completed: [], suggested: [] };
+
+            for (const candidate of candidates) {
+                if (seen.has(candidate.taskId)) continue;
+
+                const auto = candidate.confidence >= taskMatcher.autoConfidence
+                    && await this.completeTask(candidate.taskId, recordingId);
+                await this.pool.query(
+                    `INSERT INTO task_completion_suggestions (task_id, recording_id, confidence, reasons, status, resolved_at)
+                     VALUES ($1, $2, $3, $4, $5, $6)`,
+                    [candidate.taskId, recordingId, candidate.confidence, JSON.stringify(candidate.reasons),
+                        auto ? 'auto' : 'pending', auto ? new Date() : null]
+                );
+
+                result[auto ? 'completed' : 'suggested'].push({
+                    ...candidate,
+                    description: descriptions.get(candidate.taskId)
+                });
+            }
+
+            if (result.completed.length > 0 || result.suggested.length > 0) {
+                console.log(`🎯 Recording ${recordingId}: ${result.completed.length} tasks completed, ${result.suggested.length} suggested`);
+            }
+            return result;
+        } catch (error) {
+            console.error('Error matching task completions:', error);
+            throw error;
+        }
+    }
+
+    // Suggestions waiting for review, most confident first. Those for tasks that were
+    // closed another way, or from recordings in the trash, are left out.
+    async getCompletionSuggestions() {
+        try {
+            const result = await this.pool.query(`
+                SELECT s.*, t.task_description, t.status AS task_status, t.due_at,
+                       r.text AS recording_text, r.timestamp AS recorded_at
+                FROM task_completion_suggestions s
+                JOIN tasks t ON t.id = s.task_id
+                JOIN recordings r ON r.id = s.recording_id
+                WHERE s.status = 'pending' AND r.deleted_at IS NULL
+                  AND t.status IN (${placeholders(COMPLETABLE_TASK_STATUSES)})
+                ORDER BY s.confidence DESC, s.id ASC
+            `, COMPLETABLE_TASK_STATUSES);
+
+            return result.rows.map(row => ({ ...row, confidence: Number(row.confidence) }));
+        } catch (error) {
+            console.error('Error fetching completion suggestions:', error);
+            throw error;
+        }
+    }
+
+    // Accept (complete the task as done by the suggestion's recording) or reject a
+    // suggestion. Returns { suggestion, task }, or null if it doesn't exist.
+    async resolveCompletionSuggestion(suggestionId, accept) {
+        try {
+            const existing = await this.pool.query('SELECT * FROM task_completion_suggestions WHERE id = $1', [suggestionId]);
+            if (existing.rows.length === 0) return null;
+
+            const suggestion = existing.rows[0];
+            if (suggestion.status !== 'pending') {
+                throw new Error('Suggestion has already been resolved');
+            }
+
+            let task;
+            if (accept) {
+                task = await this.completeTask(suggestion.task_id, suggestion.recording_id);
+                if (!task) {
+                    throw new Error('Task is no longer open');
+                }
+            } else {
+                task = await this.getTask(suggestion.task_id);
+            }
+
+            const updated = await this.pool.query(
+                `UPDATE task_completion_suggestions SET status = $1, resolved_at = NOW()
+                 WHERE id = $2 RETURNING *`,
+                [accept ? 'accepted' : 'rejected', suggestionId]
+            );
+            console.log(`🎯 Completion suggestion ${suggestionId} ${accept ? 'accepted' : 'rejected'}`);
+
+            return { suggestion: { ...updated.rows[0], confidence: Number(updated.rows[0].confidence) }, task };
+        } catch (error) {
+            console.error('Error resolving completion suggestion:', error);
+            throw error;
+        }
+    }
+
+    // Reminder Methods
+    // Queue a reminder for every open task whose reminder time (its due time, or
+    // allDayHour o'clock on the due day for all-day tasks) is between since and now
+    // and that has none for this due time yet. Returns the new reminders.
+    async queueDueReminders({ now = new Date(), since, allDayHour = 9 }) {
+        try {
+            // An all-day task due yesterday may still be reminded today
+            const earliestDue = new Date(since.getTime() - 24 * 60 * 60 * 1000);
+            const result = await this.pool.query(`
+                ${TASK_SELECT}
+                WHERE t.status IN (${placeholders(OPEN_TASK_STATUSES)})
+                  AND t.due_at <= $${OPEN_TASK_STATUSES.length + 1} AND t.due_at >= $${OPEN_TASK_STATUSES.length + 2}
+                  AND (t.recording_id IS NULL OR r.deleted_at IS NULL)
+                ORDER BY t.due_at ASC
+            `, [...OPEN_TASK_STATUSES, now, earliestDue]);
+
+            const due = result.rows
+                .map(task => ({ task, remindAt: this.reminderTime(task, allDayHour) }))
+                .filter(({ remindAt }) => remindAt >= since && remindAt <= now);
+            if (due.length === 0) return [];
+
+            const taskIds = due.map(({ task }) => task.id);
+            const existing = await this.pool.query(
+                `SELECT task_id, due_at FROM task_reminders WHERE task_id IN (${placeholders(taskIds)})`,
+                taskIds
+            );
+            const queued = new Set(existing.rows.map(row => `${row.task_id}:${new Date(row.due_at).getTime()}`));
+
+            const reminders = [];
+            for (const { task, remindAt } of due) {
+                if (queued.has(`${task.id}:${new Date(task.due_at).getTime()}`)) continue;
+
+                try {
+                    const inserted = await this.pool.query(
+                        'INSERT INTO task_reminders (task_id, due_at, remind_at) VALUES ($1, $2, $3) RETURNING *',
+                        [task.id, task.due_at, remindAt]
+                    );
+                    reminders.push(inserted.rows[0]);
+                } catch (error) {
+                    // Another process queued it first
+                    if (error.code !== '23505') throw error;
+                }
+            }
+            return reminders;
+        } catch (error) {
+            console.error('Error queueing reminders:', error);
+            throw error;
+        }
+    }
+
+    reminderTime(task, allDayHour) {
+        if (!task.due_all_day) return new Date(task.due_at);
+
+        const local = dateResolver.localParts(new Date(task.due_at));
+        return dateResolver.zonedTime({ year: local.year, month: local.month, day: local.day }, allDayHour, 0);
+    }
+
+    // Lock the next reminder ready to be sent (pending, and either never tried, due
+    // for a retry or locked by a process that died before staleBefore) and count the
+    // attempt. Returns the reminder with its task, or null.
+    async claimNextReminder(staleBefore) {
+        try {
+            // Reminders another process is sending are passed over, so any number of
+            // them can't hold up the ones behind
+            const candidates = await this.pool.query(`
+                SELECT id FROM task_reminders
+                WHERE status = 'pending' AND next_attempt_at <= NOW() AND (locked_at IS NULL OR locked_at < $1)
+                ORDER BY remind_at ASC, id ASC
+                LIMIT 5
+            `, [staleBefore]);
+
+            // Conditional update so two processes can't claim the same reminder
+            for (const candidate of candidates.rows) {
+                const result = await this.pool.query(`
+                    UPDATE task_reminders
+                    SET locked_at = NOW(), attempts = attempts + 1
+                    WHERE id = $1 AND status = 'pending' AND (locked_at IS NULL OR locked_at < $2)
+                    RETURNING *
+                `, [candidate.id, staleBefore]);
+
+                if (result.rows.length > 0) {
+                    const task = await this.pool.query(`${TASK_SELECT} WHERE t.id = $1`, [result.rows[0].task_id]);
+                    return { ...result.rows[0], task: task.rows[0] ? formatTask(task.rows[0]) : null };
+                }
+            }
+
+            return null;
+        } catch (error) {
+            console.error('Error claiming reminder:', error);
+            throw error;
+        }
+    }
+
+    async updateReminder(reminderId, fields) {
+        try {
+            const columns = Object.keys(fields).filter(column => REMINDER_UPDATABLE_COLUMNS.includes(column));
+            if (columns.length === 0) return null;
+
+            const result = await this.pool.query(
+                `UPDATE task_reminders SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+                 WHERE id = $1 RETURNING *`,
+                [reminderId, ...columns.map(column => fields[column])]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error updating reminder:', error);
+            throw error;
+        }
+    }
+
+    // Recent reminders, newest first, optionally only those with a status
+    // (pending, sent, skipped or failed)
+    async getReminders({ status = null, limit = 100 } = {}) {
+        try {
+            const params = status ? [status, limit] : [limit];
+            const result = await this.pool.query(`
+                SELECT tr.*, t.task_description
+                FROM task_reminders tr
+                JOIN tasks t ON t.id = tr.task_id
+                ${status ? 'WHERE tr.status = $1' : ''}
+                ORDER BY tr.remind_at DESC, tr.id DESC
+                LIMIT $${params.length}
+            `, params);
+            return result.rows;
+        } catch (error) {
+            console.error('Error fetching reminders:', error);
+            throw error;
+        }
+    }
+
+    // List Methods
+    // Every list with how many items are open and checked off
+    async getLists() {
+        try {
+            const lists = await this.pool.query('SELECT * FROM lists ORDER BY name ASC');
+            const items = await this.pool.query(`SELECT li.id, li.list_id, li.checked FROM list_items li WHERE ${VISIBLE_LIST_ITEM}`);
+
+            return lists.rows.map(list => {
+                const listItems = items.rows.filter(item => item.list_id === list.id);
+                const checked = listItems.filter(item => item.checked).length;
+                return { ...list, open_count: listItems.length - checked, checked_count: checked };
+            });
+        } catch (error) {
+            console.error('Error fetching lists:', error);
+            throw error;
+        }
+    }
+
+    async createList(name) {
+        try {
+            const normalized = listMatcher.normalizeListName(name);
+            const result = await this.pool.query(
+                'INSERT INTO lists (name, normalized_name) VALUES ($1, $2) RETURNING *',
+                [name.trim(), normalized]
+            );
+
+            console.log(`🛒 List created: ${name}`);
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new Error('List already exists');
+            }
+            console.error('Error creating list:', error);
+            throw error;
+        }
+    }
+
+    // A list's items, open ones first, each with the recordings that mentioned it;
+    // items only trashed recordings mentioned are left out. checked = true / false
+    // returns only checked / open items. null if there's no such list.
+    async getListItems(listId, { checked = null } = {}) {
+        try {
+            const list = await this.pool.query('SELECT * FROM lists WHERE id = $1', [listId]);
+            if (list.rows.length === 0) return null;
+
+            const params = [listId];
+            let checkedFilter = '';
+            if (checked !== null) {
+                params.push(checked);
+                checkedFilter = 'AND li.checked = $2';
+            }
+            const result = await this.pool.query(
+                `SELECT li.* FROM list_items li
+                 WHERE li.list_id = $1 ${checkedFilter} AND ${VISIBLE_LIST_ITEM}
+                 ORDER BY li.checked ASC, li.id ASC`,
+                params
+            );
+            const items = result.rows;
+            const mentions = await this.getListItemMentions(items.map(item => item.id));
+
+            return {
+                list: list.rows[0],
+                items: items.map(item => {
+                    const itemMentions = mentions.filter(mention => mention.list_item_id === item.id);
+                    return {
+                        ...item,
+                        mention_count: itemMentions.length,
+                        recording_ids: [...new Set(itemMentions.map(mention => mention.recording_id))],
+                        last_mentioned_at: itemMentions.length > 0 ? itemMentions[0].timestamp : null
+                    };
+                })
+            };
+        } catch (error) {
+            console.error('Error fetching list items:', error);
+            throw error;
+        }
+    }
+
+    // Extracted item rows linked to these list items, newest recording first
+    async getListItemMentions(listItemIds) {
+        if (listItemIds.length === 0) return [];
+
+        const result = await this.pool.query(`
+            SELECT i.list_item_id, i.recording_id, r.timestamp
+            FROM items i
+            JOIN recordings r ON i.recording_id = r.id
+            WHERE r.deleted_at IS NULL AND i.list_item_id IN (${placeholders(listItemIds)})
+            ORDER BY r.timestamp DESC
+        `, listItemIds);
+        return result.rows;
+    }
+
+    // Add an item by hand; an item already on the list is returned (and unchecked)
+    // instead of being added twice. null if there's no such list.
+    async addListItem(listId, name) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const list = await client.query('SELECT id FROM lists WHERE id = $1', [listId]);
+            if (list.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const item = await this.addToList(client, listId, name);
+            if (!item) {
+                throw new Error('Item name is required');
+            }
+
+            await client.query('COMMIT');
+            return item;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            if (error.message !== 'Item name is required') {
+                console.error('Error adding list item:', error);
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Check off, uncheck or rename an item. Renaming it to an item already on the
+    // list merges the two. Returns the item, or null if it isn't on that list.
+    async updateListItem(listId, itemId, { checked, name } = {}) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const existing = await client.query('SELECT * FROM list_items WHERE id = $1', [itemId]);
+            let item = existing.rows[0];
+            if (!item || item.list_id !== listId) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            if (name !== undefined) {
+                const normalized = listMatcher.normalizeItem(name);
+                if (!normalized) {
+                    throw new Error('Item name is required');
+                }
+
+                const same = await client.query(
+                    'SELECT * FROM list_items WHERE list_id = $1 AND normalized_name = $2 ORDER BY id ASC',
+                    [listId, normalized]
+                );
+                const other = same.rows.find(row => row.id !== item.id);
+
+                if (other) {
+                    await client.query('UPDATE items SET list_item_id = $1 WHERE list_item_id = $2', [other.id, item.id]);
+                    await client.query('DELETE FROM list_items WHERE id = $1', [item.id]);
+                    item = other;
+                } else {
+                    const renamed = await client.query(
+                        'UPDATE list_items SET name = $1, normalized_name = $2, updated_at = NOW() WHERE id = $3 RETURNING *',
+                        [name.trim(), normalized, item.id]
+                    );
+                    item = renamed.rows[0];
+                }
+            }
+
+            if (checked !== undefined && checked !== item.checked) {
+                const updated = await client.query(
+                    `UPDATE list_items SET checked = $1, checked_at = ${checked ? 'NOW()' : 'NULL'},
+                            checked_by_recording_id = NULL, updated_at = NOW()
+                     WHERE id = $2 RETURNING *`,
+                    [checked, item.id]
+                );
+                item = updated.rows[0];
+            }
+
+            await client.query('COMMIT');
+            return item;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            if (error.message !== 'Item name is required') {
+                console.error('Error updating list item:', error);
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Check off the open items a recording says were bought ("got the milk").
+    // Items the recording itself put on a list, and those hidden with trashed
+    // recordings, are left open. Returns the checked items.
+    async checkOffListItems(recordingText, recordingId) {
+        try {
+            const open = await this.pool.query(
+                `SELECT li.id, li.name, li.normalized_name, li.list_id FROM list_items li
+                 WHERE li.checked = FALSE AND ${VISIBLE_LIST_ITEM}`
+            );
+            const own = await this.pool.query('SELECT list_item_id FROM items WHERE recording_id = $1', [recordingId]);
+            const ownIds = new Set(own.rows.map(row => row.list_item_id));
+
+            const candidates = open.rows.filter(item => !ownIds.has(item.id));
+            const doneIds = listMatcher.findCheckedOff(recordingText, candidates);
+            if (doneIds.length === 0) return [];
+
+            const result = await this.pool.query(
+                `UPDATE list_items SET checked = TRUE, checked_at = NOW(), checked_by_recording_id = $1, updated_at = NOW()
+                 WHERE id IN (${placeholders(doneIds, 1)})
+                 RETURNING *`,
+                [recordingId, ...doneIds]
+            );
+
+            console.log(`🛒 Checked off ${result.rows.length} list items from recording ${recordingId}`);
+            return result.rows;
+        } catch (error) {
+            console.error('Error checking off list items:', error);
+            throw error;
+        }
+    }
+
+    // Calendar Methods
+    // Extracted events with a start and open tasks with a due date, for the calendar
+    // feed. Optionally only those from one project (a task's own, or its recording's).
+    async getCalendarEntries({ projectId = null } = {}) {
+        try {
+            const params = [];
+            let projectFilter = '';
+            let taskProjectFilter = '';
+            if (projectId !== null) {
+                params.push(projectId);
+                projectFilter = 'AND r.project_id = $1';
+                taskProjectFilter = 'AND COALESCE(t.project_id, r.project_id) = $1';
+            }
+
+            const events = await this.pool.query(`
+                SELECT e.id, e.event_name as title, e.starts_at, e.ends_at, e.all_day, e.date_phrase,
+                       r.id as recording_id, r.text as recording_text, p.name as project_name
+                FROM events e
+                JOIN recordings r ON e.recording_id = r.id
+                LEFT JOIN projects p ON r.project_id = p.id
+                WHERE e.starts_at IS NOT NULL AND r.deleted_at IS NULL ${projectFilter}
+                ORDER BY e.id ASC
+            `, params);
+
+            const tasks = await this.pool.query(`
+                SELECT t.id, t.task_description as title, t.due_at as starts_at, t.due_all_day as all_day, t.due_phrase as date_phrase,
+                       t.recording_id, r.text as recording_text, COALESCE(tp.name, p.name) as project_name
+                FROM tasks t
+                LEFT JOIN recordings r ON t.recording_id = r.id
+                LEFT JOIN projects p ON r.project_id = p.id
+                LEFT JOIN projects tp ON t.project_id = tp.id
+                WHERE t.due_at IS NOT NULL AND t.status IN ('pending', 'in_progress')
+                      AND (t.recording_id IS NULL OR r.deleted_at IS NULL) ${taskProjectFilter}
+                ORDER BY t.id ASC
+            `, params);
+
+            return [
+                ...events.rows.map(row => ({ kind: 'event', ...row })),
+                ...tasks.rows.map(row => ({ kind: 'task', ends_at: null, ...row }))
+            ].sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at));
+        } catch (error) {
+            console.error('Error fetching calendar entries:', error);
+            throw error;
+        }
+    }
+
+    // Save events parsed from an .ics file. Events already imported (same UID, and
+    // the same occurrence for one that replaces an occurrence of a repeating event)
+    // are updated. A cancelled event is removed with its occurrences; a cancelled
+    // occurrence is kept, marked cancelled, so the series skips it.
+    // Returns { imported, updated, removed }.
+    async importCalendarEvents(events, source = null) {
+        const client = await this.pool.connect();
+        const result = { imported: 0, updated: 0, removed: 0 };
+
+        try {
+            await client.query('BEGIN');
+
+            for (const event of events) {
+                const recurrenceId = event.recurrenceId || null;
+                const existing = recurrenceId
+                    ? await client.query('SELECT id, cancelled FROM calendar_events WHERE uid = $1 AND recurrence_id = $2', [event.uid, recurrenceId])
+                    : await client.query('SELECT id, cancelled FROM calendar_events WHERE uid = $1 AND recurrence_id IS NULL', [event.uid]);
+                const row = existing.rows[0] || null;
+
+                if (event.cancelled && !recurrenceId) {
+                    if (row) {
+                        await client.query('DELETE FROM calendar_events WHERE uid = $1', [event.uid]);
+                        result.removed++;
+                    }
+                    continue;
+                }
+
+                const values = [event.summary, event.description, event.location, event.start,
+                    event.end, event.allDay, event.rrule, source, Boolean(event.cancelled)];
+
+                if (row) {
+                    await client.query(
+                        `UPDATE calendar_events
+                         SET summary = $1, description = $2, location = $3, starts_at = $4, ends_at = $5,
+                             all_day = $6, rrule = $7, source = $8, cancelled = $9, updated_at = NOW()
+                         WHERE id = $10`,
+                        [...values, row.id]
+                    );
+                } else {
+                    await client.query(
+                        `INSERT INTO calendar_events (summary, description, location, starts_at, ends_at, all_day, rrule, source, cancelled, uid, recurrence_id)
+                         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+                        [...values, event.uid, recurrenceId]
+                    );
+                }
+
+                if (event.cancelled) {
+                    if (!row || !row.cancelled) result.removed++;
+                } else if (row) {
+                    result.updated++;
+                } else {
+                    result.imported++;
+                }
+            }
+
+            await client.query('COMMIT');
+
+            console.log(`📅 Calendar import: ${result.imported} new, ${result.updated} updated, ${result.removed} removed`);
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error importing calendar events:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Imported events between from and to, earliest first. Repeating events are
+    // included once they have started, whatever the date of their first occurrence,
+    // with the occurrences moved or cancelled elsewhere in exdates.
+    async getCalendarEvents({ from, to }) {
+        try {
+            const result = await this.pool.query(`
+                SELECT id, uid, summary, description, location, starts_at, ends_at, all_day, rrule, source, recurrence_id
+                FROM calendar_events
+                WHERE starts_at <= $1 AND cancelled = FALSE
+                ORDER BY starts_at ASC
+            `, [to]);
+
+            const overrides = await this.pool.query(
+                'SELECT uid, recurrence_id FROM calendar_events WHERE recurrence_id IS NOT NULL'
+            );
+            const exdates = new Map();
+            for (const override of overrides.rows) {
+                if (!exdates.has(override.uid)) exdates.set(override.uid, []);
+                exdates.get(override.uid).push(override.recurrence_id);
+            }
+
+            return result.rows
+                .filter(event => event.rrule || new Date(event.ends_at || event.starts_at) >= new Date(from))
+                .map(event => ({ ...event, exdates: event.rrule ? exdates.get(event.uid) || [] : [] }));
+        } catch (error) {
+            console.error('Error fetching calendar events:', error);
+            throw error;
+        }
+    }
+
+    // Project Management Methods
+    async getAllProjects() {
+        try {
+            const result = await this.pool.query(`
+                SELECT p.id, p.name, p.description, p.color, p.is_active, p.created_at,
+                       COUNT(r.id) as recording_count
+                FROM projects p
+                LEFT JOIN recordings r ON p.id = r.project_id AND r.deleted_at IS NULL
+                WHERE p.is_active = true
+                GROUP BY p.id, p.name, p.description, p.color, p.is_active, p.created_at
+                ORDER BY p.created_at ASC
+            `);
+
+            return result.rows;
+        } catch (error) {
+            console.error('Error fetching projects:', error);
+            throw error;
+        }
+    }
+
+    async createProject(name, description = '', color = '#667eea') {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO projects (name, description, color)
+                VALUES ($1, $2, $3)
+                RETURNING *
+            `, [name.trim(), description.trim(), color]);
+
+            console.log(`📁 Project created: ${name}`);
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new Error('Project name already exists');
+            }
+            console.error('Error creating project:', error);
+            throw error;
+        }
+    }
+
+    async deleteProject(projectId) {
+        const client = await this.pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+            
+            // Check if project has recordings
+            const recordingsCheck = await client.query(
+                'SELECT COUNT(*) as count FROM recordings WHERE project_id = $1',
+                [projectId]
+            );
+            
+            const recordingCount = parseInt(recordingsCheck.rows[0].count);
+            
+            if (recordingCount > 0) {
+                // Move recordings to General project before deleting
+                const generalProject = await client.query(
+                    "SELECT id FROM projects WHERE name = 'General' LIMIT 1"
+                );
+                
+                if (generalProject.rows.length > 0) {
+                    await client.query(
+                        'UPDATE recordings SET project_id = $1 WHERE project_id = $2',
+                        [generalProject.rows[0].id, projectId]
+                    );
+                }
+            }
+
+            // Tasks put in the project by hand go back to their recording's project, or none
+            await client.query('UPDATE tasks SET project_id = NULL WHERE project_id = $1', [projectId]);
+            
+            // Mark project as inactive
+            const result = await client.query(
+                'UPDATE projects SET is_active = false WHERE id = $1 RETURNING *',
+                [projectId]
+            );
+            
+            await client.query('COMMIT');
+            
+            if (result.rows.length > 0) {
+                console.log(`🗑️ Project ${projectId} deleted (${recordingCount} recordings moved to General)`);
+                return { project: result.rows[0], movedRecordings: recordingCount };
+            } else {
+                throw new Error('Project not found');
+            }
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error deleting project:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getProjectRecordings(projectId) {
+        try {
+            const result = await this.pool.query(`
+                SELECT 
+                    r.id,
+                    r.timestamp,
+                    r.text,
+                    r.word_count,
+                    r.language,
+                    p.name as project_name,
+                    p.color as project_color
+                FROM recordings r
+                LEFT JOIN projects p ON r.project_id = p.id
+                WHERE r.project_id = $1 AND r.deleted_at IS NULL
+                ORDER BY r.timestamp DESC
+            `, [projectId]);
+
+            return result.rows.map(row => ({
+                id: row.id,
+                timestamp: row.timestamp,
+                text: row.text,
+                word_count: row.word_count,
+                language: row.language,
+                project: {
+                    name: row.project_name,
+                    color: row.project_color
+                }
+            }));
+        } catch (error) {
+            console.error('Error fetching project recordings:', error);
+            throw error;
+        }
+    }
+
+    // Get app usage stats from our own database
+    async getAppUsageStats(timeframeDays = 30) {
+        try {
+            const timeframeInterval = `${parseInt(timeframeDays) || 30} days`;
+
+            const result = await this.pool.query(`
+                SELECT 
+                    COUNT(*) as recording_count,
+                    SUM(word_count) as total_words,
+                    COUNT(DISTINCT CAST(timestamp AS DATE)) as active_days
+                FROM recordings 
+                WHERE timestamp >= NOW() - CAST($1 AS INTERVAL) AND deleted_at IS NULL
+            `, [timeframeInterval]);
+
+            return {
+                recordingCount: parseInt(result.rows[0].recording_count) || 0,
+                totalWords: parseInt(result.rows[0].total_words) || 0,
+                activeDays: parseInt(result.rows[0].active_days) || 0
+            };
+
+        } catch (error) {
+            console.error('Error fetching app usage stats:', error);
+            return {
+                recordingCount: 0,
+                totalWords: 0,
+                activeDays: 0
+            };
+        }
+    }
+
+    // Digest Methods
+    // Save the digest for a period ('day' or 'week') starting at periodStart. Returns
+    // the digest, or null if that period already has one.
+    async saveDigest(period, periodStart, content) {
+        try {
+            const result = await this.pool.query(
+                'INSERT INTO digests (period, period_start, content) VALUES ($1, $2, $3) RETURNING *',
+                [period, periodStart, JSON.stringify(content)]
+            );
+
+            console.log(`📰 Saved ${period} digest ${result.rows[0].id}`);
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23505') return null;
+            console.error('Error saving digest:', error);
+            throw error;
+        }
+    }
+
+    async hasDigest(period, periodStart) {
+        try {
+            const result = await this.pool.query(
+                'SELECT id FROM digests WHERE period = $1 AND period_start = $2',
+                [period, periodStart]
+            );
+            return result.rows.length > 0;
+        } catch (error) {
+            console.error('Error checking for digest:', error);
+            throw error;
+        }
+    }
+
+    // Saved digests, newest period first, without their content
+    async getDigests({ period = null, limit = 30 } = {}) {
+        try {
+            const params = period ? [period, limit] : [limit];
+            const result = await this.pool.query(`
+                SELECT id, period, period_start, created_at
+                FROM digests
+                ${period ? 'WHERE period = $1' : ''}
+                ORDER BY period_start DESC, id DESC
+                LIMIT $${params.length}
+            `, params);
+            return result.rows;
+        } catch (error) {
+            console.error('Error fetching digests:', error);
+            throw error;
+        }
+    }
+
+    async getDigest(digestId) {
+        try {
+            const result = await this.pool.query('SELECT * FROM digests WHERE id = $1', [digestId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error fetching digest:', error);
+            throw error;
+        }
+    }
+
+    // Recording Job Queue Methods
+    async createJob({ audioPath, audioContentType = null, projectId = null, language = null, maxAttempts = 3 }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO recording_jobs (audio_path, audio_content_type, project_id, language, max_attempts)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING *
+            `, [audioPath, audioContentType, projectId, language, maxAttempts]);
+
+            console.log(`📥 Recording job ${result.rows[0].id} queued`);
+            return result.rows[0];
+        } catch (error) {
+            console.error('Error creating recording job:', error);
+            throw error;
+        }
+    }
+
+    async getJob(jobId) {
+        try {
+            const result = await this.pool.query(
+                'SELECT * FROM recording_jobs WHERE id = $1',
+                [jobId]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error fetching recording job:', error);
+            throw error;
+        }
+    }
+
+    // Lock the next runnable job. Jobs stuck mid-stage since before staleBefore
+    // (worker crashed or restarted) are picked up again.
+    async claimNextJob(staleBefore) {
+        try {
+            const candidates = await this.pool.query(`
+                SELECT id FROM recording_jobs
+                WHERE (stage = 'queued' AND next_attempt_at <= NOW())
+                   OR (stage IN ('transcribing', 'extracting') AND locked_at < $1)
+                ORDER BY id ASC
+                LIMIT 5
+            `, [staleBefore]);
+
+            // Conditional update so two workers can't claim the same job
+            for (const candidate of candidates.rows) {
+                const result = await this.pool.query(`
+                    UPDATE recording_jobs
+                    SET locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+                    WHERE id = $1 AND (locked_at IS NULL OR locked_at < $2)
+                    RETURNING *
+                `, [candidate.id, staleBefore]);
+
+                if (result.rows.length > 0) {
+                    return result.rows[0];
+                }
+            }
+
+            return null;
+        } catch (error) {
+            console.error('Error claiming recording job:', error);
+            throw error;
+        }
+    }
+
+    async updateJob(jobId, fields) {
+        const columns = Object.keys(fields).filter(column => JOB_UPDATABLE_COLUMNS.includes(column));
+        if (columns.length === 0) {
+            return this.getJob(jobId);
+        }
+
+        try {
+            const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+            const result = await this.pool.query(`
+                UPDATE recording_jobs
+                SET ${assignments.join(', ')}, updated_at = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [jobId, ...columns.map(column =>
+                JOB_JSON_COLUMNS.includes(column) && fields[column] !== null
+                    ? JSON.stringify(fields[column])
+                    : fields[column]
+            )]);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error updating recording job:', error);
+            throw error;
+        }
+    }
+
+    // Put a failed job back on the queue with a fresh set of attempts
+    async requeueJob(jobId) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE recording_jobs
+                SET stage = 'queued', attempts = 0, last_error = NULL,
+                    next_attempt_at = NOW(), locked_at = NULL, updated_at = NOW()
+                WHERE id = $1 AND stage = 'failed'
+                RETURNING *
+            `, [jobId]);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error requeueing recording job:', error);
+            throw error;
+        }
+    }
+
+    // Extraction Backfill Methods
+    // Recordings a backfill covers, oldest id first, as { id, extractor_version }.
+    // filters may hold projectId, from and to; the extractor version is checked by the caller.
+    async getBackfillCandidates(filters = {}, afterId = null) {
+        try {
+            const params = [];
+            const conditions = recordingFilterConditions({
+                projectId: filters.projectId,
+                from: filters.from,
+                to: filters.to
+            }, params);
+            if (afterId) {
+                params.push(afterId);
+                conditions.push(`r.id > $${params.length}`);
+            }
+
+            const result = await this.pool.query(`
+                SELECT r.id, r.extractor_version FROM recordings r
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY r.id ASC
+            `, params);
+            return result.rows;
+        } catch (error) {
+            console.error('Error finding recordings to backfill:', error);
+            throw error;
+        }
+    }
+
+    async createBackfillRun({ filters, throttleMs = 0, total = 0 }) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO backfill_runs (filters, throttle_ms, total)
+                VALUES ($1, $2, $3)
+                RETURNING *
+            `, [JSON.stringify(filters), throttleMs, total]);
+
+            console.log(`🔁 Backfill run ${result.rows[0].id} created for ${total} recordings`);
+            return result.rows[0];
+        } catch (error) {
+            console.error('Error creating backfill run:', error);
+            throw error;
+        }
+    }
+
+    async getBackfillRun(runId) {
+        try {
+            const result = await this.pool.query('SELECT * FROM backfill_runs WHERE id = $1', [runId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error fetching backfill run:', error);
+            throw error;
+        }
+    }
+
+    async getBackfillRuns() {
+        try {
+            const result = await this.pool.query('SELECT * FROM backfill_runs ORDER BY id DESC');
+            return result.rows;
+        } catch (error) {
+            console.error('Error fetching backfill runs:', error);
+            throw error;
+        }
+    }
+
+    // Lock a run for the process that will work through it. A run still locked since
+    // before staleBefore belonged to a process that died, and is taken over.
+    // Returns null if the run is finished or another process is on it.
+    async claimBackfillRun(runId, staleBefore) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE backfill_runs
+                SET status = 'running', locked_at = NOW(), last_error = NULL, updated_at = NOW()
+                WHERE id = $1 AND status IN ('running', 'paused', 'failed')
+                  AND (locked_at IS NULL OR locked_at < $2)
+                RETURNING *
+            `, [runId, staleBefore]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error claiming backfill run:', error);
+            throw error;
+        }
+    }
+
+    // Running runs whose process stopped sending heartbeats before staleBefore
+    async getStaleBackfillRuns(staleBefore) {
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM backfill_runs
+                WHERE status = 'running' AND (locked_at IS NULL OR locked_at < $1)
+                ORDER BY id ASC
+            `, [staleBefore]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error fetching interrupted backfill runs:', error);
+            throw error;
+        }
+    }
+
+    async updateBackfillRun(runId, fields) {
+        const columns = Object.keys(fields).filter(column => BACKFILL_UPDATABLE_COLUMNS.includes(column));
+        if (columns.length === 0) {
+            return this.getBackfillRun(runId);
+        }
+
+        try {
+            const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+            const result = await this.pool.query(`
+                UPDATE backfill_runs
+                SET ${assignments.join(', ')}, updated_at = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [runId, ...columns.map(column => fields[column])]);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error updating backfill run:', error);
+            throw error;
+        }
+    }
+
+    // result: { status: 'changed' | 'unchanged' | 'failed', added, removed, kept, revision, error }
+    async addBackfillResult(runId, recordingId, result) {
+        try {
+            const inserted = await this.pool.query(`
+                INSERT INTO backfill_results (run_id, recording_id, status, added, removed, kept, revision_number, error)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING *
+            `, [runId, recordingId, result.status,
+                JSON.stringify(result.added || {}), JSON.stringify(result.removed || {}), JSON.stringify(result.kept || {}),
+                result.revision || null, result.error || null]);
+            return inserted.rows[0];
+        } catch (error) {
+            console.error('Error saving backfill result:', error);
+            throw error;
+        }
+    }
+
+    async getBackfillResults(runId) {
+        try {
+            const result = await this.pool.query(
+                'SELECT * FROM backfill_results WHERE run_id = $1 ORDER BY id ASC',
+                [runId]
+            );
+            return result.rows;
+        } catch (error) {
+            console.error('Error fetching backfill results:', error);
+            throw error;
+        }
+    }
+
+    // Analytics and utility methods
+    async getAnalytics(timeframe = '30 days') {
+        const interval = timeframeInterval(timeframe);
+        if (!interval) {
+            throw new Error('Invalid timeframe');
+        }
+
+        try {
+            const recent = 'r.timestamp >= NOW() - CAST($1 AS INTERVAL) AND r.deleted_at IS NULL';
+            const params = [interval];
+
+            // People and tasks are counted in queries of their own: joining both onto
+            // the recordings at once would count each task once per person mentioned
+            // (and weight the average by both)
+            const recordings = await this.pool.query(`
+                SELECT 
+                    COUNT(r.id) as total_recordings,
+                    AVG(r.word_count) as avg_words_per_recording
+                FROM recordings r
+                WHERE ${recent}
+            `, params);
+            const people = await this.pool.query(`
+                SELECT COUNT(DISTINCT p.contact_id) as unique_people
+                FROM people p
+                JOIN recordings r ON r.id = p.recording_id
+                WHERE ${recent}
+            `, params);
+            const tasks = await this.pool.query(`
+                SELECT 
+                    COUNT(t.id) as total_tasks,
+                    COUNT(CASE WHEN t.status = 'completed' THEN 1 END) as completed_tasks
+                FROM tasks t
+                JOIN recordings r ON r.id = t.recording_id
+                WHERE ${recent}
+            `, params);
+
+            return {
+                total_recordings: recordings.rows[0].total_recordings,
+                unique_people: people.rows[0].unique_people,
+                total_tasks: tasks.rows[0].total_tasks,
+                completed_tasks: tasks.rows[0].completed_tasks,
+                avg_words_per_recording: recordings.rows[0].avg_words_per_recording
+            };
+        } catch (error) {
+            console.error('Error fetching analytics:', error);
+            throw error;
+        }
+    }
+
+    async searchRecordings(searchTerm) {
+        try {
+            const result = await this.pool.query(`
+                SELECT id, timestamp, text, word_count, audio_key, language, translated_text
+                FROM recordings 
+                WHERE (text ILIKE $1 OR translated_text ILIKE $1) AND deleted_at IS NULL
+                ORDER BY timestamp DESC
+                LIMIT 50
+            `, [`%${searchTerm}%`]);
+
+            if (result.rows.length === 0) return [];
+
+            // Point at the moments in the audio where the term was said
+            const ids = result.rows.map(row => row.id);
+            const segments = await this.pool.query(`
+                SELECT recording_id, segment_index, start_seconds, end_seconds, text, avg_logprob, no_speech_prob
+                FROM transcript_segments
+                WHERE text ILIKE $1 AND recording_id IN (${placeholders(ids, 1)})
+                ORDER BY recording_id, segment_index ASC
+            `, [`%${searchTerm}%`, ...ids]);
+
+            return result.rows.map(row => ({
+                id: row.id,
+                timestamp: row.timestamp,
+                text: row.text,
+                word_count: row.word_count,
+                language: row.language,
+                translated_text: row.translated_text,
+                has_audio: !!row.audio_key,
+                matches: segments.rows
+                    .filter(segment => segment.recording_id === row.id)
+                    .map(formatSegment)
+            }));
+        } catch (error) {
+            console.error('Error searching recordings:', error);
+            throw error;
+        }
+    }
+
+    // Every archived table as plain rows, oldest first
+    async exportTables() {
+        try {
+            const tables = {};
+            for (const { table } of ARCHIVE_TABLES) {
+                const result = await this.pool.query(`SELECT * FROM ${table} ORDER BY id ASC`);
+                tables[table] = result.rows;
+            }
+            return tables;
+        } catch (error) {
+            console.error('Error exporting tables:', error);
+            throw error;
+        }
+    }
+
+    // Insert archived rows with fresh ids, rewriting references to the new ids.
+    // Projects are matched by name and recordings by timestamp and text, so restoring
+    // into a database that already holds some of the data doesn't duplicate it; rows
+    // belonging to an already-present recording are left alone.
+    // Returns { idMaps: { table: Map(oldId -> newId) }, restored, skipped } with counts per table.
+    async restoreTables(tables) {
+        const client = await this.pool.connect();
+        const idMaps = {};
+        const restored = {};
+        const skipped = {};
+        // Table -> ids of rows that were already there rather than restored
+        const existingIds = {};
+
+        try {
+            await client.query('BEGIN');
+
+            for (const { table, refs, required = [] } of ARCHIVE_TABLES) {
+                const rows = Array.isArray(tables[table]) ? tables[table] : [];
+                const columns = await this.getTableColumns(client, table);
+                const skippedColumns = ARCHIVE_SKIPPED_COLUMNS[table] || [];
+
+                idMaps[table] = new Map();
+                existingIds[table] = new Set();
+                restored[table] = 0;
+                skipped[table] = 0;
+
+                for (const row of rows) {
+                    const existingId = await this.findExistingArchiveRow(client, table, row);
+                    if (existingId) {
+                        idMaps[table].set(row.id, existingId);
+                        existingIds[table].add(existingId);
+                        skipped[table]++;
+                        continue;
+                    }
+
+                    const values = {};
+                    let missingReference = false;
+
+                    for (const [column, value] of Object.entries(row)) {
+                        if (column === 'id' || !columns.has(column) || skippedColumns.includes(column)) continue;
+
+                        if (refs[column] && value !== null && value !== undefined) {
+                            const mapped = idMaps[refs[column]].get(value);
+                            values[column] = mapped || null;
+                        } else {
+                            values[column] = columns.get(column) === 'jsonb' && value !== null ? JSON.stringify(value) : value;
+                        }
+                    }
+
+                    for (const column of required) {
+                        if (row[column] === null || row[column] === undefined) continue;
+                        const owner = refs[column] === 'recordings' || refs[column] === 'tasks';
+                        if (!values[column] || (owner && existingIds[refs[column]].has(values[column]))) {
+                            missingReference = true;
+                        }
+                    }
+
+                    if (missingReference) {
+                        skipped[table]++;
+                        continue;
+                    }
+
+                    const names = Object.keys(values);
+                    const result = await client.query(
+                        `INSERT INTO ${table} (${names.join(', ')}) VALUES (${placeholders(names)}) RETURNING id`,
+                        names.map(name => values[name])
+                    );
+                    idMaps[table].set(row.id, result.rows[0].id);
+                    restored[table]++;
+                }
+            }
+
+            await client.query('COMMIT');
+
+            console.log(`📦 Archive restored: ${restored.recordings} recordings, ${skipped.recordings} already present`);
+            return { idMaps, restored, skipped };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error restoring archive:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Column name -> data type for a table
+    async getTableColumns(client, table) {
+        const result = await client.query(
+            'SELECT column_name, data_type FROM information_schema.columns WHERE table_name = $1',
+            [table]
+        );
+        return new Map(result.rows.map(row => [row.column_name, row.data_type]));
+    }
+
+    // The id of a row that already holds this archived row, for the tables whose rows
+    // can be recognized. Archived times only keep milliseconds, so they are compared
+    // with the database's microseconds to the millisecond.
+    async findExistingArchiveRow(client, table, row) {
+        let result;
+        if (table === 'projects') {
+            result = await client.query('SELECT id FROM projects WHERE name = $1', [row.name]);
+        } else if (table === 'recordings') {
+            result = await client.query(
+                'SELECT id FROM recordings WHERE timestamp >= $1 AND timestamp < $2 AND text = $3',
+                [...millisecondRange(row.timestamp), row.text]
+            );
+        } else if (table === 'contacts') {
+            result = await client.query(
+                'SELECT contact_id as id FROM contact_aliases WHERE normalized_alias = $1',
+                [contactMatcher.normalize(row.name)]
+            );
+        } else if (table === 'contact_aliases') {
+            result = await client.query('SELECT id FROM contact_aliases WHERE normalized_alias = $1', [row.normalized_alias]);
+        } else if (table === 'lists') {
+            result = await client.query('SELECT id FROM lists WHERE normalized_name = $1', [row.normalized_name]);
+        } else if (table === 'list_items') {
+            result = await client.query(
+                'SELECT id FROM list_items WHERE normalized_name = $1 AND created_at >= $2 AND created_at < $3',
+                [row.normalized_name, ...millisecondRange(row.created_at)]
+            );
+        } else if (table === 'calendar_events') {
+            result = row.recurrence_id
+                ? await client.query('SELECT id FROM calendar_events WHERE uid = $1 AND recurrence_id = $2', [row.uid, row.recurrence_id])
+                : await client.query('SELECT id FROM calendar_events WHERE uid = $1 AND recurrence_id IS NULL', [row.uid]);
+        } else if (table === 'tasks' && row.recording_id === null) {
+            // Tasks from recordings come back with their recording; those added by hand
+            // are matched on what they say and when they were added
+            result = await client.query(
+                'SELECT id FROM tasks WHERE recording_id IS NULL AND task_description = $1 AND created_at >= $2 AND created_at < $3',
+                [row.task_description, ...millisecondRange(row.created_at)]
+            );
+        } else {
+            return null;
+        }
+        return result.rows.length > 0 ? result.rows[0].id : null;
+    }
+
+    async setRecordingAudio(recordingId, audio) {
+        try {
+            await this.pool.query(
+                'UPDATE recordings SET audio_key = $1, audio_content_type = $2, audio_size = $3 WHERE id = $4',
+                [audio.key, audio.contentType || null, audio.size || null, recordingId]
+            );
+        } catch (error) {
+            console.error('Error linking recording audio:', error);
+            throw error;
+        }
+    }
+
+    // Close database connection
+    async close() {
+        await this.pool.end();
+        console.log('Database connection closed');
+    }
+}
+
+module.exports = PostgresStorage;
\ No newline at end of file
@@ -0,0 +1,128 @@
+// backend/services/storage/storageBackend.js
+// Contract every storage backend implements. The server only talks to storage
+// through these methods, so a backend can be swapped without touching routes.
+
+const INTERFACE_METHODS = [
+    // Lifecycle
+    'init',                     // () - connect / prepare the backend
+    'close',                    // () - release connections
+
+    // Recordings
+    'detectProjectFromText',    // (text) -> { project, cleanedText } | null
+    'saveRecording',            // (text, entities, projectId, { audio, segments, language, translation, extraction, timestamp, importSource, importHash }) -> recording
+    'getRecording',             // (recordingId) -> recording with entities and audio info | null
+    'updateRecording',          // (recordingId, { text, projectId, language, translation, entities, extraction, reason }) -> { changed, revision, diff } | null
+    'getRecordingRevisions',    // (recordingId) -> previous versions, newest first
+    'getRecordingRevision',     // (recordingId, revisionNumber) -> revision | null
+    'getDuplicateClusters',     // () -> [{ recording, duplicates }] flagged near-duplicates
+    'mergeRecordings',          // (rootId, recordingIds?) -> { recordingId, mergedIds } - keeps the earliest
+    'dismissDuplicate',         // (recordingId) -> number of duplicate flags cleared
+    'findImportedHashes',       // (hashes) -> Set of hashes already imported
+    'deleteRecording',          // (recordingId) -> trashed row | null - moves it to the trash
+    'restoreRecording',         // (recordingId) -> recording | null if it isn't in the trash
+    'getTrash',                 // () -> trashed recordings, most recently deleted first
+    'purgeTrash',               // (before) -> ids of trashed recordings permanently deleted
+    'purgeRecording',           // (recordingId) -> deleted row | null (also removes its audio)
+    'getAllRecordings',         // ({ language }) -> recordings with entities, newest first
+    'listRecordings',           // ({ limit, cursor, sort, includeEntities, ...filters }) -> { recordings, total, next_cursor }
+    'countRecordings',          // (filters) -> number of matching recordings
+    'getProjectRecordings',     // (projectId) -> recordings
+    'searchRecordings',         // (searchTerm) -> matching recordings with matching segments
+    'getTranscriptSegments',    // (recordingId) -> [{ index, start, end, text, ... }]
+    'searchSegments',           // (terms, limit) -> best matching segments with recording info
+
+    // People
+    'linkUnlinkedPeople',       // () -> number of person mentions linked to contacts
+    'getContacts',              // () -> contacts with aliases, mention count and last mention
+    'getContact',               // (contactId) -> contact with mentions and related tasks | null
+    'mergeContacts',            // (targetId, sourceIds) -> merged contact
+    'getFollowUps',             // () -> [{ contact, last_contact_at, tasks }] open tasks naming each contact
+
+    // Tasks
+    'getPendingTasks',          // () -> open (pending and in-progress) tasks with recording info
+    'getTasks',                 // ({ status, projectId, dueBefore, priority, person }) -> tasks, soonest due first
+    'getTask',                  // (taskId) -> task with status history | null
+    'createTask',               // ({ description, due, priority, projectId, status, snoozedUntil, recurrence }) -> task
+    'updateTask',               // (taskId, changes, { source, recordingId }) -> task | null
+    'completeTask',             // (taskId, completedByRecordingId) -> task | null
+    'deleteTask',               // (taskId) -> deleted task | null
+    'wakeSnoozedTasks',         // (now) -> ids of snoozed tasks turned pending again
+    'matchTaskCompletions',     // (recordingId) -> { completed, suggested } tasks the recording may have done
+    'getCompletionSuggestions', // () -> suggestions waiting for review, most confident first
+    'resolveCompletionSuggestion', // (suggestionId, accept) -> { suggestion, task } | null
+
+    // Reminders
+    'queueDueReminders',        // ({ now, since, allDayHour }) -> reminders queued for tasks now due
+    'claimNextReminder',        // (staleBefore) -> reminder with its task, locked for sending | null
+    'updateReminder',           // (reminderId, fields) -> reminder | null
+    'getReminders',             // ({ status, limit }) -> recent reminders, newest first
+
+    // Lists
+    'getLists',                 // () -> lists with open and checked item counts
+    'createList',               // (name) -> list
+    'getListItems',             // (listId, { checked }) -> { list, items } with mentions | null
+    'addListItem',              // (listId, name) -> item (an existing one is reused) | null
+    'updateListItem',           // (listId, itemId, { checked, name }) -> item | null
+    'checkOffListItems',        // (recordingText, recordingId) -> items the recording says were bought
+
+    // Calendar
+    'getCalendarEntries',       // ({ projectId }) -> dated events and pending tasks, earliest first
+    'importCalendarEvents',     // (events, source) -> { imported, updated, removed } - matched by UID and occurrence
+    'getCalendarEvents',        // ({ from, to }) -> imported events in the range, with repeating ones and their exdates
+
+    // Projects
+    'getAllProjects',           // () -> active projects with recording counts
+    'createProject',            // (name, description, color) -> project
+    'deleteProject',            // (projectId) -> { project, movedRecordings }
+
+    // Recording job queue
+    'createJob',                // ({ audioPath, audioContentType, projectId, language, maxAttempts }) -> job
+    'getJob',                   // (jobId) -> job | null
+    'claimNextJob',             // (staleBefore) -> locked job | null
+    'updateJob',                // (jobId, fields) -> job
+    'requeueJob',               // (jobId) -> job | null (only failed jobs)
+
+    // Extraction backfill
+    'getBackfillCandidates',    // ({ projectId, from, to }, afterId) -> [{ id, extractor_version }], oldest id first
+    'createBackfillRun',        // ({ filters, throttleMs, total }) -> run
+    'getBackfillRun',           // (runId) -> run | null
+    'getBackfillRuns',          // () -> runs, newest first
+    'claimBackfillRun',         // (runId, staleBefore) -> locked run | null (finished or locked elsewhere)
+    'getStaleBackfillRuns',     // (staleBefore) -> running runs left behind by a stopped process
+    'updateBackfillRun',        // (runId, fields) -> run
+    'addBackfillResult',        // (runId, recordingId, { status, added, removed, kept, revision, error }) -> result
+    'getBackfillResults',       // (runId) -> per-recording results in the order processed
+
+    // Stats
+    'getAnalytics',             // (timeframe, e.g. '30 days') -> summary row
+    'getAppUsageStats',         // (timeframeDays) -> { recordingCount, totalWords, activeDays }
+
+    // Digests
+    'saveDigest',               // (period, periodStart, content) -> digest | null if the period already has one
+    'hasDigest',                // (period, periodStart) -> boolean
+    'getDigests',               // ({ period, limit }) -> saved digests without content, newest first
+    'getDigest',                // (digestId) -> digest | null
+
+    // Backup
+    'exportTables',             // () -> { table: rows } for every table in an account archive
+    'restoreTables',            // (tables) -> { idMaps, restored, skipped } - inserts with new ids
+    'setRecordingAudio'         // (recordingId, { key, contentType, size }) -> void
+];
+
+class StorageBackend {
+    constructor() {
+        if (new.target === StorageBackend) {
+            throw new Error('StorageBackend is an interface - use a concrete backend');
+        }
+    }
+}
+
+for (const method of INTERFACE_METHODS) {
+    StorageBackend.prototype[method] = async function () {
+        throw new Error(`${this.constructor.name} does not implement ${method}()`);
+    };
+}
+
+StorageBackend.INTERFACE_METHODS = INTERFACE_METHODS;
+
+module.exports = StorageBackend;
@@ -0,0 +1,30 @@
+// backend/services/stt/index.js
+const SttProvider = require('./sttProvider');
+const OpenAIProvider = require('./openaiProvider');
+const LocalWhisperProvider = require('./localWhisperProvider');
+const FixtureProvider = require('./fixtureProvider');
+
+const PROVIDERS = {
+    openai: OpenAIProvider,
+    local: LocalWhisperProvider,
+    fixture: FixtureProvider
+};
+
+// Pick a provider by name, defaulting to STT_PROVIDER (fixture under NODE_ENV=test, otherwise openai)
+function createSttProvider(provider = process.env.STT_PROVIDER || (process.env.NODE_ENV === 'test' ? 'fixture' : 'openai'), options = {}) {
+    const Provider = PROVIDERS[provider.toLowerCase()];
+
+    if (!Provider) {
+        throw new Error(`Unknown speech-to-text provider "${provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return new Provider(options);
+}
+
+module.exports = {
+    createSttProvider,
+    SttProvider,
+    OpenAIProvider,
+    LocalWhisperProvider,
+    FixtureProvider
+};
@@ -0,0 +1,141 @@
+// backend/services/stt/localWhisperProvider.js
+// Self-hosted Whisper. Two modes:
+//   HTTP - LOCAL_STT_URL points at a whisper.cpp server (/inference) or a
+//          faster-whisper server with an OpenAI-compatible /v1/audio/transcriptions
+//   CLI  - LOCAL_STT_COMMAND runs a whisper.cpp compatible binary with the
+//          ggml model at LOCAL_STT_MODEL_PATH
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const axios = require('axios');
+const OpenAIProvider = require('./openaiProvider');
+const audioChunker = require('../audioChunker');
+
+const CLI_TIMEOUT_MS = parseInt(process.env.LOCAL_STT_TIMEOUT_MS) || 30 * 60 * 1000;
+
+// The HTTP mode speaks the same multipart protocol as OpenAI, just without a key
+class LocalWhisperProvider extends OpenAIProvider {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'local';
+        this.apiUrl = options.url || process.env.LOCAL_STT_URL || null;
+        this.apiKey = options.apiKey || process.env.LOCAL_STT_API_KEY || null;
+        this.model = options.model || process.env.LOCAL_STT_MODEL || 'whisper-1';
+        this.command = options.command || process.env.LOCAL_STT_COMMAND || null;
+        this.modelPath = options.modelPath || process.env.LOCAL_STT_MODEL_PATH || null;
+        this.threads = options.threads || parseInt(process.env.LOCAL_STT_THREADS) || null;
+
+        // Local engines have no upload cap, but chunking keeps memory use and progress sane
+        const maxMb = options.maxFileMb || parseFloat(process.env.LOCAL_STT_MAX_MB);
+        this.maxFileBytes = maxMb ? maxMb * 1024 * 1024 : Infinity;
+
+        if (!this.apiUrl && !this.command) {
+            throw new Error('Local speech-to-text needs LOCAL_STT_URL or LOCAL_STT_COMMAND');
+        }
+    }
+
+    get mode() {
+        return this.apiUrl ? 'http' : 'cli';
+    }
+
+    async transcribeFile(audioFilePath, options = {}) {
+        if (this.mode === 'http') {
+            const headers = this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+            return this.postAudio(audioFilePath, headers, options);
+        }
+
+        return this.runCommand(audioFilePath, options.language || this.language);
+    }
+
+    // whisper.cpp only reads 16kHz mono WAV, so convert first and read the -oj output
+    async runCommand(audioFilePath, language) {
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-local-'));
+
+        try {
+            const wavPath = path.join(workDir, 'input.wav');
+            const outputBase = path.join(workDir, 'output');
+            await audioChunker.convertToWav(audioFilePath, wavPath);
+
+            const args = ['-f', wavPath, '-oj', '-of', outputBase, '-l', language || 'auto'];
+            if (this.modelPath) {
+                args.unshift('-m', this.modelPath);
+            }
+            if (this.threads) {
+                args.push('-t', String(this.threads));
+            }
+
+            console.log(`Running local speech-to-text: ${this.command} ${args.join(' ')}`);
+            await this.exec(args);
+
+            const output = JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf8'));
+            return this.parseCliOutput(output);
+        } catch (error) {
+            console.error('Local transcription error:', error.message);
+            throw new Error(`Transcription failed: ${error.message}. Please try recording again.`);
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    }
+
+    exec(args) {
+        return new Promise((resolve, reject) => {
+            execFile(this.command, args, { timeout: CLI_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    const message = error.code === 'ENOENT'
+                        ? `speech-to-text command not found: ${this.command}`
+                        : (stderr || error.message).toString().trim().split('\n').pop();
+                    reject(new Error(message));
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+
+    // whisper.cpp JSON: { result: { language }, transcription: [{ offsets: { from, to } (ms), text }] }
+    parseCliOutput(output) {
+        const entries = Array.isArray(output.transcription) ? output.transcription : [];
+
+        const segments = this.normalizeSegments(entries.map(entry => ({
+            start: (entry.offsets?.from || 0) / 1000,
+            end: (entry.offsets?.to || 0) / 1000,
+            text: entry.text
+        })));
+
+        return {
+            text: segments.map(segment => segment.text).join(' ').trim(),
+            segments,
+            duration: segments.length > 0 ? segments[segments.length - 1].end : null,
+            language: this.normalizeLanguage(output.result?.language)
+        };
+    }
+
+    async test() {
+        if (this.mode === 'http') {
+            try {
+                // Any HTTP answer means the server is up; the transcription route may only accept POST
+                await axios.get(new URL(this.apiUrl).origin, {
+                    timeout: 5000,
+                    validateStatus: status => status < 500
+                });
+                return { status: 'ok', message: `Local speech-to-text server reachable at ${this.apiUrl}` };
+            } catch (error) {
+                return { status: 'error', message: `Local speech-to-text server unreachable: ${error.message}` };
+            }
+        }
+
+        if (this.modelPath && !fs.existsSync(this.modelPath)) {
+            return { status: 'error', message: `Local speech-to-text model not found: ${this.modelPath}` };
+        }
+
+        try {
+            await this.exec(['--help']);
+            return { status: 'ok', message: `Local speech-to-text command ready: ${this.command}` };
+        } catch (error) {
+            return { status: 'error', message: `Local speech-to-text command failed: ${error.message}` };
+        }
+    }
+}
+
+module.exports = LocalWhisperProvider;
@@ -0,0 +1,161 @@
+// backend/services/stt/openaiProvider.js
+const fs = require('fs');
+const FormData = require('form-data');
+const axios = require('axios');
+const SttProvider = require('./sttProvider');
+
+// Whisper rejects uploads over 25MB; anything bigger is split, leaving some headroom
+const MAX_FILE_BYTES = (parseFloat(process.env.STT_MAX_CHUNK_MB) || 24) * 1024 * 1024;
+
+class OpenAIProvider extends SttProvider {
+    constructor(options = {}) {
+        super();
+        this.name = 'openai';
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.apiUrl = options.apiUrl || 'https://api.openai.com/v1/audio/transcriptions';
+        this.model = options.model || process.env.STT_MODEL || 'whisper-1';
+        // Unset means Whisper detects the language of each recording
+        this.language = options.language || process.env.STT_LANGUAGE || null;
+        this.maxFileBytes = options.maxFileBytes || MAX_FILE_BYTES;
+    }
+
+    // options.language is a hint (ISO 639-1); without one Whisper detects it
+    async transcribeFile(audioFilePath, options = {}) {
+        if (!this.apiKey) {
+            throw new Error('OpenAI API key not configured. Speech-to-text unavailable.');
+        }
+
+        return this.postAudio(audioFilePath, { 'Authorization': `Bearer ${this.apiKey}` }, options);
+    }
+
+    // Send a single file to an OpenAI-style transcription endpoint
+    async postAudio(audioFilePath, headers = {}, options = {}) {
+        const language = options.language || this.language;
+
+        try {
+            const stats = fs.statSync(audioFilePath);
+
+            console.log(`Processing audio file: ${audioFilePath}, size: ${(stats.size / 1024).toFixed(2)}KB`);
+
+            const formData = new FormData();
+            
+            // Create read stream with proper options
+            const audioStream = fs.createReadStream(audioFilePath);
+            
+            // Determine file extension and set appropriate name
+            const fileExtension = audioFilePath.split('.').pop().toLowerCase();
+            let filename = `audio.${fileExtension}`;
+            
+            // Map common mobile formats
+            if (fileExtension === 'webm') {
+                filename = 'audio.webm';
+            } else if (fileExtension === 'mp4' || fileExtension === 'm4a') {
+                filename = 'audio.mp4';
+            } else if (fileExtension === 'wav') {
+                filename = 'audio.wav';
+            } else {
+                // Default to wav if unknown
+                filename = 'audio.wav';
+            }
+
+            formData.append('file', audioStream, {
+                filename: filename,
+                contentType: this.getContentType(fileExtension)
+            });
+            formData.append('model', this.model);
+            if (language) {
+                formData.append('language', language);
+            }
+            
+            // Enhanced options for better transcription
+            formData.append('response_format', 'verbose_json');
+            formData.append('temperature', '0.2'); // Lower temperature for more accurate transcription
+
+            console.log(`Sending to ${this.name} speech-to-text: ${filename}, content-type: ${this.getContentType(fileExtension)}`);
+
+            const response = await axios.post(
+                this.apiUrl,
+                formData,
+                {
+                    headers: {
+                        ...formData.getHeaders(),
+                        ...headers
+                    },
+                    // 30 seconds, plus time for bigger files (chunks can be close to 25MB)
+                    timeout: 30000 + Math.ceil(stats.size / (1024 * 1024)) * 4000,
+                    maxContentLength: Infinity,
+                    maxBodyLength: Infinity
+                }
+            );
+
+            // Handle both verbose and simple response formats
+            let transcription;
+            if (typeof response.data.text === 'string') {
+                transcription = response.data.text.trim();
+            } else if (typeof response.data === 'string') {
+                transcription = response.data.trim();
+            } else {
+                throw new Error('Unexpected response format from speech-to-text API');
+            }
+            
+            console.log(`Whisper transcription result: "${transcription}"`);
+
+            return {
+                text: transcription,
+                segments: this.normalizeSegments(response.data.segments),
+                duration: typeof response.data.duration === 'number' ? response.data.duration : null,
+                language: this.normalizeLanguage(response.data.language) || language || null
+            };
+
+        } catch (error) {
+            console.error('Transcription error details:', {
+                provider: this.name,
+                message: error.message,
+                status: error.response?.status,
+                statusText: error.response?.statusText,
+                data: error.response?.data,
+                audioPath: audioFilePath
+            });
+
+            if (error.response?.status === 429) {
+                throw new Error('Speech-to-text service is busy. Please try again in a moment.');
+            } else if (error.response?.status === 401) {
+                throw new Error('Invalid API key for speech-to-text service.');
+            } else if (error.response?.status === 413) {
+                throw new Error('Audio file too large. Please record shorter clips.');
+            } else if (error.response?.status === 400) {
+                const errorMsg = error.response?.data?.error?.message || 'Invalid audio format';
+                throw new Error(`Audio format error: ${errorMsg}. Try recording again.`);
+            } else if (error.code === 'ECONNABORTED') {
+                throw new Error('Transcription timed out. Please try a shorter recording.');
+            } else {
+                throw new Error(`Transcription failed: ${error.message}. Please try recording again.`);
+            }
+        }
+    }
+
+    async test() {
+        if (!this.apiKey) {
+            return { status: 'error', message: 'OpenAI API key not configured' };
+        }
+        
+        try {
+            // Try a simple API call to validate the key
+            await axios.get('https://api.openai.com/v1/models', {
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                },
+                timeout: 5000
+            });
+            
+            return { status: 'ok', message: 'Speech-to-text service is ready' };
+        } catch (error) {
+            return { 
+                status: 'error', 
+                message: `Service test failed: ${error.response?.status || error.message}` 
+            };
+        }
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,67 @@
+// backend/services/stt/sttProvider.js
+// Contract for speech-to-text engines. A provider transcribes one file at a time;
+// size checks, chunking and quality validation live in SpeechToTextService.
+
+const languages = require('../languages');
+
+const INTERFACE_METHODS = [
+    'transcribeFile',       // (audioFilePath, { language }) -> { text, segments, duration, language }
+    'test'                  // () -> { status: 'ok' | 'error', message }
+];
+
+const CONTENT_TYPES = {
+    'wav': 'audio/wav',
+    'webm': 'audio/webm',
+    'mp4': 'audio/mp4',
+    'm4a': 'audio/mp4',
+    'ogg': 'audio/ogg',
+    'mp3': 'audio/mpeg',
+    'flac': 'audio/flac'
+};
+
+class SttProvider {
+    constructor() {
+        if (new.target === SttProvider) {
+            throw new Error('SttProvider is an interface - use a concrete provider');
+        }
+
+        // Short identifier reported by testService, e.g. "openai"
+        this.name = 'unknown';
+        // Largest file the engine takes in one call; bigger files are chunked first
+        this.maxFileBytes = Infinity;
+    }
+
+    // Keep only the segment fields we store; times are seconds from the start of the audio
+    normalizeSegments(segments) {
+        if (!Array.isArray(segments)) return [];
+
+        return segments
+            .filter(segment => segment && typeof segment.text === 'string' && segment.text.trim() !== '')
+            .map(segment => ({
+                start: Number(segment.start) || 0,
+                end: Number(segment.end) || 0,
+                text: segment.text.trim(),
+                avg_logprob: typeof segment.avg_logprob === 'number' ? segment.avg_logprob : null,
+                no_speech_prob: typeof segment.no_speech_prob === 'number' ? segment.no_speech_prob : null
+            }));
+    }
+
+    // Engines report languages as codes or Whisper names; we store ISO 639-1 codes
+    normalizeLanguage(language) {
+        return languages.normalize(language);
+    }
+
+    getContentType(fileExtension) {
+        return CONTENT_TYPES[fileExtension.toLowerCase()] || 'audio/wav';
+    }
+}
+
+for (const method of INTERFACE_METHODS) {
+    SttProvider.prototype[method] = async function () {
+        throw new Error(`${this.constructor.name} does not implement ${method}()`);
+    };
+}
+
+SttProvider.INTERFACE_METHODS = INTERFACE_METHODS;
+
+module.exports = SttProvider;
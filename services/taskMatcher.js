@@ -0,0 +1,221 @@
+// backend/services/taskMatcher.js
+// Decides which open tasks a memo says are done ("called Sam about the fence" closes
+// "Call Sam about the fence"). Each task is scored on the words it shares with a
+// clause that reports something as done, on how sure the chat model is that the
+// clause and the task are the same thing however each is worded, on the people it
+// mentions and on its project. Without a model (or when it fails) the fixed SYNONYMS
+// table below stands in for its judgement, so "phoned" still matches "call".
+const aiProcessor = require('./aiProcessor');
+
+// A clause has to report something as done: "called", "bought the", "finally fixed"...
+const DONE_PATTERN = /\b(?:done|finished|completed|called|phoned|rang|talked to|spoke (?:to|with)|met with|met|emailed|texted|messaged|sent|bought|paid|picked up|dropped off|scheduled|booked|fixed|repaired|returned|cleaned|took care of|sorted out|handled)\b|\b(?:i|we|just|finally|already)\s+[\p{L}]+ed\b/u;
+// ... and not say it wasn't, or still has to be
+const NEGATION_PATTERN = /\b(?:not|never|no|didn't|didnt|haven't|havent|hasn't|hasnt|couldn't|couldnt|wasn't|wasnt|forgot|still need|need to|needs to|have to|has to|must|should|remind me|going to|gonna)\b/;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'to', 'i', 'me', 'my', 'we', 'our', 'us', 'you', 'your', 'he', 'she', 'they', 'them',
+    'his', 'her', 'their', 'it', 'its', 'that', 'this', 'these', 'those', 'and', 'or', 'but', 'of', 'on',
+    'in', 'at', 'for', 'with', 'about', 'from', 'by', 'as', 'up', 'off', 'out', 'back', 'just', 'finally',
+    'already', 'also', 'so', 'then', 'was', 'were', 'is', 'are', 'be', 'been', 'have', 'has', 'had', 'will',
+    'did', 'do', 'today', 'tonight', 'yesterday', 'tomorrow', 'morning', 'afternoon', 'evening', 'now',
+    'week', 'again', 'all', 'some', 'any', 'there', 'here', 'over', 'into'
+]);
+
+// Past forms the suffix rules don't cover
+const IRREGULAR = {
+    bought: 'buy', got: 'get', spoke: 'speak', spoken: 'speak', met: 'meet', paid: 'pay', sent: 'send',
+    saw: 'see', seen: 'see', told: 'tell', wrote: 'write', written: 'write', rang: 'ring', rung: 'ring',
+    brought: 'bring', took: 'take', taken: 'take', made: 'make', did: 'do', done: 'do', went: 'go',
+    gave: 'give', given: 'give', found: 'find', left: 'leave', sold: 'sell', put: 'put', read: 'read'
+};
+
+// Words that name the same action or thing; the first word stands for the group
+const SYNONYMS = [
+    ['call', 'phone', 'ring', 'dial'],
+    ['email', 'mail', 'message', 'text'],
+    ['buy', 'purchase', 'get', 'pick', 'order'],
+    ['book', 'schedule', 'reserve', 'arrange'],
+    ['meet', 'see', 'visit'],
+    ['talk', 'speak', 'chat', 'discuss', 'tell'],
+    ['fix', 'repair', 'mend'],
+    ['pay', 'settle'],
+    ['send', 'post', 'ship'],
+    ['finish', 'complete', 'do', 'wrap'],
+    ['clean', 'tidy', 'wash'],
+    ['return', 'drop', 'bring'],
+    ['doctor', 'gp', 'physician'],
+    ['mom', 'mum', 'mother'],
+    ['dad', 'father'],
+    ['car', 'vehicle']
+];
+
+const WEIGHTS = {
+    lexical: 0.3,
+    // The model's score, or the synonym score when there is none
+    similarity: 0.6,
+    synonyms: 0.4,
+    // Only counted for tasks that mention people or belong to a project
+    people: 0.2,
+    project: 0.1
+};
+
+// Matches at least this confident close the task; weaker ones down to the suggestion
+// level are left for review
+const AUTO_CONFIDENCE = parseFloat(process.env.TASK_COMPLETION_AUTO_CONFIDENCE) || 0.8;
+const SUGGEST_CONFIDENCE = parseFloat(process.env.TASK_COMPLETION_SUGGEST_CONFIDENCE) || 0.55;
+
+function words(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/['’]s\b/gu, '')
+        .replace(/['’]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+}
+
+// "called" -> "call", "shopping" -> "shop", "phoned" and "phone" -> "phon"
+function stem(word) {
+    if (IRREGULAR[word]) return IRREGULAR[word];
+
+    let result = word;
+    const suffix = ['ing', 'ed', 'es', 's'].find(ending => word.length > ending.length + 2 && word.endsWith(ending));
+    if (suffix && !(suffix === 's' && word.endsWith('ss'))) {
+        result = word.slice(0, -suffix.length);
+        if (/([^aeiouls])\1$/.test(result)) result = result.slice(0, -1);
+    }
+    return result.length > 3 && result.endsWith('e') ? result.slice(0, -1) : result;
+}
+
+const CONCEPTS = new Map();
+for (const group of SYNONYMS) {
+    for (const word of group) {
+        CONCEPTS.set(stem(word), stem(group[0]));
+    }
+}
+
+function contentStems(text) {
+    return new Set(words(text).filter(word => !STOP_WORDS.has(word)).map(stem));
+}
+
+// Share of the task's words (or concepts) that the clause has too, 0..1
+function coverage(taskSet, clauseSet) {
+    if (taskSet.size === 0) return 0;
+
+    let shared = 0;
+    for (const value of taskSet) {
+        if (clauseSet.has(value)) shared++;
+    }
+    return shared / taskSet.size;
+}
+
+function concepts(stems) {
+    return new Set([...stems].map(value => CONCEPTS.get(value) || value));
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+class TaskMatcher {
+    constructor() {
+        this.autoConfidence = AUTO_CONFIDENCE;
+        this.suggestConfidence = SUGGEST_CONFIDENCE;
+    }
+
+    // The clauses of a memo that report something as done
+    doneClauses(text) {
+        return String(text || '')
+            .toLowerCase()
+            .split(/[.!?;\n]+|,\s*but\b/)
+            .filter(clause => DONE_PATTERN.test(clause) && !NEGATION_PATTERN.test(clause));
+    }
+
+    // aliases: [{ contactId, alias }] with normalized aliases. Returns the ids of the
+    // contacts a task description names.
+    peopleIn(description, aliases) {
+        const text = ` ${words(description).join(' ')} `;
+        const contactIds = new Set();
+
+        for (const { contactId, alias } of aliases) {
+            if (alias && text.includes(` ${alias} `)) contactIds.add(contactId);
+        }
+        return [...contactIds];
+    }
+
+    // The model's scores for the tasks (a Map of task id to 0..1), or null to fall
+    // back on the synonym table
+    async similarity(clauses, tasks) {
+        try {
+            return await aiProcessor.rateTaskCompletions(clauses, tasks);
+        } catch (error) {
+            console.warn('Task matching model error, using synonyms:', error.message);
+            return null;
+        }
+    }
+
+    // memo: { text, projectId, contactIds }; tasks: [{ id, description, projectId, contactIds }].
+    // Returns [{ taskId, confidence, reasons }] for the tasks the memo may have done,
+    // most likely first, where reasons holds each score (0..1) that counted.
+    async rank(memo, tasks) {
+        const doneClauses = this.doneClauses(memo.text);
+        if (doneClauses.length === 0 || tasks.length === 0) return [];
+
+        const clauses = doneClauses.map(contentStems);
+        const scores = await this.similarity(doneClauses, tasks);
+        const memoPeople = new Set(memo.contactIds || []);
+        const candidates = [];
+
+        for (const task of tasks) {
+            const taskStems = contentStems(task.description);
+            const taskConcepts = concepts(taskStems);
+
+            // The clause that covers the task best
+            let lexical = 0;
+            let synonyms = 0;
+            for (const clause of clauses) {
+                const clauseSynonyms = coverage(taskConcepts, concepts(clause));
+                if (clauseSynonyms > synonyms || (clauseSynonyms === synonyms && coverage(taskStems, clause) > lexical)) {
+                    synonyms = clauseSynonyms;
+                    lexical = coverage(taskStems, clause);
+                }
+            }
+
+            let reasons;
+            if (scores) {
+                const similarity = scores.get(task.id) || 0;
+                if (similarity === 0) continue;
+                reasons = { lexical: round(lexical), similarity: round(similarity) };
+            } else {
+                if (synonyms === 0) continue;
+                reasons = { lexical: round(lexical), synonyms: round(synonyms) };
+            }
+
+            const taskPeople = task.contactIds || [];
+            if (taskPeople.length > 0) {
+                reasons.people = round(taskPeople.filter(id => memoPeople.has(id)).length / taskPeople.length);
+            }
+            if (task.projectId) {
+                reasons.project = task.projectId === memo.projectId ? 1 : 0;
+            }
+
+            let total = 0;
+            let weights = 0;
+            for (const [name, score] of Object.entries(reasons)) {
+                total += WEIGHTS[name] * score;
+                weights += WEIGHTS[name];
+            }
+            const confidence = round(total / weights);
+
+            if (confidence >= this.suggestConfidence) {
+                candidates.push({ taskId: task.id, confidence, reasons });
+            }
+        }
+
+        return candidates.sort((a, b) => (b.confidence - a.confidence) || (a.taskId - b.taskId));
+    }
+}
+
+module.exports = new TaskMatcher();
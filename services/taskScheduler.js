@@ -0,0 +1,136 @@
+// backend/services/taskScheduler.js
+// Background worker for time-based task changes: snoozed tasks wake up, and a
+// reminder goes out through the notifier when a task falls due. Reminders live in
+// the task_reminders table, one per task and due time, so a restart neither loses
+// nor repeats them; one whose sender died mid-send is retried once its lock goes
+// stale. (The next occurrence of a repeating task is added by storage, in the same
+// transaction that completes the task.)
+const database = require('./database');
+const notifier = require('./notifier');
+
+const POLL_INTERVAL_MS = parseInt(process.env.REMINDER_POLL_INTERVAL_MS) || 30 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.REMINDER_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.REMINDER_RETRY_DELAY_MS) || 60 * 1000;
+
+// Reminders missed while the server was down are still sent if they are at most this
+// old, so a first start doesn't remind about every overdue task ever recorded
+const LOOKBACK_MS = (parseFloat(process.env.REMINDER_LOOKBACK_HOURS) || 24) * 60 * 60 * 1000;
+
+// All-day tasks are reminded at this hour of their due day (user's time zone)
+const ALL_DAY_HOUR = process.env.REMINDER_ALL_DAY_HOUR !== undefined
+    ? parseInt(process.env.REMINDER_ALL_DAY_HOUR) || 0
+    : 9;
+
+// A reminder still locked after this long belonged to a process that died
+const STALE_REMINDER_MS = 5 * 60 * 1000;
+
+class TaskScheduler {
+    constructor() {
+        this.timer = null;
+        this.stopped = true;
+    }
+
+    start() {
+        this.stopped = false;
+        this.schedule(0);
+        console.log(`⏰ Task scheduler started (reminders via ${notifier.name})`);
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.run(), delay);
+    }
+
+    async run() {
+        try {
+            await this.tick();
+        } catch (error) {
+            console.error('Error running task scheduler:', error);
+        } finally {
+            if (!this.stopped) {
+                this.schedule(POLL_INTERVAL_MS);
+            }
+        }
+    }
+
+    // Wake snoozed tasks, queue reminders for tasks now due and send every reminder
+    // that is ready. Returns { woken, queued, sent, skipped, failed }.
+    async tick(now = new Date()) {
+        const woken = await database.wakeSnoozedTasks(now);
+        const queued = await database.queueDueReminders({
+            now,
+            since: new Date(now.getTime() - LOOKBACK_MS),
+            allDayHour: ALL_DAY_HOUR
+        });
+
+        const result = { woken: woken.length, queued: queued.length, sent: 0, skipped: 0, failed: 0 };
+        let reminder;
+        while ((reminder = await database.claimNextReminder(new Date(Date.now() - STALE_REMINDER_MS)))) {
+            result[await this.deliver(reminder)]++;
+        }
+
+        return result;
+    }
+
+    // Send one claimed reminder. A task that was closed or given another due time
+    // since it was queued is skipped. Returns 'sent', 'skipped' or 'failed'.
+    async deliver(reminder) {
+        const task = reminder.task;
+        if (!task || !['pending', 'in_progress'].includes(task.status)
+            || new Date(task.due_at).getTime() !== new Date(reminder.due_at).getTime()) {
+            await database.updateReminder(reminder.id, { status: 'skipped', locked_at: null });
+            return 'skipped';
+        }
+
+        try {
+            await notifier.notify(this.buildNotification(reminder, task));
+            await database.updateReminder(reminder.id, {
+                status: 'sent',
+                sent_at: new Date(),
+                notifier: notifier.name,
+                locked_at: null,
+                last_error: null
+            });
+            return 'sent';
+        } catch (error) {
+            const message = error.response ? `HTTP ${error.response.status}` : error.message;
+            const failed = reminder.attempts >= MAX_ATTEMPTS;
+            console.error(`Reminder ${reminder.id} for task ${task.id} not sent (attempt ${reminder.attempts}): ${message}`);
+
+            await database.updateReminder(reminder.id, {
+                status: failed ? 'failed' : 'pending',
+                last_error: message,
+                notifier: notifier.name,
+                locked_at: null,
+                next_attempt_at: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (reminder.attempts - 1))
+            });
+            return 'failed';
+        }
+    }
+
+    buildNotification(reminder, task) {
+        return {
+            type: 'task.due',
+            reminder_id: reminder.id,
+            message: `Task due: ${task.task_description}`,
+            task: {
+                id: task.id,
+                description: task.task_description,
+                status: task.status,
+                priority: task.priority,
+                due_at: task.due_at,
+                all_day: Boolean(task.due_all_day),
+                project: task.project_name,
+                recurrence_rule: task.recurrence_rule
+            },
+            sent_at: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = new TaskScheduler();
@@ -0,0 +1,68 @@
+// backend/services/textFingerprint.js
+// 64-bit simhash over words and word pairs. Texts that say nearly the same thing get
+// fingerprints a few bits apart, so duplicates can be found by Hamming distance
+// without comparing full texts.
+const BITS = 64;
+const MASK = (1n << 64n) - 1n;
+
+// FNV-1a, 64-bit
+function hash64(value) {
+    let hash = 0xcbf29ce484222325n;
+    for (const byte of Buffer.from(value, 'utf8')) {
+        hash ^= BigInt(byte);
+        hash = (hash * 0x100000001b3n) & MASK;
+    }
+    return hash;
+}
+
+class TextFingerprint {
+    // Case, punctuation and spacing don't matter; "Buy milk!" equals "buy milk"
+    normalize(text) {
+        return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    }
+
+    // Hex string of 16 characters, or null for text without words
+    fingerprint(text) {
+        const words = this.normalize(text).split(' ').filter(Boolean);
+        if (words.length === 0) return null;
+
+        // Single words carry the content, pairs keep some of the word order
+        const features = [...words];
+        for (let i = 0; i + 1 < words.length; i++) {
+            features.push(`${words[i]} ${words[i + 1]}`);
+        }
+
+        const weights = new Array(BITS).fill(0);
+        for (const feature of features) {
+            const hash = hash64(feature);
+            for (let bit = 0; bit < BITS; bit++) {
+                weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+            }
+        }
+
+        let result = 0n;
+        weights.forEach((weight, bit) => {
+            if (weight > 0) result |= 1n << BigInt(bit);
+        });
+
+        return result.toString(16).padStart(16, '0');
+    }
+
+    // Number of differing bits between two fingerprints (0-64)
+    distance(a, b) {
+        let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+        let count = 0;
+        while (diff > 0n) {
+            count += Number(diff & 1n);
+            diff >>= 1n;
+        }
+        return count;
+    }
+
+    // 1 for identical fingerprints, 0 for opposite ones
+    similarity(a, b) {
+        return 1 - this.distance(a, b) / BITS;
+    }
+}
+
+module.exports = new TextFingerprint();
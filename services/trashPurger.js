@@ -0,0 +1,62 @@
+// backend/services/trashPurger.js
+// Background worker that permanently deletes recordings once they have been in the
+// trash for longer than the retention window.
+const database = require('./database');
+
+const RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashPurger {
+    constructor() {
+        this.timer = null;
+        this.stopped = true;
+        this.retentionDays = RETENTION_DAYS;
+    }
+
+    start() {
+        this.stopped = false;
+        this.schedule(0);
+        console.log(`🧹 Trash purge worker started (retention ${this.retentionDays} days)`);
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.run(), delay);
+    }
+
+    async run() {
+        try {
+            await this.purge();
+        } catch (error) {
+            console.error('Error purging trash:', error);
+        } finally {
+            if (!this.stopped) {
+                this.schedule(PURGE_INTERVAL_MS);
+            }
+        }
+    }
+
+    // Purge everything whose retention has run out. Returns the purged recording ids.
+    async purge(now = new Date()) {
+        const purged = await database.purgeTrash(new Date(now.getTime() - this.retentionDays * DAY_MS));
+
+        if (purged.length > 0) {
+            console.log(`🧹 Purged ${purged.length} recordings from the trash`);
+        }
+        return purged;
+    }
+
+    // When a recording trashed at deletedAt will be purged
+    purgeDate(deletedAt) {
+        return new Date(new Date(deletedAt).getTime() + this.retentionDays * DAY_MS);
+    }
+}
+
+module.exports = new TrashPurger();
@@ -0,0 +1,98 @@
+// backend/test/accountArchive.test.js
+const { setupDatabase, tempFile } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryStorage } = require('../services/storage');
+const accountArchive = require('../services/accountArchive');
+const blobStore = require('../services/blobStore');
+
+async function seed(storage) {
+    const project = await storage.createProject('Garden', 'Beds and fences', '#00aa00');
+    const recording = await storage.saveRecording('Call Sam about the fence', {
+        people: ['Sam'],
+        tasks: ['Call Sam about the fence'],
+        topics: ['fence']
+    }, project.id);
+    await storage.linkUnlinkedPeople();
+    await storage.createTask({ description: 'Order compost', priority: 'high' });
+    const list = await storage.createList('Groceries');
+    await storage.addListItem(list.id, 'milk');
+    return { project, recording };
+}
+
+async function count(storage, table) {
+    const result = await storage.pool.query(`SELECT COUNT(*) as count FROM ${table}`);
+    return parseInt(result.rows[0].count);
+}
+
+test('tables restore into another database with their references rewritten', async () => {
+    const source = new MemoryStorage();
+    await source.init();
+    await seed(source);
+
+    const target = new MemoryStorage();
+    await target.init();
+    // Ids in the target start elsewhere, so kept old ids would point at the wrong rows
+    await target.saveRecording('Already here', {}, null);
+
+    const tables = JSON.parse(JSON.stringify(await source.exportTables()));
+    const { restored, skipped } = await target.restoreTables(tables);
+
+    assert.strictEqual(restored.recordings, 1);
+    assert.strictEqual(restored.tasks, 2);
+    assert.strictEqual(restored.list_items, 1);
+    assert.strictEqual(skipped.projects, 1, 'General is already there');
+
+    const garden = (await target.getAllProjects()).find(project => project.name === 'Garden');
+    const recording = (await target.getProjectRecordings(garden.id))[0];
+    assert.strictEqual(recording.text, 'Call Sam about the fence');
+
+    const contacts = await target.getContacts();
+    assert.deepStrictEqual(contacts.map(contact => contact.name), ['Sam']);
+    assert.strictEqual(contacts[0].mention_count, 1);
+
+    const tasks = await target.getTasks({});
+    const fromRecording = tasks.find(task => task.task_description === 'Call Sam about the fence');
+    assert.strictEqual(fromRecording.recording_id, recording.id);
+    assert.ok(tasks.some(task => task.task_description === 'Order compost' && task.recording_id === null));
+});
+
+test('restoring into the database the archive came from adds nothing', async () => {
+    const storage = new MemoryStorage();
+    await storage.init();
+    await seed(storage);
+
+    const before = {};
+    for (const table of ['recordings', 'tasks', 'people', 'list_items', 'contacts', 'projects']) {
+        before[table] = await count(storage, table);
+    }
+
+    const { restored } = await storage.restoreTables(JSON.parse(JSON.stringify(await storage.exportTables())));
+    assert.ok(Object.values(restored).every(value => value === 0), JSON.stringify(restored));
+
+    for (const table of Object.keys(before)) {
+        assert.strictEqual(await count(storage, table), before[table], table);
+    }
+});
+
+test('an archive carries the audio and restores it with the recording', async () => {
+    const database = await setupDatabase();
+    const recording = await database.saveRecording('Voice memo about the shed', {}, null);
+    const key = `recordings/test-${recording.id}.wav`;
+    const stored = await blobStore.put(key, tempFile('shed.wav', 'RIFF and some audio'));
+    await database.setRecordingAudio(recording.id, { key, contentType: 'audio/wav', size: stored.size });
+
+    const zipPath = tempFile('archive.zip', await accountArchive.createArchive());
+
+    // Gone from this database, then restored from the archive
+    await database.deleteRecording(recording.id);
+    await database.purgeRecording(recording.id);
+    const result = await accountArchive.restoreArchive(zipPath);
+
+    assert.strictEqual(result.restored.recordings, 1);
+    assert.strictEqual(result.audio.restored, 1);
+    const [restored] = (await database.getAllRecordings()).filter(r => r.text === 'Voice memo about the shed');
+    assert.strictEqual(restored.has_audio, true);
+
+    await assert.rejects(accountArchive.restoreArchive(tempFile('not-an-archive.zip', 'nope')), /Not an account archive/);
+});
@@ -0,0 +1,35 @@
+// backend/test/analytics.test.js
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+test('analytics count each task once however many people a recording mentions', async () => {
+    const database = await setupDatabase();
+    const recording = await database.saveRecording(
+        'Sam Smith and Pat Jones agreed to paint the fence and fix the gate',
+        { people: ['Sam Smith', 'Pat Jones'], tasks: ['Paint the fence', 'Fix the gate'] },
+        null
+    );
+    await database.saveRecording('Quiet day', { people: [], tasks: [] }, null);
+    await database.linkUnlinkedPeople();
+
+    const tasks = (await database.getTasks()).filter(task => task.recording_id === recording.id);
+    await database.completeTask(tasks[0].id);
+
+    const analytics = await database.getAnalytics('30 days');
+    assert.strictEqual(Number(analytics.total_recordings), 2);
+    assert.strictEqual(Number(analytics.unique_people), 2);
+    assert.strictEqual(Number(analytics.total_tasks), 2);
+    assert.strictEqual(Number(analytics.completed_tasks), 1);
+});
+
+test('the analytics timeframe is a bound interval, not SQL', async () => {
+    const database = await setupDatabase();
+    await database.saveRecording('Quiet day', { people: [], tasks: [] }, null);
+
+    const all = Number((await database.getAnalytics('1 year')).total_recordings);
+    assert.ok(all >= 1);
+    assert.strictEqual(Number((await database.getAnalytics('2 weeks')).total_recordings), all);
+    await assert.rejects(database.getAnalytics("30 days' OR '1' = '1"), /Invalid timeframe/);
+    await assert.rejects(database.getAnalytics('forever'), /Invalid timeframe/);
+});
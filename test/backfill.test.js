@@ -0,0 +1,62 @@
+// backend/test/backfill.test.js
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const extractionBackfill = require('../services/extractionBackfill');
+const aiProcessor = require('../services/aiProcessor');
+
+test('filters are required and checked', () => {
+    assert.match(extractionBackfill.parseFilters({}).error, /Choose a projectId/);
+    assert.strictEqual(extractionBackfill.parseFilters({ projectId: 'x' }).error, 'Invalid projectId');
+    assert.deepStrictEqual(extractionBackfill.parseFilters({ belowVersion: '2' }), { filters: { belowVersion: 2 } });
+});
+
+test('a run extracts old recordings again and records what changed', async () => {
+    const database = await setupDatabase();
+    const project = await database.createProject('Backfill', '', '#000000');
+    const old = await database.saveRecording('Remember to call Sam about the fence tomorrow.', { topics: ['old topic'] }, project.id);
+    const current = await database.saveRecording('Need groceries for the weekend', {}, project.id, {
+        extraction: { version: 'v2', status: 'ok', attempts: 1, errors: [] }
+    });
+    const garbled = await database.saveRecording('A garbled memo', { topics: ['kept'] }, project.id);
+
+    const run = await extractionBackfill.create({ projectId: project.id, belowVersion: 2 }, { throttleMs: 0 });
+    assert.strictEqual(run.total, 2, 'the v2 recording is already current');
+
+    const finished = await extractionBackfill.wait(run.id);
+    assert.strictEqual(finished.status, 'completed');
+    assert.strictEqual(finished.processed, 2);
+    assert.strictEqual(finished.changed, 1);
+    assert.strictEqual(finished.failed, 1);
+
+    const results = await database.getBackfillResults(run.id);
+    assert.deepStrictEqual(results.map(result => result.recording_id), [old.id, garbled.id]);
+    const changed = results[0];
+    assert.ok(changed.added.topics.includes('fence'));
+    assert.ok(changed.removed.topics.includes('old topic'));
+
+    assert.deepStrictEqual((await database.getRecording(old.id)).entities.people, ['Sam']);
+    assert.deepStrictEqual((await database.getRecording(garbled.id)).entities.topics, ['kept']);
+    assert.strictEqual((await database.getRecordingRevisions(old.id)).length, 1);
+    assert.deepStrictEqual((await database.getRecording(current.id)).entities.topics, []);
+    await assert.rejects(extractionBackfill.resume(run.id), /already completed/);
+});
+
+test('a run stops when the model is down and resumes where it stopped', async () => {
+    const database = await setupDatabase();
+    const project = await database.createProject('Outage', '', '#000000');
+    const first = await database.saveRecording('Remember to call Sam about the fence tomorrow.', {}, project.id);
+    const second = await database.saveRecording('Need groceries for the weekend', {}, project.id);
+
+    aiProcessor.chatModel.enqueue({ status: 503 });
+    const run = await extractionBackfill.create({ projectId: project.id }, { throttleMs: 0 });
+    const stopped = await extractionBackfill.wait(run.id);
+    assert.strictEqual(stopped.status, 'failed');
+    assert.strictEqual(stopped.processed, 0);
+    assert.match(stopped.last_error, /Model error/);
+
+    await extractionBackfill.resume(run.id);
+    const finished = await extractionBackfill.wait(run.id);
+    assert.strictEqual(finished.status, 'completed');
+    assert.deepStrictEqual((await database.getBackfillResults(run.id)).map(result => result.recording_id), [first.id, second.id]);
+});
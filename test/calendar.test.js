@@ -0,0 +1,133 @@
+// backend/test/calendar.test.js
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const icalendar = require('../services/icalendar');
+
+const ICS = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:standup@example.com',
+    'SUMMARY:Standup\\, daily',
+    'DTSTART:20261012T090000Z',
+    'DTEND:20261012T091500Z',
+    'RRULE:FREQ=DAILY',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:holiday@example.com',
+    'SUMMARY:Holiday',
+    'DTSTART;VALUE=DATE:20261020',
+    'END:VEVENT',
+    'END:VCALENDAR',
+    ''
+].join('\r\n');
+
+test('an .ics file is parsed into events', () => {
+    const events = icalendar.parse(ICS);
+    assert.strictEqual(events.length, 2);
+
+    const standup = events.find(event => event.uid === 'standup@example.com');
+    assert.strictEqual(standup.summary, 'Standup, daily');
+    assert.strictEqual(standup.start.toISOString(), '2026-10-12T09:00:00.000Z');
+    assert.strictEqual(standup.rrule, 'FREQ=DAILY');
+
+    const holiday = events.find(event => event.uid === 'holiday@example.com');
+    assert.strictEqual(holiday.allDay, true);
+    assert.throws(() => icalendar.parse('hello'), /Not an iCalendar file/);
+});
+
+test('the feed renders what it parses back', () => {
+    const text = icalendar.render([{
+        uid: icalendar.uid('task', 7),
+        summary: 'To do: Call Sam; about the fence',
+        description: 'A long description '.repeat(10),
+        start: new Date('2026-10-15T00:00:00Z'),
+        end: null,
+        allDay: true
+    }]);
+
+    assert.ok(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+    const [event] = icalendar.parse(text);
+    assert.strictEqual(event.uid, icalendar.uid('task', 7));
+    assert.strictEqual(event.summary, 'To do: Call Sam; about the fence');
+    assert.strictEqual(event.allDay, true);
+});
+
+test('importing again updates events by UID', async () => {
+    const database = await setupDatabase();
+    const events = icalendar.parse(ICS);
+
+    assert.deepStrictEqual(await database.importCalendarEvents(events, 'work.ics'), { imported: 2, updated: 0, removed: 0 });
+    assert.deepStrictEqual(await database.importCalendarEvents(events, 'work.ics'), { imported: 0, updated: 2, removed: 0 });
+
+    const range = await database.getCalendarEvents({
+        from: new Date('2026-10-19T00:00:00Z'),
+        to: new Date('2026-10-21T00:00:00Z')
+    });
+    assert.deepStrictEqual(range.map(event => event.summary).sort(), ['Holiday', 'Standup, daily']);
+
+    const cancelled = [{ ...events[1], cancelled: true }];
+    assert.deepStrictEqual(await database.importCalendarEvents(cancelled), { imported: 0, updated: 0, removed: 1 });
+});
+
+test('a moved and a cancelled occurrence leave the rest of the series', async () => {
+    const database = await setupDatabase();
+    const digest = require('../services/digest');
+    await database.importCalendarEvents(icalendar.parse(ICS), 'work.ics');
+
+    const overrides = icalendar.parse([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:standup@example.com',
+        'RECURRENCE-ID:20261019T090000Z',
+        'SUMMARY:Standup\\, moved',
+        'DTSTART:20261019T140000Z',
+        'DTEND:20261019T141500Z',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:standup@example.com',
+        'RECURRENCE-ID:20261020T090000Z',
+        'SUMMARY:Standup\\, daily',
+        'DTSTART:20261020T090000Z',
+        'STATUS:CANCELLED',
+        'END:VEVENT',
+        'END:VCALENDAR',
+        ''
+    ].join('\r\n'));
+    assert.strictEqual(overrides[0].recurrenceId.toISOString(), '2026-10-19T09:00:00.000Z');
+
+    assert.deepStrictEqual(await database.importCalendarEvents(overrides, 'work.ics'), { imported: 1, updated: 0, removed: 1 });
+    assert.deepStrictEqual(await database.importCalendarEvents(overrides, 'work.ics'), { imported: 0, updated: 1, removed: 0 });
+
+    const range = await database.getCalendarEvents({
+        from: new Date('2026-10-19T00:00:00Z'),
+        to: new Date('2026-10-22T00:00:00Z')
+    });
+    const series = range.find(event => event.rrule);
+    assert.strictEqual(series.rrule, 'FREQ=DAILY');
+    assert.deepStrictEqual(series.exdates.map(date => new Date(date).toISOString()).sort(),
+        ['2026-10-19T09:00:00.000Z', '2026-10-20T09:00:00.000Z']);
+    assert.deepStrictEqual(range.map(event => event.summary).sort(), ['Holiday', 'Standup, daily', 'Standup, moved']);
+
+    // The moved occurrence shows at its new time and the cancelled one not at all
+    const mondayEvents = await digest.buildEvents({
+        todayStart: new Date('2026-10-19T00:00:00Z'),
+        upcomingUntil: new Date('2026-10-20T00:00:00Z')
+    });
+    const standups = (events) => events.filter(event => event.title.startsWith('Standup'));
+    assert.deepStrictEqual(standups(mondayEvents).map(event => [event.title, new Date(event.starts_at).toISOString()]),
+        [['Standup, moved', '2026-10-19T14:00:00.000Z']]);
+
+    const tuesdayEvents = await digest.buildEvents({
+        todayStart: new Date('2026-10-20T00:00:00Z'),
+        upcomingUntil: new Date('2026-10-21T00:00:00Z')
+    });
+    assert.deepStrictEqual(standups(tuesdayEvents), []);
+
+    // Cancelling the series removes its occurrences with it
+    const [standup] = icalendar.parse(ICS);
+    assert.deepStrictEqual(await database.importCalendarEvents([{ ...standup, cancelled: true }]), { imported: 0, updated: 0, removed: 1 });
+    const left = await database.getCalendarEvents({ from: new Date('2026-10-19T00:00:00Z'), to: new Date('2026-10-22T00:00:00Z') });
+    assert.deepStrictEqual(left.map(event => event.summary), ['Holiday']);
+});
@@ -0,0 +1,95 @@
+// backend/test/dates.test.js
+const { setupDatabase, DAY_MS } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const dateResolver = require('../services/dateResolver');
+
+// Wednesday 14 October 2026, 10:00 UTC (the tests run with USER_TIMEZONE=UTC)
+const ANCHOR = new Date('2026-10-14T10:00:00Z');
+
+test('phrases resolve against the time the recording was made', () => {
+    const tomorrow = dateResolver.resolve('call the builder tomorrow', ANCHOR);
+    assert.strictEqual(tomorrow.phrase, 'tomorrow');
+    assert.strictEqual(tomorrow.allDay, true);
+    assert.strictEqual(tomorrow.start.toISOString(), '2026-10-15T00:00:00.000Z');
+
+    const friday = dateResolver.resolve('dentist on friday at 3pm', ANCHOR);
+    assert.strictEqual(friday.allDay, false);
+    assert.strictEqual(friday.start.toISOString(), '2026-10-16T15:00:00.000Z');
+
+    // A time that has passed today is tomorrow's
+    assert.strictEqual(dateResolver.resolve('at 9am', ANCHOR).start.toISOString(), '2026-10-15T09:00:00.000Z');
+    assert.strictEqual(dateResolver.resolve('no date here', ANCHOR), null);
+});
+
+test('dates typed into the API', () => {
+    assert.deepStrictEqual(dateResolver.parseInput('2026-11-02'), {
+        start: new Date('2026-11-02T00:00:00Z'), allDay: true, phrase: null
+    });
+    assert.strictEqual(dateResolver.parseInput('2026-11-02T08:30:00Z').allDay, false);
+    assert.strictEqual(dateResolver.parseInput('whenever'), null);
+    assert.strictEqual(dateResolver.combinePhrases(['tomorrow'], ['3pm']), 'tomorrow 3pm');
+    assert.strictEqual(dateResolver.combinePhrases(['monday', 'friday'], []), null);
+});
+
+test('a recording\'s task and event get their dates', async () => {
+    const database = await setupDatabase();
+    const recording = await database.saveRecording('Pay the gas bill by friday. Team lunch next monday at noon.', {
+        tasks: ['Pay the gas bill by friday'],
+        events: ['Team lunch next monday at noon']
+    }, null, { timestamp: ANCHOR });
+
+    const task = (await database.getTasks({})).find(row => row.recording_id === recording.id);
+    assert.strictEqual(new Date(task.due_at).toISOString(), '2026-10-16T00:00:00.000Z');
+    assert.strictEqual(task.due_all_day, true);
+
+    const entries = await database.getCalendarEntries();
+    const lunch = entries.find(entry => entry.kind === 'event' && entry.recording_id === recording.id);
+    assert.strictEqual(new Date(lunch.starts_at).toISOString(), '2026-10-19T12:00:00.000Z');
+});
+
+test('a single task takes the date extracted separately from it', async () => {
+    const database = await setupDatabase();
+    const recording = await database.saveRecording('I need to renew the insurance. Do it tomorrow.', {
+        tasks: ['Renew the insurance'],
+        dates: ['tomorrow']
+    }, null, { timestamp: ANCHOR });
+
+    const task = (await database.getTasks({})).find(row => row.recording_id === recording.id);
+    assert.strictEqual(new Date(task.due_at).getTime(), new Date('2026-10-14T00:00:00Z').getTime() + DAY_MS);
+    assert.strictEqual(task.due_phrase, 'tomorrow');
+});
+
+test('each task and event is dated from its own sentence', async () => {
+    const database = await setupDatabase();
+    const recording = await database.saveRecording('Buy a new kettle. Dentist appointment on Friday at 3pm. Call Sam tomorrow about the boat.', {
+        tasks: ['Buy a new kettle', 'Call Sam about the boat'],
+        events: ['Dentist appointment'],
+        dates: ['Friday', 'tomorrow'],
+        times: ['3pm']
+    }, null, { timestamp: ANCHOR });
+
+    const tasks = (await database.getTasks({})).filter(row => row.recording_id === recording.id);
+    assert.strictEqual(tasks.find(task => task.task_description === 'Buy a new kettle').due_at, null);
+    const call = tasks.find(task => task.task_description === 'Call Sam about the boat');
+    assert.strictEqual(new Date(call.due_at).toISOString(), '2026-10-15T00:00:00.000Z');
+
+    const entries = await database.getCalendarEntries();
+    const dentist = entries.find(entry => entry.kind === 'event' && entry.recording_id === recording.id);
+    assert.strictEqual(new Date(dentist.starts_at).toISOString(), '2026-10-16T15:00:00.000Z');
+});
+
+test('a single date shared by every task applies to all of them', async () => {
+    const database = await setupDatabase();
+    const recording = await database.saveRecording('Two things to sort out. Email the landlord and pay the council tax. Both on Monday.', {
+        tasks: ['Email the landlord', 'Pay the council tax'],
+        dates: ['Monday']
+    }, null, { timestamp: ANCHOR });
+
+    const tasks = (await database.getTasks({})).filter(row => row.recording_id === recording.id);
+    assert.strictEqual(tasks.length, 2);
+    for (const task of tasks) {
+        assert.strictEqual(new Date(task.due_at).toISOString(), '2026-10-19T00:00:00.000Z', task.task_description);
+        assert.strictEqual(task.due_phrase, 'Monday');
+    }
+});
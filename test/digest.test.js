@@ -0,0 +1,67 @@
+// backend/test/digest.test.js
+const { setupDatabase, HOUR_MS, DAY_MS } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const digest = require('../services/digest');
+const digestScheduler = require('../services/digestScheduler');
+const aiProcessor = require('../services/aiProcessor');
+
+// Wednesday 14 October 2026, 08:00 UTC (the tests run with USER_TIMEZONE=UTC)
+const NOW = new Date('2026-10-14T08:00:00Z');
+
+test('periods start today or on the first day of the week', () => {
+    assert.strictEqual(digest.periodStart('day', NOW).toISOString(), '2026-10-14T00:00:00.000Z');
+    assert.strictEqual(digest.periodStart('week', NOW).toISOString(), '2026-10-12T00:00:00.000Z');
+});
+
+test('the daily digest covers tasks, events and yesterday\'s recordings', async () => {
+    const database = await setupDatabase();
+    const garden = await database.createProject('Garden', '', '#00ff00');
+    await database.saveRecording('Planted the tulips and talked to Sam about the fence', {
+        topics: ['tulips', 'fence'],
+        people: ['Sam'],
+        events: ['Garden club tomorrow at 6pm']
+    }, garden.id, { timestamp: new Date(NOW.getTime() - 10 * HOUR_MS) });
+    await database.saveRecording('Too old for this digest', { topics: ['old'] }, garden.id, {
+        timestamp: new Date(NOW.getTime() - 3 * DAY_MS)
+    });
+    const overdue = await database.createTask({
+        description: 'Pay the water bill',
+        due: { start: new Date(NOW.getTime() - 2 * DAY_MS), allDay: true, phrase: null }
+    });
+    const soon = await database.createTask({
+        description: 'Mow the lawn',
+        due: { start: new Date(NOW.getTime() + DAY_MS), allDay: false, phrase: null }
+    });
+
+    aiProcessor.chatModel.enqueue({ status: 500 });
+    const built = await digest.build('day', NOW);
+
+    assert.deepStrictEqual(built.tasks.overdue.map(task => task.id), [overdue.id]);
+    assert.deepStrictEqual(built.tasks.due_soon.map(task => task.id), [soon.id]);
+    assert.deepStrictEqual(built.events.map(event => event.title), ['Garden club tomorrow at 6pm']);
+
+    const [project] = built.projects;
+    assert.strictEqual(project.name, 'Garden');
+    assert.strictEqual(project.highlights.recordings, 1);
+    assert.deepStrictEqual(project.highlights.topics, ['fence', 'tulips']);
+    assert.strictEqual(project.summary_source, 'fallback', 'the model failed');
+    assert.match(project.summary, /^1 recording from yesterday .*Topics: fence, tulips\. People: Sam\./);
+});
+
+test('the scheduler saves each period\'s digest once', async () => {
+    const database = await setupDatabase();
+    aiProcessor.chatModel.script([{ task: 'digest', reply: 'A quiet week in the garden.' }]);
+
+    // Before the digest hour only the week, which started on Monday, is due
+    const early = new Date('2026-10-14T05:00:00Z');
+    assert.deepStrictEqual((await digestScheduler.saveDueDigests(early)).map(row => row.period), ['week']);
+    assert.deepStrictEqual((await digestScheduler.saveDueDigests(NOW)).map(row => row.period), ['day']);
+    assert.deepStrictEqual(await digestScheduler.saveDueDigests(new Date(NOW.getTime() + HOUR_MS)), []);
+
+    const list = await database.getDigests({ period: 'week' });
+    assert.strictEqual(list.length, 1);
+    const full = await database.getDigest(list[0].id);
+    assert.strictEqual(new Date(full.period_start).toISOString(), '2026-10-12T00:00:00.000Z');
+    assert.ok(full.content.projects.every(project => project.summary_source === 'llm'));
+});
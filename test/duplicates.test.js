@@ -0,0 +1,108 @@
+// backend/test/duplicates.test.js
+const { HOUR_MS } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryStorage } = require('../services/storage');
+
+const MEMO = 'Remember to call Sam about the fence tomorrow and pick up paint for the shed';
+
+async function storageWith(options = {}) {
+    const storage = new MemoryStorage(options);
+    await storage.init();
+    return storage;
+}
+
+test('a near-identical recording is flagged against the first one', async () => {
+    const storage = await storageWith();
+    const now = Date.now();
+    const first = await storage.saveRecording(MEMO, { people: ['Sam'] }, null, { timestamp: new Date(now - HOUR_MS) });
+    const second = await storage.saveRecording(`${MEMO}.`, { people: ['Sam'] }, null, { timestamp: new Date(now) });
+    const unrelated = await storage.saveRecording('Budget meeting notes for the quarter', {}, null);
+
+    const clusters = await storage.getDuplicateClusters();
+    assert.strictEqual(clusters.length, 1);
+    assert.strictEqual(clusters[0].recording.id, first.id);
+    assert.deepStrictEqual(clusters[0].duplicates.map(row => row.id), [second.id]);
+    assert.ok(!clusters.some(cluster => cluster.recording.id === unrelated.id));
+});
+
+test('recordings far apart in time are not duplicates', async () => {
+    const storage = await storageWith();
+    await storage.saveRecording(MEMO, {}, null, { timestamp: new Date(Date.now() - 72 * HOUR_MS) });
+    await storage.saveRecording(MEMO, {}, null, { timestamp: new Date() });
+
+    assert.deepStrictEqual(await storage.getDuplicateClusters(), []);
+});
+
+test('merging keeps the earliest recording and moves the others\' entities over', async () => {
+    const storage = await storageWith();
+    const now = Date.now();
+    const first = await storage.saveRecording(MEMO, { people: ['Sam'], tasks: ['Call Sam'] }, null, { timestamp: new Date(now - HOUR_MS) });
+    const second = await storage.saveRecording(`${MEMO}.`, { people: ['Sam'], tasks: ['Buy paint'] }, null, { timestamp: new Date(now) });
+
+    const { recordingId, mergedIds } = await storage.mergeRecordings(second.id, [first.id, second.id]);
+    assert.strictEqual(recordingId, first.id);
+    assert.deepStrictEqual(mergedIds, [second.id]);
+
+    const kept = await storage.getRecording(first.id);
+    assert.deepStrictEqual(kept.entities.people, ['Sam'], 'the same person is not copied twice');
+    assert.deepStrictEqual([...kept.entities.tasks].sort(), ['Buy paint', 'Call Sam']);
+    assert.strictEqual(await storage.getRecording(second.id), null);
+    assert.deepStrictEqual((await storage.getTrash()).map(row => row.id), [second.id]);
+    assert.deepStrictEqual(await storage.getDuplicateClusters(), []);
+});
+
+test('restoring a merged recording moves its entities back', async () => {
+    const storage = await storageWith();
+    const now = Date.now();
+    const first = await storage.saveRecording(MEMO, { people: ['Sam'], tasks: ['Call Sam'] }, null, { timestamp: new Date(now - HOUR_MS) });
+    const second = await storage.saveRecording(`${MEMO}.`, { people: ['Sam'], tasks: ['Buy paint'] }, null, { timestamp: new Date(now) });
+    await storage.mergeRecordings(first.id);
+
+    const restored = await storage.restoreRecording(second.id);
+    assert.deepStrictEqual(restored.entities.people, ['Sam']);
+    assert.deepStrictEqual(restored.entities.tasks, ['Buy paint']);
+    assert.deepStrictEqual((await storage.getRecording(first.id)).entities.tasks, ['Call Sam']);
+
+    const clusters = await storage.getDuplicateClusters();
+    assert.deepStrictEqual(clusters.map(cluster => cluster.duplicates.map(row => row.id)), [[second.id]]);
+});
+
+test('dismissing a flag leaves both recordings alone', async () => {
+    const storage = await storageWith();
+    const first = await storage.saveRecording(MEMO, {}, null);
+    const second = await storage.saveRecording(MEMO, {}, null);
+
+    assert.strictEqual(await storage.dismissDuplicate(first.id), 1);
+    assert.deepStrictEqual(await storage.getDuplicateClusters(), []);
+    assert.ok(await storage.getRecording(second.id));
+    assert.strictEqual(await storage.dismissDuplicate(first.id), 0);
+});
+
+test('the merge policy merges a duplicate as it is saved', async () => {
+    const storage = await storageWith({ duplicatePolicy: 'merge' });
+    const first = await storage.saveRecording(MEMO, { tasks: ['Call Sam'] }, null);
+    const second = await storage.saveRecording(MEMO, { tasks: ['Buy paint'] }, null);
+
+    assert.strictEqual(second.id, first.id);
+    const count = (await storage.getAllRecordings()).length;
+    assert.strictEqual(count, 1);
+});
+
+test('audio shared after a merge is kept until no recording plays it', async () => {
+    const deleted = [];
+    const storage = await storageWith({ blobStore: { delete: async (key) => deleted.push(key) } });
+    const now = Date.now();
+    const first = await storage.saveRecording(MEMO, {}, null, { timestamp: new Date(now - HOUR_MS) });
+    const second = await storage.saveRecording(MEMO, {}, null, {
+        timestamp: new Date(now),
+        audio: { key: 'recordings/second.wav', contentType: 'audio/wav', size: 4 }
+    });
+    await storage.mergeRecordings(first.id);
+    assert.strictEqual((await storage.getRecording(first.id)).has_audio, true);
+
+    await storage.purgeRecording(second.id);
+    assert.deepStrictEqual(deleted, []);
+    await storage.purgeRecording(first.id);
+    assert.deepStrictEqual(deleted, ['recordings/second.wav']);
+});
@@ -0,0 +1,64 @@
+// backend/test/extraction.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const extractionSchema = require('../services/extractionSchema');
+const aiProcessor = require('../services/aiProcessor');
+
+const EMPTY = { people: [], tasks: [], events: [], dates: [], times: [], locations: [], items: [], topics: [] };
+
+test('replies are checked against the schema', () => {
+    assert.deepStrictEqual(extractionSchema.validate(EMPTY), []);
+    assert.deepStrictEqual(extractionSchema.validate({ ...EMPTY, people: 'Sam' }), ['/people: must be an array, got string']);
+
+    const { topics, ...missing } = EMPTY;
+    assert.deepStrictEqual(extractionSchema.validate({ ...missing, mood: [] }), [
+        '(root): missing "topics"',
+        '(root): unexpected "mood"'
+    ]);
+    assert.deepStrictEqual(extractionSchema.validate({ ...EMPTY, tasks: [' '] }), ['/tasks/0: is empty']);
+});
+
+test('replies in code fences or with text around them are parsed', () => {
+    assert.deepStrictEqual(extractionSchema.parse('```json\n{"people": ["Sam"]}\n```'), { people: ['Sam'] });
+    assert.deepStrictEqual(extractionSchema.parse('Here you go: {"people": ["Sam"],} Hope that helps'), { people: ['Sam'] });
+    assert.strictEqual(extractionSchema.parse('no json'), null);
+});
+
+test('repair bends a reply into shape', () => {
+    assert.deepStrictEqual(extractionSchema.repair({
+        people: [{ name: 'Sam' }, 'Sam', ''],
+        tasks: 'call Sam',
+        dates: [3],
+        mood: ['happy']
+    }), { ...EMPTY, people: ['Sam'], tasks: ['call Sam'], dates: ['3'] });
+    assert.strictEqual(extractionSchema.repair(['Sam']), null);
+    assert.strictEqual(extractionSchema.versionNumber('v2'), 2);
+    assert.strictEqual(extractionSchema.versionNumber(null), 1);
+});
+
+test('extraction reports how the reply was obtained', async () => {
+    const ok = await aiProcessor.extractEntities('Remember to call Sam about the fence tomorrow.');
+    assert.strictEqual(ok.extraction.status, 'ok');
+    assert.deepStrictEqual(ok.entities.people, ['Sam']);
+    assert.strictEqual(ok.extraction.version, extractionSchema.version);
+
+    const repaired = await aiProcessor.extractEntities('Something with no scripted reply');
+    assert.strictEqual(repaired.extraction.status, 'repaired');
+    assert.deepStrictEqual(repaired.entities, EMPTY);
+
+    const failed = await aiProcessor.extractEntities('A garbled memo');
+    assert.strictEqual(failed.extraction.status, 'failed');
+    assert.strictEqual(failed.extraction.attempts, aiProcessor.EXTRACTION_MAX_ATTEMPTS);
+    assert.deepStrictEqual(failed.entities, {});
+
+    aiProcessor.chatModel.enqueue('not json', { reply: { ...EMPTY, topics: ['retry'] } });
+    const retried = await aiProcessor.extractEntities('Anything');
+    assert.strictEqual(retried.extraction.status, 'retried');
+    assert.deepStrictEqual(retried.entities.topics, ['retry']);
+
+    aiProcessor.chatModel.enqueue({ status: 503 });
+    const modelDown = await aiProcessor.extractEntities('Anything');
+    assert.strictEqual(modelDown.extraction.status, 'failed');
+    assert.match(modelDown.extraction.errors[0], /^Model error/);
+});
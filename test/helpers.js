@@ -0,0 +1,89 @@
+// backend/test/helpers.js
+// Shared setup for the tests. node --test runs every test file in its own process,
+// so each file gets a fresh in-memory database, the fixture speech-to-text provider
+// and the scripted mock chat model (test/fixtures/llm-script.json). Require this
+// before any service, since the services read their settings when first loaded.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'life-assistant-test-'));
+
+process.env.NODE_ENV = 'test';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.STT_PROVIDER = 'fixture';
+process.env.STT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'stt');
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MOCK_SCRIPT = path.join(__dirname, 'fixtures', 'llm-script.json');
+process.env.AUDIO_STORAGE_DIR = path.join(TEMP_DIR, 'audio');
+process.env.NOTIFIER = 'outbox';
+process.env.USER_TIMEZONE = 'UTC';
+process.env.OPENAI_API_KEY = '';
+
+// The services log every step; TEST_VERBOSE=1 shows it
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+}
+
+process.on('exit', () => {
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+let ready = null;
+
+// The shared database, with every migration applied
+function setupDatabase() {
+    const database = require('../services/database');
+    if (!ready) ready = database.init();
+    return ready.then(() => database);
+}
+
+// A file in the test's temporary directory
+function tempFile(name, contents) {
+    const file = path.join(TEMP_DIR, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+    return file;
+}
+
+// 16kHz mono 16-bit PCM WAV of the given length, silent except for a tone in each
+// second's first half, so the chunker finds quiet cut points
+function wavFile(name, seconds) {
+    const sampleRate = 16000;
+    const samples = sampleRate * seconds;
+    const buffer = Buffer.alloc(44 + samples * 2);
+
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + samples * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(samples * 2, 40);
+
+    for (let i = 0; i < samples; i++) {
+        const loud = (i % sampleRate) < sampleRate / 2;
+        buffer.writeInt16LE(loud ? Math.round(8000 * Math.sin(i / 5)) : 0, 44 + i * 2);
+    }
+    return tempFile(name, buffer);
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+module.exports = {
+    TEMP_DIR,
+    HOUR_MS,
+    DAY_MS,
+    setupDatabase,
+    tempFile,
+    wavFile
+};
@@ -0,0 +1,22 @@
+// backend/test/languages.test.js
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const languages = require('../services/languages');
+const recordingPipeline = require('../services/recordingPipeline');
+
+test('typed text is detected by script or common words', () => {
+    assert.strictEqual(languages.detect('Tengo que llamar a la tienda mañana para el pedido'), 'es');
+    assert.strictEqual(languages.detect('Позвонить маме'), 'ru');
+    assert.strictEqual(languages.detect('   '), null);
+});
+
+test('text too short to tell gets the default language', async () => {
+    const database = await setupDatabase();
+    assert.strictEqual(languages.detect('Buy milk'), languages.defaultLanguage);
+
+    const recording = await recordingPipeline.processText('Buy milk', null);
+    assert.strictEqual(recording.language, 'en');
+    const { recordings } = await database.listRecordings({ language: 'en' });
+    assert.ok(recordings.some(listed => listed.id === recording.id));
+});
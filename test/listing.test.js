@@ -0,0 +1,111 @@
+// backend/test/listing.test.js
+const { setupDatabase, HOUR_MS } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+let seeded = null;
+
+// Five recordings an hour apart, the longest in the middle
+async function seed() {
+    const database = await setupDatabase();
+    if (seeded) return seeded;
+
+    const project = await database.createProject('Listing', '', '#123456');
+    const start = Date.now() - 10 * HOUR_MS;
+    const texts = [
+        'Short note one',
+        'Second note about the roof and the gutters',
+        'Third note about the fence that Sam will fix next week for sure',
+        'Fourth note',
+        'Fifth note about the car'
+    ];
+
+    const ids = [];
+    for (const [index, text] of texts.entries()) {
+        const recording = await database.saveRecording(text, {
+            people: index === 2 ? ['Sam'] : [],
+            topics: index % 2 === 0 ? ['home'] : [],
+            tasks: index === 1 ? ['Clean the gutters'] : []
+        }, index < 3 ? project.id : null, { timestamp: new Date(start + index * HOUR_MS) });
+        ids.push(recording.id);
+    }
+    await database.linkUnlinkedPeople();
+
+    seeded = { database, project, ids };
+    return seeded;
+}
+
+async function readAll(database, options) {
+    const seen = [];
+    let cursor = null;
+    do {
+        const page = await database.listRecordings({ ...options, cursor });
+        seen.push(...page.recordings.map(recording => recording.id));
+        cursor = page.next_cursor;
+    } while (cursor);
+    return seen;
+}
+
+test('pages follow each other without gaps or repeats', async () => {
+    const { database, ids } = await seed();
+
+    const first = await database.listRecordings({ limit: 2 });
+    assert.strictEqual(first.total, 5);
+    assert.deepStrictEqual(first.recordings.map(recording => recording.id), [ids[4], ids[3]]);
+    assert.ok(first.next_cursor);
+
+    assert.deepStrictEqual(await readAll(database, { limit: 2 }), [...ids].reverse());
+    assert.deepStrictEqual(await readAll(database, { limit: 2, sort: 'oldest' }), ids);
+    assert.deepStrictEqual((await readAll(database, { limit: 3, sort: 'longest' }))[0], ids[2]);
+});
+
+test('filters narrow the listing and its total', async () => {
+    const { database, project, ids } = await seed();
+
+    const byProject = await database.listRecordings({ projectId: project.id });
+    assert.strictEqual(byProject.total, 3);
+
+    assert.deepStrictEqual(await readAll(database, { topic: 'HOME' }), [ids[4], ids[2], ids[0]]);
+    assert.deepStrictEqual(await readAll(database, { person: 'sam' }), [ids[2]]);
+    assert.deepStrictEqual(await readAll(database, { hasPendingTasks: true }), [ids[1]]);
+    assert.deepStrictEqual(await readAll(database, { minWords: 9 }), [ids[2]]);
+
+    const range = await database.listRecordings({
+        from: new Date(Date.now() - 9.5 * HOUR_MS),
+        to: new Date(Date.now() - 7.5 * HOUR_MS)
+    });
+    assert.deepStrictEqual(range.recordings.map(recording => recording.id), [ids[2], ids[1]]);
+});
+
+test('a cursor only works with the sort it came from', async () => {
+    const { database } = await seed();
+    const page = await database.listRecordings({ limit: 1 });
+
+    await assert.rejects(database.listRecordings({ cursor: page.next_cursor, sort: 'oldest' }), /Invalid cursor/);
+    await assert.rejects(database.listRecordings({ cursor: 'nonsense' }), /Invalid cursor/);
+    await assert.rejects(database.listRecordings({ sort: 'random' }), /Unknown sort/);
+});
+
+test('the listing API returns an array and pages through headers', async () => {
+    const { project, ids } = await seed();
+    const app = require('../server');
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        const response = await fetch(`${base}/api/recordings?projectId=${project.id}&limit=2&fields=id`);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers.get('x-total-count'), '3');
+        assert.deepStrictEqual(await response.json(), [{ id: ids[2] }, { id: ids[1] }]);
+
+        const next = response.headers.get('link').match(/^<([^>]+)>; rel="next"$/)[1];
+        const last = await fetch(`${base}${next}`);
+        assert.deepStrictEqual(await last.json(), [{ id: ids[0] }]);
+        assert.strictEqual(last.headers.get('link'), null);
+
+        const invalid = await fetch(`${base}/api/recordings?limit=0`);
+        assert.strictEqual(invalid.status, 400);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,92 @@
+// backend/test/lists.test.js
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const listMatcher = require('../services/listMatcher');
+const recordingPipeline = require('../services/recordingPipeline');
+
+async function itemsOf(database, name) {
+    const list = (await database.getLists()).find(row => row.name === name);
+    return list ? (await database.getListItems(list.id)).items : [];
+}
+
+test('item and list names are matched loosely', () => {
+    assert.strictEqual(listMatcher.normalizeItem('2 bags of Tomatoes'), 'tomato');
+    assert.strictEqual(listMatcher.normalizeItem('the eggs'), listMatcher.normalizeItem('an egg'));
+    assert.strictEqual(listMatcher.listNameFromText('add nails to my hardware list'), 'Hardware');
+    assert.strictEqual(listMatcher.listNameFromText('put it on the to do list'), null);
+
+    const items = [{ id: 1, normalized_name: 'milk' }, { id: 2, normalized_name: 'egg' }];
+    assert.deepStrictEqual(listMatcher.findCheckedOff('Got the milk, but not the eggs', items), [1]);
+    assert.deepStrictEqual(listMatcher.findCheckedOff('I still need to buy milk', items), []);
+});
+
+test('extracted items go on the list the recording names, without repeats', async () => {
+    const database = await setupDatabase();
+    await database.saveRecording('Add nails and screws to my hardware list', { items: ['nails', 'screws'] }, null);
+    await database.saveRecording('Hardware list: more nails', { items: ['nails'] }, null);
+    await database.saveRecording('We are out of bread', { items: ['bread'] }, null);
+
+    const hardware = await itemsOf(database, 'Hardware');
+    assert.deepStrictEqual(hardware.map(item => item.name).sort(), ['nails', 'screws']);
+    assert.strictEqual(hardware.find(item => item.name === 'nails').mention_count, 2);
+    assert.deepStrictEqual((await itemsOf(database, listMatcher.defaultListName)).map(item => item.name), ['bread']);
+});
+
+test('a recording saying an item was bought checks it off', async () => {
+    const database = await setupDatabase();
+    const list = await database.createList('Groceries');
+    const milk = await database.addListItem(list.id, 'Milk');
+    assert.strictEqual((await database.addListItem(list.id, 'milk')).id, milk.id, 'reused, not added twice');
+    await database.addListItem(list.id, 'Coffee');
+
+    const recording = await recordingPipeline.save('Picked up the milk on the way home', {}, null);
+    assert.deepStrictEqual(recording.listItemsCheckedOff.map(item => item.id), [milk.id]);
+
+    const [summary] = (await database.getLists()).filter(row => row.id === list.id);
+    assert.strictEqual(summary.open_count, 1);
+    assert.strictEqual(summary.checked_count, 1);
+
+    const reopened = await database.updateListItem(list.id, milk.id, { checked: false });
+    assert.strictEqual(reopened.checked, false);
+    assert.strictEqual(reopened.checked_by_recording_id, null);
+    await assert.rejects(database.createList('groceries'), /List already exists/);
+});
+
+test('renaming an item to one already on the list merges them', async () => {
+    const database = await setupDatabase();
+    const list = await database.createList('Camping');
+    const tent = await database.addListItem(list.id, 'tent');
+    const tents = await database.addListItem(list.id, 'big tent');
+
+    const merged = await database.updateListItem(list.id, tents.id, { name: 'tents' });
+    assert.strictEqual(merged.id, tent.id);
+    assert.deepStrictEqual((await database.getListItems(list.id)).items.map(item => item.id), [tent.id]);
+    assert.strictEqual(await database.updateListItem(list.id + 1000, tent.id, { checked: true }), null);
+});
+
+test('items only a trashed recording mentioned are hidden until it is restored', async () => {
+    const database = await setupDatabase();
+    const list = await database.createList('Party');
+    const byHand = await database.addListItem(list.id, 'balloons');
+    await database.saveRecording('Add cake to the party list', { items: ['cake'] }, null);
+    const trashed = await database.saveRecording('Party list: candles and cake', { items: ['candles', 'cake'] }, null);
+
+    const names = async () => (await database.getListItems(list.id)).items.map(item => item.name).sort();
+    assert.deepStrictEqual(await names(), ['balloons', 'cake', 'candles']);
+
+    await database.deleteRecording(trashed.id);
+    assert.deepStrictEqual(await names(), ['balloons', 'cake'], 'cake still has a recording, balloons were added by hand');
+    const summary = (await database.getLists()).find(row => row.id === list.id);
+    assert.strictEqual(summary.open_count, 2);
+
+    // Buying candles while they are hidden doesn't check them off behind the user's back
+    await recordingPipeline.save('Bought the candles and the balloons', {}, null);
+    assert.strictEqual((await database.getListItems(list.id, { checked: true })).items[0].id, byHand.id);
+
+    await database.restoreRecording(trashed.id);
+    const restored = (await database.getListItems(list.id)).items;
+    assert.deepStrictEqual(restored.map(item => item.name).sort(), ['balloons', 'cake', 'candles']);
+    assert.strictEqual(restored.find(item => item.name === 'candles').checked, false);
+    assert.strictEqual(restored.find(item => item.name === 'cake').mention_count, 2);
+});
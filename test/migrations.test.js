@@ -0,0 +1,55 @@
+// backend/test/migrations.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryStorage } = require('../services/storage');
+
+async function tableNames(storage) {
+    const result = await storage.pool.query(
+        "SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'"
+    );
+    return result.rows.map(row => row.table_name).sort();
+}
+
+test('migrations apply in order and the schema check passes once they have', async () => {
+    const storage = new MemoryStorage();
+
+    await assert.rejects(storage.migrations.assertUpToDate(), { code: 'SCHEMA_OUT_OF_DATE' });
+
+    const first = await storage.migrations.up({ to: '001' });
+    assert.deepStrictEqual(first.map(m => m.version), ['001']);
+
+    const rest = await storage.migrations.up();
+    const versions = [...first, ...rest].map(m => m.version);
+    assert.deepStrictEqual(versions, [...versions].sort());
+    await storage.migrations.assertUpToDate();
+
+    const status = await storage.migrations.status();
+    assert.ok(status.every(row => row.applied));
+});
+
+// pg-mem keeps a foreign key after the column holding it is dropped, so 009, 011 and
+// 014 can't be reverted here; test/postgres.test.js reverts every migration on a real server
+test('migrations after 014 can be reverted', async () => {
+    const storage = new MemoryStorage();
+    await storage.migrations.up({ to: '014' });
+    const tables = await tableNames(storage);
+    const later = await storage.migrations.up();
+
+    const reverted = await storage.migrations.down({ steps: later.length });
+    assert.deepStrictEqual(reverted.map(m => m.version), later.map(m => m.version).reverse());
+    assert.deepStrictEqual(await tableNames(storage), tables);
+    assert.strictEqual((await storage.migrations.getPending()).length, later.length);
+});
+
+test('down reverts only the requested number of steps', async () => {
+    const storage = new MemoryStorage();
+    const applied = await storage.migrations.up({ to: '008' });
+
+    const reverted = await storage.migrations.down({ steps: 2 });
+    assert.deepStrictEqual(reverted.map(m => m.version), ['008', '007']);
+
+    const pending = await storage.migrations.getPending();
+    assert.deepStrictEqual(pending.slice(0, 2).map(m => m.version), ['007', '008']);
+    assert.strictEqual(applied.length, 8);
+});
@@ -0,0 +1,68 @@
+// backend/test/noteImporter.test.js
+const { setupDatabase, tempFile } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const noteImporter = require('../services/noteImporter');
+
+const MARKDOWN = `---
+date: 2025-03-14 09:30
+project: Garden
+---
+Planted the tomatoes along the south fence.
+`;
+
+const JSON_LINES = [
+    JSON.stringify({ text: 'Booked the car service', date: '2025-03-10T08:00:00Z' }),
+    'not json',
+    JSON.stringify({ content: 'Booked the car service', created_at: '2025-03-10T08:00:00Z' })
+].join('\n');
+
+const CSV = 'text,timestamp\n"Paid the water bill, finally",1741000000\n,\n';
+
+test('notes keep their dates and projects, and importing again finds only duplicates', async () => {
+    const database = await setupDatabase();
+    await database.createProject('Garden', '', '#00aa00');
+
+    const files = [
+        { path: tempFile('import/2025-03-14.md', MARKDOWN), name: '2025-03-14.md' },
+        { path: tempFile('import/notes.jsonl', JSON_LINES), name: 'notes.jsonl' },
+        { path: tempFile('import/notes.csv', CSV), name: 'notes.csv' }
+    ];
+
+    const first = await noteImporter.importFiles(files);
+    assert.deepStrictEqual(first.summary, { files: 3, notes: 5, imported: 3, duplicates: 1, empty: 0, errors: 1 });
+
+    const [markdown] = first.files[0].notes;
+    const recording = await database.getRecording(markdown.recording_id);
+    assert.strictEqual(new Date(recording.timestamp).toISOString(), '2025-03-14T09:30:00.000Z');
+    assert.strictEqual(recording.project.name, 'Garden');
+
+    // The second JSON line says the same thing on the same date
+    assert.deepStrictEqual(first.files[1].notes.map(note => note.status), ['imported', 'error', 'duplicate']);
+    assert.strictEqual(first.files[2].notes[0].timestamp, new Date(1741000000 * 1000).toISOString());
+
+    const again = await noteImporter.importFiles(files);
+    assert.strictEqual(again.summary.imported, 0);
+    assert.strictEqual(again.summary.duplicates, 4);
+    assert.strictEqual((await database.getAllRecordings()).length, 3);
+});
+
+test('a dry run reports what would be imported without saving anything', async () => {
+    const database = await setupDatabase();
+    const before = (await database.getAllRecordings()).length;
+
+    const report = await noteImporter.importFiles([
+        { path: tempFile('import/new.md', 'Call the plumber about the leak'), name: 'new.md' }
+    ], { dryRun: true });
+
+    assert.strictEqual(report.files[0].notes[0].status, 'would_import');
+    assert.strictEqual((await database.getAllRecordings()).length, before);
+});
+
+test('unsupported files are reported, not imported', async () => {
+    await setupDatabase();
+    const report = await noteImporter.importFiles([{ path: tempFile('import/photo.png', 'png'), name: 'photo.png' }]);
+
+    assert.strictEqual(report.summary.errors, 1);
+    assert.match(report.files[0].error, /Unsupported file type/);
+});
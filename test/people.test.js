@@ -0,0 +1,60 @@
+// backend/test/people.test.js
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const contactMatcher = require('../services/contactMatcher');
+
+test('names are matched loosely but not across different people', () => {
+    assert.strictEqual(contactMatcher.normalize('  Dr. Sam  Smith '), contactMatcher.normalize('sam smith'));
+    assert.ok(contactMatcher.score('Sam Smith', 'Sam Smyth') > contactMatcher.score('Sam Smith', 'Pat Jones'));
+});
+
+test('mentions of the same person are linked to one contact', async () => {
+    const database = await setupDatabase();
+    const first = await database.saveRecording('Lunch with Sam Smith about the fence', { people: ['Sam Smith'] }, null);
+    await database.saveRecording('Sam Smith sent the fence quote', { people: ['Sam Smith'] }, null);
+    await database.saveRecording('Pat Jones called', { people: ['Pat Jones'] }, null);
+    await database.linkUnlinkedPeople();
+
+    const contacts = await database.getContacts();
+    const sam = contacts.find(contact => contact.name === 'Sam Smith');
+    assert.strictEqual(sam.mention_count, 2);
+    assert.ok(contacts.some(contact => contact.name === 'Pat Jones'));
+
+    const detail = await database.getContact(sam.id);
+    assert.strictEqual(detail.mentions.length, 2);
+    assert.ok(detail.mentions.some(mention => mention.recording_id === first.id));
+});
+
+test('merged contacts keep every alias and mention', async () => {
+    const database = await setupDatabase();
+    await database.saveRecording('Dinner with Robert Brown', { people: ['Robert Brown'] }, null);
+    await database.saveRecording('Bobby called about the boat', { people: ['Bobby'] }, null);
+    await database.linkUnlinkedPeople();
+
+    const contacts = await database.getContacts();
+    const robert = contacts.find(contact => contact.name === 'Robert Brown');
+    const bobby = contacts.find(contact => contact.name === 'Bobby');
+    assert.notStrictEqual(robert.id, bobby.id);
+
+    const merged = await database.mergeContacts(robert.id, [bobby.id]);
+    assert.deepStrictEqual([...merged.aliases].sort(), ['Bobby', 'Robert Brown']);
+    assert.strictEqual(merged.mention_count, 2);
+    assert.strictEqual(await database.getContact(bobby.id), null);
+    await assert.rejects(database.mergeContacts(robert.id, [bobby.id]), /Contact not found/);
+});
+
+test('open tasks naming a contact are follow-ups', async () => {
+    const database = await setupDatabase();
+    await database.saveRecording('Met Alex Green at the market', { people: ['Alex Green'] }, null);
+    await database.linkUnlinkedPeople();
+    const task = await database.createTask({ description: 'Send Alex Green the photos' });
+    await database.createTask({ description: 'Water the plants' });
+
+    const followUps = await database.getFollowUps();
+    const alex = followUps.find(entry => entry.contact.name === 'Alex Green');
+    assert.deepStrictEqual(alex.tasks.map(row => row.id), [task.id]);
+
+    await database.completeTask(task.id);
+    assert.ok(!(await database.getFollowUps()).some(entry => entry.contact.name === 'Alex Green'));
+});
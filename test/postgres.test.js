@@ -0,0 +1,59 @@
+// backend/test/postgres.test.js
+// Runs against a real PostgreSQL server, for what pg-mem doesn't behave like
+// PostgreSQL in. Skipped unless TEST_DATABASE_URL points at an empty database the
+// tests may change freely.
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { Pool } = require('pg');
+const { PostgresStorage } = require('../services/storage');
+
+const skip = process.env.TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+let storage = null;
+
+async function connect() {
+    if (!storage) {
+        storage = new PostgresStorage({ pool: new Pool({ connectionString: process.env.TEST_DATABASE_URL }) });
+        await storage.migrations.up();
+    }
+    return storage;
+}
+
+test.after(async () => {
+    if (storage) await storage.close();
+});
+
+test('every migration can be reverted and applied again', { skip }, async () => {
+    const db = await connect();
+    const applied = (await db.migrations.status()).filter(row => row.applied);
+
+    const reverted = await db.migrations.down({ steps: applied.length });
+    assert.strictEqual(reverted.length, applied.length);
+    const tables = await db.pool.query("SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'");
+    assert.deepStrictEqual(tables.rows.map(row => row.table_name).filter(name => name !== 'schema_migrations'), []);
+
+    const reapplied = await db.migrations.up();
+    assert.strictEqual(reapplied.length, applied.length);
+    await db.migrations.assertUpToDate();
+});
+
+// Timestamps have microseconds here but milliseconds in an archive
+test('restoring an archive into its own database adds nothing', { skip }, async () => {
+    const db = await connect();
+    await db.saveRecording('Archive note about the fence', { tasks: ['Fix the fence'] }, null);
+    await db.createTask({ description: 'Order compost' });
+    const list = await db.createList('Archive groceries');
+    await db.addListItem(list.id, 'milk');
+
+    const count = async (table) => parseInt((await db.pool.query(`SELECT COUNT(*) as count FROM ${table}`)).rows[0].count);
+    const before = { recordings: await count('recordings'), tasks: await count('tasks'), list_items: await count('list_items') };
+
+    const { restored } = await db.restoreTables(JSON.parse(JSON.stringify(await db.exportTables())));
+    assert.strictEqual(restored.recordings, 0);
+    assert.strictEqual(restored.tasks, 0);
+    assert.strictEqual(restored.list_items, 0);
+    for (const table of Object.keys(before)) {
+        assert.strictEqual(await count(table), before[table], table);
+    }
+});
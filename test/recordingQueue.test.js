@@ -0,0 +1,127 @@
+// backend/test/recordingQueue.test.js
+const { setupDatabase, wavFile, tempFile, DAY_MS } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const recordingQueue = require('../services/recordingQueue');
+const speechToText = require('../services/speechToText');
+
+// Claim and process the next runnable job, as the worker would
+async function processNextJob(database) {
+    const job = await database.claimNextJob(new Date());
+    assert.ok(job, 'expected a runnable job');
+    await recordingQueue.processJob(job);
+    return database.getJob(job.id);
+}
+
+test('an uploaded recording goes through transcription, extraction and save', async () => {
+    const database = await setupDatabase();
+    const upload = wavFile('uploads/fence-memo.wav', 3);
+
+    const queued = await recordingQueue.enqueue(upload, { contentType: 'audio/wav' });
+    assert.strictEqual(queued.stage, 'queued');
+
+    const job = await processNextJob(database);
+    assert.strictEqual(job.stage, 'saved');
+    assert.strictEqual(job.attempts, 1);
+    assert.strictEqual(job.transcription, 'Remember to call Sam about the fence tomorrow.');
+
+    const recording = await database.getRecording(job.recording_id);
+    assert.strictEqual(recording.text, 'Remember to call Sam about the fence tomorrow.');
+    assert.strictEqual(recording.has_audio, true);
+    assert.deepStrictEqual(recording.entities.people, ['Sam']);
+    assert.deepStrictEqual(recording.entities.tasks, ['Call Sam about the fence']);
+    assert.strictEqual(recording.extraction.status, 'ok');
+
+    const segments = await database.getTranscriptSegments(recording.id);
+    assert.ok(segments.length > 0);
+    assert.strictEqual(segments[0].text.trim(), 'Remember to call Sam about the fence tomorrow.');
+
+    // "tomorrow" is resolved against the recording's timestamp
+    const [task] = await database.getTasks({ status: ['pending'] });
+    const recordedDay = new Date(recording.timestamp).toISOString().slice(0, 10);
+    const dueDay = new Date(new Date(recordedDay).getTime() + DAY_MS).toISOString().slice(0, 10);
+    assert.strictEqual(new Date(task.due_at).toISOString().slice(0, 10), dueDay);
+});
+
+test('a job that waited in the queue is dated from its upload', async () => {
+    const database = await setupDatabase();
+    const upload = wavFile('uploads/late/fence-memo.wav', 3);
+
+    const queued = await recordingQueue.enqueue(upload, { contentType: 'audio/wav' });
+    const uploadedAt = new Date('2026-10-14T10:00:00Z');
+    await database.pool.query('UPDATE recording_jobs SET created_at = $1 WHERE id = $2', [uploadedAt, queued.id]);
+
+    const job = await processNextJob(database);
+    const recording = await database.getRecording(job.recording_id);
+    assert.strictEqual(new Date(recording.timestamp).toISOString(), uploadedAt.toISOString());
+
+    const task = (await database.getTasks({})).find(row => row.recording_id === recording.id);
+    assert.strictEqual(new Date(task.due_at).toISOString(), '2026-10-15T00:00:00.000Z');
+});
+
+test('a job whose audio is gone fails without retrying', async () => {
+    const database = await setupDatabase();
+    const upload = tempFile('uploads/vanished.wav', 'not really audio');
+
+    await recordingQueue.enqueue(upload);
+    fs.unlinkSync(upload);
+
+    const job = await processNextJob(database);
+    assert.strictEqual(job.stage, 'failed');
+    assert.strictEqual(job.last_error, 'Audio file for this job is no longer available');
+    await assert.rejects(recordingQueue.retry(job.id), /no longer available/);
+});
+
+test('a failed extraction is retried with the stored transcription', async () => {
+    const database = await setupDatabase();
+    const upload = wavFile('uploads/retry-memo.wav', 2);
+    const job = await recordingQueue.enqueue(upload);
+
+    const save = database.saveRecording;
+    database.saveRecording = async () => {
+        throw new Error('database went away');
+    };
+    try {
+        await processNextJob(database);
+    } finally {
+        database.saveRecording = save;
+    }
+
+    const failed = await database.getJob(job.id);
+    assert.strictEqual(failed.stage, 'queued');
+    assert.strictEqual(failed.last_error, 'database went away');
+    assert.ok(failed.transcription);
+    assert.ok(new Date(failed.next_attempt_at) > new Date());
+
+    // Due again once the backoff is over
+    await database.updateJob(job.id, { next_attempt_at: new Date(Date.now() - 1000) });
+    const saved = await processNextJob(database);
+    assert.strictEqual(saved.stage, 'saved');
+    assert.strictEqual(saved.attempts, 2);
+    assert.strictEqual((await database.getRecording(saved.recording_id)).text, failed.transcription);
+});
+
+test('audio over the provider limit is transcribed in chunks and stitched in order', async () => {
+    const audio = wavFile('long.wav', 12);
+    const limit = speechToText.provider.maxFileBytes;
+    const progress = [];
+
+    speechToText.provider.maxFileBytes = 100 * 1024;
+    try {
+        const result = await speechToText.transcribeAudioDetailed(audio, {
+            onProgress: (update) => progress.push(update)
+        });
+
+        const total = progress[progress.length - 1].total;
+        assert.ok(total > 1, 'expected several chunks');
+        assert.strictEqual(progress[progress.length - 1].completed, total);
+        assert.ok(result.segments.length > 1);
+        for (let i = 1; i < result.segments.length; i++) {
+            assert.ok(result.segments[i].start >= result.segments[i - 1].start);
+        }
+        assert.ok(result.segments[result.segments.length - 1].end <= 12.5);
+    } finally {
+        speechToText.provider.maxFileBytes = limit;
+    }
+});
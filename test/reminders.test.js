@@ -0,0 +1,124 @@
+// backend/test/reminders.test.js
+const { setupDatabase, HOUR_MS } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const recurrence = require('../services/recurrence');
+const taskScheduler = require('../services/taskScheduler');
+const notifier = require('../services/notifier');
+
+test('repeat phrases become rules', () => {
+    assert.strictEqual(recurrence.fromText('water the plants every Sunday'), 'FREQ=WEEKLY;BYDAY=SU');
+    assert.strictEqual(recurrence.fromText('pay rent on the first Monday of every month'), 'FREQ=MONTHLY;BYDAY=1MO');
+    assert.strictEqual(recurrence.fromText('call mom on friday'), null);
+    assert.strictEqual(recurrence.normalize('rrule:freq=daily;interval=2'), 'FREQ=DAILY;INTERVAL=2');
+    assert.strictEqual(recurrence.parse('FREQ=HOURLY'), null);
+});
+
+test('occurrences follow the rule', () => {
+    // Wednesday 14 October 2026
+    const start = new Date('2026-10-14T09:30:00Z');
+    assert.strictEqual(recurrence.next('FREQ=WEEKLY;BYDAY=MO,FR', { after: start, start }).toISOString(), '2026-10-16T09:30:00.000Z');
+    assert.strictEqual(recurrence.first('FREQ=DAILY', { start }).toISOString(), start.toISOString());
+
+    // The 31st falls on the last day of shorter months
+    const monthEnd = new Date('2026-01-31T00:00:00Z');
+    assert.strictEqual(
+        recurrence.next('FREQ=MONTHLY', { after: monthEnd, start: monthEnd, allDay: true }).toISOString(),
+        '2026-02-28T00:00:00.000Z'
+    );
+    assert.strictEqual(recurrence.next('FREQ=DAILY;UNTIL=20261015T000000Z', { after: start, start }), null);
+});
+
+test('completing a repeating task adds its next occurrence', async () => {
+    const database = await setupDatabase();
+    const task = await database.createTask({ description: 'Take out the bins every Tuesday' });
+    assert.strictEqual(task.recurrence_rule, 'FREQ=WEEKLY;BYDAY=TU');
+    assert.strictEqual(new Date(task.due_at).getUTCDay(), 2);
+
+    await database.completeTask(task.id);
+    const next = (await database.getPendingTasks()).find(row => row.previous_task_id === task.id);
+    assert.strictEqual(next.task_description, task.task_description);
+    assert.strictEqual(next.occurrence, 2);
+    assert.strictEqual(new Date(next.due_at).getTime(), new Date(task.due_at).getTime() + 7 * 24 * HOUR_MS);
+
+    // Reopening and completing again doesn't add a second one
+    await database.updateTask(task.id, { status: 'pending' });
+    await database.completeTask(task.id);
+    const occurrences = await database.pool.query('SELECT id FROM tasks WHERE previous_task_id = $1', [task.id]);
+    assert.strictEqual(occurrences.rows.length, 1);
+});
+
+test('a due task is reminded once, and a failed send is retried', async () => {
+    const database = await setupDatabase();
+    notifier.reset();
+    const now = new Date();
+    const task = await database.createTask({
+        description: 'Move the car',
+        due: { start: new Date(now.getTime() - 60 * 1000), allDay: false, phrase: null }
+    });
+    const later = await database.createTask({
+        description: 'Feed the cat',
+        due: { start: new Date(now.getTime() + HOUR_MS), allDay: false, phrase: null }
+    });
+
+    notifier.failWith = new Error('channel down');
+    const failed = await taskScheduler.tick(now);
+    assert.deepStrictEqual({ queued: failed.queued, sent: failed.sent, failed: failed.failed }, { queued: 1, sent: 0, failed: 1 });
+
+    const [pending] = await database.getReminders({ status: 'pending' });
+    assert.strictEqual(pending.last_error, 'channel down');
+    await database.updateReminder(pending.id, { next_attempt_at: new Date(0) });
+
+    notifier.failWith = null;
+    const retried = await taskScheduler.tick(now);
+    assert.strictEqual(retried.queued, 0, 'not queued twice');
+    assert.strictEqual(retried.sent, 1);
+    assert.deepStrictEqual(notifier.sent.map(notification => notification.task.id), [task.id]);
+    assert.ok(!notifier.sent.some(notification => notification.task.id === later.id));
+
+    const [sent] = await database.getReminders({ status: 'sent' });
+    assert.strictEqual(sent.attempts, 2);
+    assert.strictEqual(sent.notifier, 'outbox');
+});
+
+test('a reminder for a task closed since it was queued is skipped', async () => {
+    const database = await setupDatabase();
+    notifier.reset();
+    const now = new Date();
+    const task = await database.createTask({
+        description: 'Return the library books',
+        due: { start: new Date(now.getTime() - 60 * 1000), allDay: false, phrase: null }
+    });
+    await database.queueDueReminders({ now, since: new Date(now.getTime() - HOUR_MS) });
+    await database.completeTask(task.id);
+
+    const result = await taskScheduler.tick(now);
+    assert.strictEqual(result.skipped, 1);
+    assert.deepStrictEqual(notifier.sent, []);
+});
+
+test('reminders another process is sending don\'t hold up the rest', async () => {
+    const database = await setupDatabase();
+    const now = new Date();
+    const tasks = [];
+    for (let minutes = 6; minutes >= 1; minutes--) {
+        tasks.push(await database.createTask({
+            description: `Water tray ${minutes}`,
+            due: { start: new Date(now.getTime() - minutes * 60 * 1000), allDay: false, phrase: null }
+        }));
+    }
+    await database.queueDueReminders({ now, since: new Date(now.getTime() - HOUR_MS) });
+
+    const reminders = (await database.getReminders({ status: 'pending' }))
+        .filter(reminder => tasks.some(task => task.id === reminder.task_id))
+        .sort((a, b) => new Date(a.remind_at) - new Date(b.remind_at));
+    assert.strictEqual(reminders.length, 6);
+    for (const reminder of reminders.slice(0, 5)) {
+        await database.pool.query('UPDATE task_reminders SET locked_at = NOW() WHERE id = $1', [reminder.id]);
+    }
+
+    const claimed = await database.claimNextReminder(new Date(now.getTime() - HOUR_MS));
+    assert.strictEqual(claimed.id, reminders[5].id);
+    assert.strictEqual(claimed.task.id, tasks[5].id);
+    assert.strictEqual(await database.claimNextReminder(new Date(now.getTime() - HOUR_MS)), null);
+});
@@ -0,0 +1,73 @@
+// backend/test/taskMatcher.test.js
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const taskMatcher = require('../services/taskMatcher');
+const recordingPipeline = require('../services/recordingPipeline');
+const aiProcessor = require('../services/aiProcessor');
+
+test('only clauses reporting something done count', () => {
+    assert.deepStrictEqual(taskMatcher.doneClauses('I called the bank. Still need to pay rent'), ['i called the bank']);
+    assert.deepStrictEqual(taskMatcher.doneClauses('I forgot to call the bank'), []);
+});
+
+test('the chat model judges wordings the synonym table doesn\'t know', async () => {
+    const tasks = [
+        { id: 1, description: 'Get a plumber in for the kitchen sink' },
+        { id: 2, description: 'Buy a birthday card' }
+    ];
+
+    // Unknown task ids in the reply are ignored
+    aiProcessor.chatModel.enqueue({ reply: { matches: [{ task: 1, score: 0.95 }, { task: 7, score: 1 }] } });
+    const [match, ...rest] = await taskMatcher.rank({ text: 'Finally sorted out the leaky kitchen sink' }, tasks);
+    assert.strictEqual(match.taskId, 1);
+    assert.deepStrictEqual(match.reasons, { lexical: 0.5, similarity: 0.95 });
+    assert.strictEqual(match.confidence, 0.8);
+    assert.deepStrictEqual(rest, []);
+
+    const call = aiProcessor.chatModel.calls[aiProcessor.chatModel.calls.length - 1];
+    assert.strictEqual(call.task, 'matching');
+    assert.match(call.messages[1].content, /1\. Get a plumber in for the kitchen sink/);
+});
+
+test('without the model, tasks are ranked on shared words and synonyms', async () => {
+    const tasks = [
+        { id: 1, description: 'Call the plumber' },
+        { id: 2, description: 'Buy a birthday card' },
+        { id: 3, description: 'Repair the bike' }
+    ];
+
+    aiProcessor.chatModel.enqueue({ status: 503 });
+    const [best, ...rest] = await taskMatcher.rank({ text: 'Phoned the plumber this morning' }, tasks);
+    assert.strictEqual(best.taskId, 1);
+    assert.strictEqual(best.reasons.lexical, 0.5, '"plumber" is shared, "phoned" is not "call"');
+    assert.strictEqual(best.reasons.synonyms, 1);
+    assert.deepStrictEqual(rest, []);
+
+    // The mock model's reply to anything unscripted isn't a list of scores either
+    assert.deepStrictEqual((await taskMatcher.rank({ text: 'Fixed the bike' }, tasks)).map(match => match.taskId), [3]);
+    assert.deepStrictEqual(await taskMatcher.rank({ text: 'Need to fix the bike' }, tasks), []);
+});
+
+test('a confident match completes the task, a weaker one waits for review', async () => {
+    const database = await setupDatabase();
+    const plumber = await database.createTask({ description: 'Call the plumber about the leak' });
+    const groceries = await database.createTask({ description: 'Buy milk and bread' });
+
+    const recording = await recordingPipeline.save('I phoned the plumber about the leak. Bought the milk.', {}, null);
+    assert.deepStrictEqual(recording.tasksCompleted.map(match => match.taskId), [plumber.id]);
+    assert.deepStrictEqual(recording.taskCompletionSuggestions.map(match => match.taskId), [groceries.id]);
+
+    const completed = await database.getTask(plumber.id);
+    assert.strictEqual(completed.status, 'completed');
+    assert.strictEqual(completed.completed_by_recording_id, recording.id);
+
+    const [suggestion] = await database.getCompletionSuggestions();
+    assert.strictEqual(suggestion.task_id, groceries.id);
+    const { task } = await database.resolveCompletionSuggestion(suggestion.id, true);
+    assert.strictEqual(task.status, 'completed');
+    await assert.rejects(database.resolveCompletionSuggestion(suggestion.id, false), /already been resolved/);
+
+    const again = await database.matchTaskCompletions(recording.id);
+    assert.deepStrictEqual(again, { completed: [], suggested: [] });
+});
@@ -0,0 +1,106 @@
+// backend/test/tasks.test.js
+const { setupDatabase, HOUR_MS } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+test('a task added by hand reads its due date from the description', async () => {
+    const database = await setupDatabase();
+    const task = await database.createTask({ description: 'Renew passport tomorrow', priority: 'high' });
+
+    assert.strictEqual(task.status, 'pending');
+    assert.strictEqual(task.priority, 'high');
+    assert.strictEqual(task.due_phrase, 'tomorrow');
+    assert.strictEqual(task.due_all_day, true);
+    assert.deepStrictEqual(task.history.map(entry => [entry.from_status, entry.to_status, entry.source]), [[null, 'pending', 'api']]);
+    await assert.rejects(database.createTask({ description: '  ' }), /Task description is required/);
+});
+
+test('status changes follow the allowed transitions and are recorded', async () => {
+    const database = await setupDatabase();
+    const task = await database.createTask({ description: 'Paint the fence' });
+
+    await database.updateTask(task.id, { status: 'in_progress' });
+    const completed = await database.completeTask(task.id);
+    assert.strictEqual(completed.status, 'completed');
+    assert.ok(completed.completed_at);
+    assert.strictEqual(await database.completeTask(task.id), null, 'already completed');
+
+    const reopened = await database.updateTask(task.id, { status: 'pending' });
+    assert.strictEqual(reopened.completed_at, null);
+    assert.deepStrictEqual(reopened.history.map(entry => entry.to_status), ['pending', 'in_progress', 'completed', 'pending']);
+
+    await database.updateTask(task.id, { status: 'cancelled' });
+    await assert.rejects(database.updateTask(task.id, { status: 'snoozed', snoozedUntil: new Date(Date.now() + HOUR_MS) }), /Cannot change a cancelled task to snoozed/);
+    assert.strictEqual(await database.updateTask(task.id + 1000, { status: 'pending' }), null);
+});
+
+test('a snoozed task wakes up when its time comes', async () => {
+    const database = await setupDatabase();
+    const task = await database.createTask({ description: 'Check the oil' });
+
+    await assert.rejects(database.updateTask(task.id, { status: 'snoozed' }), /Snoozing needs a time in the future/);
+    const until = new Date(Date.now() + HOUR_MS);
+    const snoozed = await database.updateTask(task.id, { status: 'snoozed', snoozedUntil: until });
+    assert.strictEqual(new Date(snoozed.snoozed_until).getTime(), until.getTime());
+    assert.ok(!(await database.getPendingTasks()).some(row => row.id === task.id));
+
+    assert.deepStrictEqual(await database.wakeSnoozedTasks(new Date(until.getTime() + 1)), [task.id]);
+    const woken = await database.getTask(task.id);
+    assert.strictEqual(woken.status, 'pending');
+    assert.strictEqual(woken.snoozed_until, null);
+    assert.strictEqual(woken.history[woken.history.length - 1].source, 'snooze');
+});
+
+test('editing changes the task\'s fields and deleting removes its history', async () => {
+    const database = await setupDatabase();
+    const project = await database.createProject('Tasks', '', '#ffffff');
+    const task = await database.createTask({ description: 'Sort the receipts' });
+
+    const edited = await database.updateTask(task.id, {
+        description: 'Sort the tax receipts',
+        priority: 'low',
+        projectId: project.id,
+        due: { start: new Date('2026-11-01T00:00:00Z'), allDay: true, phrase: null }
+    });
+    assert.strictEqual(edited.task_description, 'Sort the tax receipts');
+    assert.strictEqual(edited.priority, 'low');
+    assert.strictEqual(edited.project_name, 'Tasks');
+    assert.strictEqual(new Date(edited.due_at).toISOString(), '2026-11-01T00:00:00.000Z');
+    await assert.rejects(database.updateTask(task.id, { projectId: project.id + 1000 }), /Project not found/);
+
+    const deleted = await database.deleteTask(task.id);
+    assert.strictEqual(deleted.id, task.id);
+    assert.strictEqual(await database.getTask(task.id), null);
+    const history = await database.pool.query('SELECT id FROM task_transitions WHERE task_id = $1', [task.id]);
+    assert.strictEqual(history.rows.length, 0);
+});
+
+test('tasks edited or moved through their statuses are kept by re-extraction', async () => {
+    const database = await setupDatabase();
+    const recording = await database.saveRecording('Paint the shed, sweep the yard and oil the gate',
+        { tasks: ['Paint the shed', 'Sweep the yard', 'Oil the gate', 'Mow the lawn'] }, null);
+    const [paint, sweep, oil, mow] = (await database.getTasks()).filter(task => task.recording_id === recording.id)
+        .sort((a, b) => a.id - b.id);
+
+    await database.updateTask(paint.id, { status: 'in_progress' });
+    await database.updateTask(sweep.id, { description: 'Sweep the whole yard' });
+    await database.updateTask(oil.id, { status: 'cancelled' });
+    await database.updateTask(oil.id, { status: 'pending' });
+    assert.strictEqual((await database.getTask(paint.id)).edited_at, null);
+    assert.ok((await database.getTask(sweep.id)).edited_at);
+
+    const { diff } = await database.updateRecording(recording.id, { entities: { tasks: ['Paint the shed blue'] } });
+    // "Paint the shed blue" is the task in progress reworded, which it stays out of
+    assert.strictEqual(diff.added.tasks, undefined);
+    assert.deepStrictEqual(diff.removed.tasks, ['Mow the lawn']);
+    assert.deepStrictEqual(diff.kept.tasks.sort(), ['Oil the gate', 'Paint the shed', 'Sweep the whole yard']);
+
+    assert.strictEqual((await database.getTask(paint.id)).task_description, 'Paint the shed');
+    assert.strictEqual((await database.getTask(paint.id)).status, 'in_progress');
+    assert.strictEqual((await database.getTask(oil.id)).status, 'pending');
+    assert.strictEqual(await database.getTask(mow.id), null);
+
+    const history = await database.pool.query('SELECT task_id, to_status FROM task_transitions WHERE task_id IN ($1, $2) ORDER BY id', [paint.id, oil.id]);
+    assert.deepStrictEqual(history.rows.map(row => [row.task_id, row.to_status]),
+        [[paint.id, 'in_progress'], [oil.id, 'cancelled'], [oil.id, 'pending']]);
+});
@@ -0,0 +1,53 @@
+// backend/test/trash.test.js
+const { setupDatabase, DAY_MS } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const trashPurger = require('../services/trashPurger');
+
+test('a trashed recording is hidden until it is restored', async () => {
+    const database = await setupDatabase();
+    const recording = await database.saveRecording('Call the plumber about the leak', {
+        tasks: ['Call the plumber'],
+        people: ['Pat']
+    }, null);
+
+    const trashed = await database.deleteRecording(recording.id);
+    assert.strictEqual(trashed.id, recording.id);
+    assert.strictEqual(await database.deleteRecording(recording.id), null, 'already in the trash');
+
+    assert.strictEqual(await database.getRecording(recording.id), null);
+    assert.ok(!(await database.getAllRecordings()).some(row => row.id === recording.id));
+    assert.ok(!(await database.getPendingTasks()).some(task => task.recording_id === recording.id));
+    assert.deepStrictEqual((await database.searchRecordings('plumber')).map(row => row.id), []);
+
+    const trash = await database.getTrash();
+    assert.strictEqual(trash[0].id, recording.id);
+    assert.deepStrictEqual(trash[0].entities.tasks, ['Call the plumber']);
+
+    const restored = await database.restoreRecording(recording.id);
+    assert.strictEqual(restored.id, recording.id);
+    assert.ok((await database.getPendingTasks()).some(task => task.recording_id === recording.id));
+    assert.strictEqual(await database.restoreRecording(recording.id), null, 'no longer in the trash');
+});
+
+test('the purger only deletes recordings whose retention has run out', async () => {
+    const database = await setupDatabase();
+    const old = await database.saveRecording('Old memo about the garage', { tasks: ['Sweep the garage'] }, null);
+    const recent = await database.saveRecording('Recent memo about the attic', {}, null);
+    await database.deleteRecording(old.id);
+    await database.deleteRecording(recent.id);
+    await database.pool.query('UPDATE recordings SET deleted_at = $1 WHERE id = $2', [
+        new Date(Date.now() - (trashPurger.retentionDays + 1) * DAY_MS),
+        old.id
+    ]);
+
+    const purged = await trashPurger.purge();
+    assert.deepStrictEqual(purged, [old.id]);
+
+    const trash = await database.getTrash();
+    assert.ok(trash.some(row => row.id === recent.id));
+    assert.ok(!trash.some(row => row.id === old.id));
+    const tasks = await database.pool.query('SELECT id FROM tasks WHERE recording_id = $1', [old.id]);
+    assert.strictEqual(tasks.rows.length, 0);
+    assert.strictEqual(await database.restoreRecording(old.id), null);
+});